@@ -22,102 +22,82 @@ try {
 // Step 2: Convert ES6 modules to Chrome extension format
 console.log('🔧 Converting modules for Chrome extension...');
 
-function convertModuleToGlobal(filePath, globalName) {
+const extensionDir = path.join(__dirname, 'extension');
+
+// Shared modules, in load order. Each assigns itself to `self[global]`, which is
+// how other modules' imports from it are resolved after conversion.
+const sharedModules = [
+  { file: 'modules/logging/logger.js', global: 'Logging' },
+  { file: 'modules/cdp/core.js', global: 'CDP' },
+  { file: 'modules/cdp/pool.js', global: 'CDPPool' },
+  { file: 'modules/extraction/spec.js', global: 'Extraction' },
+  { file: 'modules/indicators/indicator.js', global: 'Indicators' },
+  { file: 'modules/jobs/queue.js', global: 'Jobs' },
+  { file: 'modules/jobs/ratelimit.js', global: 'RateLimiting' },
+  { file: 'modules/scoring/verdict.js', global: 'Scoring' },
+  { file: 'modules/scrapers/registry.js', global: 'SourceRegistry' },
+  { file: 'modules/scrapers/pagestate.js', global: 'PageState' },
+  { file: 'modules/lookup/cache.js', global: 'ResultCache' },
+  { file: 'modules/lookup/collect.js', global: 'Lookup' },
+  { file: 'modules/history/payloads.js', global: 'RawPayloadStore' },
+  { file: 'modules/history/history.js', global: 'LookupHistory' },
+  { file: 'modules/export/formats.js', global: 'Exporters' },
+  { file: 'modules/diagnostics/selftest.js', global: 'Diagnostics' }
+];
+
+// Every other module in the scrapers directory (not one of the shared modules above) is a
+// source that registers itself with the SourceRegistry when loaded, so new sources need no
+// build changes
+const scrapersDir = path.join(extensionDir, 'modules', 'scrapers');
+const scraperModules = fs.existsSync(scrapersDir)
+  ? fs.readdirSync(scrapersDir)
+      .filter(file => file.endsWith('.js') && !sharedModules.some(mod => mod.file === `modules/scrapers/${file}`))
+      .sort()
+      .map(file => ({ file: `modules/scrapers/${file}` }))
+  : [];
+
+const modules = [...sharedModules, ...scraperModules];
+
+/**
+ * Convert a compiled ES module into a classic script: named imports are read from
+ * the global namespace of the shared module they point at, exports are dropped and
+ * the body is wrapped in an IIFE so top-level names don't collide across scripts
+ */
+function convertModule(file) {
+  const filePath = path.join(extensionDir, file);
   if (!fs.existsSync(filePath)) return;
-  
+
   let content = fs.readFileSync(filePath, 'utf8');
-  
-  // Remove export statements and convert to global namespace
-  content = content.replace(/export\s+(class|function|const|let|var|async function)\s+(\w+)/g, '$1 $2');
-  content = content.replace(/export\s*\{([^}]+)\}/g, (match, exports) => {
-    // Extract export names
-    const names = exports.split(',').map(s => s.trim().split(' as ')[0].trim());
-    return names.map(name => {
-      if (name.includes(':')) return ''; // Skip type exports
-      return `\n// Export ${name} to global namespace\nif (typeof window !== 'undefined') { window.${globalName} = window.${globalName} || {}; window.${globalName}.${name} = ${name}; } else { self.${globalName} = self.${globalName} || {}; self.${globalName}.${name} = ${name}; }`;
-    }).join('\n');
+  const bindings = [];
+
+  content = content.replace(/^import\s+\{([^}]+)\}\s+from\s+['"](.+?)['"];?\n/gm, (match, names, specifier) => {
+    const target = path.posix.join(path.posix.dirname(file), specifier.replace(/\.js$/, '') + '.js');
+    const dependency = sharedModules.find(mod => mod.file === target);
+    if (!dependency) {
+      throw new Error(`${file}: cannot resolve import '${specifier}' to a shared module`);
+    }
+    bindings.push(`const {${names.replace(/\s+as\s+/g, ': ')}} = self.${dependency.global};`);
+    return '';
   });
-  
-  // Add global namespace assignment at the end for classes/functions
-  const classMatches = content.match(/(?:export\s+)?(class|function|async function)\s+(\w+)/g);
-  if (classMatches) {
-    classMatches.forEach(match => {
-      const nameMatch = match.match(/(?:export\s+)?(?:class|function|async function)\s+(\w+)/);
-      if (nameMatch) {
-        const name = nameMatch[1];
-        if (!content.includes(`self.${globalName}`) && !content.includes(`window.${globalName}`)) {
-          const globalAssign = `\n\n// Export to global namespace\nif (typeof window !== 'undefined') { window.${globalName} = window.${globalName} || {}; window.${globalName}.${name} = ${name}; } else { self.${globalName} = self.${globalName} || {}; self.${globalName}.${name} = ${name}; }`;
-          if (!content.includes(globalAssign)) {
-            content += globalAssign;
-          }
-        }
-      }
-    });
-  }
-  
-  fs.writeFileSync(filePath, content, 'utf8');
-}
+  content = content.replace(/^import\s+.*from\s+['"].*['"];?\n/gm, '');
+  content = content.replace(/^export\s+\{\s*\};?\s*\n?/gm, '');
+  content = content.replace(/^export\s+/gm, '');
 
-// Convert core module
-const corePath = path.join(__dirname, 'extension', 'modules', 'cdp', 'core.js');
-if (fs.existsSync(corePath)) {
-  let coreContent = fs.readFileSync(corePath, 'utf8');
-  
-  // Remove export keywords
-  coreContent = coreContent.replace(/export\s+/g, '');
-  
-  // Add global namespace export at the end
-  if (!coreContent.includes('self.CDP') && !coreContent.includes('window.CDP')) {
-    coreContent += `
-// Export to global namespace for Chrome extension compatibility
-if (typeof window !== 'undefined') {
-  window.CDP = { CDPContext, Page, createPage };
-} else {
-  self.CDP = { CDPContext, Page, createPage };
-}
-`;
-  }
-  
-  fs.writeFileSync(corePath, coreContent, 'utf8');
-}
+  // Keep the source map comment as the last line of the file
+  const sourceMap = content.match(/^\/\/# sourceMappingURL=.*$/m);
+  content = content.replace(/^\/\/# sourceMappingURL=.*$/m, '').trimEnd();
 
-// Convert scraper modules
-const scrapers = [
-  { file: 'virustotal.js', global: 'VirusTotalScraper' },
-  { file: 'ipinfo.js', global: 'IPInfoScraper' },
-  { file: 'abuseipdb.js', global: 'AbuseIPDBScraper' }
-];
+  content = `(function () {\n${bindings.join('\n')}${bindings.length ? '\n' : ''}${content}\n})();\n${sourceMap ? sourceMap[0] + '\n' : ''}`;
 
-scrapers.forEach(({ file, global }) => {
-  const scraperPath = path.join(__dirname, 'extension', 'modules', 'scrapers', file);
-  if (fs.existsSync(scraperPath)) {
-    let content = fs.readFileSync(scraperPath, 'utf8');
-    
-    // Remove export keywords and import statements
-    content = content.replace(/export\s+/g, '');
-    content = content.replace(/import\s+.*from\s+['"].*['"];?\n/g, '');
-    
-    // Fix createPage calls to use CDP global namespace
-    content = content.replace(/\bcreatePage\(/g, 'CDP.createPage(');
-    content = content.replace(/\bPage\b/g, 'CDP.Page');
-    content = content.replace(/\bCDPContext\b/g, 'CDP.CDPContext');
-    
-    // Add global namespace export
-    const funcName = content.match(/(?:export\s+)?(?:async\s+)?function\s+(\w+)/)?.[1] || 'scrape' + global.replace('Scraper', '');
-    if (!content.includes(`self.${global}`) && !content.includes(`window.${global}`)) {
-      content += `
-// Export to global namespace
-if (typeof window !== 'undefined') {
-  window.${global} = { ${funcName} };
-} else {
-  self.${global} = { ${funcName} };
+  fs.writeFileSync(filePath, content, 'utf8');
+}
+
+try {
+  modules.forEach(({ file }) => convertModule(file));
+} catch (error) {
+  console.error('❌ Module conversion failed:', error.message);
+  process.exit(1);
 }
-`;
-    }
-    
-    fs.writeFileSync(scraperPath, content, 'utf8');
-  }
-});
 
 // Step 3: Prepare background service worker
 console.log('🔧 Preparing background service worker...');
@@ -136,10 +116,7 @@ if (fs.existsSync(backgroundPath)) {
   // Always add importScripts at the very top (before any code)
   const importScripts = `// Import modules using importScripts (Chrome extension compatible)
 importScripts(
-  'modules/cdp/core.js',
-  'modules/scrapers/virustotal.js',
-  'modules/scrapers/ipinfo.js',
-  'modules/scrapers/abuseipdb.js'
+${modules.map(({ file }) => `  '${file}'`).join(',\n')}
 );
 
 `;
@@ -154,36 +131,16 @@ importScripts(
   console.log('✅ Background service worker prepared\n');
 }
 
-// Step 4: Fix popup.js - remove exports
-const popupPath = path.join(__dirname, 'extension', 'popup', 'popup.js');
-if (fs.existsSync(popupPath)) {
-  let popupContent = fs.readFileSync(popupPath, 'utf8');
-  popupContent = popupContent.replace(/^import\s+.*from\s+['"].*['"];?\n/gm, '');
-  popupContent = popupContent.replace(/export\s+\{\s*\};?\s*\n?/g, ''); // Remove export {}
-  popupContent = popupContent.replace(/export\s+/g, '');
-  fs.writeFileSync(popupPath, popupContent, 'utf8');
-}
-
-// Step 5: Clean up all export {} statements in all JS files
-function removeExportsFromFile(filePath) {
-  if (fs.existsSync(filePath)) {
-    let content = fs.readFileSync(filePath, 'utf8');
-    content = content.replace(/export\s+\{\s*\};?\s*\n?/g, '');
-    content = content.replace(/export\s+/g, '');
-    fs.writeFileSync(filePath, content, 'utf8');
+// Step 4: Fix page scripts (popup, options) - remove exports
+['popup/popup.js', 'options/options.js'].forEach((file) => {
+  const pagePath = path.join(__dirname, 'extension', file);
+  if (fs.existsSync(pagePath)) {
+    let pageContent = fs.readFileSync(pagePath, 'utf8');
+    pageContent = pageContent.replace(/^import\s+.*from\s+['"].*['"];?\n/gm, '');
+    pageContent = pageContent.replace(/export\s+\{\s*\};?\s*\n?/g, ''); // Remove export {}
+    pageContent = pageContent.replace(/export\s+/g, '');
+    fs.writeFileSync(pagePath, pageContent, 'utf8');
   }
-}
-
-// Clean up all module files
-const moduleFiles = [
-  'extension/modules/cdp/core.js',
-  'extension/modules/scrapers/virustotal.js',
-  'extension/modules/scrapers/ipinfo.js',
-  'extension/modules/scrapers/abuseipdb.js'
-];
-
-moduleFiles.forEach(file => {
-  removeExportsFromFile(path.join(__dirname, file));
 });
 
 console.log('✨ Build complete! Extension ready in ./extension/');
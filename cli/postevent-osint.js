@@ -0,0 +1,542 @@
+#!/usr/bin/env node
+/**
+ * PostEvent OSINT command line
+ * Batch enrichment for scripts, SOAR playbooks and cron jobs - runs the extension's scrapers
+ * against a local Chrome over the DevTools protocol and prints OSINTResults as JSON Lines,
+ * JSON, CSV, a table, Markdown or a STIX 2.1 bundle.
+ *
+ * Usage: postevent-osint lookup [indicators...] [options]   (see --help)
+ *        postevent-osint self-test [options]
+ * Needs the Node build of the modules: npm run build:cli
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { pathToFileURL } = require('url');
+
+const MODULES_DIR = path.join(__dirname, '..', 'dist', 'modules');
+const FIXTURES_DIR = path.join(__dirname, '..', 'extension', 'fixtures');
+const DEFAULT_ENDPOINT = 'http://127.0.0.1:9222';
+const FORMATS = ['jsonl', 'json', 'csv', 'table', 'markdown', 'stix'];
+const SELF_TEST_FORMATS = ['table', 'json'];
+
+// Short names accepted by --sources, next to source ids and names
+const SOURCE_ALIASES = {
+  vt: 'virustotal',
+  abuse: 'abuseipdb',
+};
+
+const USAGE = `Usage: postevent-osint lookup [indicators...] [options]
+       postevent-osint self-test [options]   (or --self-test)
+
+lookup looks up IP addresses, domains, URLs and file hashes in every supported source.
+Indicators are read from the arguments, --file, and stdin ("-" or piped input).
+
+self-test runs every scraper against the saved fixture pages and reports the fields that no
+longer match - no source is contacted.
+
+Options:
+  --sources <list>      Comma separated sources (virustotal/vt, abuseipdb/abuse, ipinfo)
+  --format <format>     lookup: jsonl (default), json, csv, table, markdown or stix
+                        self-test: table (default) or json
+  --output <file>       Write results to a file instead of stdout
+  --file <file>         Read indicators from a text or CSV file
+  --endpoint <url>      DevTools endpoint of a running Chrome (default: ${DEFAULT_ENDPOINT})
+  --chrome <path>       Launch this Chrome/Chromium headless instead (or set CHROME_PATH)
+  --concurrency <n>     Indicators looked up at once (default: 2)
+  --per-source <n>      Scrapes at once against any single source (default: 1)
+  --rate <n>            Page loads per minute against any single vendor (default: the vendor's
+                        built-in limit - see the options page of the extension)
+  --fixtures <dir|url>  Fixture pages for self-test (default: extension/fixtures)
+  --verbose             Log scraper progress to stderr
+  --help                Show this help
+
+Exit codes: 0 all lookups succeeded (every fixture healthy), 1 usage or connection error,
+2 some sources failed (some fixture wasn't healthy), 130 cancelled with Ctrl-C (the lookups
+that finished are still written).`;
+
+/**
+ * Parse argv into a command, positional arguments and options
+ */
+function parseArgs(argv) {
+  const options = {
+    sources: null,
+    format: null,
+    output: null,
+    file: null,
+    endpoint: null,
+    chrome: process.env.CHROME_PATH || null,
+    concurrency: 2,
+    perSource: 1,
+    rate: null,
+    fixtures: null,
+    verbose: false,
+    help: false,
+  };
+  const positional = [];
+  const valueOptions = {
+    '--sources': 'sources',
+    '--format': 'format',
+    '--output': 'output',
+    '--file': 'file',
+    '--endpoint': 'endpoint',
+    '--chrome': 'chrome',
+    '--concurrency': 'concurrency',
+    '--per-source': 'perSource',
+    '--rate': 'rate',
+    '--fixtures': 'fixtures',
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [name, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s, 2) : [arg];
+    if (name === '--help' || name === '-h') {
+      options.help = true;
+    } else if (name === '--verbose') {
+      options.verbose = true;
+    } else if (name === '--self-test') {
+      // Same as the self-test command
+      positional.unshift('self-test');
+    } else if (valueOptions[name]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined) {
+        throw new Error(`${name} needs a value`);
+      }
+      options[valueOptions[name]] = value;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  if (options.format !== null && !FORMATS.includes(options.format)) {
+    throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+  }
+  for (const key of ['concurrency', 'perSource']) {
+    const value = parseInt(options[key], 10);
+    if (!Number.isFinite(value) || value < 1) {
+      throw new Error(`--${key === 'perSource' ? 'per-source' : key} must be a positive number`);
+    }
+    options[key] = value;
+  }
+  if (options.rate !== null) {
+    const rate = parseFloat(options.rate);
+    if (!Number.isFinite(rate) || rate <= 0) {
+      throw new Error('--rate must be a positive number');
+    }
+    options.rate = rate;
+  }
+
+  return { command: positional.shift(), positional, options };
+}
+
+/**
+ * Load the Node build of the modules - every scraper registers itself with the registry
+ */
+function loadModules() {
+  if (!fs.existsSync(MODULES_DIR)) {
+    throw new Error('Node build not found - run `npm run build:cli` first');
+  }
+  const scrapersDir = path.join(MODULES_DIR, 'scrapers');
+  fs.readdirSync(scrapersDir)
+    .filter((file) => file.endsWith('.js') && !['registry.js', 'pagestate.js'].includes(file))
+    .sort()
+    .forEach((file) => require(path.join(scrapersDir, file)));
+
+  return {
+    ...require(path.join(MODULES_DIR, 'cdp', 'websocket.js')),
+    ...require(path.join(MODULES_DIR, 'diagnostics', 'selftest.js')),
+    ...require(path.join(MODULES_DIR, 'export', 'formats.js')),
+    ...require(path.join(MODULES_DIR, 'logging', 'logger.js')),
+    ...require(path.join(MODULES_DIR, 'indicators', 'indicator.js')),
+    ...require(path.join(MODULES_DIR, 'jobs', 'queue.js')),
+    ...require(path.join(MODULES_DIR, 'jobs', 'ratelimit.js')),
+    ...require(path.join(MODULES_DIR, 'lookup', 'collect.js')),
+    ...require(path.join(MODULES_DIR, 'scrapers', 'registry.js')),
+  };
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', (chunk) => (text += chunk));
+    process.stdin.on('end', () => resolve(text));
+    process.stdin.on('error', reject);
+  });
+}
+
+/**
+ * Gather indicators from the arguments, --file and stdin, deduplicated in input order
+ */
+async function readIndicators(positional, options, modules) {
+  const indicators = [];
+  const seen = new Set();
+  const add = (indicator) => {
+    const key = modules.storageKey(indicator);
+    if (!seen.has(key)) {
+      seen.add(key);
+      indicators.push(indicator);
+    }
+  };
+
+  const readFromStdin = positional.includes('-') || (positional.length === 0 && !options.file && !process.stdin.isTTY);
+  for (const arg of positional.filter((value) => value !== '-')) {
+    const indicator = modules.parseIndicator(arg);
+    if (indicator) {
+      add(indicator);
+    } else {
+      process.stderr.write(`Skipping unrecognized indicator: ${arg}\n`);
+    }
+  }
+
+  const texts = [];
+  if (options.file) {
+    texts.push(fs.readFileSync(options.file, 'utf8'));
+  }
+  if (readFromStdin) {
+    texts.push(await readStdin());
+  }
+  texts.forEach((text) => modules.extractIndicators(text).indicators.forEach(add));
+
+  return indicators;
+}
+
+/**
+ * Resolve --sources to registry ids
+ */
+function resolveSources(list, modules) {
+  if (!list) return undefined;
+  const sources = modules.getSources();
+  return list
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map((name) => {
+      const id = SOURCE_ALIASES[name] || name;
+      const source = sources.find((candidate) => candidate.id === id || candidate.name.toLowerCase() === id);
+      if (!source) {
+        throw new Error(`Unknown source "${name}" - available: ${sources.map((s) => s.id).join(', ')}`);
+      }
+      return source.id;
+    });
+}
+
+/**
+ * Start a headless Chrome with a throwaway profile and return its DevTools WebSocket URL
+ */
+function launchChrome(executable) {
+  const profileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'postevent-osint-'));
+  const child = spawn(
+    executable,
+    ['--headless=new', '--remote-debugging-port=0', `--user-data-dir=${profileDir}`, '--no-first-run', 'about:blank'],
+    { stdio: ['ignore', 'ignore', 'pipe'] }
+  );
+
+  const stop = () => {
+    child.kill();
+    fs.rmSync(profileDir, { recursive: true, force: true });
+  };
+
+  const endpoint = new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error('Chrome did not start within 30s')), 30000);
+    child.stderr.on('data', (chunk) => {
+      output += chunk;
+      const match = output.match(/DevTools listening on (ws:\/\/\S+)/);
+      if (match) {
+        clearTimeout(timer);
+        resolve(match[1]);
+      }
+    });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(new Error(`Could not start ${executable}: ${error.message}`));
+    });
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Chrome exited with code ${code} before DevTools was ready`));
+    });
+  });
+
+  return { endpoint, stop };
+}
+
+/**
+ * A WebSocket implementation - Node 22+ has one built in, older versions need the ws package
+ */
+function createSocketFactory() {
+  if (typeof WebSocket !== 'undefined') {
+    return undefined;
+  }
+  try {
+    const WebSocketImpl = require('ws');
+    return (url) => new WebSocketImpl(url, { perMessageDeflate: false });
+  } catch (error) {
+    throw new Error('No WebSocket available - use Node 22+ or install the optional ws dependency (npm install)');
+  }
+}
+
+function formatTable(rows) {
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows[0]);
+  const widths = columns.map((column) =>
+    Math.max(column.length, ...rows.map((row) => String(row[column]).length))
+  );
+  const line = (values) => values.map((value, i) => String(value).padEnd(widths[i])).join('  ').trimEnd();
+  return [
+    line(columns.map((column) => column.toUpperCase())),
+    line(widths.map((width) => '-'.repeat(width))),
+    ...rows.map((row) => line(columns.map((column) => row[column]))),
+  ].join('\n') + '\n';
+}
+
+/**
+ * Write results as they complete (jsonl) or all at once in input order (the other formats)
+ * The file formats are the ones the extension exports.
+ */
+function createWriter(format, stream, modules) {
+  const collected = [];
+  return {
+    write(results, index) {
+      if (format === 'jsonl') {
+        stream.write(`${JSON.stringify(results)}\n`);
+      } else {
+        collected[index] = results;
+      }
+    },
+    async end() {
+      const all = collected.filter(Boolean);
+      if (format === 'table') {
+        stream.write(formatTable(all.map(modules.summaryRow)));
+      } else if (format !== 'jsonl') {
+        const file = await modules.exportResults(all, format);
+        stream.write(file.content);
+      }
+    },
+  };
+}
+
+/**
+ * Load the modules, with their logging on stderr - and only when asked for, stdout carries the results
+ */
+function setUp(options) {
+  const modules = loadModules();
+  const log = options.verbose ? (...args) => console.error(...args) : () => {};
+  modules.setLogger({ log, warn: log, error: log });
+  return modules;
+}
+
+/**
+ * Connect to the browser at --endpoint, or launch --chrome
+ * @returns The connection, and a function closing it (and the browser, if launched)
+ */
+async function openBrowser(options, modules) {
+  let chrome = null;
+  const close = (connection) => {
+    if (connection) connection.close();
+    if (chrome) chrome.stop();
+  };
+  try {
+    let endpoint = options.endpoint || DEFAULT_ENDPOINT;
+    if (options.chrome && !options.endpoint) {
+      chrome = launchChrome(options.chrome);
+      endpoint = await chrome.endpoint;
+    }
+    const connection = await modules.CDPConnection.connect(endpoint, { createSocket: createSocketFactory() });
+    return { connection, close: () => close(connection) };
+  } catch (error) {
+    close(null);
+    throw error;
+  }
+}
+
+async function lookup(positional, options) {
+  const modules = setUp(options);
+
+  const sourceIds = resolveSources(options.sources, modules);
+  const indicators = await readIndicators(positional, options, modules);
+  if (indicators.length === 0) {
+    throw new Error('No valid indicators given');
+  }
+
+  let browser = null;
+  const output = options.output ? fs.createWriteStream(options.output) : process.stdout;
+  let failures = 0;
+
+  // The first Ctrl-C cancels the run but still writes out whatever finished; a second one exits
+  const controller = new AbortController();
+  const onInterrupt = () => {
+    if (controller.signal.aborted) process.exit(130);
+    process.stderr.write('Cancelling - press Ctrl-C again to exit immediately\n');
+    controller.abort();
+  };
+  process.on('SIGINT', onInterrupt);
+
+  try {
+    browser = await openBrowser(options, modules);
+    const { connection } = browser;
+
+    // Every scrape gets a fresh tab, closed as soon as the source is done
+    const runSource = async (source, indicator, { signal, acquire }) => {
+      const page = await connection.newPage();
+      try {
+        return await source.scrape(page, indicator, { signal, acquire });
+      } finally {
+        await connection.closePage(page);
+      }
+    };
+
+    const sourceLimiters = new Map(
+      modules.getSources().map((source) => [source.id, new modules.ConcurrencyLimiter(options.perSource)])
+    );
+    // Shared by every lookup of the run, so the vendors see one polite client
+    const rateLimits = new modules.RateLimits({
+      config:
+        options.rate === null
+          ? {}
+          : Object.fromEntries(
+              modules.getSources().map((source) => [modules.sourceDomain(source), { requestsPerMinute: options.rate }])
+            ),
+    });
+    const onProgress = ({ type, source, wait, throttle }) => {
+      if (type === 'throttled') {
+        process.stderr.write(`${source.name}: waiting ${Math.ceil(wait / 1000)}s (${throttle.replace('_', ' ')})\n`);
+      }
+    };
+    const writer = createWriter(options.format || 'jsonl', output, modules);
+    const queue = new modules.JobQueue(
+      (indicator) =>
+        modules.collectResults(indicator, runSource, {
+          sourceIds,
+          sourceLimiters,
+          rateLimits,
+          onProgress,
+          signal: controller.signal,
+        }),
+      options.concurrency
+    );
+
+    await queue.runAll(
+      indicators,
+      {
+        onStart: (indicator) => process.stderr.write(`Looking up ${indicator.value}\n`),
+        onComplete: (indicator, index, results) => {
+          if (modules.summaryRow(results).errors > 0) failures++;
+          writer.write(results, index);
+        },
+        onError: (indicator, index, error) => {
+          if (controller.signal.aborted) return;
+          failures++;
+          process.stderr.write(`Lookup failed for ${indicator.value}: ${error.message}\n`);
+        },
+      },
+      controller.signal
+    );
+    await writer.end();
+  } finally {
+    process.off('SIGINT', onInterrupt);
+    if (browser) browser.close();
+    if (output !== process.stdout) {
+      await new Promise((resolve) => output.end(resolve));
+    }
+  }
+
+  if (controller.signal.aborted) return 130;
+  return failures > 0 ? 2 : 0;
+}
+
+/**
+ * One line per fixture, then the fields that didn't match
+ */
+function formatSelfTest(report) {
+  const rows = report.sources.map((result) => ({
+    source: result.name,
+    indicator: result.indicator,
+    status: result.status,
+    fields: `${result.checks.filter((check) => check.passed).length}/${result.checks.length}`,
+    seconds: (result.durationMs / 1000).toFixed(1),
+  }));
+  const problems = report.sources.flatMap((result) => [
+    ...(result.error ? [`${result.name} ${result.indicator}: ${result.error}`] : []),
+    ...result.checks
+      .filter((check) => !check.passed)
+      .map(
+        (check) =>
+          `${result.name} ${result.indicator}: ${check.field} expected ${JSON.stringify(check.expected)}, got ${
+            check.actual === undefined ? 'nothing' : JSON.stringify(check.actual)
+          }`
+      ),
+  ]);
+  return formatTable(rows) + (problems.length > 0 ? `\n${problems.join('\n')}\n` : '');
+}
+
+/**
+ * Run the scrapers against the fixture pages in the browser, like the extension's self-test
+ */
+async function selfTest(options) {
+  const format = options.format || 'table';
+  if (!SELF_TEST_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of: ${SELF_TEST_FORMATS.join(', ')} for self-test`);
+  }
+  const modules = setUp(options);
+  const sourceIds = resolveSources(options.sources, modules);
+
+  // The manifest always comes from the checkout; the pages from --fixtures if given
+  const manifest = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'fixtures.json'), 'utf8'));
+  const location = options.fixtures || FIXTURES_DIR;
+  const baseUrl = /^[a-z][a-z0-9+.-]*:\/\//i.test(location) ? location : pathToFileURL(path.resolve(location)).href;
+
+  const browser = await openBrowser(options, modules);
+  let report;
+  try {
+    // A fresh tab per fixture, closed once it is checked
+    const pages = {
+      withPage: async (key, task) => {
+        const page = await browser.connection.newPage();
+        try {
+          return await task(page);
+        } finally {
+          await browser.connection.closePage(page);
+        }
+      },
+    };
+    report = await modules.runFixtures(pages, manifest, baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`, sourceIds);
+  } finally {
+    browser.close();
+  }
+
+  const content = format === 'json' ? `${JSON.stringify(report, null, 2)}\n` : formatSelfTest(report);
+  if (options.output) {
+    fs.writeFileSync(options.output, content);
+  } else {
+    process.stdout.write(content);
+  }
+  return report.sources.every((result) => result.status === 'healthy') ? 0 : 2;
+}
+
+async function main() {
+  const { command, positional, options } = parseArgs(process.argv.slice(2));
+  if (options.help || !command) {
+    process.stdout.write(`${USAGE}\n`);
+    return options.help ? 0 : 1;
+  }
+  if (command === 'self-test') {
+    return selfTest(options);
+  }
+  if (command !== 'lookup') {
+    throw new Error(`Unknown command: ${command}`);
+  }
+  return lookup(positional, options);
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    process.stderr.write(`postevent-osint: ${error.message}\n`);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,52 @@
+/**
+ * Static server for the scraper fixtures
+ * Serves extension/fixtures on localhost so the self-test can load snapshots the way the
+ * scrapers load live pages. Point "Fixture base URL" on the options page at it.
+ *
+ * Usage: node fixtures-server.js [port] [directory]
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const port = parseInt(process.argv[2], 10) || 8765;
+const rootDir = path.resolve(process.argv[3] || path.join(__dirname, 'extension', 'fixtures'));
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+};
+
+const server = http.createServer((req, res) => {
+  const requestPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  const filePath = path.join(rootDir, path.normalize(requestPath));
+
+  // Never serve anything outside the fixture directory
+  if (filePath !== rootDir && !filePath.startsWith(rootDir + path.sep)) {
+    res.writeHead(403);
+    res.end('Forbidden');
+    return;
+  }
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+      'Cache-Control': 'no-store',
+    });
+    res.end(content);
+  });
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`🧪 Serving ${rootDir} at http://localhost:${port}/`);
+});
@@ -1,227 +1,430 @@
 /**
  * Background Service Worker
  * Orchestrates OSINT data collection from multiple sources using CDP automation
- * 
- * Note: After compilation, this file will need importScripts() calls added
- * for Chrome extension service worker compatibility. The TypeScript imports
- * will be compiled to JavaScript, but service workers require importScripts.
+ *
+ * Runs as a classic service worker script: `npm run build` compiles it and prepends the
+ * importScripts() call loading the shared modules and every scraper, in load order.
  */
 
 // Type imports (will be removed during compilation)
-import type { OSINTResults, MessageRequest, MessageResponse } from './types/osint';
-
-// Runtime imports - these will be available via global namespace after importScripts
-// In compiled JS, we'll use: importScripts('modules/cdp/core.js', ...)
-declare const VirusTotalScraper: { scrapeVirusTotal: (tabId: number, ip: string) => Promise<any> };
-declare const IPInfoScraper: { scrapeIPInfo: (tabId: number, ip: string) => Promise<any> };
-declare const AbuseIPDBScraper: { scrapeAbuseIPDB: (tabId: number, ip: string) => Promise<any> };
-
-interface ScrapingTabs {
-  virustotal: chrome.tabs.Tab | null;
-  ipinfo: chrome.tabs.Tab | null;
-  abuseipdb: chrome.tabs.Tab | null;
-}
+import type {
+  OSINTResults,
+  MessageRequest,
+  MessageResponse,
+  SourceData,
+  Indicator,
+  BulkJob,
+  BulkItem,
+  BulkOptions,
+  ScoringConfig,
+  SourceSpecInfo,
+  LookupEvent,
+  LookupPortMessage,
+  LookupPortRequest,
+  RateLimitUsage,
+} from './types/osint';
+import type { Page } from './modules/cdp/core';
+import type { PagePool } from './modules/cdp/pool';
+import type { ConcurrencyLimiter, JobQueue } from './modules/jobs/queue';
+import type { RateLimits } from './modules/jobs/ratelimit';
+import type { ExtractedIndicators } from './modules/indicators/indicator';
+import type { SourceDescriptor } from './modules/scrapers/registry';
+import type { CollectOptions, RunContext, SourceProgress } from './modules/lookup/collect';
+
+// Runtime imports - each module loaded by importScripts assigns its exports to a global namespace
+// Every scraper module registers itself with SourceRegistry when it is loaded
+declare const SourceRegistry: {
+  getSources: () => SourceDescriptor[];
+};
+
+// chrome.storage.local key mirroring the current bulk lookup
+const BULK_JOB_KEY: string = 'bulk_job';
+const MAX_BULK_INDICATORS: number = 500;
+const DEFAULT_BULK_OPTIONS: BulkOptions = {
+  concurrency: 2,
+  perSourceConcurrency: 1,
+};
+const MAX_CONCURRENCY: number = 10;
+// chrome.storage.local key holding overrides of the verdict weights and thresholds
+const SCORING_CONFIG_KEY: string = 'scoring_config';
+// Name of the runtime ports the popup follows lookups over
+const LOOKUP_PORT_NAME: string = 'lookup-progress';
+const UNRECOGNIZED_INDICATOR: string =
+  'Unrecognized indicator - expected an IP address, domain, URL or file hash';
+
+let bulkJobRunning: boolean = false;
+// Cancels the running bulk lookup
+let bulkController: AbortController | null = null;
 
 /**
- * Create a non-active tab for scraping
+ * A single lookup in progress, with every event published so far for ports that attach late
  */
-async function createScrapingTab(url: string): Promise<chrome.tabs.Tab> {
-  return new Promise<chrome.tabs.Tab>((resolve, reject) => {
-    chrome.tabs.create(
-      {
-        url: url,
-        active: false, // Non-active tab as per requirements
+interface ActiveLookup {
+  key: string;
+  indicator: Indicator;
+  events: LookupEvent[];
+  ports: Set<chrome.runtime.Port>;
+  controller: AbortController;
+  /** Blocked sources whose tab the analyst was shown, with the tab they were on before */
+  handoffs: Map<string, number | undefined>;
+  done: Promise<OSINTResults>;
+}
+
+// Running single lookups by storage key, in the order they started
+const activeLookups: Map<string, ActiveLookup> = new Map();
+
+// Warm, debugger-attached tabs per source, shared by single and bulk lookups.
+// Enough idle pages are kept for a bulk lookup at full per-source concurrency.
+const pagePool: PagePool = new CDPPool.PagePool({
+  maxIdlePerKey: MAX_CONCURRENCY,
+  idleTimeout: 60000,
+});
+
+// Tabs left open by a previous service worker instance can't be reused (their debugger
+// session is gone), so close them
+pagePool.closeOrphanedTabs().catch((error: Error) => {
+  console.error('[PagePool] Orphaned tab cleanup failed:', error);
+});
+
+// Rate limits of the vendor domains, shared by single and bulk lookups. Today's counts are kept
+// in storage so a restarted service worker doesn't start the daily caps over.
+const rateLimitsReady: Promise<RateLimits> = RateLimiting.loadRateLimitUsage().then(
+  (usage: RateLimitUsage) =>
+    new RateLimiting.RateLimits({
+      usage,
+      onUsage: (current: RateLimitUsage) => {
+        chrome.storage.local.set({ [RateLimiting.RATE_LIMIT_USAGE_KEY]: current });
       },
-      (tab: chrome.tabs.Tab) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-          return;
-        }
-        if (!tab || !tab.id) {
-          reject(new Error('Failed to create tab'));
-          return;
-        }
-        resolve(tab);
-      }
-    );
+    })
+);
+
+/**
+ * Run a source's scraper on a warm page leased from the pool
+ * The scraper navigates the page itself, so every report loads exactly once
+ */
+async function runSource(
+  source: SourceDescriptor,
+  indicator: Indicator,
+  { signal, report, onBlocked, acquire }: RunContext
+): Promise<SourceData> {
+  return pagePool.withPage(source.id, async (page: Page) => {
+    console.log(`[OSINT] Starting ${source.name} scrape on tab:`, page.tabId);
+    report('tab_opened');
+    const onNavigate = (): void => report('navigating');
+    const onLoad = (): void => report('extracting');
+    page.on('navigate', onNavigate);
+    page.on('load', onLoad);
+    try {
+      return await source.scrape(page, indicator, { signal, onBlocked, acquire });
+    } finally {
+      page.off('navigate', onNavigate);
+      page.off('load', onLoad);
+    }
   });
 }
 
 /**
- * Wait for tab to be fully loaded
+ * Read the verdict scoring config, with any stored overrides applied over the defaults
  */
-async function waitForTabLoad(tabId: number): Promise<void> {
-  return new Promise<void>((resolve) => {
-    const listener = (
-      updatedTabId: number,
-      changeInfo: chrome.tabs.TabChangeInfo
-    ) => {
-      if (updatedTabId === tabId && changeInfo.status === 'complete') {
-        chrome.tabs.onUpdated.removeListener(listener);
-        // Additional wait for dynamic content
-        setTimeout(resolve, 2000);
-      }
+async function loadScoringConfig(): Promise<ScoringConfig> {
+  return new Promise<ScoringConfig>((resolve) => {
+    chrome.storage.local.get([SCORING_CONFIG_KEY], (result: { [key: string]: any }) => {
+      resolve(Scoring.resolveScoringConfig(result[SCORING_CONFIG_KEY] || {}));
+    });
+  });
+}
+
+/**
+ * Read the last stored lookup of an indicator, if any
+ */
+async function loadStoredResults(indicator: Indicator): Promise<OSINTResults | null> {
+  const key: string = Indicators.storageKey(indicator);
+  return new Promise<OSINTResults | null>((resolve) => {
+    chrome.storage.local.get([key], (result: { [key: string]: any }) => {
+      resolve((result[key] as OSINTResults) || null);
+    });
+  });
+}
+
+/**
+ * Collect OSINT data from all registered sources
+ * Sources whose stored results are still within their cache TTL are reused, not scraped again.
+ */
+async function collectOSINTData(
+  indicator: Indicator,
+  options: CollectOptions = {}
+): Promise<OSINTResults> {
+  try {
+    const rateLimits: RateLimits = await rateLimitsReady;
+    rateLimits.configure(await RateLimiting.loadRateLimitConfig());
+    const results: OSINTResults = await Lookup.collectResults(indicator, runSource, {
+      rateLimits,
+      cached: await loadStoredResults(indicator),
+      cacheConfig: await ResultCache.loadCacheConfig(),
+      ...options,
+      scoringConfig: await loadScoringConfig(),
+    });
+
+    // Store results in chrome.storage.local and record the lookup in the history
+    await LookupHistory.saveResults(results);
+    console.log('[OSINT] Results stored in chrome.storage.local');
+
+    return results;
+  } catch (error) {
+    console.error('OSINT collection error:', error);
+    const errorMessage: string =
+      error instanceof Error ? error.message : 'Unknown error';
+    return {
+      indicator,
+      timestamp: new Date().toISOString(),
+      sources: {},
+      notApplicable: [],
+      errors: [{ source: 'Orchestration', error: errorMessage }],
     };
-    chrome.tabs.onUpdated.addListener(listener);
+  }
+}
+
+/**
+ * Send an event to every port following a lookup and keep it for ports that attach later
+ */
+function publishLookupEvent(lookup: ActiveLookup, event: LookupEvent): void {
+  lookup.events.push(event);
+  lookup.ports.forEach((port: chrome.runtime.Port) => port.postMessage(event));
+}
+
+/**
+ * Start a single lookup, or join the one already running for the indicator
+ * Its progress is published to the ports following it until it completes.
+ */
+function startLookup(indicator: Indicator, refresh?: boolean | string[]): ActiveLookup {
+  const key: string = Indicators.storageKey(indicator);
+  const running: ActiveLookup | undefined = activeLookups.get(key);
+  if (running) {
+    return running;
+  }
+
+  const event = (type: LookupEvent['type'], fields: Partial<LookupEvent> = {}): LookupEvent => ({
+    type,
+    key,
+    indicator,
+    time: new Date().toISOString(),
+    ...fields,
+  });
+
+  // Progress starts arriving only after the cached results have been read, once `lookup` is set
+  const controller: AbortController = new AbortController();
+  const lookup: ActiveLookup = {
+    key,
+    indicator,
+    events: [],
+    ports: new Set(),
+    controller,
+    handoffs: new Map(),
+    done: collectOSINTData(indicator, {
+      refresh,
+      signal: controller.signal,
+      // Someone is watching a single lookup, so blocked pages can wait for them
+      handoff: true,
+      onProgress: (progress: SourceProgress) => {
+        if (progress.type !== 'blocked') {
+          void endHandoff(lookup, progress.source.id);
+        }
+        publishLookupEvent(
+          lookup,
+          event(progress.type, {
+            sourceId: progress.source.id,
+            sourceName: progress.source.name,
+            data: progress.data,
+            fetchedAt: progress.fetchedAt,
+            cached: progress.cached,
+            error: progress.error,
+            attempt: progress.attempt,
+            block: progress.block,
+            wait: progress.wait,
+            throttle: progress.throttle,
+          })
+        );
+      },
+    }).then((results: OSINTResults) => {
+      activeLookups.delete(key);
+      publishLookupEvent(lookup, event('complete', { results }));
+      return results;
+    }),
+  };
+  activeLookups.set(key, lookup);
+  return lookup;
+}
+
+/**
+ * Cancel a running lookup - it completes with the sources that finished
+ */
+function cancelLookup(lookup: ActiveLookup): void {
+  console.log('[Background] Cancelling lookup of:', lookup.indicator.value);
+  lookup.controller.abort(new CDP.AbortError('Lookup cancelled'));
+}
+
+/**
+ * Bring the tab of a blocked source to the foreground so the analyst can clear it
+ * The scrape notices by itself once the page is no longer blocked.
+ */
+async function startHandoff(lookup: ActiveLookup, sourceId: string): Promise<void> {
+  const latest: LookupEvent | undefined = [...lookup.events]
+    .reverse()
+    .find((event: LookupEvent) => event.sourceId === sourceId);
+  if (!latest || latest.type !== 'blocked' || !latest.block) {
+    return;
+  }
+  const tabId: number = latest.block.tabId;
+  const previous: chrome.tabs.Tab | undefined = await new Promise<chrome.tabs.Tab | undefined>((resolve) => {
+    chrome.tabs.query({ active: true, lastFocusedWindow: true }, (tabs: chrome.tabs.Tab[]) => resolve(tabs[0]));
+  });
+  if (!lookup.handoffs.has(sourceId)) {
+    lookup.handoffs.set(sourceId, previous && previous.id !== tabId ? previous.id : undefined);
+  }
+  console.log(`[Background] Handing tab ${tabId} of ${latest.sourceName} to the analyst`);
+  await activateTab(tabId);
+}
+
+/**
+ * Return the analyst to the tab they were on once a source they were shown moves on
+ */
+async function endHandoff(lookup: ActiveLookup, sourceId: string): Promise<void> {
+  if (!lookup.handoffs.has(sourceId)) {
+    return;
+  }
+  const previous: number | undefined = lookup.handoffs.get(sourceId);
+  lookup.handoffs.delete(sourceId);
+  if (previous !== undefined) {
+    await activateTab(previous);
+  }
+}
 
-    // Check if already loaded
-    chrome.tabs.get(tabId, (tab: chrome.tabs.Tab) => {
-      if (tab.status === 'complete') {
-        chrome.tabs.onUpdated.removeListener(listener);
-        setTimeout(resolve, 2000);
+/**
+ * Make a tab the active one in its window and focus the window - a tab closed meanwhile is ignored
+ */
+function activateTab(tabId: number): Promise<void> {
+  return new Promise<void>((resolve) => {
+    chrome.tabs.update(tabId, { active: true }, (tab?: chrome.tabs.Tab) => {
+      if (chrome.runtime.lastError || !tab) {
+        resolve();
+        return;
       }
+      chrome.windows.update(tab.windowId, { focused: true }, () => {
+        void chrome.runtime.lastError;
+        resolve();
+      });
     });
   });
 }
 
 /**
- * Close a tab
+ * Have a port follow a lookup (and only that one), replaying what happened so far
+ */
+function followLookup(port: chrome.runtime.Port, lookup: ActiveLookup): void {
+  activeLookups.forEach((other: ActiveLookup) => other.ports.delete(port));
+  lookup.ports.add(port);
+  lookup.events.forEach((event: LookupEvent) => port.postMessage(event));
+}
+
+/**
+ * Clamp a requested concurrency limit to a sane range
  */
-async function closeTab(tabId: number): Promise<void> {
+function clampConcurrency(value: number | undefined, fallback: number): number {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return fallback;
+  }
+  return Math.min(MAX_CONCURRENCY, Math.max(1, Math.floor(value)));
+}
+
+/**
+ * Mirror bulk job state to chrome.storage.local so the popup can follow progress
+ */
+async function saveBulkJob(job: BulkJob): Promise<void> {
   return new Promise<void>((resolve) => {
-    chrome.tabs.remove(tabId, () => {
+    chrome.storage.local.set({ [BULK_JOB_KEY]: job }, () => {
       resolve();
     });
   });
 }
 
 /**
- * Collect OSINT data from all sources
+ * Run every indicator of a bulk job through the job queue
  */
-async function collectOSINTData(ipAddress: string): Promise<OSINTResults> {
-  console.log('[OSINT] Starting collection for IP:', ipAddress);
-  const results: OSINTResults = {
-    ip: ipAddress,
-    timestamp: new Date().toISOString(),
-    sources: {},
-    errors: [],
-  };
+async function runBulkLookup(job: BulkJob, signal: AbortSignal): Promise<void> {
+  console.log(`[Bulk] Starting job ${job.id} with ${job.items.length} indicators`, job.options);
 
-  // Create tabs for each source
-  const tabs: ScrapingTabs = {
-    virustotal: null,
-    ipinfo: null,
-    abuseipdb: null,
-  };
+  // One limiter per source, shared by every indicator in the batch
+  const sourceLimiters: Map<string, ConcurrencyLimiter> = new Map(
+    SourceRegistry.getSources().map((source): [string, ConcurrencyLimiter] => [
+      source.id,
+      new Jobs.ConcurrencyLimiter(job.options.perSourceConcurrency),
+    ])
+  );
 
-  try {
-    // Create all tabs first
-    console.log('[OSINT] Creating tabs...');
-    tabs.virustotal = await createScrapingTab(
-      `https://www.virustotal.com/gui/ip-address/${ipAddress}`
-    );
-    console.log('[OSINT] VirusTotal tab created:', tabs.virustotal.id);
-    
-    tabs.ipinfo = await createScrapingTab(`https://ipinfo.io/${ipAddress}`);
-    console.log('[OSINT] IPInfo tab created:', tabs.ipinfo.id);
-    
-    tabs.abuseipdb = await createScrapingTab(
-      `https://www.abuseipdb.com/check/${ipAddress}`
-    );
-    console.log('[OSINT] AbuseIPDB tab created:', tabs.abuseipdb.id);
-
-    // Wait for all tabs to load
-    console.log('[OSINT] Waiting for tabs to load...');
-    await Promise.all([
-      tabs.virustotal.id && waitForTabLoad(tabs.virustotal.id),
-      tabs.ipinfo.id && waitForTabLoad(tabs.ipinfo.id),
-      tabs.abuseipdb.id && waitForTabLoad(tabs.abuseipdb.id),
-    ]);
-    console.log('[OSINT] All tabs loaded, starting scraping...');
-
-    // Scrape data from each source in parallel
-    const scrapingPromises: Promise<void>[] = [];
-
-    if (tabs.virustotal?.id) {
-      console.log('[OSINT] Starting VirusTotal scrape...');
-      scrapingPromises.push(
-        VirusTotalScraper.scrapeVirusTotal(tabs.virustotal.id, ipAddress)
-          .then((data) => {
-            console.log('[OSINT] VirusTotal scrape complete:', data);
-            results.sources.virustotal = data;
-          })
-          .catch((error: Error) => {
-            console.error('[OSINT] VirusTotal scrape error:', error);
-            results.errors.push({
-              source: 'VirusTotal',
-              error: error.message,
-            });
-          })
-      );
-    }
-
-    if (tabs.ipinfo?.id) {
-      console.log('[OSINT] Starting IPInfo scrape...');
-      scrapingPromises.push(
-        IPInfoScraper.scrapeIPInfo(tabs.ipinfo.id, ipAddress)
-          .then((data) => {
-            console.log('[OSINT] IPInfo scrape complete:', data);
-            results.sources.ipinfo = data;
-          })
-          .catch((error: Error) => {
-            console.error('[OSINT] IPInfo scrape error:', error);
-            results.errors.push({
-              source: 'IPInfo',
-              error: error.message,
-            });
-          })
-      );
+  // The batch is moving again once a lookup starts or a source gets past its wait
+  const clearThrottle = (): void => {
+    if (job.throttledUntil) {
+      delete job.throttledUntil;
+      void saveBulkJob(job);
     }
+  };
 
-    if (tabs.abuseipdb?.id) {
-      console.log('[OSINT] Starting AbuseIPDB scrape...');
-      scrapingPromises.push(
-        AbuseIPDBScraper.scrapeAbuseIPDB(tabs.abuseipdb.id, ipAddress)
-          .then((data) => {
-            console.log('[OSINT] AbuseIPDB scrape complete:', data);
-            results.sources.abuseipdb = data;
-          })
-          .catch((error: Error) => {
-            console.error('[OSINT] AbuseIPDB scrape error:', error);
-            results.errors.push({
-              source: 'AbuseIPDB',
-              error: error.message,
-            });
-          })
-      );
-    }
+  const queue: JobQueue<BulkItem, OSINTResults> = new Jobs.JobQueue(
+    (item: BulkItem) =>
+      collectOSINTData(item.indicator, {
+        sourceLimiters,
+        signal,
+        onProgress: (progress: SourceProgress) => {
+          if (progress.type !== 'throttled') {
+            clearThrottle();
+            return;
+          }
+          // The popup shows how long the batch is held up by the rate limits
+          if (progress.wait) {
+            const until: string = new Date(Date.now() + progress.wait).toISOString();
+            if (!job.throttledUntil || until > job.throttledUntil) {
+              job.throttledUntil = until;
+              void saveBulkJob(job);
+            }
+          }
+        },
+      }),
+    job.options.concurrency
+  );
 
-    console.log('[OSINT] Waiting for all scrapes to complete...');
-    await Promise.all(scrapingPromises);
-    console.log('[OSINT] All scrapes complete. Results:', results);
-
-    // Store results in chrome.storage.local
-    await new Promise<void>((resolve) => {
-      chrome.storage.local.set(
-        { [`osint_${ipAddress}`]: results },
-        () => {
-          console.log('[OSINT] Results stored in chrome.storage.local');
-          resolve();
+  await queue.runAll(
+    job.items,
+    {
+      onStart: (item: BulkItem) => {
+        item.status = 'running';
+        delete job.throttledUntil;
+        void saveBulkJob(job);
+      },
+      onComplete: (item: BulkItem, _index: number, results: OSINTResults) => {
+        item.status = results.cancelled ? 'cancelled' : 'done';
+        item.errorCount = results.errors.length;
+        void saveBulkJob(job);
+      },
+      onError: (item: BulkItem, _index: number, error: Error) => {
+        if (CDP.isAbortError(error)) {
+          item.status = 'cancelled';
+        } else {
+          console.error('[Bulk] Lookup failed for:', item.indicator.value, error);
+          item.status = 'failed';
+          item.error = error.message;
         }
-      );
-    });
+        void saveBulkJob(job);
+      },
+    },
+    signal
+  );
 
-    return results;
-  } catch (error) {
-    console.error('OSINT collection error:', error);
-    const errorMessage: string =
-      error instanceof Error ? error.message : 'Unknown error';
-    results.errors.push({ source: 'Orchestration', error: errorMessage });
-    return results;
-  } finally {
-    // Close all tabs
-    const closePromises: Promise<void>[] = [];
-    if (tabs.virustotal?.id) {
-      closePromises.push(closeTab(tabs.virustotal.id));
-    }
-    if (tabs.ipinfo?.id) {
-      closePromises.push(closeTab(tabs.ipinfo.id));
-    }
-    if (tabs.abuseipdb?.id) {
-      closePromises.push(closeTab(tabs.abuseipdb.id));
-    }
-    await Promise.all(closePromises);
+  if (signal.aborted) {
+    job.cancelled = true;
   }
+  job.finishedAt = new Date().toISOString();
+  await saveBulkJob(job);
+  console.log(`[Bulk] Job ${job.id} complete`);
 }
 
 /**
@@ -234,31 +437,28 @@ chrome.runtime.onMessage.addListener(
     sendResponse: (response: MessageResponse) => void
   ): boolean => {
     if (request.action === 'collectOSINT') {
-      const ipAddress: string | undefined = request.ipAddress;
-
-      if (!ipAddress) {
+      if (!request.indicator) {
         sendResponse({
           success: false,
-          error: 'IP address is required',
+          error: 'Indicator is required',
         });
         return false;
       }
 
-      // Validate IP address format
-      const ipRegex: RegExp =
-        /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-      if (!ipRegex.test(ipAddress)) {
+      // Detect and validate the indicator type
+      const indicator: Indicator | null = Indicators.parseIndicator(request.indicator);
+      if (!indicator) {
         sendResponse({
           success: false,
-          error: 'Invalid IP address format',
+          error: UNRECOGNIZED_INDICATOR,
         });
         return false;
       }
 
-      // Start collection process
-      console.log('[Background] Received collectOSINT request for:', ipAddress);
-      collectOSINTData(ipAddress)
-        .then((results: OSINTResults) => {
+      // Start collection process - ports following the indicator see its progress
+      console.log('[Background] Received collectOSINT request for:', indicator);
+      startLookup(indicator, request.refresh)
+        .done.then((results: OSINTResults) => {
           console.log('[Background] Collection complete, sending response');
           sendResponse({
             success: true,
@@ -277,25 +477,267 @@ chrome.runtime.onMessage.addListener(
       return true;
     }
 
-    if (request.action === 'getStoredResults') {
-      const ipAddress: string | undefined = request.ipAddress;
-
-      if (!ipAddress) {
+    if (request.action === 'startBulk') {
+      if (bulkJobRunning) {
         sendResponse({
           success: false,
-          error: 'IP address is required',
+          error: 'A bulk lookup is already running',
         });
         return false;
       }
 
-      chrome.storage.local.get([`osint_${ipAddress}`], (result: {
-        [key: string]: any;
-      }) => {
+      // Validate and deduplicate the indicators
+      const extracted: ExtractedIndicators = Indicators.extractIndicators((request.indicators || []).join('\n'));
+      if (extracted.indicators.length === 0) {
         sendResponse({
-          success: true,
-          data: (result[`osint_${ipAddress}`] as OSINTResults) || null,
+          success: false,
+          error: 'No valid indicators to look up',
         });
+        return false;
+      }
+      if (extracted.indicators.length > MAX_BULK_INDICATORS) {
+        sendResponse({
+          success: false,
+          error: `Bulk lookups are limited to ${MAX_BULK_INDICATORS} indicators`,
+        });
+        return false;
+      }
+
+      const job: BulkJob = {
+        id: `bulk_${Date.now()}`,
+        createdAt: new Date().toISOString(),
+        options: {
+          concurrency: clampConcurrency(
+            request.bulkOptions?.concurrency,
+            DEFAULT_BULK_OPTIONS.concurrency
+          ),
+          perSourceConcurrency: clampConcurrency(
+            request.bulkOptions?.perSourceConcurrency,
+            DEFAULT_BULK_OPTIONS.perSourceConcurrency
+          ),
+        },
+        items: extracted.indicators.map((indicator: Indicator): BulkItem => ({
+          indicator,
+          status: 'queued',
+        })),
+      };
+
+      bulkJobRunning = true;
+      const controller: AbortController = new AbortController();
+      bulkController = controller;
+      saveBulkJob(job)
+        .then(() => runBulkLookup(job, controller.signal))
+        .catch((error: Error) => {
+          console.error('[Bulk] Job failed:', error);
+        })
+        .finally(() => {
+          bulkJobRunning = false;
+          bulkController = null;
+        });
+
+      // Progress is followed through chrome.storage, respond right away
+      sendResponse({
+        success: true,
+        bulkJob: job,
       });
+      return false;
+    }
+
+    if (request.action === 'cancelLookup') {
+      const indicator: Indicator | null = request.indicator
+        ? Indicators.parseIndicator(request.indicator)
+        : null;
+      const lookup: ActiveLookup | undefined = indicator
+        ? activeLookups.get(Indicators.storageKey(indicator))
+        : undefined;
+      if (!lookup) {
+        sendResponse({
+          success: false,
+          error: 'No lookup of that indicator is running',
+        });
+        return false;
+      }
+      cancelLookup(lookup);
+      sendResponse({ success: true });
+      return false;
+    }
+
+    if (request.action === 'cancelBulk') {
+      if (!bulkController) {
+        sendResponse({
+          success: false,
+          error: 'No bulk lookup is running',
+        });
+        return false;
+      }
+      console.log('[Bulk] Cancelling the running job');
+      bulkController.abort(new CDP.AbortError('Bulk lookup cancelled'));
+      sendResponse({ success: true });
+      return false;
+    }
+
+    if (request.action === 'getExtractionSpecs') {
+      // The options page edits overrides of the specs the scrapers ship with
+      Extraction.loadSpecOverrides()
+        .then((overrides) => {
+          sendResponse({
+            success: true,
+            specs: SourceRegistry.getSources()
+              .filter((source) => source.spec)
+              .map((source): SourceSpecInfo => ({
+                id: source.id,
+                name: source.name,
+                defaultSpec: source.spec!,
+                override: overrides[source.id],
+                cacheTtl: ResultCache.sourceTtl(source),
+                domain: RateLimiting.sourceDomain(source),
+                rateLimit: RateLimiting.resolveRateLimit(source),
+              })),
+          });
+        })
+        .catch((error: Error) => {
+          sendResponse({
+            success: false,
+            error: error.message,
+          });
+        });
+      return true;
+    }
+
+    if (request.action === 'runDiagnostics') {
+      // Fixture pages lease from the same pool as lookups, so the scrapers run exactly as they do live
+      Diagnostics.runSelfTest(pagePool)
+        .then((report) => {
+          sendResponse({
+            success: true,
+            diagnostics: report,
+          });
+        })
+        .catch((error: Error) => {
+          console.error('[Diagnostics] Self-test failed:', error);
+          sendResponse({
+            success: false,
+            error: error.message,
+          });
+        });
+      return true;
+    }
+
+    if (request.action === 'getHistory') {
+      LookupHistory.queryHistory(request.historyQuery)
+        .then((history) => {
+          sendResponse({
+            success: true,
+            history,
+          });
+        })
+        .catch((error: Error) => {
+          sendResponse({
+            success: false,
+            error: error.message,
+          });
+        });
+      return true;
+    }
+
+    if (request.action === 'pinHistory' || request.action === 'deleteHistory') {
+      if (!request.keys || request.keys.length === 0) {
+        sendResponse({
+          success: false,
+          error: 'No history entries given',
+        });
+        return false;
+      }
+
+      const update: Promise<void> =
+        request.action === 'pinHistory'
+          ? LookupHistory.setPinned(request.keys, request.pinned !== false)
+          : LookupHistory.deleteEntries(request.keys);
+      update
+        .then(() => {
+          sendResponse({ success: true });
+        })
+        .catch((error: Error) => {
+          sendResponse({
+            success: false,
+            error: error.message,
+          });
+        });
+      return true;
+    }
+
+    if (request.action === 'exportResults') {
+      const format = request.format;
+      if (!format || !Exporters.EXPORT_FORMATS.includes(format)) {
+        sendResponse({
+          success: false,
+          error: `Export format must be one of: ${Exporters.EXPORT_FORMATS.join(', ')}`,
+        });
+        return false;
+      }
+      if (!request.keys || request.keys.length === 0) {
+        sendResponse({
+          success: false,
+          error: 'No lookups to export',
+        });
+        return false;
+      }
+
+      // Exports carry the full results, raw page text included
+      LookupHistory.loadFullResults(request.keys)
+        .then((resultsList: OSINTResults[]) => {
+          if (resultsList.length === 0) {
+            throw new Error('The lookups to export are no longer stored');
+          }
+          return Exporters.exportResults(resultsList, format);
+        })
+        .then((file) => {
+          sendResponse({
+            success: true,
+            file,
+          });
+        })
+        .catch((error: Error) => {
+          sendResponse({
+            success: false,
+            error: error.message,
+          });
+        });
+      return true;
+    }
+
+    if (request.action === 'getStoredResults') {
+      const indicator: Indicator | null = request.indicator
+        ? Indicators.parseIndicator(request.indicator)
+        : null;
+
+      if (!indicator) {
+        sendResponse({
+          success: false,
+          error: 'Indicator is required',
+        });
+        return false;
+      }
+
+      // Flag the sources whose data has outlived its TTL, so the popup can mark them
+      Promise.all([loadStoredResults(indicator), ResultCache.loadCacheConfig()])
+        .then(async ([results, cacheConfig]) => {
+          if (results) {
+            results.stale = ResultCache.staleSources(results, SourceRegistry.getSources(), cacheConfig);
+            // Opening a lookup keeps it from being evicted
+            await LookupHistory.touchEntry(Indicators.storageKey(indicator));
+          }
+          sendResponse({
+            success: true,
+            data: results,
+          });
+        })
+        .catch((error: Error) => {
+          sendResponse({
+            success: false,
+            error: error.message,
+          });
+        });
       return true;
     }
 
@@ -303,6 +745,67 @@ chrome.runtime.onMessage.addListener(
   }
 );
 
+/**
+ * Stream lookup progress to the popup
+ * A popup that reopens while a lookup runs watches it again and gets every event replayed.
+ */
+chrome.runtime.onConnect.addListener((port: chrome.runtime.Port) => {
+  if (port.name !== LOOKUP_PORT_NAME) {
+    return;
+  }
+
+  const reply = (message: LookupPortMessage): void => port.postMessage(message);
+
+  port.onMessage.addListener((request: LookupPortRequest) => {
+    if (request.action === 'lookup') {
+      const indicator: Indicator | null = Indicators.parseIndicator(request.indicator || '');
+      if (!indicator) {
+        reply({ type: 'error', error: UNRECOGNIZED_INDICATOR });
+        return;
+      }
+      console.log('[Background] Received lookup over port for:', indicator);
+      followLookup(port, startLookup(indicator, request.refresh));
+      return;
+    }
+
+    if (request.action === 'cancel') {
+      activeLookups.forEach((lookup: ActiveLookup) => {
+        if (lookup.ports.has(port)) {
+          cancelLookup(lookup);
+        }
+      });
+      return;
+    }
+
+    if (request.action === 'handoff') {
+      activeLookups.forEach((lookup: ActiveLookup) => {
+        if (lookup.ports.has(port)) {
+          void startHandoff(lookup, request.sourceId);
+        }
+      });
+      return;
+    }
+
+    if (request.action === 'watch') {
+      const indicator: Indicator | null = request.indicator
+        ? Indicators.parseIndicator(request.indicator)
+        : null;
+      const lookup: ActiveLookup | undefined = indicator
+        ? activeLookups.get(Indicators.storageKey(indicator))
+        : [...activeLookups.values()].pop();
+      if (lookup) {
+        followLookup(port, lookup);
+      } else {
+        reply({ type: 'idle' });
+      }
+    }
+  });
+
+  port.onDisconnect.addListener(() => {
+    activeLookups.forEach((lookup: ActiveLookup) => lookup.ports.delete(port));
+  });
+});
+
 // Handle extension installation
 chrome.runtime.onInstalled.addListener(() => {
   console.log('PostEvent OSINT Extension installed');
@@ -3,14 +3,23 @@
  * Similar to Playwright's architecture - provides high-level abstractions over low-level CDP commands
  */
 
-interface CDPCommandParams {
+import { logger } from '../logging/logger';
+
+export interface CDPCommandParams {
   [key: string]: any;
 }
 
-interface CDPCommandResult {
+export interface CDPCommandResult {
   result?: {
     value?: any;
     type?: string;
+    objectId?: string;
+  };
+  exceptionDetails?: {
+    text: string;
+    exception?: {
+      description?: string;
+    };
   };
   error?: {
     message: string;
@@ -18,39 +27,597 @@ interface CDPCommandResult {
   };
 }
 
-interface WaitForSelectorOptions {
+interface NavigateResult {
+  frameId: string;
+  loaderId?: string;
+  errorText?: string;
+}
+
+interface FrameTreeResult {
+  frameTree: {
+    frame: {
+      id: string;
+    };
+  };
+}
+
+interface LifecycleEvent {
+  frameId: string;
+  loaderId: string;
+  name: string;
+}
+
+/**
+ * Playwright-style load states, reached when the main frame fires the matching Page.lifecycleEvent
+ */
+type LoadState = 'load' | 'domcontentloaded' | 'networkidle';
+
+const LIFECYCLE_EVENTS: { [state in LoadState]: string } = {
+  load: 'load',
+  domcontentloaded: 'DOMContentLoaded',
+  networkidle: 'networkIdle',
+};
+
+const DEFAULT_TIMEOUT: number = 30000;
+
+interface AbortOptions {
+  /** Give up as soon as this signal aborts, throwing its reason */
+  signal?: AbortSignal;
+}
+
+interface GotoOptions extends AbortOptions {
+  /** Load state to wait for before resolving (default: load) */
+  waitUntil?: LoadState;
+  timeout?: number;
+}
+
+interface WaitForLoadStateOptions extends AbortOptions {
+  timeout?: number;
+}
+
+interface WaitForFunctionOptions extends AbortOptions {
+  timeout?: number;
+  /** Re-check the predicate on every DOM mutation (default) or every N milliseconds */
+  polling?: 'mutation' | number;
+}
+
+interface WaitForSelectorOptions extends AbortOptions {
   timeout?: number;
   visible?: boolean;
 }
 
-interface ClickOptions {
+interface ClickOptions extends AbortOptions {
   timeout?: number;
   waitAfter?: number;
 }
 
+interface LocatorOptions {
+  /** Also match elements inside open shadow roots (default: false) */
+  pierce?: boolean;
+}
+
+interface LocatorFilter {
+  /** Keep elements whose text contains this string (case-insensitive) or matches this pattern */
+  hasText?: string | RegExp;
+}
+
+/**
+ * Element states a locator can wait for
+ */
+type ElementState = 'attached' | 'detached' | 'visible' | 'hidden';
+
+interface LocatorWaitOptions extends AbortOptions {
+  /** State to wait for (default: visible) */
+  state?: ElementState;
+  timeout?: number;
+}
+
+/**
+ * One step of a locator chain - plain data, passed to the page as a call argument
+ * CSS selectors may use the deep combinator `>>>` to cross into open shadow roots.
+ */
+type LocatorStep =
+  | { kind: 'css'; selector: string; pierce: boolean }
+  | { kind: 'nth'; index: number }
+  | { kind: 'hasText'; text?: string; pattern?: { source: string; flags: string } };
+
 interface ElementPosition {
   x: number;
   y: number;
 }
 
-interface ElementFound {
-  found: boolean;
-  visible: boolean;
+type EventHandler = (params?: any) => void;
+
+interface ResponseReceivedEvent {
+  requestId: string;
+  /** Loader of the document the request belongs to */
+  loaderId?: string;
+  /** Resource type, e.g. Document, XHR or Fetch */
+  type?: string;
+  response: {
+    url: string;
+    status: number;
+    statusText: string;
+    headers: { [name: string]: string };
+    mimeType: string;
+  };
 }
 
-type EventHandler = (params?: any) => void;
+interface ResponseBodyResult {
+  body: string;
+  base64Encoded: boolean;
+}
+
+/**
+ * Which responses a wait is for - a string matches URLs containing it
+ */
+export type ResponseMatcher = string | RegExp | ((response: NetworkResponse) => boolean);
+
+type ResponseHandler = (response: NetworkResponse) => void;
+
+/**
+ * A response whose body is still loading, settled by Network.loadingFinished or loadingFailed
+ */
+interface LoadingResponse {
+  loaderId?: string;
+  resolve: () => void;
+  reject: (error: Error) => void;
+}
+
+interface WaitForResponseOptions extends AbortOptions {
+  timeout?: number;
+}
+
+/**
+ * Page events: `navigate` when goto() starts loading a URL, `load` once it reaches its load state
+ */
+export type PageEvent = 'navigate' | 'load';
+
+type PageEventHandler = (url: string) => void;
+
+/**
+ * Thrown when a wait (navigation, load state, selector or predicate) runs out of time
+ */
+export class TimeoutError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Reason a lookup is aborted with when it is cancelled
+ */
+export class AbortError extends Error {
+  constructor(message: string = 'The operation was aborted') {
+    super(message);
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * Thrown when the browser fails to load a page (DNS errors, refused connections...)
+ */
+export class NavigationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'NavigationError';
+  }
+}
+
+/**
+ * Thrown when a command can't reach the tab because its debugger is no longer attached
+ */
+export class TargetClosedError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'TargetClosedError';
+  }
+}
+
+/**
+ * Whether a failure may go away on another try with a fresh page - the report didn't load or the
+ * tab was lost
+ */
+export function isTransientError(error: unknown): boolean {
+  return error instanceof NavigationError || error instanceof TargetClosedError;
+}
+
+/**
+ * Whether a failure is a cancellation
+ */
+export function isAbortError(error: unknown): boolean {
+  return error instanceof Error && error.name === 'AbortError';
+}
+
+/**
+ * The error an aborted signal stands for - its reason, or an AbortError when it has none
+ */
+export function abortReason(signal: AbortSignal): Error {
+  return signal.reason instanceof Error ? signal.reason : new AbortError();
+}
+
+/**
+ * Throw the reason of a signal that has aborted
+ */
+function throwIfAborted(signal?: AbortSignal): void {
+  if (signal && signal.aborted) {
+    throw abortReason(signal);
+  }
+}
+
+/**
+ * Decode a base64 response body as UTF-8
+ */
+function decodeBase64(data: string): string {
+  const binary: string = atob(data);
+  const bytes: Uint8Array = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Whether a response is one a matcher is looking for
+ */
+function matchResponse(matcher: ResponseMatcher, response: NetworkResponse): boolean {
+  if (typeof matcher === 'string') {
+    return response.url.includes(matcher);
+  }
+  if (matcher instanceof RegExp) {
+    return matcher.test(response.url);
+  }
+  return matcher(response);
+}
+
+/**
+ * Runs inside the page: resolves with the predicate's first truthy result, re-checking it on
+ * every DOM mutation (or every `polling` ms), and rejects once `timeout` ms have passed.
+ * It is serialized with toString(), so it must not reference anything outside its own body.
+ */
+function pollPredicate(
+  predicate: (arg: any) => any,
+  arg: any,
+  polling: 'mutation' | number,
+  timeout: number
+): Promise<any> {
+  return new Promise<any>((resolve, reject) => {
+    let done: boolean = false;
+    let observer: MutationObserver | null = null;
+    let interval: ReturnType<typeof setInterval> | null = null;
+    let timer: ReturnType<typeof setTimeout> | null = null;
+
+    const finish = (error: unknown, value?: any): void => {
+      if (done) {
+        return;
+      }
+      done = true;
+      if (observer) {
+        observer.disconnect();
+      }
+      if (interval !== null) {
+        clearInterval(interval);
+      }
+      if (timer !== null) {
+        clearTimeout(timer);
+      }
+      if (error) {
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+
+    const check = (): void => {
+      try {
+        const value: any = predicate(arg);
+        if (value) {
+          finish(null, value);
+        }
+      } catch (error) {
+        finish(error);
+      }
+    };
+
+    check();
+    if (done) {
+      return;
+    }
+
+    if (polling === 'mutation') {
+      observer = new MutationObserver(check);
+      observer.observe(document, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        characterData: true,
+      });
+    } else {
+      interval = setInterval(check, polling);
+    }
+    timer = setTimeout(() => finish(new Error(`Timeout ${timeout}ms exceeded`)), timeout);
+  });
+}
+
+/**
+ * Runs inside the page: resolves a locator chain to the matching elements in document order.
+ * It is serialized with toString(), so it must not reference anything outside its own body.
+ */
+function resolveLocator(steps: LocatorStep[]): Element[] {
+  const queryAll = (root: Document | Element, selector: string, pierce: boolean): Element[] => {
+    if (!pierce) {
+      return Array.from(root.querySelectorAll(selector));
+    }
+    // Walk the tree ourselves so matches inside open shadow roots are found too
+    const found: Element[] = [];
+    const walk = (node: Document | Element | ShadowRoot): void => {
+      for (const child of Array.from(node.children)) {
+        if (child.matches(selector)) {
+          found.push(child);
+        }
+        if (child.shadowRoot) {
+          walk(child.shadowRoot);
+        }
+        walk(child);
+      }
+    };
+    if (root instanceof Element && root.shadowRoot) {
+      walk(root.shadowRoot);
+    }
+    walk(root);
+    return found;
+  };
+
+  let elements: (Document | Element)[] = [document];
+  for (const step of steps) {
+    if (step.kind === 'css') {
+      // "a >>> b" matches b anywhere below a - deep selectors pierce open shadow roots at every level
+      const pierce: boolean = step.pierce || step.selector.includes('>>>');
+      step.selector.split('>>>').forEach((part: string) => {
+        const selector: string = part.trim();
+        if (!selector) {
+          return;
+        }
+        const matched: Set<Element> = new Set();
+        for (const root of elements) {
+          queryAll(root, selector, pierce).forEach((element: Element) =>
+            matched.add(element)
+          );
+        }
+        elements = Array.from(matched);
+      });
+    } else if (step.kind === 'nth') {
+      const element: Document | Element | undefined =
+        elements[step.index < 0 ? elements.length + step.index : step.index];
+      elements = element ? [element] : [];
+    } else {
+      const pattern: RegExp | null = step.pattern
+        ? new RegExp(step.pattern.source, step.pattern.flags)
+        : null;
+      const needle: string = (step.text || '').toLowerCase();
+      elements = elements.filter((element: Document | Element) => {
+        const text: string = (element.textContent || '').replace(/\s+/g, ' ').trim();
+        return pattern ? pattern.test(text) : text.toLowerCase().includes(needle);
+      });
+    }
+  }
+  return elements.filter((element: Document | Element): element is Element => element instanceof Element);
+}
+
+/**
+ * Runs inside the page: whether the first resolved element is in the given state.
+ * It is serialized with toString(), so it must not reference anything outside its own body.
+ */
+function matchesState(elements: Element[], state: ElementState): boolean {
+  const isVisible = (element: Element): boolean => {
+    const rect: DOMRect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && getComputedStyle(element).visibility !== 'hidden';
+  };
+  const element: Element | undefined = elements[0];
+  switch (state) {
+    case 'attached':
+      return !!element;
+    case 'detached':
+      return !element;
+    case 'visible':
+      return !!element && isVisible(element);
+    case 'hidden':
+      return !element || !isVisible(element);
+  }
+}
+
+/**
+ * Receives what a transport reads from its target
+ */
+export interface TransportHandlers {
+  /** A CDP event, e.g. "Page.lifecycleEvent" */
+  onEvent: (method: string, params?: any) => void;
+  /** The target went away without detach() being called (tab closed, debugging cancelled) */
+  onDetach: (reason: string) => void;
+}
+
+/**
+ * Carries CDP commands and events for one target
+ * CDPContext only talks to the browser through a transport, so the same Page API can run over
+ * chrome.debugger in the extension or over a scripted fake in tests
+ */
+export interface CDPTransport {
+  attach(handlers: TransportHandlers): Promise<void>;
+  detach(): Promise<void>;
+  /** Send a command (e.g. "Page.navigate") and resolve with its result */
+  send(method: string, params: CDPCommandParams): Promise<any>;
+}
+
+/**
+ * Transport over the chrome.debugger extension API, bound to one tab
+ */
+export class ChromeDebuggerTransport implements CDPTransport {
+  private readonly tabId: number;
+  private _listener: ((source: chrome.debugger.Debuggee, method: string, params?: any) => void) | null = null;
+  private _detachListener: ((source: chrome.debugger.Debuggee, reason: string) => void) | null = null;
+
+  constructor(tabId: number) {
+    this.tabId = tabId;
+  }
+
+  async attach(handlers: TransportHandlers): Promise<void> {
+    await new Promise<void>((resolve, reject) => {
+      chrome.debugger.attach({ tabId: this.tabId }, '1.3', () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve();
+      });
+    });
+
+    const listener = (source: chrome.debugger.Debuggee, method: string, params?: any): void => {
+      if (source.tabId === this.tabId) {
+        handlers.onEvent(method, params);
+      }
+    };
+    chrome.debugger.onEvent.addListener(listener);
+    this._listener = listener;
+
+    const detachListener = (source: chrome.debugger.Debuggee, reason: string): void => {
+      if (source.tabId === this.tabId) {
+        this._removeListeners();
+        handlers.onDetach(reason);
+      }
+    };
+    chrome.debugger.onDetach.addListener(detachListener);
+    this._detachListener = detachListener;
+  }
+
+  async detach(): Promise<void> {
+    this._removeListeners();
+    await new Promise<void>((resolve, reject) => {
+      chrome.debugger.detach({ tabId: this.tabId }, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  send(method: string, params: CDPCommandParams): Promise<any> {
+    return new Promise<any>((resolve, reject) => {
+      chrome.debugger.sendCommand({ tabId: this.tabId }, method, params, (result: any) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve(result);
+      });
+    });
+  }
+
+  private _removeListeners(): void {
+    if (this._listener) {
+      chrome.debugger.onEvent.removeListener(this._listener);
+      this._listener = null;
+    }
+    if (this._detachListener) {
+      chrome.debugger.onDetach.removeListener(this._detachListener);
+      this._detachListener = null;
+    }
+  }
+}
+
+/**
+ * A response the page received (similar to Playwright's Response)
+ * The body is read with Network.getResponseBody once it has finished loading, so read it before
+ * the page navigates away - the browser drops the bodies of a document's requests with it.
+ */
+export class NetworkResponse {
+  public readonly requestId: string;
+  public readonly url: string;
+  public readonly status: number;
+  public readonly statusText: string;
+  public readonly headers: { [name: string]: string };
+  public readonly mimeType: string;
+  /** Resource type, e.g. Document, XHR or Fetch */
+  public readonly resourceType: string | undefined;
+  private readonly context: CDPContext;
+  private readonly finished: Promise<void>;
+  private body: Promise<string> | null = null;
+
+  /**
+   * @param finished - Resolves on Network.loadingFinished, rejects on Network.loadingFailed
+   */
+  constructor(context: CDPContext, event: ResponseReceivedEvent, finished: Promise<void>) {
+    this.context = context;
+    this.requestId = event.requestId;
+    this.url = event.response.url;
+    this.status = event.response.status;
+    this.statusText = event.response.statusText;
+    this.headers = event.response.headers || {};
+    this.mimeType = event.response.mimeType;
+    this.resourceType = event.type;
+    this.finished = finished;
+    // A body nobody reads may fail to load without anyone to tell
+    finished.catch(() => undefined);
+  }
+
+  /**
+   * Whether the status is 2xx
+   */
+  get ok(): boolean {
+    return this.status >= 200 && this.status < 300;
+  }
+
+  /**
+   * The response body as text, once it has finished loading
+   */
+  text(): Promise<string> {
+    if (!this.body) {
+      this.body = (async (): Promise<string> => {
+        await this.finished;
+        const result: ResponseBodyResult = await this.context.sendCommand<ResponseBodyResult>(
+          'Network',
+          'getResponseBody',
+          { requestId: this.requestId }
+        );
+        return result.base64Encoded ? decodeBase64(result.body) : result.body;
+      })();
+    }
+    return this.body;
+  }
+
+  /**
+   * The response body parsed as JSON
+   */
+  async json<T = any>(): Promise<T> {
+    return JSON.parse(await this.text()) as T;
+  }
+}
 
 /**
  * CDPContext manages the connection to a browser tab via Chrome DevTools Protocol
  */
 export class CDPContext {
   public readonly tabId: number;
+  public readonly transport: CDPTransport;
   private attached: boolean = false;
   private eventListeners: Map<string, EventHandler[]> = new Map();
-  private _listener: ((source: chrome.debugger.Debuggee, method: string, params?: any) => void) | null = null;
 
-  constructor(tabId: number) {
+  /**
+   * @param tabId - Tab the context is bound to
+   * @param transport - How commands reach the tab (default: chrome.debugger)
+   */
+  constructor(tabId: number, transport: CDPTransport = new ChromeDebuggerTransport(tabId)) {
     this.tabId = tabId;
+    this.transport = transport;
+  }
+
+  /**
+   * Whether the debugger is still attached (false once the tab closes or the user cancels debugging)
+   */
+  get isAttached(): boolean {
+    return this.attached;
   }
 
   /**
@@ -61,25 +628,20 @@ export class CDPContext {
       return;
     }
 
-    return new Promise<void>((resolve, reject) => {
-      try {
-        chrome.debugger.attach(
-          { tabId: this.tabId },
-          '1.3',
-          () => {
-            if (chrome.runtime.lastError) {
-              reject(new Error(chrome.runtime.lastError.message));
-              return;
-            }
-            this.attached = true;
-            this._setupEventListeners();
-            resolve();
-          }
-        );
-      } catch (error) {
-        reject(error as Error);
-      }
+    await this.transport.attach({
+      onEvent: (method: string, params?: any): void => {
+        // Copy so handlers can remove themselves while being called
+        const handlers = [...(this.eventListeners.get(method) || [])];
+        handlers.forEach((handler) => handler(params));
+      },
+      // Track detaches we didn't ask for (tab closed or crashed, debugging cancelled by the user)
+      onDetach: (reason: string): void => {
+        logger.log(`[CDP] Debugger detached from tab ${this.tabId}: ${reason}`);
+        this.attached = false;
+        this.eventListeners.clear();
+      },
     });
+    this.attached = true;
   }
 
   /**
@@ -90,80 +652,34 @@ export class CDPContext {
       return;
     }
 
-    return new Promise<void>((resolve, reject) => {
-      try {
-        chrome.debugger.detach({ tabId: this.tabId }, () => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-            return;
-          }
-          this.attached = false;
-          this._removeEventListeners();
-          resolve();
-        });
-      } catch (error) {
-        reject(error as Error);
-      }
-    });
+    await this.transport.detach();
+    this.attached = false;
+    this.eventListeners.clear();
   }
 
   /**
    * Send a CDP command and wait for response
    */
-  async sendCommand(
+  async sendCommand<T = CDPCommandResult>(
     domain: string,
     method: string,
     params: CDPCommandParams = {}
-  ): Promise<CDPCommandResult> {
+  ): Promise<T> {
     if (!this.attached) {
-      throw new Error('CDP context not attached. Call attach() first.');
-    }
-
-    return new Promise<CDPCommandResult>((resolve, reject) => {
-      chrome.debugger.sendCommand(
-        { tabId: this.tabId },
-        `${domain}.${method}`,
-        params,
-        (result: any) => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-            return;
-          }
-          resolve(result as CDPCommandResult);
-        }
-      );
-    });
-  }
+      throw new TargetClosedError('CDP context not attached. Call attach() first.');
+    }
 
-  /**
-   * Setup event listeners for CDP events
-   */
-  private _setupEventListeners(): void {
-    const listener = (
-      source: chrome.debugger.Debuggee,
-      method: string,
-      params?: any
-    ): void => {
-      if (source.tabId === this.tabId) {
-        const key = `${(source as any).method || method}`;
-        const handlers = this.eventListeners.get(key) || [];
-        handlers.forEach((handler) => handler(params));
+    try {
+      return (await this.transport.send(`${domain}.${method}`, params)) as T;
+    } catch (error) {
+      // The tab closed or the debugger was detached while the command was in flight
+      if (!this.attached) {
+        throw new TargetClosedError(
+          `${domain}.${method} failed, the debugger detached: ${error instanceof Error ? error.message : error}`
+        );
       }
-    };
-
-    chrome.debugger.onEvent.addListener(listener);
-    this._listener = listener;
-  }
-
-  /**
-   * Remove event listeners
-   */
-  private _removeEventListeners(): void {
-    if (this._listener) {
-      chrome.debugger.onEvent.removeListener(this._listener);
-      this._listener = null;
+      throw error;
     }
-    this.eventListeners.clear();
   }
 
   /**
@@ -197,6 +713,16 @@ export class CDPContext {
 export class Page {
   public readonly context: CDPContext;
   public readonly tabId: number;
+  private mainFrameId: string | null = null;
+  private loaderId: string | null = null;
+  // Lifecycle events the current main-frame document has fired
+  private lifecycle: Set<string> = new Set();
+  private lifecycleReady: Promise<void> | null = null;
+  private pageListeners: Map<PageEvent, PageEventHandler[]> = new Map();
+  private networkReady: Promise<void> | null = null;
+  private responseListeners: ResponseHandler[] = [];
+  // Responses handed to listeners whose body is still loading, by request id
+  private loadingResponses: Map<string, LoadingResponse> = new Map();
 
   constructor(context: CDPContext) {
     this.context = context;
@@ -204,169 +730,263 @@ export class Page {
   }
 
   /**
-   * Navigate to a URL (abstracts Page.navigate CDP command)
+   * Add a listener for navigations made with goto()
    */
-  async goto(url: string): Promise<void> {
-    console.log('[CDP] Enabling Page domain');
-    await this.context.sendCommand('Page', 'enable');
-    console.log('[CDP] Navigating to:', url);
-    await this.context.sendCommand('Page', 'navigate', { url });
-    console.log('[CDP] Navigate command sent');
-
-    // Wait for page to load with timeout and fallback
-    return new Promise<void>((resolve) => {
-      let resolved = false;
-      
-      // Fallback: resolve after 5 seconds regardless (some pages don't fire events)
-      const fallbackTimeout = setTimeout(() => {
-        if (!resolved) {
-          resolved = true;
-          this.context.off('Page.loadEventFired', onLoad);
-          this.context.off('Page.frameStoppedLoading', onFrameLoad);
-          console.log('[CDP] Using fallback timeout (5s), page should be loaded');
-          resolve();
-        }
-      }, 5000);
-
-      const onLoad: EventHandler = () => {
-        if (!resolved) {
-          resolved = true;
-          clearTimeout(fallbackTimeout);
-          this.context.off('Page.loadEventFired', onLoad);
-          this.context.off('Page.frameStoppedLoading', onFrameLoad);
-          console.log('[CDP] Page.loadEventFired received');
-          resolve();
-        }
-      };
+  on(event: PageEvent, handler: PageEventHandler): void {
+    if (!this.pageListeners.has(event)) {
+      this.pageListeners.set(event, []);
+    }
+    this.pageListeners.get(event)!.push(handler);
+  }
 
-      const onFrameLoad: EventHandler = (params: any) => {
-        // Also listen for frameStoppedLoading as fallback
-        if (!resolved && params?.frameId) {
-          resolved = true;
-          clearTimeout(fallbackTimeout);
-          this.context.off('Page.loadEventFired', onLoad);
-          this.context.off('Page.frameStoppedLoading', onFrameLoad);
-          console.log('[CDP] Page.frameStoppedLoading received');
-          resolve();
+  /**
+   * Remove a page event listener
+   */
+  off(event: PageEvent, handler: PageEventHandler): void {
+    const handlers = this.pageListeners.get(event);
+    if (handlers) {
+      const index = handlers.indexOf(handler);
+      if (index > -1) {
+        handlers.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Add a listener for the responses the page receives - its own XHR and fetch calls included
+   * Network events are enabled on the first call, so add it before navigating to see every response.
+   */
+  onResponse(handler: ResponseHandler): void {
+    this.responseListeners.push(handler);
+    this._enableNetworkEvents().catch((error: Error) => {
+      logger.log('[CDP] Could not enable network events:', error);
+    });
+  }
+
+  /**
+   * Remove a response listener
+   */
+  offResponse(handler: ResponseHandler): void {
+    this.responseListeners = this.responseListeners.filter(
+      (registered: ResponseHandler) => registered !== handler
+    );
+  }
+
+  /**
+   * Wait for a response whose URL (or the response itself) matches
+   * Start waiting before the navigation or action that triggers the request, and await the result
+   * afterwards:
+   *   const report = page.waitForResponse(/\/api\/report/);
+   *   await page.goto(url);
+   *   const data = await (await report).json();
+   */
+  async waitForResponse(
+    matcher: ResponseMatcher,
+    options: WaitForResponseOptions = {}
+  ): Promise<NetworkResponse> {
+    const timeout: number = options.timeout ?? DEFAULT_TIMEOUT;
+    throwIfAborted(options.signal);
+
+    let onResponse: ResponseHandler = () => undefined;
+    const matched: Promise<NetworkResponse> = new Promise<NetworkResponse>((resolve) => {
+      onResponse = (response: NetworkResponse): void => {
+        if (matchResponse(matcher, response)) {
+          resolve(response);
         }
       };
-
-      console.log('[CDP] Setting up event listeners');
-      this.context.on('Page.loadEventFired', onLoad);
-      this.context.on('Page.frameStoppedLoading', onFrameLoad);
     });
+    // Registered before this function first yields, so a navigation started right after the call
+    // can't beat it
+    this.responseListeners.push(onResponse);
+    try {
+      await this._enableNetworkEvents();
+      return await this._withTimeout(
+        matched,
+        timeout,
+        `Timeout ${timeout}ms exceeded waiting for a response matching ${String(matcher)}`,
+        options.signal
+      );
+    } finally {
+      this.offResponse(onResponse);
+    }
   }
 
   /**
-   * Wait for an element to appear in the DOM
+   * Navigate to a URL (abstracts Page.navigate CDP command)
+   * Resolves once the new document reaches `waitUntil`, and throws if navigation fails
    */
-  async waitForSelector(
-    selector: string,
-    options: WaitForSelectorOptions = {}
-  ): Promise<void> {
-    // Special case: body should always exist after navigation
-    if (selector === 'body') {
-      console.log('[CDP] Skipping waitForSelector for body (always exists)');
-      await this._sleep(1000); // Just wait a bit for page to settle
+  async goto(url: string, options: GotoOptions = {}): Promise<void> {
+    const waitUntil: LoadState = options.waitUntil || 'load';
+    const timeout: number = options.timeout ?? DEFAULT_TIMEOUT;
+
+    throwIfAborted(options.signal);
+    await this._enableLifecycleEvents();
+    logger.log('[CDP] Navigating to:', url);
+    this._emit('navigate', url);
+    const result: NavigateResult = await this._withTimeout(
+      this.context.sendCommand<NavigateResult>('Page', 'navigate', { url }),
+      timeout,
+      `Timeout ${timeout}ms exceeded navigating to ${url}`,
+      options.signal
+    );
+    if (result.errorText) {
+      throw new NavigationError(`Navigation to ${url} failed: ${result.errorText}`);
+    }
+
+    // Same-document navigations (e.g. fragment changes) don't start a new loader
+    if (!result.loaderId) {
+      this._emit('load', url);
       return;
     }
 
-    const timeout: number = options.timeout || 30000;
-    const startTime: number = Date.now();
+    const eventName: string = LIFECYCLE_EVENTS[waitUntil];
+    await this._waitForLifecycle(
+      () => this.loaderId === result.loaderId && this.lifecycle.has(eventName),
+      timeout,
+      `"${waitUntil}" after navigating to ${url}`,
+      options.signal
+    );
+    logger.log(`[CDP] Reached ${waitUntil}:`, url);
+    this._emit('load', url);
+  }
 
-    // Enable Runtime domain for evaluate
-    try {
-      await this.context.sendCommand('Runtime', 'enable');
-    } catch (error) {
-      console.log('[CDP] Runtime domain already enabled or error:', error);
+  /**
+   * Wait until the current document reaches a load state
+   */
+  async waitForLoadState(
+    state: LoadState = 'load',
+    options: WaitForLoadStateOptions = {}
+  ): Promise<void> {
+    const timeout: number = options.timeout ?? DEFAULT_TIMEOUT;
+    throwIfAborted(options.signal);
+    await this._enableLifecycleEvents();
+
+    // No navigation seen since tracking started - the document's ready state is the best we have
+    if (this.loaderId === null && state !== 'networkidle') {
+      const readyState: string = await this.evaluate<string>('document.readyState');
+      if (readyState === 'complete' || (state === 'domcontentloaded' && readyState === 'interactive')) {
+        return;
+      }
     }
 
-    while (Date.now() - startTime < timeout) {
+    const eventName: string = LIFECYCLE_EVENTS[state];
+    await this._waitForLifecycle(
+      () => this.lifecycle.has(eventName),
+      timeout,
+      `load state "${state}"`,
+      options.signal
+    );
+  }
+
+  /**
+   * Wait until a predicate evaluated in the page returns a truthy value, and return that value
+   * A string is evaluated as an expression; a function is serialized and called with `arg`,
+   * so it must not reference anything outside its own body.
+   * Waiting survives navigations - the predicate is re-installed in the new document.
+   */
+  async waitForFunction<T = any, A = any>(
+    pageFunction: string | ((arg: A) => T),
+    arg?: A,
+    options: WaitForFunctionOptions = {}
+  ): Promise<T> {
+    const predicate: string =
+      typeof pageFunction === 'function' ? pageFunction.toString() : `() => (${pageFunction})`;
+    return this.pollFunction<T>(predicate, arg, options);
+  }
+
+  /**
+   * Poll a predicate, given as function source, until it returns a truthy value
+   * Building block for waitForFunction and Locator.waitFor - `arg` is passed as a call
+   * argument and never spliced into the page code
+   */
+  async pollFunction<T = any>(
+    predicate: string,
+    arg: unknown,
+    options: WaitForFunctionOptions = {}
+  ): Promise<T> {
+    const timeout: number = options.timeout ?? DEFAULT_TIMEOUT;
+    const polling: 'mutation' | number = options.polling ?? 'mutation';
+    const deadline: number = Date.now() + timeout;
+    const functionDeclaration: string = `function (arg, polling, timeout) {
+      return (${pollPredicate.toString()})(${predicate}, arg, polling, timeout);
+    }`;
+
+    while (true) {
+      throwIfAborted(options.signal);
+      const remaining: number = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new TimeoutError(`Timeout ${timeout}ms exceeded waiting for function`);
+      }
+
+      let result: CDPCommandResult;
       try {
-        const result = await this.context.sendCommand('Runtime', 'evaluate', {
-          expression: `
-            (function() {
-              try {
-                const element = document.querySelector('${selector.replace(/'/g, "\\'")}');
-                return element ? { found: true, visible: element.offsetParent !== null } : { found: false };
-              } catch(e) {
-                return { found: false, error: e.message };
-              }
-            })()
-          `,
-          returnByValue: true,
-        });
+        result = await this._withTimeout(
+          this._callFunctionOn(functionDeclaration, [arg, polling, remaining]),
+          // The page enforces the timeout itself; this only guards against a hung renderer
+          remaining + 1000,
+          `Timeout ${timeout}ms exceeded waiting for function`,
+          options.signal
+        );
+      } catch (error) {
+        if (error instanceof TimeoutError || options.signal?.aborted || !this.context.isAttached) {
+          throw error;
+        }
+        // The execution context was destroyed by a navigation - retry in the new document
+        logger.log('[CDP] waitForFunction interrupted, retrying:', error);
+        await this._sleep(100, options.signal);
+        continue;
+      }
 
-        const value = result.result?.value as ElementFound | undefined;
-        if (value?.found) {
-          if (!options.visible || value.visible) {
-            console.log(`[CDP] Selector found: ${selector}`);
-            return;
-          }
+      if (result.exceptionDetails) {
+        if (Date.now() >= deadline) {
+          throw new TimeoutError(`Timeout ${timeout}ms exceeded waiting for function`);
         }
-      } catch (error) {
-        console.log(`[CDP] Error checking selector ${selector}:`, error);
-        // Continue waiting
+        throw new Error(
+          result.exceptionDetails.exception?.description || result.exceptionDetails.text
+        );
+      }
+      return result.result?.value as T;
+    }
+  }
+
+  /**
+   * Wait for an element to appear in the DOM
+   * Re-checks on DOM mutations rather than polling
+   */
+  async waitForSelector(
+    selector: string,
+    options: WaitForSelectorOptions = {}
+  ): Promise<void> {
+    try {
+      await this.locator(selector).waitFor({
+        state: options.visible ? 'visible' : 'attached',
+        timeout: options.timeout || DEFAULT_TIMEOUT,
+        signal: options.signal,
+      });
+    } catch (error) {
+      if (error instanceof TimeoutError) {
+        logger.error(`[CDP] Timeout waiting for selector: ${selector}`);
+        throw new TimeoutError(`Timeout waiting for selector: ${selector}`);
       }
-
-      await this._sleep(500);
+      throw error;
     }
 
-    console.error(`[CDP] Timeout waiting for selector: ${selector}`);
-    throw new Error(`Timeout waiting for selector: ${selector}`);
+    logger.log(`[CDP] Selector found: ${selector}`);
+  }
+
+  /**
+   * Create a locator for elements matching a CSS selector
+   * Locators are lazy - the page is only queried when an action is called on them
+   */
+  locator(selector: string, options: LocatorOptions = {}): Locator {
+    return new Locator(this, [{ kind: 'css', selector, pierce: !!options.pierce }]);
   }
 
   /**
    * Click an element (abstracts multiple CDP commands)
    */
   async click(selector: string, options: ClickOptions = {}): Promise<void> {
-    await this.waitForSelector(selector, {
-      visible: true,
-      timeout: options.timeout,
-    });
-
-    // Get element position and click
-    const result = await this.context.sendCommand('Runtime', 'evaluate', {
-      expression: `
-        (function() {
-          const element = document.querySelector('${selector}');
-          if (!element) return null;
-          const rect = element.getBoundingClientRect();
-          return {
-            x: rect.left + rect.width / 2,
-            y: rect.top + rect.height / 2
-          };
-        })()
-      `,
-    });
-
-    const value = result.result?.value as ElementPosition | null;
-    if (!value) {
-      throw new Error(`Element not found: ${selector}`);
-    }
-
-    const { x, y } = value;
-
-    // Simulate mouse click
-    await this.context.sendCommand('Input', 'dispatchMouseEvent', {
-      type: 'mousePressed',
-      x: Math.round(x),
-      y: Math.round(y),
-      button: 'left',
-      clickCount: 1,
-    });
-
-    await this.context.sendCommand('Input', 'dispatchMouseEvent', {
-      type: 'mouseReleased',
-      x: Math.round(x),
-      y: Math.round(y),
-      button: 'left',
-      clickCount: 1,
-    });
-
-    if (options.waitAfter) {
-      await this._sleep(options.waitAfter);
-    }
+    await this.locator(selector).click(options);
   }
 
   /**
@@ -410,31 +1030,10 @@ export class Page {
    * Extract text content from an element (doesn't wait - just tries to extract)
    */
   async textContent(selector: string): Promise<string | null> {
-    // Enable Runtime domain
-    try {
-      await this.context.sendCommand('Runtime', 'enable');
-    } catch (error) {
-      // Already enabled
-    }
-
     try {
-      const result = await this.context.sendCommand('Runtime', 'evaluate', {
-        expression: `
-          (function() {
-            try {
-              const element = document.querySelector('${selector.replace(/'/g, "\\'")}');
-              return element ? element.textContent.trim() : null;
-            } catch(e) {
-              return null;
-            }
-          })()
-        `,
-        returnByValue: true,
-      });
-
-      return (result.result?.value as string | null) || null;
+      return (await this.locator(selector).textContent()) || null;
     } catch (error) {
-      console.log(`[CDP] Error extracting text from ${selector}:`, error);
+      logger.log(`[CDP] Error extracting text from ${selector}:`, error);
       return null;
     }
   }
@@ -443,59 +1042,18 @@ export class Page {
    * Extract multiple text contents from matching selectors
    */
   async textContents(selector: string): Promise<string[]> {
-    // Enable Runtime domain
-    try {
-      await this.context.sendCommand('Runtime', 'enable');
-    } catch (error) {
-      // Already enabled
-    }
-
-    const result = await this.context.sendCommand('Runtime', 'evaluate', {
-      expression: `
-        (function() {
-          try {
-            const elements = Array.from(document.querySelectorAll('${selector.replace(/'/g, "\\'")}'));
-            return elements.map(el => el.textContent.trim()).filter(text => text);
-          } catch(e) {
-            return [];
-          }
-        })()
-      `,
-      returnByValue: true,
-    });
-
-    return (result.result?.value as string[]) || [];
+    const texts: string[] = await this.locator(selector).allTextContents();
+    return texts.filter((text: string) => text);
   }
 
   /**
    * Get attribute value from an element (doesn't wait - just tries to extract)
    */
   async getAttribute(selector: string, attribute: string): Promise<string | null> {
-    // Enable Runtime domain
-    try {
-      await this.context.sendCommand('Runtime', 'enable');
-    } catch (error) {
-      // Already enabled
-    }
-
     try {
-      const result = await this.context.sendCommand('Runtime', 'evaluate', {
-        expression: `
-          (function() {
-            try {
-              const element = document.querySelector('${selector.replace(/'/g, "\\'")}');
-              return element ? element.getAttribute('${attribute}') : null;
-            } catch(e) {
-              return null;
-            }
-          })()
-        `,
-        returnByValue: true,
-      });
-
-      return (result.result?.value as string | null) || null;
+      return (await this.locator(selector).getAttribute(attribute)) || null;
     } catch (error) {
-      console.log(`[CDP] Error getting attribute from ${selector}:`, error);
+      logger.log(`[CDP] Error getting attribute from ${selector}:`, error);
       return null;
     }
   }
@@ -503,8 +1061,8 @@ export class Page {
   /**
    * Wait for a specific amount of time
    */
-  async waitForTimeout(ms: number): Promise<void> {
-    return this._sleep(ms);
+  async waitForTimeout(ms: number, options: AbortOptions = {}): Promise<void> {
+    return this._sleep(ms, options.signal);
   }
 
   /**
@@ -527,95 +1085,490 @@ export class Page {
   }
 
   /**
-   * Wait for network idle (no requests for specified time)
+   * Wait until the current document's network goes idle - Chrome's own "networkIdle" lifecycle
+   * event, no connections for 500ms after the load
    */
-  async waitForNetworkIdle(timeout: number = 5000): Promise<void> {
-    await this.context.sendCommand('Network', 'enable');
+  async waitForNetworkIdle(options: WaitForLoadStateOptions = {}): Promise<void> {
+    await this.waitForLoadState('networkidle', options);
+  }
 
-    return new Promise<void>((resolve) => {
-      let idleTimer: NodeJS.Timeout | null = null;
-      let requestCount: number = 0;
+  /**
+   * Scroll to element (doesn't wait - just tries to scroll)
+   */
+  async scrollTo(selector: string): Promise<void> {
+    try {
+      await this.locator(selector).scrollIntoView();
+    } catch (error) {
+      logger.log(`[CDP] Error scrolling to ${selector}:`, error);
+    }
+  }
 
-      const onRequest: EventHandler = () => {
-        requestCount++;
-        if (idleTimer) {
-          clearTimeout(idleTimer);
-        }
-      };
+  /**
+   * Call a function in the page and return its JSON-serializable result
+   * Arguments are passed as Runtime.callFunctionOn call arguments, so data is never spliced
+   * into page code
+   */
+  async callFunction<T = any>(functionDeclaration: string, args: unknown[] = []): Promise<T> {
+    const result: CDPCommandResult = await this._callFunctionOn(functionDeclaration, args);
+    if (result.exceptionDetails) {
+      throw new Error(
+        result.exceptionDetails.exception?.description || result.exceptionDetails.text
+      );
+    }
+    return result.result?.value as T;
+  }
 
-      const onResponse: EventHandler = () => {
-        requestCount--;
-        if (requestCount <= 0) {
-          if (idleTimer) {
-            clearTimeout(idleTimer);
-          }
-          idleTimer = setTimeout(() => {
-            this.context.off('Network.requestWillBeSent', onRequest);
-            this.context.off('Network.responseReceived', onResponse);
-            resolve();
-          }, timeout);
-        }
-      };
+  /**
+   * Call the listeners of a page event
+   */
+  private _emit(event: PageEvent, url: string): void {
+    // Copy so handlers can remove themselves while being called
+    [...(this.pageListeners.get(event) || [])].forEach((handler: PageEventHandler) => handler(url));
+  }
+
+  /**
+   * Enable Network events and start handing responses to the response listeners
+   */
+  private _enableNetworkEvents(): Promise<void> {
+    if (!this.networkReady) {
+      this.networkReady = (async (): Promise<void> => {
+        this.context.on('Network.responseReceived', (params: ResponseReceivedEvent) =>
+          this._onResponseReceived(params)
+        );
+        this.context.on('Network.loadingFinished', (params: { requestId: string }) => {
+          this.loadingResponses.get(params.requestId)?.resolve();
+          this.loadingResponses.delete(params.requestId);
+        });
+        this.context.on('Network.loadingFailed', (params: { requestId: string; errorText: string }) => {
+          this.loadingResponses.get(params.requestId)?.reject(new Error(`Loading failed: ${params.errorText}`));
+          this.loadingResponses.delete(params.requestId);
+        });
+        await this.context.sendCommand('Network', 'enable');
+        // Loading bodies are dropped when the main frame moves on to a new document
+        await this._enableLifecycleEvents();
+      })().catch((error: Error) => {
+        this.networkReady = null;
+        throw error;
+      });
+    }
+    return this.networkReady;
+  }
+
+  private _onResponseReceived(params: ResponseReceivedEvent): void {
+    // Only responses someone is listening for are tracked until their body has loaded
+    if (this.responseListeners.length === 0) {
+      return;
+    }
+    const finished: Promise<void> = new Promise<void>((resolve, reject) => {
+      this.loadingResponses.set(params.requestId, { loaderId: params.loaderId, resolve, reject });
+    });
+    const response: NetworkResponse = new NetworkResponse(this.context, params, finished);
+    // Copy so handlers can remove themselves while being called
+    [...this.responseListeners].forEach((handler: ResponseHandler) => handler(response));
+  }
 
-      this.context.on('Network.requestWillBeSent', onRequest);
-      this.context.on('Network.responseReceived', onResponse);
+  /**
+   * Fail the bodies still loading for earlier documents - Chrome doesn't always report the requests
+   * a new document cancels, and their entries would otherwise stay for the life of the page
+   */
+  private _abandonLoadingResponses(loaderId: string): void {
+    this.loadingResponses.forEach((loading: LoadingResponse, requestId: string) => {
+      if (loading.loaderId !== loaderId) {
+        loading.reject(new Error('Loading abandoned: the page navigated away'));
+        this.loadingResponses.delete(requestId);
+      }
+    });
+  }
 
-      // Start idle timer
-      idleTimer = setTimeout(() => {
-        this.context.off('Network.requestWillBeSent', onRequest);
-        this.context.off('Network.responseReceived', onResponse);
-        resolve();
+  /**
+   * Enable Page lifecycle events and start tracking the main frame's load state
+   */
+  private _enableLifecycleEvents(): Promise<void> {
+    if (!this.lifecycleReady) {
+      this.lifecycleReady = (async (): Promise<void> => {
+        this.context.on('Page.lifecycleEvent', (params: LifecycleEvent) =>
+          this._onLifecycleEvent(params)
+        );
+        await this.context.sendCommand('Page', 'enable');
+        await this.context.sendCommand('Page', 'setLifecycleEventsEnabled', { enabled: true });
+        const tree: FrameTreeResult = await this.context.sendCommand<FrameTreeResult>(
+          'Page',
+          'getFrameTree'
+        );
+        this.mainFrameId = tree.frameTree.frame.id;
+      })().catch((error: Error) => {
+        this.lifecycleReady = null;
+        throw error;
+      });
+    }
+    return this.lifecycleReady;
+  }
+
+  private _onLifecycleEvent(params: LifecycleEvent): void {
+    if (params.frameId !== this.mainFrameId) {
+      return;
+    }
+    // "init" starts a new document - events still arriving for the previous one are stale
+    if (params.name === 'init') {
+      this.loaderId = params.loaderId;
+      this.lifecycle.clear();
+      this._abandonLoadingResponses(params.loaderId);
+    } else if (params.loaderId !== this.loaderId) {
+      return;
+    }
+    this.lifecycle.add(params.name);
+  }
+
+  /**
+   * Resolve once `isReached` holds, re-checking after every lifecycle event
+   */
+  private _waitForLifecycle(
+    isReached: () => boolean,
+    timeout: number,
+    description: string,
+    signal?: AbortSignal
+  ): Promise<void> {
+    if (isReached()) {
+      return Promise.resolve();
+    }
+
+    throwIfAborted(signal);
+
+    return new Promise<void>((resolve, reject) => {
+      const onEvent: EventHandler = () => {
+        if (isReached()) {
+          cleanup();
+          resolve();
+        }
+      };
+      const onAbort = (): void => {
+        cleanup();
+        reject(abortReason(signal!));
+      };
+      const timer: ReturnType<typeof setTimeout> = setTimeout(() => {
+        cleanup();
+        reject(new TimeoutError(`Timeout ${timeout}ms exceeded waiting for ${description}`));
       }, timeout);
+      const cleanup = (): void => {
+        clearTimeout(timer);
+        this.context.off('Page.lifecycleEvent', onEvent);
+        signal?.removeEventListener('abort', onAbort);
+      };
+
+      this.context.on('Page.lifecycleEvent', onEvent);
+      signal?.addEventListener('abort', onAbort);
     });
   }
 
   /**
-   * Scroll to element (doesn't wait - just tries to scroll)
+   * Runtime.callFunctionOn against the page's global object (the current document's main world)
    */
-  async scrollTo(selector: string): Promise<void> {
-    // Enable Runtime domain
-    try {
-      await this.context.sendCommand('Runtime', 'enable');
-    } catch (error) {
-      // Already enabled
+  private async _callFunctionOn(
+    functionDeclaration: string,
+    args: unknown[]
+  ): Promise<CDPCommandResult> {
+    const global: CDPCommandResult = await this.context.sendCommand('Runtime', 'evaluate', {
+      expression: 'globalThis',
+    });
+    const objectId: string | undefined = global.result?.objectId;
+    if (!objectId) {
+      throw new Error('Could not resolve the page global object');
     }
 
     try {
-      await this.context.sendCommand('Runtime', 'evaluate', {
-        expression: `
-          (function() {
-            try {
-              const element = document.querySelector('${selector.replace(/'/g, "\\'")}');
-              if (element) {
-                element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-              }
-            } catch(e) {
-              // Ignore
-            }
-          })()
-        `,
+      return await this.context.sendCommand('Runtime', 'callFunctionOn', {
+        functionDeclaration,
+        objectId,
+        arguments: args.map((value: unknown) => ({ value })),
         returnByValue: true,
+        awaitPromise: true,
       });
-    } catch (error) {
-      console.log(`[CDP] Error scrolling to ${selector}:`, error);
+    } finally {
+      this.context.sendCommand('Runtime', 'releaseObject', { objectId }).catch(() => {
+        // The document may already be gone, which releases it anyway
+      });
+    }
+  }
+
+  /**
+   * Reject with a TimeoutError if a promise hasn't settled within `ms`, or with the signal's
+   * reason as soon as it aborts
+   */
+  private _withTimeout<T>(
+    promise: Promise<T>,
+    ms: number,
+    message: string,
+    signal?: AbortSignal
+  ): Promise<T> {
+    return new Promise<T>((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortReason(signal));
+        return;
+      }
+      const onAbort = (): void => {
+        cleanup();
+        reject(abortReason(signal!));
+      };
+      const timer: ReturnType<typeof setTimeout> = setTimeout(() => {
+        cleanup();
+        reject(new TimeoutError(message));
+      }, ms);
+      const cleanup = (): void => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      signal?.addEventListener('abort', onAbort);
+      promise.then(
+        (value: T) => {
+          cleanup();
+          resolve(value);
+        },
+        (error: unknown) => {
+          cleanup();
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Private sleep utility - cut short with the signal's reason when it aborts
+   */
+  private _sleep(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise<void>((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortReason(signal));
+        return;
+      }
+      const onAbort = (): void => {
+        clearTimeout(timer);
+        reject(abortReason(signal!));
+      };
+      const timer: ReturnType<typeof setTimeout> = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+/**
+ * Locator - similar to Playwright's locator
+ * Describes how to find elements (selector chain, nth, text filters) and resolves it inside the
+ * page every time an action runs. Selectors and other values are passed as call arguments, so
+ * they can't break out of the page code.
+ */
+export class Locator {
+  public readonly page: Page;
+  private readonly steps: LocatorStep[];
+
+  constructor(page: Page, steps: LocatorStep[]) {
+    this.page = page;
+    this.steps = steps;
+  }
+
+  /**
+   * Locate elements matching a selector inside the elements matched so far
+   */
+  locator(selector: string, options: LocatorOptions = {}): Locator {
+    return this._with({ kind: 'css', selector, pierce: !!options.pierce });
+  }
+
+  /**
+   * Narrow to the element at an index (negative indexes count from the end)
+   */
+  nth(index: number): Locator {
+    return this._with({ kind: 'nth', index });
+  }
+
+  first(): Locator {
+    return this.nth(0);
+  }
+
+  last(): Locator {
+    return this.nth(-1);
+  }
+
+  /**
+   * Keep only elements whose text matches
+   */
+  filter(filter: LocatorFilter): Locator {
+    const { hasText } = filter;
+    if (hasText === undefined) {
+      return this;
+    }
+    if (hasText instanceof RegExp) {
+      // Drop stateful flags so repeated test() calls don't skip matches
+      const flags: string = hasText.flags.replace(/[gy]/g, '');
+      return this._with({ kind: 'hasText', pattern: { source: hasText.source, flags } });
     }
+    return this._with({ kind: 'hasText', text: hasText });
+  }
+
+  /**
+   * Number of matching elements
+   */
+  async count(): Promise<number> {
+    return this._run<number>((elements: Element[]) => elements.length);
+  }
+
+  /**
+   * Trimmed text of the first matching element, or null if nothing matches
+   */
+  async textContent(): Promise<string | null> {
+    return this._run<string | null>((elements: Element[]) =>
+      elements.length > 0 ? (elements[0].textContent || '').trim() : null
+    );
+  }
+
+  /**
+   * Trimmed text of every matching element
+   */
+  async allTextContents(): Promise<string[]> {
+    return this._run<string[]>((elements: Element[]) =>
+      elements.map((element: Element) => (element.textContent || '').trim())
+    );
+  }
+
+  /**
+   * Attribute value of the first matching element, or null
+   */
+  async getAttribute(name: string): Promise<string | null> {
+    return this._run<string | null>(
+      (elements: Element[], attribute: string) =>
+        elements.length > 0 ? elements[0].getAttribute(attribute) : null,
+      name
+    );
+  }
+
+  /**
+   * Scroll the first matching element into the middle of the viewport
+   */
+  async scrollIntoView(): Promise<void> {
+    await this._run<void>((elements: Element[]) => {
+      if (elements.length > 0) {
+        elements[0].scrollIntoView({ block: 'center' });
+      }
+    });
+  }
+
+  /**
+   * Run a function over all matching elements in the page and return its result
+   * The function is serialized, so it must not reference anything outside its own body
+   */
+  async evaluateAll<T = any, A = any>(
+    pageFunction: (elements: Element[], arg: A) => T,
+    arg?: A
+  ): Promise<T> {
+    return this._run<T>(pageFunction, arg);
+  }
+
+  /**
+   * Wait for the first matching element to reach a state
+   */
+  async waitFor(options: LocatorWaitOptions = {}): Promise<void> {
+    const state: ElementState = options.state || 'visible';
+    await this.page.pollFunction(
+      `(arg) => (${matchesState.toString()})((${resolveLocator.toString()})(arg.steps), arg.state)`,
+      { steps: this.steps, state },
+      { timeout: options.timeout, signal: options.signal }
+    );
+  }
+
+  /**
+   * Click the first matching element once it is visible
+   */
+  async click(options: ClickOptions = {}): Promise<void> {
+    await this.waitFor({ state: 'visible', timeout: options.timeout, signal: options.signal });
+
+    // Scroll the element into view and get its center
+    const position: ElementPosition | null = await this._run<ElementPosition | null>(
+      (elements: Element[]) => {
+        if (elements.length === 0) {
+          return null;
+        }
+        elements[0].scrollIntoView({ block: 'center' });
+        const rect: DOMRect = elements[0].getBoundingClientRect();
+        return {
+          x: rect.left + rect.width / 2,
+          y: rect.top + rect.height / 2,
+        };
+      }
+    );
+    if (!position) {
+      throw new Error(`Element not found: ${this}`);
+    }
+
+    const { x, y } = position;
+
+    // Simulate mouse click
+    await this.page.context.sendCommand('Input', 'dispatchMouseEvent', {
+      type: 'mousePressed',
+      x: Math.round(x),
+      y: Math.round(y),
+      button: 'left',
+      clickCount: 1,
+    });
+
+    await this.page.context.sendCommand('Input', 'dispatchMouseEvent', {
+      type: 'mouseReleased',
+      x: Math.round(x),
+      y: Math.round(y),
+      button: 'left',
+      clickCount: 1,
+    });
+
+    if (options.waitAfter) {
+      await this.page.waitForTimeout(options.waitAfter, { signal: options.signal });
+    }
+  }
+
+  /**
+   * Readable description for logs and errors, e.g. locator('tr').filter({ hasText: 'x' }).nth(1)
+   */
+  toString(): string {
+    return this.steps
+      .map((step: LocatorStep, index: number) => {
+        switch (step.kind) {
+          case 'css': {
+            const call: string = `locator(${JSON.stringify(step.selector)}${step.pierce ? ', { pierce: true }' : ''})`;
+            return index === 0 ? call : `.${call}`;
+          }
+          case 'nth':
+            return `.nth(${step.index})`;
+          case 'hasText':
+            return step.pattern
+              ? `.filter({ hasText: /${step.pattern.source}/${step.pattern.flags} })`
+              : `.filter({ hasText: ${JSON.stringify(step.text)} })`;
+        }
+      })
+      .join('');
+  }
 
-    await this._sleep(500);
+  private _with(step: LocatorStep): Locator {
+    return new Locator(this.page, [...this.steps, step]);
   }
 
   /**
-   * Private sleep utility
+   * Resolve the locator in the page and pass the matches to an action
    */
-  private _sleep(ms: number): Promise<void> {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  private _run<T>(action: (elements: Element[], arg: any) => any, arg?: unknown): Promise<T> {
+    return this.page.callFunction<T>(
+      `function (steps, arg) {
+        return (${action.toString()})((${resolveLocator.toString()})(steps), arg);
+      }`,
+      [this.steps, arg]
+    );
   }
 }
 
 /**
  * Create a new page context (similar to Playwright's context.newPage())
+ * @param transport - How commands reach the tab (default: chrome.debugger)
  */
-export async function createPage(tabId: number): Promise<Page> {
-  const context = new CDPContext(tabId);
+export async function createPage(tabId: number, transport?: CDPTransport): Promise<Page> {
+  const context = new CDPContext(tabId, transport);
   await context.attach();
   return new Page(context);
 }
@@ -623,7 +1576,17 @@ export async function createPage(tabId: number): Promise<Page> {
 // Export to global namespace for Chrome extension compatibility
 interface CDPGlobal {
   CDPContext: typeof CDPContext;
+  ChromeDebuggerTransport: typeof ChromeDebuggerTransport;
   Page: typeof Page;
+  Locator: typeof Locator;
+  NetworkResponse: typeof NetworkResponse;
+  TimeoutError: typeof TimeoutError;
+  AbortError: typeof AbortError;
+  NavigationError: typeof NavigationError;
+  TargetClosedError: typeof TargetClosedError;
+  isTransientError: typeof isTransientError;
+  isAbortError: typeof isAbortError;
+  abortReason: typeof abortReason;
   createPage: typeof createPage;
 }
 
@@ -634,10 +1597,26 @@ declare global {
   var CDP: CDPGlobal;
 }
 
+const cdp: CDPGlobal = {
+  CDPContext,
+  ChromeDebuggerTransport,
+  Page,
+  Locator,
+  NetworkResponse,
+  TimeoutError,
+  AbortError,
+  NavigationError,
+  TargetClosedError,
+  isTransientError,
+  isAbortError,
+  abortReason,
+  createPage,
+};
+
 if (typeof window !== 'undefined') {
-  (window as Window).CDP = { CDPContext, Page, createPage };
+  (window as Window).CDP = cdp;
 } else {
   // For service worker context
-  (self as any).CDP = { CDPContext, Page, createPage };
+  (globalThis as any).CDP = cdp;
 }
 
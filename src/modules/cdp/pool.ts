@@ -0,0 +1,283 @@
+/**
+ * Page Pool
+ * Keeps warm, debugger-attached background tabs per key (one key per source) and leases them
+ * out to scrapers, so a lookup recycles an existing tab with page.goto instead of opening,
+ * loading and closing a new one every time
+ */
+
+import { logger } from '../logging/logger';
+import { createPage, Page } from './core';
+
+interface PagePoolOptions {
+  /** Idle pages kept per key - extra pages are closed when released */
+  maxIdlePerKey?: number;
+  /** Close a page that has been idle for this long (ms) */
+  idleTimeout?: number;
+}
+
+interface ReleaseOptions {
+  /** Close the page instead of returning it to the pool (e.g. after a scrape failed) */
+  discard?: boolean;
+}
+
+// chrome.storage.session key listing the tabs this pool has open, so tabs left behind by a
+// service worker that was shut down can be closed when the next one starts
+const POOL_TABS_KEY: string = 'page_pool_tabs';
+
+interface PooledPage {
+  key: string;
+  page: Page;
+  crashed: boolean;
+  idleTimer: ReturnType<typeof setTimeout> | null;
+}
+
+/**
+ * Pool of reusable pages, keyed by source id
+ */
+export class PagePool {
+  private readonly maxIdlePerKey: number;
+  private readonly idleTimeout: number;
+  private idle: Map<string, PooledPage[]> = new Map();
+  private leased: Map<Page, PooledPage> = new Map();
+  private openTabs: Set<number> = new Set();
+
+  constructor(options: PagePoolOptions = {}) {
+    this.maxIdlePerKey = options.maxIdlePerKey ?? 3;
+    this.idleTimeout = options.idleTimeout ?? 60000;
+  }
+
+  /**
+   * Close tabs opened by a previous instance of the pool (e.g. before the service worker restarted)
+   */
+  async closeOrphanedTabs(): Promise<void> {
+    const stored: { [key: string]: any } = await chrome.storage.session.get(POOL_TABS_KEY);
+    const tabIds: number[] = (stored[POOL_TABS_KEY] as number[] | undefined) || [];
+    const orphans: number[] = tabIds.filter((tabId: number) => !this.openTabs.has(tabId));
+    if (orphans.length > 0) {
+      logger.log('[PagePool] Closing orphaned tabs:', orphans);
+      await Promise.all(orphans.map((tabId: number) => this._closeTab(tabId)));
+    }
+    await this._saveOpenTabs();
+  }
+
+  /**
+   * Lease a page for a key - reuses a healthy idle page or opens a new background tab
+   */
+  async acquire(key: string): Promise<Page> {
+    const idlePages: PooledPage[] = this.idle.get(key) || [];
+
+    while (idlePages.length > 0) {
+      const pooled: PooledPage = idlePages.pop()!;
+      this._clearIdleTimer(pooled);
+
+      if (await this._isHealthy(pooled)) {
+        logger.log(`[PagePool] Reusing warm tab ${pooled.page.tabId} for ${key}`);
+        this.leased.set(pooled.page, pooled);
+        return pooled.page;
+      }
+
+      logger.log(`[PagePool] Dropping unhealthy tab ${pooled.page.tabId} for ${key}`);
+      await this._dispose(pooled);
+    }
+
+    const pooled: PooledPage = await this._open(key);
+    this.leased.set(pooled.page, pooled);
+    return pooled.page;
+  }
+
+  /**
+   * Return a leased page to the pool
+   */
+  async release(page: Page, options: ReleaseOptions = {}): Promise<void> {
+    const pooled: PooledPage | undefined = this.leased.get(page);
+    if (!pooled) {
+      return;
+    }
+    this.leased.delete(page);
+
+    const idlePages: PooledPage[] = this.idle.get(pooled.key) || [];
+    const reusable: boolean =
+      !options.discard &&
+      idlePages.length < this.maxIdlePerKey &&
+      (await this._isHealthy(pooled));
+    if (!reusable) {
+      await this._dispose(pooled);
+      return;
+    }
+
+    // Park the tab on a blank page so the last report stops running scripts and requests
+    try {
+      await page.context.sendCommand('Page', 'navigate', { url: 'about:blank' });
+    } catch (error) {
+      logger.log(`[PagePool] Could not blank tab ${page.tabId}:`, error);
+      await this._dispose(pooled);
+      return;
+    }
+
+    pooled.idleTimer = setTimeout(() => {
+      this._removeIdle(pooled);
+      void this._dispose(pooled);
+    }, this.idleTimeout);
+
+    idlePages.push(pooled);
+    this.idle.set(pooled.key, idlePages);
+  }
+
+  /**
+   * Lease a page for the duration of a task
+   * The page is discarded rather than reused if the task throws
+   */
+  async withPage<T>(key: string, task: (page: Page) => Promise<T>): Promise<T> {
+    const page: Page = await this.acquire(key);
+    let failed: boolean = false;
+    try {
+      return await task(page);
+    } catch (error) {
+      failed = true;
+      throw error;
+    } finally {
+      await this.release(page, { discard: failed });
+    }
+  }
+
+  /**
+   * Close every idle page (leased pages are closed when they are released)
+   */
+  async drain(): Promise<void> {
+    const idlePages: PooledPage[] = Array.from(this.idle.values()).flat();
+    this.idle.clear();
+    await Promise.all(
+      idlePages.map((pooled: PooledPage) => {
+        this._clearIdleTimer(pooled);
+        return this._dispose(pooled);
+      })
+    );
+  }
+
+  /**
+   * Open a new non-active tab and attach the debugger to it
+   */
+  private async _open(key: string): Promise<PooledPage> {
+    const tab: chrome.tabs.Tab = await new Promise<chrome.tabs.Tab>((resolve, reject) => {
+      chrome.tabs.create({ url: 'about:blank', active: false }, (created: chrome.tabs.Tab) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        if (!created || !created.id) {
+          reject(new Error('Failed to create tab'));
+          return;
+        }
+        resolve(created);
+      });
+    });
+
+    this.openTabs.add(tab.id!);
+    await this._saveOpenTabs();
+
+    let page: Page;
+    try {
+      page = await createPage(tab.id!);
+    } catch (error) {
+      await this._closeTab(tab.id!);
+      throw error;
+    }
+
+    const pooled: PooledPage = { key, page, crashed: false, idleTimer: null };
+
+    // Renderer crashes leave the debugger attached, so listen for them explicitly
+    page.context.on('Inspector.targetCrashed', () => {
+      logger.log(`[PagePool] Tab ${page.tabId} crashed`);
+      pooled.crashed = true;
+    });
+    try {
+      await page.context.sendCommand('Inspector', 'enable');
+    } catch (error) {
+      logger.log('[PagePool] Inspector domain unavailable:', error);
+    }
+
+    logger.log(`[PagePool] Opened tab ${page.tabId} for ${key}`);
+    return pooled;
+  }
+
+  /**
+   * A page is reusable if its tab still exists, the debugger is attached and it hasn't crashed
+   */
+  private async _isHealthy(pooled: PooledPage): Promise<boolean> {
+    if (pooled.crashed || !pooled.page.context.isAttached) {
+      return false;
+    }
+    return new Promise<boolean>((resolve) => {
+      chrome.tabs.get(pooled.page.tabId, (tab: chrome.tabs.Tab) => {
+        resolve(!chrome.runtime.lastError && !!tab);
+      });
+    });
+  }
+
+  /**
+   * Detach and close a page's tab, ignoring tabs that are already gone
+   */
+  private async _dispose(pooled: PooledPage): Promise<void> {
+    try {
+      await pooled.page.context.detach();
+    } catch (error) {
+      logger.log(`[PagePool] Detach failed for tab ${pooled.page.tabId}:`, error);
+    }
+    await this._closeTab(pooled.page.tabId);
+  }
+
+  private async _closeTab(tabId: number): Promise<void> {
+    await new Promise<void>((resolve) => {
+      chrome.tabs.remove(tabId, () => {
+        // Reading lastError marks it as handled when the tab was already closed
+        void chrome.runtime.lastError;
+        resolve();
+      });
+    });
+    if (this.openTabs.delete(tabId)) {
+      await this._saveOpenTabs();
+    }
+  }
+
+  private async _saveOpenTabs(): Promise<void> {
+    try {
+      await chrome.storage.session.set({ [POOL_TABS_KEY]: Array.from(this.openTabs) });
+    } catch (error) {
+      logger.log('[PagePool] Could not record open tabs:', error);
+    }
+  }
+
+  private _removeIdle(pooled: PooledPage): void {
+    const idlePages: PooledPage[] = this.idle.get(pooled.key) || [];
+    const index: number = idlePages.indexOf(pooled);
+    if (index > -1) {
+      idlePages.splice(index, 1);
+    }
+  }
+
+  private _clearIdleTimer(pooled: PooledPage): void {
+    if (pooled.idleTimer) {
+      clearTimeout(pooled.idleTimer);
+      pooled.idleTimer = null;
+    }
+  }
+}
+
+// Export to global namespace for Chrome extension compatibility
+interface CDPPoolGlobal {
+  PagePool: typeof PagePool;
+}
+
+declare global {
+  interface Window {
+    CDPPool: CDPPoolGlobal;
+  }
+  var CDPPool: CDPPoolGlobal;
+}
+
+if (typeof window !== 'undefined') {
+  (window as Window).CDPPool = { PagePool };
+} else {
+  // For service worker context
+  (globalThis as any).CDPPool = { PagePool };
+}
@@ -0,0 +1,356 @@
+/**
+ * WebSocket CDP Transport
+ * Drives a Chrome started with --remote-debugging-port over its DevTools WebSocket, so the Page
+ * API and the scrapers run outside the extension (Node scripts, CI). One browser connection
+ * carries every page: each target gets its own flat session (Target.attachToTarget with
+ * `flatten`), and messages are routed by their sessionId - the same model as Playwright's
+ * connectOverCDP.
+ */
+
+import { logger } from '../logging/logger';
+import { CDPContext, Page } from './core';
+import type { CDPCommandParams, CDPTransport, TransportHandlers } from './core';
+
+/**
+ * The subset of the WebSocket API the connection uses - browsers, service workers and Node 22+
+ * provide it globally; on older Node pass the `ws` package's WebSocket as `createSocket`
+ */
+export interface WebSocketLike {
+  send(data: string): void;
+  close(): void;
+  onopen: ((event: any) => void) | null;
+  onmessage: ((event: any) => void) | null;
+  onclose: ((event: any) => void) | null;
+  onerror: ((event: any) => void) | null;
+}
+
+export interface ConnectOptions {
+  /** Open the socket (default: the global WebSocket) */
+  createSocket?: (url: string) => WebSocketLike;
+  /** Give up connecting after this long (ms) */
+  timeout?: number;
+}
+
+interface ProtocolMessage {
+  id?: number;
+  method?: string;
+  params?: any;
+  result?: any;
+  error?: { code: number; message: string };
+  sessionId?: string;
+}
+
+interface PendingCommand {
+  method: string;
+  resolve: (result: any) => void;
+  reject: (error: Error) => void;
+}
+
+interface TargetInfo {
+  targetId: string;
+  type: string;
+  url: string;
+}
+
+type EventHandler = (params?: any) => void;
+
+const DEFAULT_CONNECT_TIMEOUT: number = 30000;
+
+/**
+ * Resolve the browser WebSocket URL - an http(s) endpoint is looked up through /json/version
+ */
+async function resolveEndpoint(endpoint: string): Promise<string> {
+  if (/^wss?:\/\//i.test(endpoint)) {
+    return endpoint;
+  }
+  const response: Response = await fetch(new URL('/json/version', endpoint).href);
+  if (!response.ok) {
+    throw new Error(`No DevTools endpoint at ${endpoint} (HTTP ${response.status})`);
+  }
+  const version: { webSocketDebuggerUrl?: string } = await response.json();
+  if (!version.webSocketDebuggerUrl) {
+    throw new Error(`${endpoint} did not report a webSocketDebuggerUrl`);
+  }
+  return version.webSocketDebuggerUrl;
+}
+
+/**
+ * A browser-level DevTools connection, multiplexing the sessions of its pages
+ */
+export class CDPConnection {
+  private readonly socket: WebSocketLike;
+  private nextId: number = 1;
+  private nextPageId: number = 1;
+  private closed: boolean = false;
+  private pending: Map<number, PendingCommand> = new Map();
+  private sessions: Map<string, TransportHandlers> = new Map();
+  private eventListeners: Map<string, EventHandler[]> = new Map();
+
+  private constructor(socket: WebSocketLike) {
+    this.socket = socket;
+    socket.onmessage = (event: { data: any }) => this._onMessage(String(event.data));
+    socket.onclose = () => this._onClose();
+    // An error after connecting closes the connection - `ws` throws errors that have no listener
+    socket.onerror = () => this.close();
+  }
+
+  /**
+   * Connect to a browser
+   * @param endpoint - http://127.0.0.1:9222 or the ws://.../devtools/browser/<id> URL itself
+   */
+  static async connect(endpoint: string, options: ConnectOptions = {}): Promise<CDPConnection> {
+    const url: string = await resolveEndpoint(endpoint);
+    if (!options.createSocket && typeof WebSocket === 'undefined') {
+      // Node before 22 has no WebSocket built in - pass one from the ws package
+      throw new Error('No WebSocket available - pass options.createSocket (e.g. from the ws package)');
+    }
+    const createSocket =
+      options.createSocket || ((socketUrl: string): WebSocketLike => new WebSocket(socketUrl));
+    const timeout: number = options.timeout ?? DEFAULT_CONNECT_TIMEOUT;
+    const socket: WebSocketLike = createSocket(url);
+
+    await new Promise<void>((resolve, reject) => {
+      const timer = setTimeout(() => {
+        socket.close();
+        reject(new Error(`Timed out connecting to ${url}`));
+      }, timeout);
+      socket.onopen = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      socket.onerror = () => {
+        clearTimeout(timer);
+        reject(new Error(`Could not connect to ${url}`));
+      };
+    });
+
+    return new CDPConnection(socket);
+  }
+
+  get isConnected(): boolean {
+    return !this.closed;
+  }
+
+  /**
+   * Send a command to the browser, or to a page session when `sessionId` is given
+   */
+  send(method: string, params: CDPCommandParams = {}, sessionId?: string): Promise<any> {
+    if (this.closed) {
+      return Promise.reject(new Error('DevTools connection is closed'));
+    }
+    const id: number = this.nextId++;
+    const message: ProtocolMessage = sessionId ? { id, method, params, sessionId } : { id, method, params };
+    return new Promise<any>((resolve, reject) => {
+      this.pending.set(id, { method, resolve, reject });
+      this.socket.send(JSON.stringify(message));
+    });
+  }
+
+  /**
+   * Listen for browser-level events (e.g. Target.targetCreated)
+   */
+  on(eventName: string, handler: EventHandler): void {
+    if (!this.eventListeners.has(eventName)) {
+      this.eventListeners.set(eventName, []);
+    }
+    this.eventListeners.get(eventName)!.push(handler);
+  }
+
+  off(eventName: string, handler: EventHandler): void {
+    const handlers: EventHandler[] | undefined = this.eventListeners.get(eventName);
+    if (handlers) {
+      const index: number = handlers.indexOf(handler);
+      if (index > -1) {
+        handlers.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Route a session's events and detach to its transport
+   */
+  registerSession(sessionId: string, handlers: TransportHandlers): void {
+    this.sessions.set(sessionId, handlers);
+  }
+
+  unregisterSession(sessionId: string): void {
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Open a new page (tab) and attach a Page to it
+   * The page's tabId is a number local to this connection - there are no extension tab ids here.
+   */
+  async newPage(url: string = 'about:blank'): Promise<Page> {
+    const { targetId } = await this.send('Target.createTarget', { url });
+    const context: CDPContext = new CDPContext(this.nextPageId++, new WebSocketTransport(this, targetId));
+    try {
+      await context.attach();
+    } catch (error) {
+      await this.send('Target.closeTarget', { targetId }).catch(() => undefined);
+      throw error;
+    }
+    return new Page(context);
+  }
+
+  /**
+   * Attach a Page to a target that is already open (see `targets()`)
+   */
+  async attachPage(targetId: string): Promise<Page> {
+    const context: CDPContext = new CDPContext(this.nextPageId++, new WebSocketTransport(this, targetId));
+    await context.attach();
+    return new Page(context);
+  }
+
+  /**
+   * Detach from a page and close its tab
+   */
+  async closePage(page: Page): Promise<void> {
+    const transport: CDPTransport = page.context.transport;
+    if (!(transport instanceof WebSocketTransport)) {
+      throw new Error('Page was not opened through this connection');
+    }
+    await page.context.detach().catch(() => undefined);
+    await this.send('Target.closeTarget', { targetId: transport.targetId }).catch(() => undefined);
+  }
+
+  /**
+   * Open page targets of the browser
+   */
+  async targets(): Promise<TargetInfo[]> {
+    const { targetInfos } = await this.send('Target.getTargets');
+    return (targetInfos as TargetInfo[]).filter((target: TargetInfo) => target.type === 'page');
+  }
+
+  /**
+   * Close the connection - the browser and its tabs keep running
+   */
+  close(): void {
+    if (!this.closed) {
+      this.socket.close();
+      this._onClose();
+    }
+  }
+
+  private _onMessage(data: string): void {
+    let message: ProtocolMessage;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      logger.log('[CDP] Ignoring malformed message:', error);
+      return;
+    }
+
+    if (message.id !== undefined) {
+      const command: PendingCommand | undefined = this.pending.get(message.id);
+      if (!command) return;
+      this.pending.delete(message.id);
+      if (message.error) {
+        command.reject(new Error(`${command.method}: ${message.error.message}`));
+      } else {
+        command.resolve(message.result);
+      }
+      return;
+    }
+
+    if (!message.method) return;
+
+    if (message.sessionId) {
+      const session: TransportHandlers | undefined = this.sessions.get(message.sessionId);
+      if (session) {
+        session.onEvent(message.method, message.params);
+      }
+      return;
+    }
+
+    // Sessions whose target closed or crashed are detached by the browser
+    if (message.method === 'Target.detachedFromTarget') {
+      const sessionId: string = message.params.sessionId;
+      const session: TransportHandlers | undefined = this.sessions.get(sessionId);
+      if (session) {
+        this.sessions.delete(sessionId);
+        session.onDetach('target_closed');
+      }
+    }
+
+    const handlers: EventHandler[] = [...(this.eventListeners.get(message.method) || [])];
+    handlers.forEach((handler: EventHandler) => handler(message.params));
+  }
+
+  private _onClose(): void {
+    if (this.closed) return;
+    this.closed = true;
+
+    const error: Error = new Error('DevTools connection closed');
+    this.pending.forEach((command: PendingCommand) => command.reject(error));
+    this.pending.clear();
+
+    const sessions: TransportHandlers[] = Array.from(this.sessions.values());
+    this.sessions.clear();
+    sessions.forEach((session: TransportHandlers) => session.onDetach('connection_closed'));
+  }
+}
+
+/**
+ * Transport for one target of a CDPConnection, over its own flat session
+ */
+export class WebSocketTransport implements CDPTransport {
+  public readonly targetId: string;
+  private readonly connection: CDPConnection;
+  private sessionId: string | null = null;
+
+  constructor(connection: CDPConnection, targetId: string) {
+    this.connection = connection;
+    this.targetId = targetId;
+  }
+
+  async attach(handlers: TransportHandlers): Promise<void> {
+    const { sessionId } = await this.connection.send('Target.attachToTarget', {
+      targetId: this.targetId,
+      flatten: true,
+    });
+    this.sessionId = sessionId;
+    this.connection.registerSession(sessionId, {
+      onEvent: handlers.onEvent,
+      onDetach: (reason: string) => {
+        this.sessionId = null;
+        handlers.onDetach(reason);
+      },
+    });
+  }
+
+  async detach(): Promise<void> {
+    const sessionId: string | null = this.sessionId;
+    if (!sessionId) return;
+    this.sessionId = null;
+    this.connection.unregisterSession(sessionId);
+    await this.connection.send('Target.detachFromTarget', { sessionId });
+  }
+
+  send(method: string, params: CDPCommandParams): Promise<any> {
+    if (!this.sessionId) {
+      return Promise.reject(new Error(`Not attached to target ${this.targetId}`));
+    }
+    return this.connection.send(method, params, this.sessionId);
+  }
+}
+
+// Export to global namespace for Chrome extension compatibility
+interface CDPWebSocketGlobal {
+  CDPConnection: typeof CDPConnection;
+  WebSocketTransport: typeof WebSocketTransport;
+}
+
+declare global {
+  interface Window {
+    CDPWebSocket: CDPWebSocketGlobal;
+  }
+  var CDPWebSocket: CDPWebSocketGlobal;
+}
+
+if (typeof window !== 'undefined') {
+  (window as Window).CDPWebSocket = { CDPConnection, WebSocketTransport };
+} else {
+  // For service worker context
+  (globalThis as any).CDPWebSocket = { CDPConnection, WebSocketTransport };
+}
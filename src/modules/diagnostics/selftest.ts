@@ -0,0 +1,250 @@
+/**
+ * Scraper Self-Test
+ * Runs every scraper against saved snapshots of its report pages (fixtures) and compares what it
+ * extracts to the expected values, so a vendor markup change shows up as named broken fields
+ * instead of quietly thinner results. Fixtures load from the extension package, a local static
+ * server or file:// - no vendor is contacted.
+ */
+
+import { logger } from '../logging/logger';
+import type { Page } from '../cdp/core';
+import type { PagePool } from '../cdp/pool';
+import { parseIndicator } from '../indicators/indicator';
+import { getSource } from '../scrapers/registry';
+import type { SourceDescriptor } from '../scrapers/registry';
+import type {
+  DiagnosticsReport,
+  DiagnosticsSettings,
+  FieldCheck,
+  FixtureManifest,
+  Indicator,
+  ScraperFixture,
+  SourceData,
+  SourceDiagnostics,
+  SourceHealth,
+} from '../../types/osint';
+
+// chrome.storage.local keys for the last report and the fixture location
+export const DIAGNOSTICS_REPORT_KEY: string = 'diagnostics_report';
+export const DIAGNOSTICS_SETTINGS_KEY: string = 'diagnostics_settings';
+
+// The fixture manifest always ships with the extension, wherever the pages are served from
+const FIXTURE_MANIFEST_PATH: string = 'fixtures/fixtures.json';
+
+/**
+ * Where fixture pages are leased from - the extension's PagePool, or anything else that hands
+ * out pages the same way (the command line opens a tab per fixture)
+ */
+export type FixturePages = Pick<PagePool, 'withPage'>;
+
+/**
+ * Where fixture pages are loaded from - the configured base URL, or the packaged fixtures
+ */
+export async function getFixtureBaseUrl(): Promise<string> {
+  const stored: { [key: string]: any } = await chrome.storage.local.get(DIAGNOSTICS_SETTINGS_KEY);
+  const settings: DiagnosticsSettings = stored[DIAGNOSTICS_SETTINGS_KEY] || {};
+  const baseUrl: string = (settings.fixtureBaseUrl || '').trim() || chrome.runtime.getURL('fixtures/');
+  return baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+}
+
+/**
+ * Read a value by path - dots nest into objects and index into lists ("reports.0.date")
+ */
+function readPath(data: unknown, path: string): unknown {
+  return path
+    .split('.')
+    .reduce(
+      (node: any, key: string) => (node !== null && node !== undefined ? node[key] : undefined),
+      data
+    );
+}
+
+/**
+ * Structural equality of JSON values (key order doesn't matter)
+ */
+function sameValue(expected: unknown, actual: unknown): boolean {
+  if (expected === actual) {
+    return true;
+  }
+  if (
+    typeof expected !== 'object' ||
+    typeof actual !== 'object' ||
+    expected === null ||
+    actual === null ||
+    Array.isArray(expected) !== Array.isArray(actual)
+  ) {
+    return false;
+  }
+  const expectedKeys: string[] = Object.keys(expected);
+  const actualKeys: string[] = Object.keys(actual).filter(
+    (key: string) => (actual as { [key: string]: unknown })[key] !== undefined
+  );
+  return (
+    expectedKeys.length === actualKeys.length &&
+    expectedKeys.every((key: string) =>
+      sameValue((expected as { [key: string]: unknown })[key], (actual as { [key: string]: unknown })[key])
+    )
+  );
+}
+
+/**
+ * Compare extracted data to a fixture's expected values, field by field
+ */
+export function checkFields(expected: { [field: string]: unknown }, data: SourceData): FieldCheck[] {
+  return Object.entries(expected).map(([field, value]: [string, unknown]): FieldCheck => {
+    const actual: unknown = readPath(data, field);
+    return { field, expected: value, actual, passed: sameValue(value, actual) };
+  });
+}
+
+function healthOf(checks: FieldCheck[], error?: string): SourceHealth {
+  const passed: number = checks.filter((check: FieldCheck) => check.passed).length;
+  if (error || passed === 0) {
+    return 'broken';
+  }
+  return passed === checks.length ? 'healthy' : 'degraded';
+}
+
+/**
+ * Scrape one fixture and check the result
+ */
+async function runFixture(
+  pool: FixturePages,
+  fixture: ScraperFixture,
+  baseUrl: string
+): Promise<SourceDiagnostics> {
+  const startedAt: number = Date.now();
+  const source: SourceDescriptor | undefined = getSource(fixture.source);
+  const name: string = source ? source.name : fixture.source;
+  const fail = (error: string): SourceDiagnostics => ({
+    source: fixture.source,
+    name,
+    indicator: fixture.indicator,
+    status: 'broken',
+    checks: [],
+    error,
+    durationMs: Date.now() - startedAt,
+  });
+
+  if (!source) {
+    return fail(`No source registered as "${fixture.source}"`);
+  }
+  const indicator: Indicator | null = parseIndicator(fixture.indicator);
+  if (!indicator) {
+    return fail(`Fixture indicator "${fixture.indicator}" is not valid`);
+  }
+
+  const pages: { [name: string]: string } = {};
+  Object.entries(fixture.pages || {}).forEach(([page, path]: [string, string]) => {
+    pages[page] = new URL(path, baseUrl).href;
+  });
+
+  let data: SourceData;
+  try {
+    data = await pool.withPage(source.id, (page: Page) =>
+      source.scrape(page, indicator, { url: new URL(fixture.page, baseUrl).href, pages })
+    );
+  } catch (error) {
+    return fail(error instanceof Error ? error.message : String(error));
+  }
+
+  const checks: FieldCheck[] = checkFields(fixture.expected, data);
+  return {
+    source: fixture.source,
+    name,
+    indicator: fixture.indicator,
+    status: healthOf(checks, data.error),
+    checks,
+    error: data.error,
+    durationMs: Date.now() - startedAt,
+  };
+}
+
+/**
+ * Run the fixtures of a manifest one at a time
+ * Uses no extension APIs, so it runs wherever there are pages to lease.
+ * @param pool - Where the fixture pages are leased from
+ * @param manifest - The fixtures
+ * @param baseUrl - URL the fixture pages are relative to (ends with a slash)
+ * @param sourceIds - Only test these sources
+ */
+export async function runFixtures(
+  pool: FixturePages,
+  manifest: FixtureManifest,
+  baseUrl: string,
+  sourceIds?: string[]
+): Promise<DiagnosticsReport> {
+  const startedAt: string = new Date().toISOString();
+  logger.log('[Diagnostics] Running self-test against fixtures at:', baseUrl);
+
+  const fixtures: ScraperFixture[] = manifest.fixtures.filter(
+    (fixture: ScraperFixture) => !sourceIds || sourceIds.includes(fixture.source)
+  );
+
+  const sources: SourceDiagnostics[] = [];
+  for (const fixture of fixtures) {
+    const result: SourceDiagnostics = await runFixture(pool, fixture, baseUrl);
+    logger.log(`[Diagnostics] ${result.name} (${result.indicator}): ${result.status}`, result);
+    sources.push(result);
+  }
+
+  return {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    fixtureBaseUrl: baseUrl,
+    sources,
+  };
+}
+
+/**
+ * Run every packaged fixture and store the report for the popup
+ * @param pool - Pool the fixture pages are leased from
+ * @param sourceIds - Only test these sources
+ */
+export async function runSelfTest(pool: PagePool, sourceIds?: string[]): Promise<DiagnosticsReport> {
+  const baseUrl: string = await getFixtureBaseUrl();
+  const response: Response = await fetch(chrome.runtime.getURL(FIXTURE_MANIFEST_PATH));
+  const manifest: FixtureManifest = await response.json();
+
+  const report: DiagnosticsReport = await runFixtures(pool, manifest, baseUrl, sourceIds);
+  await chrome.storage.local.set({ [DIAGNOSTICS_REPORT_KEY]: report });
+  return report;
+}
+
+// Export to global namespace for Chrome extension compatibility
+interface DiagnosticsGlobal {
+  DIAGNOSTICS_REPORT_KEY: typeof DIAGNOSTICS_REPORT_KEY;
+  DIAGNOSTICS_SETTINGS_KEY: typeof DIAGNOSTICS_SETTINGS_KEY;
+  getFixtureBaseUrl: typeof getFixtureBaseUrl;
+  checkFields: typeof checkFields;
+  runFixtures: typeof runFixtures;
+  runSelfTest: typeof runSelfTest;
+}
+
+declare global {
+  interface Window {
+    Diagnostics: DiagnosticsGlobal;
+  }
+  var Diagnostics: DiagnosticsGlobal;
+}
+
+if (typeof window !== 'undefined') {
+  (window as Window).Diagnostics = {
+    DIAGNOSTICS_REPORT_KEY,
+    DIAGNOSTICS_SETTINGS_KEY,
+    getFixtureBaseUrl,
+    checkFields,
+    runFixtures,
+    runSelfTest,
+  };
+} else {
+  // For service worker context
+  (globalThis as any).Diagnostics = {
+    DIAGNOSTICS_REPORT_KEY,
+    DIAGNOSTICS_SETTINGS_KEY,
+    getFixtureBaseUrl,
+    checkFields,
+    runFixtures,
+    runSelfTest,
+  };
+}
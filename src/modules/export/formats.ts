@@ -0,0 +1,444 @@
+/**
+ * Result Export
+ * Turns lookup results into files analysts hand on: the full OSINTResults as JSON, one flattened
+ * CSV row per indicator, a Markdown summary to paste into a ticket, and a STIX 2.1 bundle for a
+ * threat intelligence platform
+ */
+
+import { describeIndicatorType } from '../indicators/indicator';
+import type {
+  AbuseIPDBData,
+  ExportFile,
+  ExportFormat,
+  Indicator,
+  IPInfoData,
+  OSINTResults,
+  SourceData,
+  Verdict,
+  VerdictSignal,
+  VirusTotalData,
+} from '../../types/osint';
+
+export const EXPORT_FORMATS: ExportFormat[] = ['json', 'csv', 'markdown', 'stix'];
+
+const FILE_TYPES: { [format in ExportFormat]: { extension: string; mimeType: string } } = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  stix: { extension: 'stix.json', mimeType: 'application/stix+json;version=2.1' },
+};
+
+const VERDICT_LABELS: { [verdict in Verdict]: string } = {
+  malicious: 'Malicious',
+  suspicious: 'Suspicious',
+  clean: 'Clean',
+  unknown: 'Unknown',
+};
+
+/**
+ * Flat per-indicator summary - the columns of the popup's bulk summary
+ */
+export interface SummaryRow {
+  indicator: string;
+  type: string;
+  verdict: string;
+  risk_score: number | '';
+  vt_reputation: number | '';
+  abuse_confidence: number | '';
+  country: string;
+  /** Failed sources, whether the scrape threw or returned an error */
+  errors: number;
+}
+
+export function summaryRow(results: OSINTResults): SummaryRow {
+  const vt = results.sources.virustotal as VirusTotalData | undefined;
+  const ipinfo = results.sources.ipinfo as IPInfoData | undefined;
+  const abuse = results.sources.abuseipdb as AbuseIPDBData | undefined;
+  const failed: number = Object.values(results.sources).filter(
+    (data: SourceData | undefined) => data && data.error
+  ).length;
+  return {
+    indicator: results.indicator.value,
+    type: results.indicator.type,
+    verdict: results.verdict ? results.verdict.verdict : '',
+    risk_score: results.verdict && results.verdict.score !== null ? results.verdict.score : '',
+    vt_reputation: vt && vt.reputation ? vt.reputation.score : '',
+    abuse_confidence: abuse && typeof abuse.abuseConfidence === 'number' ? abuse.abuseConfidence : '',
+    country: (ipinfo && ipinfo.country) || (abuse && abuse.country) || (vt && vt.country) || '',
+    errors: results.errors.length + failed,
+  };
+}
+
+/**
+ * The full results, as stored
+ */
+export function toJSON(resultsList: OSINTResults[]): string {
+  return `${JSON.stringify(resultsList, null, 2)}\n`;
+}
+
+function csvField(value: unknown): string {
+  // Text starting with = + - or @ is read as a formula by spreadsheets - prefix it to keep it text
+  const text: string =
+    typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per indicator: the summary columns, when it was looked up and the sources with data
+ */
+export function toCSV(resultsList: OSINTResults[]): string {
+  const rows: { [column: string]: unknown }[] = resultsList.map((results: OSINTResults) => ({
+    ...summaryRow(results),
+    timestamp: results.timestamp,
+    sources: Object.values(results.sources)
+      .filter((data: SourceData | undefined): data is SourceData => !!data && !data.error)
+      .map((data: SourceData) => data.source)
+      .join('; '),
+  }));
+  if (rows.length === 0) {
+    return '';
+  }
+  const columns: string[] = Object.keys(rows[0]);
+  return (
+    [columns, ...rows.map((row) => columns.map((column: string) => row[column]))]
+      .map((values: unknown[]) => values.map(csvField).join(','))
+      .join('\n') + '\n'
+  );
+}
+
+/**
+ * Key findings of a source in one line
+ */
+function sourceFindings(sourceId: string, data: SourceData): string {
+  if (data.error) {
+    return `Error: ${data.error}`;
+  }
+  const findings: string[] = [];
+  if (sourceId === 'virustotal') {
+    const vt = data as VirusTotalData;
+    if (vt.detection) {
+      const stats = vt.detection.stats;
+      const total: number = stats.malicious + stats.suspicious + stats.harmless + stats.undetected;
+      findings.push(`${stats.malicious} malicious, ${stats.suspicious} suspicious of ${total} vendors`);
+    }
+    if (vt.reputation) findings.push(`reputation ${vt.reputation.score}`);
+    if (vt.tags && vt.tags.length > 0) findings.push(`tags: ${vt.tags.join(', ')}`);
+  } else if (sourceId === 'ipinfo') {
+    const ipinfo = data as IPInfoData;
+    if (ipinfo.asn) findings.push(`AS${ipinfo.asn.number} ${ipinfo.asn.name}`);
+    const location: string = [ipinfo.city, ipinfo.country].filter(Boolean).join(', ');
+    if (location) findings.push(location);
+    if (ipinfo.privacy) {
+      const flags: string[] = Object.entries(ipinfo.privacy)
+        .filter(([, value]: [string, boolean]) => value)
+        .map(([flag]: [string, boolean]) => flag);
+      if (flags.length > 0) findings.push(`privacy: ${flags.join(', ')}`);
+    }
+  } else if (sourceId === 'abuseipdb') {
+    const abuse = data as AbuseIPDBData;
+    if (abuse.abuseConfidence !== null) findings.push(`${abuse.abuseConfidence}% abuse confidence`);
+    if (abuse.totalReports !== undefined) findings.push(`${abuse.totalReports} reports`);
+    if (abuse.isp) findings.push(abuse.isp);
+    if (abuse.usageType) findings.push(abuse.usageType);
+  }
+  return findings.length > 0 ? findings.join(' · ') : 'Data collected';
+}
+
+function markdownCell(text: string): string {
+  return text.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Markdown summary of one lookup
+ */
+function markdownSummary(results: OSINTResults): string {
+  const lines: string[] = [
+    `## \`${results.indicator.value}\` - ${describeIndicatorType(results.indicator.type)}`,
+    '',
+  ];
+  if (results.verdict) {
+    const score: string = results.verdict.score !== null ? ` - risk score ${results.verdict.score}/100` : '';
+    lines.push(`**Verdict:** ${VERDICT_LABELS[results.verdict.verdict]}${score}  `);
+  }
+  lines.push(`**Looked up:** ${results.timestamp}`, '');
+
+  const sources: [string, SourceData][] = Object.entries(results.sources).filter(
+    (entry): entry is [string, SourceData] => !!entry[1]
+  );
+  if (sources.length > 0) {
+    lines.push('| Source | Findings |', '|--------|----------|');
+    sources.forEach(([sourceId, data]: [string, SourceData]) => {
+      const name: string = data.url ? `[${data.source}](${data.url})` : data.source;
+      lines.push(`| ${name} | ${markdownCell(sourceFindings(sourceId, data))} |`);
+    });
+    lines.push('');
+  }
+
+  if (results.verdict && results.verdict.signals.length > 0) {
+    lines.push('**Signals**', '');
+    results.verdict.signals.forEach((signal: VerdictSignal) => {
+      lines.push(`- ${signal.source} - ${signal.label}: ${signal.detail} (+${signal.contribution})`);
+    });
+    lines.push('');
+  }
+  if (results.notApplicable.length > 0) {
+    lines.push(`**Not applicable:** ${results.notApplicable.join(', ')}`, '');
+  }
+  if (results.errors.length > 0) {
+    lines.push('**Errors**', '');
+    results.errors.forEach((error) => lines.push(`- ${error.source}: ${error.error}`));
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * A summary per lookup, ready to paste into a ticket
+ */
+export function toMarkdown(resultsList: OSINTResults[]): string {
+  const summaries: string[] = resultsList.map(markdownSummary);
+  if (summaries.length <= 1) {
+    return summaries.join('');
+  }
+  return `# PostEvent OSINT results (${summaries.length} indicators)\n\n${summaries.join('\n---\n\n')}`;
+}
+
+/**
+ * STIX 2.1
+ */
+
+export interface StixObject {
+  type: string;
+  id: string;
+  [property: string]: unknown;
+}
+
+export interface StixBundle {
+  type: 'bundle';
+  id: string;
+  objects: StixObject[];
+}
+
+// Namespace the STIX 2.1 spec fixes for deterministic cyber-observable ids
+const STIX_SCO_NAMESPACE: string = '00abedb4-aa42-466c-9c01-fed23315a9b7';
+// Namespace of the ids derived for this extension's own objects, so exporting a lookup again
+// yields the same ids and a TIP updates its objects instead of duplicating them
+const EXPORT_NAMESPACE: string = '9b1f6a52-3c7e-4d0b-8e45-2f6c1a7d9e30';
+// The identity never changes, so its timestamps don't either - same id, same object in every export
+const IDENTITY_CREATED: string = '2024-01-01T00:00:00.000Z';
+
+const STIX_INDICATOR_TYPES: { [verdict in Verdict]: string[] } = {
+  malicious: ['malicious-activity'],
+  suspicious: ['anomalous-activity'],
+  clean: ['benign'],
+  unknown: ['unknown'],
+};
+
+const STIX_HASH_NAMES: { [algorithm: string]: string } = {
+  md5: 'MD5',
+  sha1: 'SHA-1',
+  sha256: 'SHA-256',
+};
+
+/**
+ * Name-based (version 5) UUID
+ */
+async function uuidv5(name: string, namespace: string): Promise<string> {
+  const namespaceBytes: number[] = (namespace.replace(/-/g, '').match(/../g) || []).map((byte: string) =>
+    parseInt(byte, 16)
+  );
+  const data = new Uint8Array([...namespaceBytes, ...new TextEncoder().encode(name)]);
+  const hash: Uint8Array = new Uint8Array(await crypto.subtle.digest('SHA-1', data));
+  hash[6] = (hash[6] & 0x0f) | 0x50;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+  const hex: string = Array.from(hash.slice(0, 16), (byte: number) => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * The cyber observable an indicator describes, with its id contributing properties
+ */
+function observableProperties(indicator: Indicator): { type: string; properties: { [key: string]: unknown } } {
+  switch (indicator.type) {
+    case 'ip':
+      return { type: indicator.version === 6 ? 'ipv6-addr' : 'ipv4-addr', properties: { value: indicator.value } };
+    case 'domain':
+      return { type: 'domain-name', properties: { value: indicator.value } };
+    case 'url':
+      return { type: 'url', properties: { value: indicator.value } };
+    case 'hash':
+      return { type: 'file', properties: { hashes: { [STIX_HASH_NAMES[indicator.algorithm]]: indicator.value } } };
+  }
+}
+
+function stixString(value: string): string {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * STIX patterning expression matching an indicator
+ */
+export function stixPattern(indicator: Indicator): string {
+  const { type } = observableProperties(indicator);
+  if (indicator.type === 'hash') {
+    return `[file:hashes.'${STIX_HASH_NAMES[indicator.algorithm]}' = ${stixString(indicator.value)}]`;
+  }
+  return `[${type}:value = ${stixString(indicator.value)}]`;
+}
+
+/**
+ * STIX objects for one lookup: the observable, an indicator carrying the verdict, the
+ * observed-data of the lookup and a note with the Markdown summary
+ */
+async function stixObjects(results: OSINTResults, identityId: string): Promise<StixObject[]> {
+  const { type, properties } = observableProperties(results.indicator);
+  const timestamp: string = results.timestamp;
+  const lookupName: string = `${results.indicator.type}|${results.indicator.value}|${timestamp}`;
+  const common = {
+    spec_version: '2.1',
+    created_by_ref: identityId,
+    created: timestamp,
+    modified: timestamp,
+  };
+
+  const observable: StixObject = {
+    type,
+    spec_version: '2.1',
+    id: `${type}--${await uuidv5(JSON.stringify(properties), STIX_SCO_NAMESPACE)}`,
+    ...properties,
+  };
+
+  const verdict: Verdict = results.verdict ? results.verdict.verdict : 'unknown';
+  const score: string = results.verdict && results.verdict.score !== null ? ` (risk score ${results.verdict.score}/100)` : '';
+  const indicator: StixObject = {
+    type: 'indicator',
+    id: `indicator--${await uuidv5(`indicator|${lookupName}`, EXPORT_NAMESPACE)}`,
+    ...common,
+    name: results.indicator.value,
+    description: `PostEvent OSINT verdict: ${VERDICT_LABELS[verdict]}${score}`,
+    indicator_types: STIX_INDICATOR_TYPES[verdict],
+    pattern: stixPattern(results.indicator),
+    pattern_type: 'stix',
+    valid_from: timestamp,
+    labels: [verdict],
+  };
+
+  const observedData: StixObject = {
+    type: 'observed-data',
+    id: `observed-data--${await uuidv5(`observed-data|${lookupName}`, EXPORT_NAMESPACE)}`,
+    ...common,
+    first_observed: timestamp,
+    last_observed: timestamp,
+    number_observed: 1,
+    object_refs: [observable.id],
+  };
+
+  const note: StixObject = {
+    type: 'note',
+    id: `note--${await uuidv5(`note|${lookupName}`, EXPORT_NAMESPACE)}`,
+    ...common,
+    abstract: `PostEvent OSINT enrichment of ${results.indicator.value}`,
+    content: markdownSummary(results),
+    object_refs: [indicator.id, observedData.id, observable.id],
+  };
+
+  return [observable, indicator, observedData, note];
+}
+
+/**
+ * A STIX 2.1 bundle of every lookup, created by a PostEvent OSINT identity
+ */
+export async function toStixBundle(resultsList: OSINTResults[]): Promise<StixBundle> {
+  const identity: StixObject = {
+    type: 'identity',
+    spec_version: '2.1',
+    id: `identity--${await uuidv5('identity|PostEvent OSINT', EXPORT_NAMESPACE)}`,
+    created: IDENTITY_CREATED,
+    modified: IDENTITY_CREATED,
+    name: 'PostEvent OSINT',
+    identity_class: 'system',
+  };
+  const objects: StixObject[] = [identity];
+  for (const results of resultsList) {
+    objects.push(...(await stixObjects(results, identity.id)));
+  }
+  return {
+    type: 'bundle',
+    id: `bundle--${crypto.randomUUID()}`,
+    objects,
+  };
+}
+
+/**
+ * Export lookups in a format, named after the indicator (one lookup) or the export time
+ */
+export async function exportResults(
+  resultsList: OSINTResults[],
+  format: ExportFormat,
+  now: Date = new Date()
+): Promise<ExportFile> {
+  let content: string;
+  switch (format) {
+    case 'json':
+      content = toJSON(resultsList);
+      break;
+    case 'csv':
+      content = toCSV(resultsList);
+      break;
+    case 'markdown':
+      content = toMarkdown(resultsList);
+      break;
+    case 'stix':
+      content = `${JSON.stringify(await toStixBundle(resultsList), null, 2)}\n`;
+      break;
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const name: string =
+    resultsList.length === 1
+      ? resultsList[0].indicator.value
+      : `export_${now.toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '_')}`;
+  return {
+    filename: `osint_${name.replace(/[^A-Za-z0-9._-]+/g, '_')}.${FILE_TYPES[format].extension}`,
+    mimeType: FILE_TYPES[format].mimeType,
+    content,
+  };
+}
+
+// Export to global namespace for Chrome extension compatibility
+interface ExportersGlobal {
+  EXPORT_FORMATS: ExportFormat[];
+  summaryRow: typeof summaryRow;
+  toJSON: typeof toJSON;
+  toCSV: typeof toCSV;
+  toMarkdown: typeof toMarkdown;
+  stixPattern: typeof stixPattern;
+  toStixBundle: typeof toStixBundle;
+  exportResults: typeof exportResults;
+}
+
+declare global {
+  interface Window {
+    Exporters: ExportersGlobal;
+  }
+  var Exporters: ExportersGlobal;
+}
+
+const exporters: ExportersGlobal = {
+  EXPORT_FORMATS,
+  summaryRow,
+  toJSON,
+  toCSV,
+  toMarkdown,
+  stixPattern,
+  toStixBundle,
+  exportResults,
+};
+
+if (typeof window !== 'undefined') {
+  (window as Window).Exporters = exporters;
+} else {
+  // For service worker context
+  (globalThis as any).Exporters = exporters;
+}
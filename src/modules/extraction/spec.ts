@@ -0,0 +1,459 @@
+/**
+ * Extraction Specs
+ * Interprets the declarative (JSON) extraction specs the scrapers are driven by, and loads the
+ * overrides analysts save from the options page, so broken selectors can be fixed without a rebuild
+ */
+
+import { logger } from '../logging/logger';
+import type { Page, Locator } from '../cdp/core';
+import type {
+  ExtractionSpec,
+  FieldSpec,
+  FieldMode,
+  FieldType,
+  Indicator,
+  SelectorStep,
+} from '../../types/osint';
+
+// chrome.storage.local key holding spec overrides, keyed by source id
+export const SPEC_OVERRIDES_KEY: string = 'extraction_specs';
+
+const FIELD_MODES: FieldMode[] = ['text', 'attribute', 'count', 'exists'];
+const FIELD_TYPES: FieldType[] = ['string', 'number', 'integer', 'boolean', 'date'];
+
+type FieldValue = string | number | boolean;
+
+/**
+ * Check that a spec (typically JSON pasted by an analyst) is well formed
+ * @returns A list of problems, empty if the spec is valid
+ */
+export function validateSpec(spec: unknown, partial: boolean = false): string[] {
+  const errors: string[] = [];
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return ['Spec must be a JSON object'];
+  }
+  const candidate: { [key: string]: any } = spec;
+
+  if (!partial || candidate.source !== undefined) {
+    if (typeof candidate.source !== 'string' || !candidate.source) {
+      errors.push('"source" must be the source id');
+    }
+  }
+
+  for (const key of ['selectors', 'patterns']) {
+    const map: any = candidate[key];
+    if (map === undefined && partial) {
+      continue;
+    }
+    if (!map || typeof map !== 'object' || Array.isArray(map)) {
+      errors.push(`"${key}" must be an object of named strings`);
+      continue;
+    }
+    Object.entries(map).forEach(([name, value]: [string, unknown]) => {
+      if (typeof value !== 'string' || !value) {
+        errors.push(`${key}.${name} must be a non-empty string`);
+      } else if (key === 'patterns') {
+        try {
+          new RegExp(value, 'i');
+        } catch (error) {
+          errors.push(`patterns.${name} is not a valid regular expression`);
+        }
+      }
+    });
+  }
+
+  if (candidate.fields === undefined && partial) {
+    return errors;
+  }
+  if (!Array.isArray(candidate.fields)) {
+    errors.push('"fields" must be an array');
+    return errors;
+  }
+  candidate.fields.forEach((field: any, index: number) => {
+    const label: string = `fields[${index}]${field && typeof field.name === 'string' && field.name ? ` (${field.name})` : ''}`;
+    if (!field || typeof field !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (typeof field.name !== 'string' || !field.name) {
+      errors.push(`${label} needs a "name"`);
+    }
+    const selectorsValid: boolean =
+      Array.isArray(field.selectors) &&
+      field.selectors.length > 0 &&
+      field.selectors.every(
+        (selector: unknown) =>
+          (typeof selector === 'string' && selector) ||
+          (Array.isArray(selector) &&
+            typeof selector[0] === 'string' &&
+            selector.every(
+              (step: any) =>
+                (typeof step === 'string' && step) ||
+                (step && typeof step === 'object' && typeof step.hasText === 'string' && step.hasText)
+            ))
+      );
+    if (!selectorsValid) {
+      errors.push(
+        `${label} needs "selectors" - a list of selectors or selector chains starting with a selector`
+      );
+    } else {
+      field.selectors.forEach((selector: string | SelectorStep[]) => {
+        if (!Array.isArray(selector)) {
+          return;
+        }
+        selector.forEach((step: SelectorStep) => {
+          if (typeof step === 'string') {
+            return;
+          }
+          try {
+            new RegExp(step.hasText, 'i');
+          } catch (error) {
+            errors.push(`${label} has an invalid hasText pattern`);
+          }
+        });
+      });
+    }
+    if (field.mode !== undefined && !FIELD_MODES.includes(field.mode)) {
+      errors.push(`${label} has an unknown mode "${field.mode}"`);
+    }
+    if (field.mode === 'attribute' && (typeof field.attribute !== 'string' || !field.attribute)) {
+      errors.push(`${label} reads an attribute but doesn't name it`);
+    }
+    if (field.type !== undefined && !FIELD_TYPES.includes(field.type)) {
+      errors.push(`${label} has an unknown type "${field.type}"`);
+    }
+    if (field.pattern !== undefined) {
+      try {
+        new RegExp(field.pattern, field.flags);
+      } catch (error) {
+        errors.push(`${label} has an invalid pattern`);
+      }
+    }
+    if (field.limit !== undefined && !(Number.isInteger(field.limit) && field.limit > 0)) {
+      errors.push(`${label} "limit" must be a positive integer`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Apply an override over a built-in spec
+ * Selectors and patterns are merged by name; a list of fields replaces the built-in fields
+ */
+export function mergeSpec(defaultSpec: ExtractionSpec, override: Partial<ExtractionSpec>): ExtractionSpec {
+  return {
+    ...defaultSpec,
+    version: override.version ?? defaultSpec.version,
+    selectors: { ...defaultSpec.selectors, ...override.selectors },
+    patterns: { ...defaultSpec.patterns, ...override.patterns },
+    fields: override.fields ?? defaultSpec.fields,
+  };
+}
+
+/**
+ * Read the overrides saved from the options page
+ */
+export async function loadSpecOverrides(): Promise<{ [sourceId: string]: Partial<ExtractionSpec> }> {
+  // Outside the extension (the CLI) there is no options page - the built-in specs apply
+  if (typeof chrome === 'undefined' || !chrome.storage) {
+    return {};
+  }
+  return new Promise((resolve) => {
+    chrome.storage.local.get([SPEC_OVERRIDES_KEY], (result: { [key: string]: any }) => {
+      resolve(result[SPEC_OVERRIDES_KEY] || {});
+    });
+  });
+}
+
+/**
+ * The spec a scraper should run with - its built-in spec with any valid override applied
+ * An invalid override is ignored (and logged) rather than breaking the source
+ */
+export async function loadSpec(defaultSpec: ExtractionSpec): Promise<ExtractionSpec> {
+  let override: Partial<ExtractionSpec> | undefined;
+  try {
+    override = (await loadSpecOverrides())[defaultSpec.source];
+  } catch (error) {
+    logger.log(`[Extraction] Could not read spec overrides for ${defaultSpec.source}:`, error);
+  }
+  if (!override) {
+    return defaultSpec;
+  }
+  const errors: string[] = validateSpec(override, true);
+  if (errors.length > 0) {
+    logger.warn(`[Extraction] Ignoring invalid spec override for ${defaultSpec.source}:`, errors);
+    return defaultSpec;
+  }
+  logger.log(`[Extraction] Using spec override for ${defaultSpec.source}`);
+  return mergeSpec(defaultSpec, override);
+}
+
+/**
+ * Compile one of a spec's named patterns
+ */
+export function specPattern(spec: ExtractionSpec, name: string): RegExp {
+  const source: string | undefined = spec.patterns[name];
+  if (source === undefined) {
+    throw new Error(`Spec for ${spec.source} has no pattern named "${name}"`);
+  }
+  return new RegExp(source, 'i');
+}
+
+/**
+ * Parse a date into ISO 8601 - dates without a zone ("2024-01-15 10:23:45", "March 1st 2020")
+ * are taken as UTC, and relative ones ("2 hours ago") count back from `now`
+ */
+export function toIsoDate(text: string, now: number = Date.now()): string | null {
+  const relative: RegExpMatchArray | null = text.match(
+    /(\d+|an?)\s+(second|minute|hour|day|week|month|year)s?\s+ago/i
+  );
+  if (relative) {
+    const amount: number = /^\d+$/.test(relative[1]) ? parseInt(relative[1], 10) : 1;
+    const unitMs: { [unit: string]: number } = {
+      second: 1000,
+      minute: 60000,
+      hour: 3600000,
+      day: 86400000,
+      week: 604800000,
+      month: 2592000000,
+      year: 31536000000,
+    };
+    return new Date(now - amount * unitMs[relative[2].toLowerCase()]).toISOString();
+  }
+
+  let cleaned: string = text
+    .trim()
+    .replace(/(\d)(st|nd|rd|th)\b/g, '$1')
+    .replace(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2})/, '$1T$2');
+  const isIsoLike: boolean = /^\d{4}-\d{2}-\d{2}T/.test(cleaned);
+  if (isIsoLike) {
+    cleaned = cleaned.replace(/\s*UTC$/i, 'Z');
+  }
+  const hasZone: boolean = /(Z|UTC|GMT|[+-]\d{2}:?\d{2})$/i.test(cleaned);
+  const timestamp: number = Date.parse(
+    hasZone ? cleaned : isIsoLike ? `${cleaned}Z` : `${cleaned} UTC`
+  );
+  return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+}
+
+/**
+ * Coerce extracted text to the field's type, or null if it doesn't convert
+ */
+function coerce(text: string, type: FieldType): FieldValue | null {
+  switch (type) {
+    case 'number': {
+      const value: number = parseFloat(text.replace(/,/g, ''));
+      return Number.isNaN(value) ? null : value;
+    }
+    case 'integer': {
+      const value: number = parseInt(text.replace(/,/g, ''), 10);
+      return Number.isNaN(value) ? null : value;
+    }
+    case 'boolean':
+      return !/^(false|no|0|)$/i.test(text.trim());
+    case 'date':
+      return toIsoDate(text);
+    default:
+      return text;
+  }
+}
+
+/**
+ * Run a raw value through the field's pattern and type
+ */
+function postProcess(raw: string | null, field: FieldSpec): FieldValue | null {
+  if (raw === null) {
+    return null;
+  }
+  let text: string = raw.replace(/\s+/g, ' ').trim();
+  if (field.pattern) {
+    const match: RegExpMatchArray | null = text.match(new RegExp(field.pattern, field.flags));
+    if (!match) {
+      return null;
+    }
+    text = match[1] ?? match[0];
+  }
+  if (!text && field.type !== 'boolean') {
+    return null;
+  }
+  return coerce(text, field.type || 'string');
+}
+
+/**
+ * Build the locator for one selector alternative
+ */
+function locate(page: Page, selector: string | SelectorStep[], pierce: boolean): Locator {
+  const chain: SelectorStep[] = Array.isArray(selector) ? selector : [selector];
+  return chain
+    .slice(1)
+    .reduce(
+      (locator: Locator, step: SelectorStep) =>
+        typeof step === 'string'
+          ? locator.locator(step)
+          : locator.filter({ hasText: new RegExp(step.hasText, 'i') }),
+      page.locator(chain[0] as string, { pierce })
+    );
+}
+
+/**
+ * Read a field through one selector alternative
+ * @returns The value, or undefined if the alternative yielded nothing
+ */
+async function readAlternative(
+  page: Page,
+  field: FieldSpec,
+  selector: string | SelectorStep[]
+): Promise<FieldValue | FieldValue[] | undefined> {
+  const locator: Locator = locate(page, selector, !!field.pierce);
+  const mode: FieldMode = field.mode || 'text';
+
+  if (mode === 'count' || mode === 'exists') {
+    // Nothing matching isn't a value yet - a later alternative may still match
+    const count: number = await locator.count();
+    if (count === 0) {
+      return undefined;
+    }
+    return mode === 'exists' ? true : count;
+  }
+
+  if (!field.all) {
+    const raw: string | null =
+      mode === 'attribute'
+        ? await locator.getAttribute(field.attribute!)
+        : await locator.textContent();
+    const value: FieldValue | null = postProcess(raw, field);
+    return value === null ? undefined : value;
+  }
+
+  const raws: (string | null)[] =
+    mode === 'attribute'
+      ? await locator.evaluateAll(
+          (elements: Element[], name: string) =>
+            elements.map((element: Element) => element.getAttribute(name)),
+          field.attribute!
+        )
+      : await locator.allTextContents();
+  let texts: string[] = raws
+    .map((raw: string | null) => (raw || '').replace(/\s+/g, ' ').trim())
+    .filter((text: string) => text);
+  if (field.unique) {
+    texts = Array.from(new Set(texts));
+  }
+  if (field.limit) {
+    texts = texts.slice(0, field.limit);
+  }
+  if (texts.length === 0) {
+    return undefined;
+  }
+  if (field.join !== undefined) {
+    const value: FieldValue | null = postProcess(texts.join(field.join), field);
+    return value === null ? undefined : value;
+  }
+  const values: FieldValue[] = texts
+    .map((text: string) => postProcess(text, field))
+    .filter((value: FieldValue | null): value is FieldValue => value !== null);
+  return values.length > 0 ? values : undefined;
+}
+
+function hasPath(target: { [key: string]: any }, path: string): boolean {
+  const value: any = path
+    .split('.')
+    .reduce((node: any, key: string) => (node && typeof node === 'object' ? node[key] : undefined), target);
+  return value !== undefined && value !== null;
+}
+
+function setPath(target: { [key: string]: any }, path: string, value: any): void {
+  const keys: string[] = path.split('.');
+  let node: { [key: string]: any } = target;
+  keys.slice(0, -1).forEach((key: string) => {
+    if (!node[key] || typeof node[key] !== 'object') {
+      node[key] = {};
+    }
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Extract a spec's fields from the page into a data object
+ * Each field tries its selector alternatives in order; a field whose property is already set
+ * (by an earlier field of the same name) is skipped. Failures are logged per field, so one
+ * broken selector never costs the rest of the scrape - but once `signal` aborts, extraction stops
+ * with its reason, leaving the fields read so far in `target`.
+ */
+export async function extractFields<T extends object>(
+  page: Page,
+  spec: ExtractionSpec,
+  target: T,
+  indicator?: Indicator,
+  signal?: AbortSignal
+): Promise<T> {
+  for (const field of spec.fields) {
+    signal?.throwIfAborted();
+    if (indicator && field.indicatorTypes && !field.indicatorTypes.includes(indicator.type)) {
+      continue;
+    }
+    if (hasPath(target, field.name)) {
+      continue;
+    }
+    for (const selector of field.selectors) {
+      try {
+        const value: FieldValue | FieldValue[] | undefined = await readAlternative(page, field, selector);
+        if (value !== undefined) {
+          setPath(target, field.name, value);
+          break;
+        }
+      } catch (error) {
+        logger.log(`[Extraction] ${spec.source}.${field.name} failed for ${String(selector)}:`, error);
+      }
+    }
+    if (field.mode === 'exists' && !hasPath(target, field.name)) {
+      setPath(target, field.name, false);
+    }
+  }
+  return target;
+}
+
+// Export to global namespace for Chrome extension compatibility
+interface ExtractionGlobal {
+  SPEC_OVERRIDES_KEY: typeof SPEC_OVERRIDES_KEY;
+  validateSpec: typeof validateSpec;
+  mergeSpec: typeof mergeSpec;
+  loadSpecOverrides: typeof loadSpecOverrides;
+  loadSpec: typeof loadSpec;
+  specPattern: typeof specPattern;
+  extractFields: typeof extractFields;
+  toIsoDate: typeof toIsoDate;
+}
+
+declare global {
+  interface Window {
+    Extraction: ExtractionGlobal;
+  }
+  var Extraction: ExtractionGlobal;
+}
+
+if (typeof window !== 'undefined') {
+  (window as Window).Extraction = {
+    SPEC_OVERRIDES_KEY,
+    validateSpec,
+    mergeSpec,
+    loadSpecOverrides,
+    loadSpec,
+    specPattern,
+    extractFields,
+    toIsoDate,
+  };
+} else {
+  // For service worker context
+  (globalThis as any).Extraction = {
+    SPEC_OVERRIDES_KEY,
+    validateSpec,
+    mergeSpec,
+    loadSpecOverrides,
+    loadSpec,
+    specPattern,
+    extractFields,
+    toIsoDate,
+  };
+}
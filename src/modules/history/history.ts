@@ -0,0 +1,319 @@
+/**
+ * Lookup History
+ * Stores lookup results and keeps an index of them (indicator, verdict, sources, pin state) for the
+ * popup's history view, so browsing never has to read the results themselves. When
+ * chrome.storage.local nears its quota, the least recently used unpinned lookups are evicted.
+ */
+
+import { logger } from '../logging/logger';
+import { ConcurrencyLimiter } from '../jobs/queue';
+import { STORAGE_KEY_PREFIX, storageKey } from '../indicators/indicator';
+import { deletePayloads, getPayloads, isAvailable, putPayloads } from './payloads';
+import type { RawPayloads } from './payloads';
+import type { HistoryEntry, HistoryQuery, OSINTResults, SourceData } from '../../types/osint';
+
+// chrome.storage.local key of the history index
+export const HISTORY_INDEX_KEY: string = 'history_index';
+// Eviction starts once usage passes the high-water mark and frees space down to the target
+export const QUOTA_HIGH_WATER: number = 0.9;
+export const QUOTA_TARGET: number = 0.75;
+// chrome.storage.local's quota for extensions without the unlimitedStorage permission
+const DEFAULT_QUOTA_BYTES: number = 10 * 1024 * 1024;
+
+type HistoryIndex = { [key: string]: HistoryEntry };
+
+// Lookups of a bulk run finish concurrently - the index is read and written by one at a time
+const indexLock: ConcurrencyLimiter = new ConcurrencyLimiter(1);
+
+/**
+ * Index entry for stored results - the pin state carries over from the previous entry
+ */
+export function createEntry(results: OSINTResults, previous?: HistoryEntry): HistoryEntry {
+  return {
+    key: storageKey(results.indicator),
+    indicator: results.indicator,
+    timestamp: results.timestamp,
+    verdict: results.verdict ? results.verdict.verdict : null,
+    score: results.verdict ? results.verdict.score : null,
+    sources: Object.values(results.sources)
+      .filter((data: SourceData | undefined): data is SourceData => !!data)
+      .map((data: SourceData) => data.source),
+    errorCount: results.errors.length,
+    pinned: previous ? previous.pinned : false,
+    lastAccessed: new Date().toISOString(),
+  };
+}
+
+/**
+ * Whether an entry passes every filter of a query
+ */
+export function matchesQuery(entry: HistoryEntry, query: HistoryQuery): boolean {
+  const text: string = (query.text || '').trim().toLowerCase();
+  if (
+    text &&
+    !entry.indicator.value.toLowerCase().includes(text) &&
+    !entry.sources.some((source: string) => source.toLowerCase().includes(text))
+  ) {
+    return false;
+  }
+  if (query.verdict && entry.verdict !== query.verdict) {
+    return false;
+  }
+  const time: number = new Date(entry.timestamp).getTime();
+  if (query.from && time < new Date(query.from).getTime()) {
+    return false;
+  }
+  if (query.to && time > new Date(query.to).getTime()) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Pinned entries first, then newest first
+ */
+export function sortEntries(entries: HistoryEntry[]): HistoryEntry[] {
+  return [...entries].sort((a: HistoryEntry, b: HistoryEntry) => {
+    if (a.pinned !== b.pinned) {
+      return a.pinned ? -1 : 1;
+    }
+    return b.timestamp.localeCompare(a.timestamp);
+  });
+}
+
+/**
+ * Move the raw page text out of results - it is kept in IndexedDB instead
+ */
+export function splitRawPayloads(results: OSINTResults): { stored: OSINTResults; payloads: RawPayloads } {
+  const stored: OSINTResults = { ...results, sources: {} };
+  const payloads: RawPayloads = {};
+  Object.entries(results.sources).forEach(([sourceId, data]: [string, SourceData | undefined]) => {
+    if (!data) return;
+    if (data.rawContent) {
+      const { rawContent, ...rest } = data;
+      stored.sources[sourceId] = rest;
+      payloads[sourceId] = rawContent;
+    } else {
+      stored.sources[sourceId] = data;
+    }
+  });
+  return { stored, payloads };
+}
+
+/**
+ * Read the index - on first use it is built from the results already in storage
+ */
+async function readIndex(): Promise<HistoryIndex> {
+  const stored: { [key: string]: any } = await chrome.storage.local.get(HISTORY_INDEX_KEY);
+  if (stored[HISTORY_INDEX_KEY]) {
+    return stored[HISTORY_INDEX_KEY];
+  }
+
+  const everything: { [key: string]: any } = await chrome.storage.local.get(null);
+  const index: HistoryIndex = {};
+  Object.entries(everything).forEach(([key, value]: [string, any]) => {
+    if (key.startsWith(STORAGE_KEY_PREFIX) && value && value.indicator) {
+      index[key] = { ...createEntry(value as OSINTResults), lastAccessed: value.timestamp };
+    }
+  });
+  await chrome.storage.local.set({ [HISTORY_INDEX_KEY]: index });
+  logger.log(`[History] Indexed ${Object.keys(index).length} stored lookups`);
+  return index;
+}
+
+/**
+ * Apply a change to the index and save it
+ */
+function updateIndex<T>(update: (index: HistoryIndex) => T): Promise<T> {
+  return indexLock.run(async () => {
+    const index: HistoryIndex = await readIndex();
+    const result: T = update(index);
+    await chrome.storage.local.set({ [HISTORY_INDEX_KEY]: index });
+    return result;
+  });
+}
+
+/**
+ * Store the results of a lookup and record it in the history
+ * Raw page text goes to IndexedDB; sources served from the cache keep the text of their last scrape.
+ */
+export async function saveResults(results: OSINTResults): Promise<void> {
+  const key: string = storageKey(results.indicator);
+  let toStore: OSINTResults = results;
+
+  if (isAvailable()) {
+    const { stored, payloads } = splitRawPayloads(results);
+    try {
+      const previous: RawPayloads = await getPayloads(key);
+      Object.keys(stored.sources).forEach((sourceId: string) => {
+        if (!payloads[sourceId] && previous[sourceId]) {
+          payloads[sourceId] = previous[sourceId];
+        }
+      });
+      await putPayloads(key, payloads);
+      toStore = stored;
+    } catch (error) {
+      logger.warn('[History] Could not store raw payloads in IndexedDB, keeping them inline:', error);
+    }
+  }
+
+  await chrome.storage.local.set({ [key]: toStore });
+  await updateIndex((index: HistoryIndex) => {
+    index[key] = createEntry(results, index[key]);
+  });
+  await enforceQuota();
+}
+
+/**
+ * Stored results of lookups with their raw page text put back, in the order of `keys`
+ * Keys with no stored results are skipped.
+ */
+export async function loadFullResults(keys: string[]): Promise<OSINTResults[]> {
+  const stored: { [key: string]: any } = await chrome.storage.local.get(keys);
+  const resultsList: OSINTResults[] = [];
+  for (const key of keys) {
+    const results: OSINTResults | undefined = stored[key];
+    if (!results) continue;
+    const payloads: RawPayloads = isAvailable() ? await getPayloads(key).catch(() => ({})) : {};
+    Object.entries(payloads).forEach(([sourceId, rawContent]: [string, string]) => {
+      const data: SourceData | undefined = results.sources[sourceId];
+      if (data && !data.rawContent) {
+        results.sources[sourceId] = { ...data, rawContent };
+      }
+    });
+    resultsList.push(results);
+  }
+  return resultsList;
+}
+
+/**
+ * Mark an entry as used, moving it to the back of the eviction order
+ */
+export async function touchEntry(key: string): Promise<void> {
+  await updateIndex((index: HistoryIndex) => {
+    if (index[key]) {
+      index[key].lastAccessed = new Date().toISOString();
+    }
+  });
+}
+
+/**
+ * History entries matching a query, pinned first and then newest first
+ */
+export async function queryHistory(query: HistoryQuery = {}): Promise<HistoryEntry[]> {
+  const index: HistoryIndex = await indexLock.run(readIndex);
+  return sortEntries(Object.values(index).filter((entry: HistoryEntry) => matchesQuery(entry, query)));
+}
+
+/**
+ * Pin or unpin entries
+ */
+export async function setPinned(keys: string[], pinned: boolean): Promise<void> {
+  await updateIndex((index: HistoryIndex) => {
+    keys.forEach((key: string) => {
+      if (index[key]) {
+        index[key].pinned = pinned;
+      }
+    });
+  });
+}
+
+/**
+ * Delete entries with their stored results and raw payloads
+ */
+export async function deleteEntries(keys: string[]): Promise<void> {
+  await updateIndex((index: HistoryIndex) => {
+    keys.forEach((key: string) => delete index[key]);
+  });
+  await chrome.storage.local.remove(keys);
+  if (isAvailable()) {
+    await deletePayloads(keys);
+  }
+}
+
+/**
+ * Evict the least recently used unpinned lookups once storage use passes the high-water mark
+ * @returns Storage keys of the evicted lookups
+ */
+export async function enforceQuota(): Promise<string[]> {
+  const quota: number = chrome.storage.local.QUOTA_BYTES || DEFAULT_QUOTA_BYTES;
+  let used: number = await chrome.storage.local.getBytesInUse(null);
+  if (used < quota * QUOTA_HIGH_WATER) {
+    return [];
+  }
+
+  const evicted: string[] = await indexLock.run(async () => {
+    const index: HistoryIndex = await readIndex();
+    const candidates: HistoryEntry[] = Object.values(index)
+      .filter((entry: HistoryEntry) => !entry.pinned)
+      .sort((a: HistoryEntry, b: HistoryEntry) => a.lastAccessed.localeCompare(b.lastAccessed));
+    const keys: string[] = [];
+    for (const entry of candidates) {
+      if (used <= quota * QUOTA_TARGET) break;
+      used -= await chrome.storage.local.getBytesInUse(entry.key);
+      delete index[entry.key];
+      keys.push(entry.key);
+    }
+    await chrome.storage.local.remove(keys);
+    await chrome.storage.local.set({ [HISTORY_INDEX_KEY]: index });
+    return keys;
+  });
+
+  if (used > quota * QUOTA_TARGET) {
+    logger.warn('[History] Storage is still near its quota - unpin lookups to let them be evicted');
+  }
+  if (evicted.length > 0) {
+    logger.log(`[History] Evicted ${evicted.length} least recently used lookups`);
+    if (isAvailable()) {
+      await deletePayloads(evicted).catch((error: Error) => {
+        logger.warn('[History] Could not delete raw payloads of evicted lookups:', error);
+      });
+    }
+  }
+  return evicted;
+}
+
+// Export to global namespace for Chrome extension compatibility
+interface LookupHistoryGlobal {
+  HISTORY_INDEX_KEY: string;
+  createEntry: typeof createEntry;
+  matchesQuery: typeof matchesQuery;
+  sortEntries: typeof sortEntries;
+  splitRawPayloads: typeof splitRawPayloads;
+  saveResults: typeof saveResults;
+  loadFullResults: typeof loadFullResults;
+  touchEntry: typeof touchEntry;
+  queryHistory: typeof queryHistory;
+  setPinned: typeof setPinned;
+  deleteEntries: typeof deleteEntries;
+  enforceQuota: typeof enforceQuota;
+}
+
+declare global {
+  interface Window {
+    LookupHistory: LookupHistoryGlobal;
+  }
+  var LookupHistory: LookupHistoryGlobal;
+}
+
+const lookupHistory: LookupHistoryGlobal = {
+  HISTORY_INDEX_KEY,
+  createEntry,
+  matchesQuery,
+  sortEntries,
+  splitRawPayloads,
+  saveResults,
+  loadFullResults,
+  touchEntry,
+  queryHistory,
+  setPinned,
+  deleteEntries,
+  enforceQuota,
+};
+
+if (typeof window !== 'undefined') {
+  (window as Window).LookupHistory = lookupHistory;
+} else {
+  // For service worker context
+  (globalThis as any).LookupHistory = lookupHistory;
+}
@@ -0,0 +1,128 @@
+/**
+ * Raw Payload Store
+ * Keeps the raw page text scraped with each lookup in IndexedDB instead of chrome.storage.local,
+ * whose quota is shared by every stored result - the structured data stays small and searchable,
+ * the bulky text is only read when something asks for it
+ */
+
+const DB_NAME: string = 'postevent_osint';
+const DB_VERSION: number = 1;
+const PAYLOAD_STORE: string = 'raw_payloads';
+
+/**
+ * Raw page text of a lookup, keyed by source id
+ */
+export type RawPayloads = { [sourceId: string]: string };
+
+interface PayloadRecord {
+  /** Storage key of the results the payloads belong to (osint_<indicator>) */
+  key: string;
+  payloads: RawPayloads;
+  storedAt: string;
+}
+
+let database: Promise<IDBDatabase> | null = null;
+
+/**
+ * Whether IndexedDB exists here (not in Node)
+ */
+export function isAvailable(): boolean {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisify<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise<T>((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error('IndexedDB request failed'));
+  });
+}
+
+/**
+ * Open (and on first use create) the database - the connection is shared
+ */
+function openDatabase(): Promise<IDBDatabase> {
+  if (!database) {
+    const request: IDBOpenDBRequest = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(PAYLOAD_STORE)) {
+        request.result.createObjectStore(PAYLOAD_STORE, { keyPath: 'key' });
+      }
+    };
+    database = promisify(request).catch((error: Error) => {
+      // Let the next call try again
+      database = null;
+      throw error;
+    });
+  }
+  return database;
+}
+
+/**
+ * Run a request against the payload store within a transaction
+ */
+async function withStore<T>(
+  mode: IDBTransactionMode,
+  operation: (store: IDBObjectStore) => IDBRequest<T>
+): Promise<T> {
+  const db: IDBDatabase = await openDatabase();
+  const transaction: IDBTransaction = db.transaction(PAYLOAD_STORE, mode);
+  const result: Promise<T> = promisify(operation(transaction.objectStore(PAYLOAD_STORE)));
+  await new Promise<void>((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error || new Error('IndexedDB transaction failed'));
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+  });
+  return result;
+}
+
+/**
+ * Store the raw payloads of a lookup, replacing any from an earlier lookup of the indicator
+ */
+export async function putPayloads(key: string, payloads: RawPayloads): Promise<void> {
+  const record: PayloadRecord = { key, payloads, storedAt: new Date().toISOString() };
+  await withStore('readwrite', (store: IDBObjectStore) => store.put(record));
+}
+
+/**
+ * Raw payloads of a lookup (empty when none were stored)
+ */
+export async function getPayloads(key: string): Promise<RawPayloads> {
+  const record: PayloadRecord | undefined = await withStore('readonly', (store: IDBObjectStore) =>
+    store.get(key)
+  );
+  return record ? record.payloads : {};
+}
+
+/**
+ * Delete the raw payloads of lookups
+ */
+export async function deletePayloads(keys: string[]): Promise<void> {
+  for (const key of keys) {
+    await withStore('readwrite', (store: IDBObjectStore) => store.delete(key));
+  }
+}
+
+// Export to global namespace for Chrome extension compatibility
+interface RawPayloadStoreGlobal {
+  isAvailable: typeof isAvailable;
+  putPayloads: typeof putPayloads;
+  getPayloads: typeof getPayloads;
+  deletePayloads: typeof deletePayloads;
+}
+
+declare global {
+  interface Window {
+    RawPayloadStore: RawPayloadStoreGlobal;
+  }
+  var RawPayloadStore: RawPayloadStoreGlobal;
+}
+
+if (typeof window !== 'undefined') {
+  (window as Window).RawPayloadStore = { isAvailable, putPayloads, getPayloads, deletePayloads };
+} else {
+  // For service worker context
+  (globalThis as any).RawPayloadStore = { isAvailable, putPayloads, getPayloads, deletePayloads };
+}
@@ -0,0 +1,341 @@
+/**
+ * Indicator Detection
+ * Classifies analyst input (IP address, domain, URL or file hash) into typed indicator objects
+ * and normalizes them, so equivalent inputs share storage keys and report URLs
+ */
+
+import type { Indicator, IndicatorType, IPIndicator, HashAlgorithm } from '../../types/osint';
+
+const IPV4_REGEX: RegExp =
+  /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
+
+const IPV6_GROUP_REGEX: RegExp = /^[0-9a-f]{1,4}$/i;
+
+// Labels of 1-63 alphanumerics/hyphens, alphabetic (or punycode) TLD, 253 chars max
+const DOMAIN_REGEX: RegExp =
+  /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+const HASH_ALGORITHMS: { [length: number]: HashAlgorithm } = {
+  32: 'md5',
+  40: 'sha1',
+  64: 'sha256',
+};
+
+const URL_SCHEME_REGEX: RegExp = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+/**
+ * Undo common defanging so indicators pasted from reports can be looked up
+ * e.g. hxxps://evil[.]com -> https://evil.com
+ */
+export function refang(input: string): string {
+  return input
+    .trim()
+    .replace(/^hxxp(s?):\/\//i, 'http$1://')
+    .replace(/\[\.\]|\(\.\)|\{\.\}|\[dot\]/gi, '.')
+    .replace(/\[:\]/g, ':')
+    .replace(/\[\/\]/g, '/');
+}
+
+/**
+ * Normalize an IPv4 address (drops leading zeros in octets)
+ */
+function normalizeIPv4(address: string): string {
+  return address
+    .split('.')
+    .map((octet: string) => String(parseInt(octet, 10)))
+    .join('.');
+}
+
+/**
+ * Parse the 16-bit groups of an IPv6 address (without zone ID)
+ * Handles :: compression and a trailing embedded IPv4 address
+ */
+function parseIPv6Groups(address: string): number[] | null {
+  let text: string = address;
+
+  // Trailing dotted IPv4 (e.g. ::ffff:192.0.2.1) becomes the last two groups
+  const lastColon: number = text.lastIndexOf(':');
+  const tail: string = text.substring(lastColon + 1);
+  if (tail.includes('.')) {
+    if (!IPV4_REGEX.test(tail)) {
+      return null;
+    }
+    const octets: number[] = tail.split('.').map((octet: string) => parseInt(octet, 10));
+    text =
+      text.substring(0, lastColon + 1) +
+      ((octets[0] << 8) | octets[1]).toString(16) +
+      ':' +
+      ((octets[2] << 8) | octets[3]).toString(16);
+  }
+
+  const halves: string[] = text.split('::');
+  if (halves.length > 2) {
+    return null;
+  }
+
+  const head: string[] = halves[0] ? halves[0].split(':') : [];
+  const rest: string[] = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  if (![...head, ...rest].every((group: string) => IPV6_GROUP_REGEX.test(group))) {
+    return null;
+  }
+
+  const missing: number = 8 - head.length - rest.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) {
+    return null;
+  }
+
+  return [...head, ...new Array(missing).fill('0'), ...rest].map((group: string) =>
+    parseInt(group, 16)
+  );
+}
+
+/**
+ * Format IPv6 groups in RFC 5952 canonical form: lowercase, no leading zeros and
+ * the longest run (first on ties) of two or more zero groups compressed to ::
+ */
+function formatIPv6(groups: number[]): string {
+  let bestStart: number = -1;
+  let bestLength: number = 1;
+  for (let start = 0; start < groups.length; start++) {
+    let length: number = 0;
+    while (start + length < groups.length && groups[start + length] === 0) {
+      length++;
+    }
+    if (length > bestLength) {
+      bestStart = start;
+      bestLength = length;
+    }
+  }
+
+  const hex: string[] = groups.map((group: number) => group.toString(16));
+  if (bestStart === -1) {
+    return hex.join(':');
+  }
+  return (
+    hex.slice(0, bestStart).join(':') + '::' + hex.slice(bestStart + bestLength).join(':')
+  );
+}
+
+/**
+ * Parse an IPv4 or IPv6 address into a canonical IP indicator
+ * IPv6 input may be bracketed and carry a zone ID (fe80::1%eth0), which is kept separately.
+ * IPv4-mapped IPv6 addresses (::ffff:192.0.2.1) are looked up as the IPv4 address they map.
+ */
+export function parseIP(input: string): IPIndicator | null {
+  const address: string = input.trim().replace(/^\[(.*)\]$/, '$1');
+
+  if (IPV4_REGEX.test(address)) {
+    return { type: 'ip', value: normalizeIPv4(address), version: 4 };
+  }
+
+  if (!address.includes(':')) {
+    return null;
+  }
+
+  const zoneIndex: number = address.indexOf('%');
+  const zoneId: string | undefined = zoneIndex >= 0 ? address.substring(zoneIndex + 1) : undefined;
+  if (zoneId !== undefined && !/^[^\s%]+$/.test(zoneId)) {
+    return null;
+  }
+
+  const groups: number[] | null = parseIPv6Groups(
+    zoneIndex >= 0 ? address.substring(0, zoneIndex) : address
+  );
+  if (!groups) {
+    return null;
+  }
+
+  const isMapped: boolean = groups.slice(0, 5).every((group: number) => group === 0) && groups[5] === 0xffff;
+  if (isMapped) {
+    const ipv4: string = [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+    return { type: 'ip', value: ipv4, version: 4 };
+  }
+
+  const indicator: IPIndicator = { type: 'ip', value: formatIPv6(groups), version: 6 };
+  if (zoneId) {
+    indicator.zoneId = zoneId;
+  }
+  return indicator;
+}
+
+/**
+ * Parse a domain name, returning its normalized (lowercase, no trailing dot) form
+ */
+function parseDomain(input: string): string | null {
+  const domain: string = input.toLowerCase().replace(/\.$/, '');
+  return DOMAIN_REGEX.test(domain) ? domain : null;
+}
+
+/**
+ * Parse a URL, returning its normalized form
+ * Scheme-less input is only treated as a URL when it has a path (example.com/login)
+ */
+function parseUrl(input: string): string | null {
+  const hasScheme: boolean = URL_SCHEME_REGEX.test(input);
+  if (!hasScheme && !/^[^/?#\s]+[/?#]/.test(input)) {
+    return null;
+  }
+
+  try {
+    const url: URL = new URL(hasScheme ? input : `http://${input}`);
+    if (!['http:', 'https:', 'ftp:'].includes(url.protocol) || !url.hostname) {
+      return null;
+    }
+    if (!parseIP(url.hostname) && !parseDomain(url.hostname)) {
+      return null;
+    }
+    return url.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Detect the type of an indicator and return it as a typed object
+ * @param input - Raw analyst input (may be defanged)
+ * @returns The typed indicator, or null if the input is not a supported indicator
+ */
+export function parseIndicator(input: string): Indicator | null {
+  const value: string = refang(input);
+  if (!value || /\s/.test(value)) {
+    return null;
+  }
+
+  const ip: IPIndicator | null = parseIP(value);
+  if (ip) {
+    return ip;
+  }
+
+  const algorithm: HashAlgorithm | undefined = /^[a-f0-9]+$/i.test(value)
+    ? HASH_ALGORITHMS[value.length]
+    : undefined;
+  if (algorithm) {
+    return { type: 'hash', value: value.toLowerCase(), algorithm };
+  }
+
+  const url: string | null = parseUrl(value);
+  if (url) {
+    return { type: 'url', value: url };
+  }
+
+  const domain: string | null = parseDomain(value);
+  if (domain) {
+    return { type: 'domain', value: domain };
+  }
+
+  return null;
+}
+
+/**
+ * Indicators pulled out of a pasted list or a text/CSV file
+ */
+export interface ExtractedIndicators {
+  /** Unique indicators in first-seen order */
+  indicators: Indicator[];
+  /** Tokens that are not a supported indicator (CSV headers, free text...) */
+  invalid: string[];
+  /** Number of tokens dropped because they normalize to an indicator already seen */
+  duplicates: number;
+}
+
+/**
+ * Strip the quotes a CSV cell may come wrapped in
+ */
+function unquote(token: string): string {
+  return token.replace(/^["']+|["']+$/g, '');
+}
+
+/**
+ * Extract and deduplicate indicators from free text, one per line or CSV cell
+ * URLs are kept whole - their query strings and paths may contain the cell separators.
+ */
+export function extractIndicators(text: string): ExtractedIndicators {
+  const extracted: ExtractedIndicators = { indicators: [], invalid: [], duplicates: 0 };
+  const seen: Set<string> = new Set();
+
+  const tokens: string[] = text
+    .split(/\s+/)
+    .map(unquote)
+    .flatMap((token: string) =>
+      URL_SCHEME_REGEX.test(refang(token)) ? [token] : token.split(/[,;|]+/).map(unquote)
+    )
+    .filter((token: string) => token);
+
+  for (const token of tokens) {
+    const indicator: Indicator | null = parseIndicator(token);
+    if (!indicator) {
+      extracted.invalid.push(token);
+      continue;
+    }
+    const key: string = storageKey(indicator);
+    if (seen.has(key)) {
+      extracted.duplicates++;
+      continue;
+    }
+    seen.add(key);
+    extracted.indicators.push(indicator);
+  }
+
+  return extracted;
+}
+
+// Prefix of the chrome.storage.local keys holding lookup results
+export const STORAGE_KEY_PREFIX: string = 'osint_';
+
+/**
+ * chrome.storage.local key holding the stored results for an indicator
+ */
+export function storageKey(indicator: Indicator): string {
+  return `${STORAGE_KEY_PREFIX}${indicator.value}`;
+}
+
+/**
+ * Human readable label for an indicator type
+ */
+export function describeIndicatorType(type: IndicatorType): string {
+  switch (type) {
+    case 'ip':
+      return 'IP address';
+    case 'domain':
+      return 'Domain';
+    case 'url':
+      return 'URL';
+    case 'hash':
+      return 'File hash';
+  }
+}
+
+// Export to global namespace for Chrome extension compatibility
+interface IndicatorsGlobal {
+  refang: typeof refang;
+  parseIP: typeof parseIP;
+  parseIndicator: typeof parseIndicator;
+  extractIndicators: typeof extractIndicators;
+  STORAGE_KEY_PREFIX: string;
+  storageKey: typeof storageKey;
+  describeIndicatorType: typeof describeIndicatorType;
+}
+
+declare global {
+  interface Window {
+    Indicators: IndicatorsGlobal;
+  }
+  var Indicators: IndicatorsGlobal;
+}
+
+const indicators: IndicatorsGlobal = {
+  refang,
+  parseIP,
+  parseIndicator,
+  extractIndicators,
+  STORAGE_KEY_PREFIX,
+  storageKey,
+  describeIndicatorType,
+};
+
+if (typeof window !== 'undefined') {
+  (window as Window).Indicators = indicators;
+} else {
+  // For service worker context
+  (globalThis as any).Indicators = indicators;
+}
@@ -0,0 +1,276 @@
+/**
+ * Job Queue
+ * Concurrency primitives used to run bulk lookups without opening an unbounded number of tabs,
+ * and the retry, backoff and deadline helpers that keep one slow source from holding up a lookup
+ */
+
+/**
+ * How a failing task is retried - the delay doubles after every attempt, up to `maxDelay`
+ */
+export interface RetryPolicy {
+  /** Attempts in total, the first one included */
+  attempts: number;
+  /** Delay before the first retry (ms) */
+  baseDelay: number;
+  /** Longest delay between attempts (ms) */
+  maxDelay: number;
+}
+
+export const DEFAULT_RETRY_POLICY: RetryPolicy = {
+  attempts: 3,
+  baseDelay: 1000,
+  maxDelay: 8000,
+};
+
+export interface RetryOptions {
+  /** Whether a failure is worth another attempt - anything else is thrown right away */
+  isRetryable: (error: unknown) => boolean;
+  /** Stop retrying (and cut a backoff delay short) once this aborts */
+  signal?: AbortSignal;
+  /** Called before waiting out the delay in front of attempt number `attempt` */
+  onRetry?: (attempt: number, delay: number, error: unknown) => void;
+}
+
+/**
+ * Delay before retry number `retry` (1 for the first retry)
+ */
+export function backoffDelay(policy: RetryPolicy, retry: number): number {
+  return Math.min(policy.maxDelay, policy.baseDelay * 2 ** (retry - 1));
+}
+
+/**
+ * Wait for `ms`, rejecting with the signal's reason as soon as it aborts
+ */
+export function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise<void>((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = (): void => {
+      clearTimeout(timer);
+      reject(signal!.reason);
+    };
+    const timer: ReturnType<typeof setTimeout> = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run a task, retrying retryable failures with exponential backoff
+ * The task gets the number of the attempt (1 for the first).
+ */
+export async function withRetry<T>(
+  task: (attempt: number) => Promise<T>,
+  policy: RetryPolicy,
+  options: RetryOptions
+): Promise<T> {
+  for (let attempt: number = 1; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (attempt >= policy.attempts || options.signal?.aborted || !options.isRetryable(error)) {
+        throw error;
+      }
+      const delay: number = backoffDelay(policy, attempt);
+      options.onRetry?.(attempt + 1, delay, error);
+      await sleep(delay, options.signal);
+    }
+  }
+}
+
+export interface Deadline {
+  signal: AbortSignal;
+  /** Stop the clock, e.g. while waiting on a person - `parent` still aborts the signal */
+  pause: () => void;
+  /** Restart the clock with the time that was left */
+  resume: () => void;
+  /** Stop the timer and let go of the parent signal */
+  clear: () => void;
+}
+
+/**
+ * A signal that aborts when `parent` does, or with `createReason()` once `ms` have passed
+ */
+export function deadlineSignal(
+  parent: AbortSignal | undefined,
+  ms: number,
+  createReason: () => Error
+): Deadline {
+  const controller: AbortController = new AbortController();
+  const onAbort = (): void => controller.abort(parent!.reason);
+  if (parent && parent.aborted) {
+    controller.abort(parent.reason);
+  } else {
+    parent?.addEventListener('abort', onAbort, { once: true });
+  }
+  let cleared: boolean = false;
+  let remaining: number = ms;
+  let startedAt: number = Date.now();
+  let timer: ReturnType<typeof setTimeout> | null = setTimeout(() => controller.abort(createReason()), ms);
+  return {
+    signal: controller.signal,
+    pause: (): void => {
+      if (timer === null) return;
+      clearTimeout(timer);
+      timer = null;
+      remaining -= Date.now() - startedAt;
+    },
+    resume: (): void => {
+      if (timer !== null || cleared || controller.signal.aborted) return;
+      startedAt = Date.now();
+      timer = setTimeout(() => controller.abort(createReason()), Math.max(0, remaining));
+    },
+    clear: (): void => {
+      cleared = true;
+      if (timer !== null) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      parent?.removeEventListener('abort', onAbort);
+    },
+  };
+}
+
+/**
+ * Limits how many async tasks run at the same time - extra tasks wait in FIFO order
+ */
+export class ConcurrencyLimiter {
+  public readonly limit: number;
+  private active: number = 0;
+  private waiting: (() => void)[] = [];
+
+  constructor(limit: number) {
+    this.limit = Math.max(1, Math.floor(limit));
+  }
+
+  /**
+   * Run a task once a slot is free
+   */
+  async run<T>(task: () => Promise<T>): Promise<T> {
+    await this._acquire();
+    try {
+      return await task();
+    } finally {
+      this._release();
+    }
+  }
+
+  /**
+   * Number of tasks waiting for a slot
+   */
+  get pending(): number {
+    return this.waiting.length;
+  }
+
+  private _acquire(): Promise<void> {
+    if (this.active < this.limit) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise<void>((resolve) => this.waiting.push(resolve));
+  }
+
+  private _release(): void {
+    const next: (() => void) | undefined = this.waiting.shift();
+    if (next) {
+      // Hand the slot straight to the next task
+      next();
+    } else {
+      this.active--;
+    }
+  }
+}
+
+/**
+ * Lifecycle hooks called as queued jobs run
+ */
+export interface JobQueueHooks<T, R> {
+  onStart?: (item: T, index: number) => void;
+  onComplete?: (item: T, index: number, result: R) => void;
+  onError?: (item: T, index: number, error: Error) => void;
+}
+
+/**
+ * Runs a worker over a list of items with at most `concurrency` jobs in flight.
+ * A failing job never stops the rest of the queue.
+ */
+export class JobQueue<T, R> {
+  private readonly worker: (item: T) => Promise<R>;
+  private readonly limiter: ConcurrencyLimiter;
+
+  constructor(worker: (item: T) => Promise<R>, concurrency: number) {
+    this.worker = worker;
+    this.limiter = new ConcurrencyLimiter(concurrency);
+  }
+
+  /**
+   * Run every item through the worker, resolving once all jobs have settled
+   * Once `signal` aborts, jobs that haven't started fail with its reason instead of running.
+   */
+  async runAll(items: T[], hooks: JobQueueHooks<T, R> = {}, signal?: AbortSignal): Promise<void> {
+    await Promise.all(
+      items.map((item: T, index: number) =>
+        this.limiter.run(async (): Promise<void> => {
+          if (signal && signal.aborted) {
+            hooks.onError?.(
+              item,
+              index,
+              signal.reason instanceof Error ? signal.reason : new Error('Cancelled')
+            );
+            return;
+          }
+          hooks.onStart?.(item, index);
+          try {
+            const result: R = await this.worker(item);
+            hooks.onComplete?.(item, index, result);
+          } catch (error) {
+            hooks.onError?.(
+              item,
+              index,
+              error instanceof Error ? error : new Error(String(error))
+            );
+          }
+        })
+      )
+    );
+  }
+}
+
+// Export to global namespace for Chrome extension compatibility
+interface JobsGlobal {
+  DEFAULT_RETRY_POLICY: RetryPolicy;
+  backoffDelay: typeof backoffDelay;
+  sleep: typeof sleep;
+  withRetry: typeof withRetry;
+  deadlineSignal: typeof deadlineSignal;
+  ConcurrencyLimiter: typeof ConcurrencyLimiter;
+  JobQueue: typeof JobQueue;
+}
+
+declare global {
+  interface Window {
+    Jobs: JobsGlobal;
+  }
+  var Jobs: JobsGlobal;
+}
+
+const jobs: JobsGlobal = {
+  DEFAULT_RETRY_POLICY,
+  backoffDelay,
+  sleep,
+  withRetry,
+  deadlineSignal,
+  ConcurrencyLimiter,
+  JobQueue,
+};
+
+if (typeof window !== 'undefined') {
+  (window as Window).Jobs = jobs;
+} else {
+  // For service worker context
+  (globalThis as any).Jobs = jobs;
+}
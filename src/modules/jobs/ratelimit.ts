@@ -0,0 +1,411 @@
+/**
+ * Rate Limiting
+ * Politeness scheduling for the vendor sites: a token bucket per domain with a daily cap and a
+ * jittered gap between navigations, so bulk and repeated lookups queue up instead of getting the
+ * analyst banned. A domain that answers with a rate-limit page is backed off from.
+ */
+
+import { logger } from '../logging/logger';
+import type { SourceDescriptor } from '../scrapers/registry';
+import type {
+  RateLimitConfig,
+  RateLimitSettings,
+  RateLimitUsage,
+  ThrottleReason,
+} from '../../types/osint';
+
+// chrome.storage.local keys holding the overrides set on the options page, and today's usage
+export const RATE_LIMIT_CONFIG_KEY: string = 'rate_limits';
+export const RATE_LIMIT_USAGE_KEY: string = 'rate_limit_usage';
+
+export const DEFAULT_RATE_LIMIT: RateLimitSettings = {
+  requestsPerMinute: 10,
+  dailyCap: 1000,
+  minSpacing: 2000,
+};
+
+// Backing off after a rate-limit page starts at a minute and doubles with every further one
+const BACKOFF_BASE: number = 60 * 1000;
+const BACKOFF_MAX: number = 30 * 60 * 1000;
+const DAY_MS: number = 24 * 60 * 60 * 1000;
+
+/**
+ * How long the next navigation has to wait, and what for
+ */
+export interface Throttle {
+  wait: number;
+  reason: ThrottleReason;
+}
+
+export interface AcquireOptions {
+  /** Leave the queue (rejecting with the signal's reason) once this aborts */
+  signal?: AbortSignal;
+  /** Called when the caller has to wait, with the estimated wait (ms) and its cause */
+  onWait?: (wait: number, reason: ThrottleReason) => void;
+}
+
+interface Waiter {
+  options: AcquireOptions;
+  resolve: () => void;
+  reject: (reason: unknown) => void;
+  cleanup: () => void;
+  /** onWait has been called since it reached the head of the queue */
+  notifiedAtHead: boolean;
+}
+
+function utcDay(now: number): string {
+  return new Date(now).toISOString().substring(0, 10);
+}
+
+/**
+ * Domain a source's rate limit is kept under - sources that don't name one are limited on their own
+ */
+export function sourceDomain(source: SourceDescriptor): string {
+  return source.domain || source.id;
+}
+
+/**
+ * Rate limit of a source's domain - configured overrides win over the source's own settings,
+ * which win over the defaults. Invalid overrides are ignored.
+ */
+export function resolveRateLimit(source: SourceDescriptor, config: RateLimitConfig = {}): RateLimitSettings {
+  const settings: RateLimitSettings = { ...DEFAULT_RATE_LIMIT, ...(source.rateLimit || {}) };
+  const override: Partial<RateLimitSettings> = config[sourceDomain(source)] || {};
+  (Object.keys(DEFAULT_RATE_LIMIT) as (keyof RateLimitSettings)[]).forEach((key: keyof RateLimitSettings) => {
+    const value: unknown = override[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      return;
+    }
+    if (key === 'requestsPerMinute' && value === 0) {
+      return;
+    }
+    settings[key] = value;
+  });
+  return settings;
+}
+
+/**
+ * Token bucket of one domain - callers queue in FIFO order for permission to navigate
+ */
+export class RateLimiter {
+  public readonly domain: string;
+  private settings: RateLimitSettings;
+  private tokens: number;
+  private refilledAt: number;
+  private lastStart: number = 0;
+  private gap: number = 0;
+  private day: string;
+  private count: number = 0;
+  private backoffUntil: number = 0;
+  private backoffLevel: number = 0;
+  private queue: Waiter[] = [];
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private readonly onUsage?: () => void;
+
+  /**
+   * @param onUsage - Called after every navigation it allows (to persist the daily count)
+   */
+  constructor(domain: string, settings: RateLimitSettings, onUsage?: () => void) {
+    const now: number = Date.now();
+    this.domain = domain;
+    this.settings = settings;
+    this.tokens = settings.requestsPerMinute;
+    this.refilledAt = now;
+    this.day = utcDay(now);
+    this.onUsage = onUsage;
+  }
+
+  /**
+   * Apply changed settings - the queue is rescheduled with them
+   */
+  configure(settings: RateLimitSettings): void {
+    this.settings = settings;
+    this.tokens = Math.min(this.tokens, settings.requestsPerMinute);
+    this._schedule();
+  }
+
+  /**
+   * Navigations allowed today
+   */
+  get usage(): { day: string; count: number } {
+    this._refill(Date.now());
+    return { day: this.day, count: this.count };
+  }
+
+  /**
+   * Carry over today's count from a previous run (a stored count from another day is ignored)
+   */
+  restoreUsage(usage: { day: string; count: number } | undefined): void {
+    if (usage && usage.day === this.day) {
+      this.count = Math.max(this.count, usage.count);
+    }
+  }
+
+  /**
+   * How long a navigation could not start, ignoring the queue
+   */
+  check(now: number = Date.now()): Throttle {
+    this._refill(now);
+    const { requestsPerMinute, dailyCap } = this.settings;
+    const waits: Throttle[] = [
+      { wait: this.backoffUntil - now, reason: 'backoff' },
+      {
+        wait: dailyCap > 0 && this.count >= dailyCap ? Date.parse(this.day) + DAY_MS - now : 0,
+        reason: 'daily_cap',
+      },
+      { wait: this.lastStart + this.gap - now, reason: 'spacing' },
+      {
+        wait: this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) * 60000) / requestsPerMinute),
+        reason: 'rate',
+      },
+    ];
+    return waits.reduce((longest: Throttle, throttle: Throttle) =>
+      throttle.wait > longest.wait ? throttle : longest
+    );
+  }
+
+  /**
+   * Estimated wait of a navigation queued now, behind everything already queued
+   */
+  estimateWait(now: number = Date.now()): Throttle {
+    const throttle: Throttle = this.check(now);
+    // Each one queued ahead takes a spacing gap, and a token's refill time once the bucket is empty
+    const refill: number = this.tokens - this.queue.length >= 1 ? 0 : 60000 / this.settings.requestsPerMinute;
+    const interval: number = Math.max(refill, this.settings.minSpacing * 1.25);
+    return { wait: Math.max(0, throttle.wait) + this.queue.length * interval, reason: throttle.reason };
+  }
+
+  /**
+   * Wait for permission to navigate - resolves once the caller may start
+   */
+  acquire(options: AcquireOptions = {}): Promise<void> {
+    return new Promise<void>((resolve, reject) => {
+      const signal: AbortSignal | undefined = options.signal;
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      const estimate: Throttle = this.estimateWait();
+      const onAbort = (): void => {
+        this.queue = this.queue.filter((queued: Waiter) => queued !== waiter);
+        reject(signal!.reason);
+        this._schedule();
+      };
+      const waiter: Waiter = {
+        options,
+        resolve,
+        reject,
+        cleanup: (): void => signal?.removeEventListener('abort', onAbort),
+        notifiedAtHead: false,
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(waiter);
+      if (this.queue.length > 1 && estimate.wait > 0 && options.onWait) {
+        options.onWait(estimate.wait, estimate.reason);
+      }
+      this._schedule();
+    });
+  }
+
+  /**
+   * Stop navigating for a while after the domain served a rate-limit page
+   */
+  backOff(now: number = Date.now()): void {
+    this.backoffLevel++;
+    const delay: number = Math.min(BACKOFF_MAX, BACKOFF_BASE * 2 ** (this.backoffLevel - 1));
+    this.backoffUntil = Math.max(this.backoffUntil, now + delay);
+    this.tokens = 0;
+    logger.log(`[RateLimit] ${this.domain} backing off for ${Math.round(delay / 1000)}s`);
+    this._schedule();
+  }
+
+  /**
+   * A navigation went through without a rate-limit page - the next backoff starts short again
+   */
+  recordSuccess(): void {
+    this.backoffLevel = 0;
+  }
+
+  private _refill(now: number): void {
+    const day: string = utcDay(now);
+    if (day !== this.day) {
+      this.day = day;
+      this.count = 0;
+    }
+    const { requestsPerMinute } = this.settings;
+    this.tokens = Math.min(requestsPerMinute, this.tokens + ((now - this.refilledAt) * requestsPerMinute) / 60000);
+    this.refilledAt = now;
+  }
+
+  /**
+   * Let the head of the queue go if it may, or wake up when it will be allowed to
+   */
+  private _schedule(): void {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    const head: Waiter | undefined = this.queue[0];
+    if (!head) {
+      return;
+    }
+    const now: number = Date.now();
+    const throttle: Throttle = this.check(now);
+    if (throttle.wait <= 0) {
+      this.queue.shift();
+      head.cleanup();
+      this.tokens -= 1;
+      this.lastStart = now;
+      // Jitter keeps the navigations from falling into a recognizable rhythm
+      this.gap = this.settings.minSpacing * (1 + Math.random() / 2);
+      this.count++;
+      if (this.onUsage) {
+        this.onUsage();
+      }
+      head.resolve();
+      this._schedule();
+      return;
+    }
+    if (!head.notifiedAtHead) {
+      head.notifiedAtHead = true;
+      head.options.onWait?.(throttle.wait, throttle.reason);
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._schedule();
+    }, throttle.wait);
+  }
+}
+
+export interface RateLimitsOptions {
+  /** Overrides per domain (as set on the options page) */
+  config?: RateLimitConfig;
+  /** Navigations already made today, from a previous run */
+  usage?: RateLimitUsage;
+  /** Called with the usage of every domain after each navigation */
+  onUsage?: (usage: RateLimitUsage) => void;
+}
+
+/**
+ * The rate limiters of every domain, created as sources are first scraped
+ * Keep one for as long as lookups run - its buckets are what spaces them out.
+ */
+export class RateLimits {
+  private limiters: Map<string, RateLimiter> = new Map();
+  // The source each domain's limiter was created for, whose built-in settings it started with
+  private sources: Map<string, SourceDescriptor> = new Map();
+  private config: RateLimitConfig;
+  private readonly restored: RateLimitUsage;
+  private readonly onUsage?: (usage: RateLimitUsage) => void;
+
+  constructor(options: RateLimitsOptions = {}) {
+    this.config = options.config || {};
+    this.restored = options.usage || {};
+    this.onUsage = options.onUsage;
+  }
+
+  /**
+   * The limiter of a source's domain
+   */
+  limiterFor(source: SourceDescriptor): RateLimiter {
+    const domain: string = sourceDomain(source);
+    let limiter: RateLimiter | undefined = this.limiters.get(domain);
+    if (!limiter) {
+      limiter = new RateLimiter(domain, resolveRateLimit(source, this.config), () => {
+        if (this.onUsage) {
+          this.onUsage(this.usage());
+        }
+      });
+      limiter.restoreUsage(this.restored[domain]);
+      this.limiters.set(domain, limiter);
+      this.sources.set(domain, source);
+    }
+    return limiter;
+  }
+
+  /**
+   * Apply changed overrides to every domain
+   */
+  configure(config: RateLimitConfig): void {
+    this.config = config;
+    this.limiters.forEach((limiter: RateLimiter, domain: string) => {
+      limiter.configure(resolveRateLimit(this.sources.get(domain)!, config));
+    });
+  }
+
+  /**
+   * Navigations made today, per domain
+   */
+  usage(): RateLimitUsage {
+    const usage: RateLimitUsage = { ...this.restored };
+    this.limiters.forEach((limiter: RateLimiter, domain: string) => {
+      usage[domain] = limiter.usage;
+    });
+    return usage;
+  }
+}
+
+/**
+ * Read the rate limit overrides set on the options page
+ */
+export async function loadRateLimitConfig(): Promise<RateLimitConfig> {
+  // Outside the extension (the CLI) there is no options page - the source defaults apply
+  if (typeof chrome === 'undefined' || !chrome.storage) {
+    return {};
+  }
+  return new Promise<RateLimitConfig>((resolve) => {
+    chrome.storage.local.get([RATE_LIMIT_CONFIG_KEY], (result: { [key: string]: any }) => {
+      resolve(result[RATE_LIMIT_CONFIG_KEY] || {});
+    });
+  });
+}
+
+/**
+ * Read the daily counts stored by previous service worker instances
+ */
+export async function loadRateLimitUsage(): Promise<RateLimitUsage> {
+  return new Promise<RateLimitUsage>((resolve) => {
+    chrome.storage.local.get([RATE_LIMIT_USAGE_KEY], (result: { [key: string]: any }) => {
+      resolve(result[RATE_LIMIT_USAGE_KEY] || {});
+    });
+  });
+}
+
+// Export to global namespace for Chrome extension compatibility
+interface RateLimitingGlobal {
+  DEFAULT_RATE_LIMIT: typeof DEFAULT_RATE_LIMIT;
+  RATE_LIMIT_CONFIG_KEY: typeof RATE_LIMIT_CONFIG_KEY;
+  RATE_LIMIT_USAGE_KEY: typeof RATE_LIMIT_USAGE_KEY;
+  RateLimiter: typeof RateLimiter;
+  RateLimits: typeof RateLimits;
+  sourceDomain: typeof sourceDomain;
+  resolveRateLimit: typeof resolveRateLimit;
+  loadRateLimitConfig: typeof loadRateLimitConfig;
+  loadRateLimitUsage: typeof loadRateLimitUsage;
+}
+
+declare global {
+  interface Window {
+    RateLimiting: RateLimitingGlobal;
+  }
+  var RateLimiting: RateLimitingGlobal;
+}
+
+const rateLimiting: RateLimitingGlobal = {
+  DEFAULT_RATE_LIMIT,
+  RATE_LIMIT_CONFIG_KEY,
+  RATE_LIMIT_USAGE_KEY,
+  RateLimiter,
+  RateLimits,
+  sourceDomain,
+  resolveRateLimit,
+  loadRateLimitConfig,
+  loadRateLimitUsage,
+};
+
+if (typeof window !== 'undefined') {
+  (window as Window).RateLimiting = rateLimiting;
+} else {
+  // For service worker context
+  (globalThis as any).RateLimiting = rateLimiting;
+}
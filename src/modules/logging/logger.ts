@@ -0,0 +1,51 @@
+/**
+ * Logging
+ * Where the modules' progress and diagnostics go - the console by default. A host that needs the
+ * console for something else (the command line writes its results to stdout) sends them elsewhere.
+ */
+
+export interface Logger {
+  log: (...args: unknown[]) => void;
+  warn: (...args: unknown[]) => void;
+  error: (...args: unknown[]) => void;
+}
+
+let sink: Logger = console;
+
+/**
+ * What the modules log through - it forwards to whatever setLogger installed last
+ */
+export const logger: Logger = {
+  log: (...args: unknown[]): void => sink.log(...args),
+  warn: (...args: unknown[]): void => sink.warn(...args),
+  error: (...args: unknown[]): void => sink.error(...args),
+};
+
+/**
+ * Send the modules' logging somewhere other than the console
+ */
+export function setLogger(next: Logger): void {
+  sink = next;
+}
+
+// Export to global namespace for Chrome extension compatibility
+interface LoggingGlobal {
+  logger: typeof logger;
+  setLogger: typeof setLogger;
+}
+
+declare global {
+  interface Window {
+    Logging: LoggingGlobal;
+  }
+  var Logging: LoggingGlobal;
+}
+
+const logging: LoggingGlobal = { logger, setLogger };
+
+if (typeof window !== 'undefined') {
+  (window as Window).Logging = logging;
+} else {
+  // For service worker context
+  (globalThis as any).Logging = logging;
+}
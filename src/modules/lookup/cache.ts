@@ -0,0 +1,123 @@
+/**
+ * Result Cache
+ * Decides which sources of a stored lookup are still fresh - each source's data carries its own
+ * scrape time and expires after that source's TTL, so a lookup only re-scrapes what has expired
+ */
+
+import type { SourceDescriptor } from '../scrapers/registry';
+import type { CacheConfig, OSINTResults } from '../../types/osint';
+
+// chrome.storage.local key holding per-source TTL overrides set on the options page
+export const CACHE_CONFIG_KEY: string = 'cache_config';
+export const DEFAULT_CACHE_TTL: number = 6 * 60 * 60 * 1000;
+
+/**
+ * TTL (ms) of a source - a configured override wins over the source's own default
+ */
+export function sourceTtl(source: SourceDescriptor, config?: CacheConfig): number {
+  const override: number | undefined = config?.ttl[source.id];
+  if (typeof override === 'number' && Number.isFinite(override) && override >= 0) {
+    return override;
+  }
+  return source.cacheTtl ?? DEFAULT_CACHE_TTL;
+}
+
+/**
+ * When a source's data in a stored lookup was scraped
+ * Results stored before per-source times were recorded fall back to the lookup's timestamp
+ */
+export function sourceFetchedAt(results: OSINTResults, sourceId: string): string | null {
+  if (!results.sources[sourceId]) {
+    return null;
+  }
+  return results.fetchedAt?.[sourceId] || results.timestamp;
+}
+
+/**
+ * Whether a stored lookup has usable data for a source that is younger than its TTL
+ * Data that recorded a scrape error is never served from the cache.
+ */
+export function isFresh(
+  results: OSINTResults,
+  source: SourceDescriptor,
+  config?: CacheConfig,
+  now: number = Date.now()
+): boolean {
+  const data = results.sources[source.id];
+  const fetchedAt: string | null = sourceFetchedAt(results, source.id);
+  if (!data || data.error || !fetchedAt) {
+    return false;
+  }
+  const age: number = now - new Date(fetchedAt).getTime();
+  return Number.isFinite(age) && age >= 0 && age < sourceTtl(source, config);
+}
+
+/**
+ * Ids of the given sources whose stored data has expired (sources with no data aren't stale)
+ */
+export function staleSources(
+  results: OSINTResults,
+  sources: SourceDescriptor[],
+  config?: CacheConfig,
+  now: number = Date.now()
+): string[] {
+  return sources
+    .filter((source: SourceDescriptor) => results.sources[source.id] && !isFresh(results, source, config, now))
+    .map((source: SourceDescriptor) => source.id);
+}
+
+/**
+ * Read the TTL overrides set on the options page
+ */
+export async function loadCacheConfig(): Promise<CacheConfig> {
+  // Outside the extension (the CLI) there is no options page - the source defaults apply
+  if (typeof chrome === 'undefined' || !chrome.storage) {
+    return { ttl: {} };
+  }
+  return new Promise<CacheConfig>((resolve) => {
+    chrome.storage.local.get([CACHE_CONFIG_KEY], (result: { [key: string]: any }) => {
+      resolve({ ttl: {}, ...(result[CACHE_CONFIG_KEY] || {}) });
+    });
+  });
+}
+
+// Export to global namespace for Chrome extension compatibility
+interface ResultCacheGlobal {
+  CACHE_CONFIG_KEY: string;
+  DEFAULT_CACHE_TTL: number;
+  sourceTtl: typeof sourceTtl;
+  sourceFetchedAt: typeof sourceFetchedAt;
+  isFresh: typeof isFresh;
+  staleSources: typeof staleSources;
+  loadCacheConfig: typeof loadCacheConfig;
+}
+
+declare global {
+  interface Window {
+    ResultCache: ResultCacheGlobal;
+  }
+  var ResultCache: ResultCacheGlobal;
+}
+
+if (typeof window !== 'undefined') {
+  (window as Window).ResultCache = {
+    CACHE_CONFIG_KEY,
+    DEFAULT_CACHE_TTL,
+    sourceTtl,
+    sourceFetchedAt,
+    isFresh,
+    staleSources,
+    loadCacheConfig,
+  };
+} else {
+  // For service worker context
+  (globalThis as any).ResultCache = {
+    CACHE_CONFIG_KEY,
+    DEFAULT_CACHE_TTL,
+    sourceTtl,
+    sourceFetchedAt,
+    isFresh,
+    staleSources,
+    loadCacheConfig,
+  };
+}
@@ -0,0 +1,385 @@
+/**
+ * Lookup Orchestration
+ * Runs every applicable source for one indicator and assembles the OSINTResults, independent of
+ * where pages come from - the background worker leases them from its tab pool, the CLI opens them
+ * over a DevTools WebSocket. Each source runs within its own time budget, retrying failed page
+ * loads and lost tabs, and the whole lookup can be cancelled through an AbortSignal. A source that
+ * serves a challenge or login page can be held for the analyst to clear, with its clock stopped.
+ */
+
+import { logger } from '../logging/logger';
+import { getSources, supportsIndicator } from '../scrapers/registry';
+import type { ScrapeOptions, SourceDescriptor } from '../scrapers/registry';
+import { isBlockedError } from '../scrapers/pagestate';
+import { scoreResults } from '../scoring/verdict';
+import { isFresh, sourceFetchedAt } from './cache';
+import { TimeoutError, abortReason, isAbortError, isTransientError } from '../cdp/core';
+import { DEFAULT_RETRY_POLICY, deadlineSignal, withRetry } from '../jobs/queue';
+import type { ConcurrencyLimiter, Deadline, RetryPolicy } from '../jobs/queue';
+import type { RateLimiter, RateLimits } from '../jobs/ratelimit';
+import type {
+  CacheConfig,
+  Indicator,
+  LookupEventType,
+  OSINTError,
+  OSINTResults,
+  PageBlock,
+  ScoringConfig,
+  SourceData,
+  ThrottleReason,
+} from '../../types/osint';
+
+/**
+ * Stages of a scrape only the page supplier can see
+ */
+export type SourceStage = 'tab_opened' | 'navigating' | 'extracting';
+
+// Time budget of a source that doesn't set its own
+export const DEFAULT_SOURCE_TIMEOUT: number = 60000;
+// How long a scrape that ran out of time (or was cancelled) gets to hand back what it has
+const ABORT_GRACE_PERIOD: number = 2000;
+
+/**
+ * What a runner gets besides the source and indicator
+ */
+export interface RunContext {
+  /** Aborts when the lookup is cancelled or the source's budget runs out - pass it to the scraper */
+  signal: AbortSignal;
+  /** Call as the scrape moves through its stages */
+  report: (stage: SourceStage) => void;
+  /** Set when blocked pages go to the analyst (CollectOptions.handoff) - pass it to the scraper */
+  onBlocked?: ScrapeOptions['onBlocked'];
+  /** Set when the source's domain is rate limited (CollectOptions.rateLimits) - pass it to the scraper */
+  acquire?: ScrapeOptions['acquire'];
+}
+
+/**
+ * Scrape one source for an indicator - supplies the page and releases it afterwards
+ * It runs once per attempt; throwing a transient error (see isTransientError) asks for a retry.
+ */
+export type SourceRunner = (
+  source: SourceDescriptor,
+  indicator: Indicator,
+  context: RunContext
+) => Promise<SourceData>;
+
+/**
+ * Progress of one source within a lookup
+ */
+export interface SourceProgress {
+  type: Exclude<LookupEventType, 'complete'>;
+  source: SourceDescriptor;
+  data?: SourceData;
+  fetchedAt?: string;
+  cached?: boolean;
+  error?: string;
+  attempt?: number;
+  block?: PageBlock;
+  /** Estimated wait for the domain's rate limit, in ms (throttled) */
+  wait?: number;
+  throttle?: ThrottleReason;
+}
+
+export interface CollectOptions {
+  /** Only run these sources (by id) - the rest are left out of the results */
+  sourceIds?: string[];
+  /** Per-source concurrency limits, keyed by source id (shared across a bulk lookup) */
+  sourceLimiters?: Map<string, ConcurrencyLimiter>;
+  /**
+   * Rate limits of the vendor domains - every attempt waits for its domain's turn (reported as
+   * `throttled`, outside the source's time budget), and so does each further page the scraper
+   * loads (RunContext.acquire). A rate-limit page backs the domain off.
+   */
+  rateLimits?: RateLimits;
+  /** Verdict weights and thresholds (default: the built-in config) */
+  scoringConfig?: ScoringConfig;
+  /** A previous lookup of the same indicator - its sources that are still fresh aren't scraped again */
+  cached?: OSINTResults | null;
+  /** Per-source TTL overrides for deciding what is fresh (default: the sources' own TTLs) */
+  cacheConfig?: CacheConfig;
+  /** Re-scrape these sources (true: every source) even if their cached data is fresh */
+  refresh?: boolean | string[];
+  /** Called as each source is queued, scraped, retried, and done or failed */
+  onProgress?: (progress: SourceProgress) => void;
+  /** Cancels the lookup - sources that haven't finished are recorded as cancelled */
+  signal?: AbortSignal;
+  /**
+   * Wait for the analyst to clear a challenge, CAPTCHA, login or rate-limit page (reported as
+   * `blocked`) instead of failing the source - the source's time budget doesn't run meanwhile
+   */
+  handoff?: boolean;
+}
+
+/**
+ * Whether a lookup was asked to re-scrape a source regardless of its cache age
+ */
+function mustRefresh(source: SourceDescriptor, refresh: boolean | string[] | undefined): boolean {
+  return refresh === true || (Array.isArray(refresh) && refresh.includes(source.id));
+}
+
+/**
+ * Retry policy of a source - its own settings over the defaults
+ */
+function retryPolicy(source: SourceDescriptor): RetryPolicy {
+  return { ...DEFAULT_RETRY_POLICY, ...(source.retry || {}) };
+}
+
+/**
+ * Settle like `promise`, but no later than a grace period after `signal` aborts - a scraper stuck
+ * in a command that ignores the signal must not hold up the lookup
+ */
+function settleWithin<T>(promise: Promise<T>, signal: AbortSignal): Promise<T> {
+  return new Promise<T>((resolve, reject) => {
+    let timer: ReturnType<typeof setTimeout> | null = null;
+    const onAbort = (): void => {
+      timer = setTimeout(() => reject(abortReason(signal)), ABORT_GRACE_PERIOD);
+    };
+    const cleanup = (): void => {
+      if (timer !== null) {
+        clearTimeout(timer);
+      }
+      signal.removeEventListener('abort', onAbort);
+    };
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    promise.then(
+      (value: T) => {
+        cleanup();
+        resolve(value);
+      },
+      (error: unknown) => {
+        cleanup();
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Scrape a source within its time budget, retrying transient failures with backoff
+ * A scrape that runs out of time keeps the data it extracted, marked with the timeout as its error.
+ */
+async function scrapeSource(
+  source: SourceDescriptor,
+  indicator: Indicator,
+  runSource: SourceRunner,
+  options: CollectOptions,
+  progress: (update: SourceProgress) => void
+): Promise<SourceData> {
+  const budget: number = source.timeout ?? DEFAULT_SOURCE_TIMEOUT;
+  const deadline: Deadline = deadlineSignal(
+    options.signal,
+    budget,
+    () => new TimeoutError(`${source.name} did not finish within ${Math.round(budget / 1000)}s`)
+  );
+  const context: RunContext = {
+    signal: deadline.signal,
+    report: (stage: SourceStage): void => progress({ type: stage, source }),
+  };
+  const limiter: RateLimiter | undefined = options.rateLimits?.limiterFor(source);
+  if (limiter) {
+    // Waiting for the domain's turn doesn't count against the time budget
+    context.acquire = async (): Promise<void> => {
+      deadline.pause();
+      try {
+        await limiter.acquire({
+          signal: deadline.signal,
+          onWait: (wait: number, throttle: ThrottleReason) =>
+            progress({ type: 'throttled', source, wait, throttle }),
+        });
+      } finally {
+        deadline.resume();
+      }
+    };
+  }
+  if (options.handoff) {
+    context.onBlocked = async (block: PageBlock, waitForAccess: () => Promise<void>): Promise<void> => {
+      if (block.kind === 'rate_limit') {
+        limiter?.backOff();
+      }
+      progress({ type: 'blocked', source, block });
+      deadline.pause();
+      try {
+        await waitForAccess();
+      } finally {
+        deadline.resume();
+      }
+    };
+  }
+
+  try {
+    return await withRetry(
+      async (): Promise<SourceData> => {
+        if (context.acquire) {
+          await context.acquire();
+        }
+        let data: SourceData;
+        try {
+          data = await settleWithin(runSource(source, indicator, context), deadline.signal);
+        } catch (error) {
+          if (limiter && isBlockedError(error) && error.block.kind === 'rate_limit') {
+            limiter.backOff();
+          }
+          throw error;
+        }
+        limiter?.recordSuccess();
+        if (!deadline.signal.aborted) {
+          return data;
+        }
+        // The scraper gave up on its waits and returned early
+        const reason: Error = abortReason(deadline.signal);
+        if (isAbortError(reason)) {
+          throw reason;
+        }
+        return data.error ? data : { ...data, error: reason.message };
+      },
+      retryPolicy(source),
+      {
+        signal: deadline.signal,
+        isRetryable: isTransientError,
+        onRetry: (attempt: number, delay: number, error: unknown) => {
+          const message: string = error instanceof Error ? error.message : String(error);
+          logger.log(`[OSINT] ${source.name} attempt ${attempt} in ${delay}ms after:`, message);
+          progress({ type: 'retrying', source, attempt, error: message });
+        },
+      }
+    );
+  } finally {
+    deadline.clear();
+  }
+}
+
+/**
+ * Look an indicator up in every registered source that supports its type
+ * A failing source is recorded in `errors` and never fails the lookup as a whole. Sources with
+ * fresh data in `options.cached` are served from it, keeping their original scrape time. A
+ * cancelled lookup still resolves, with what finished before `options.signal` aborted.
+ */
+export async function collectResults(
+  indicator: Indicator,
+  runSource: SourceRunner,
+  options: CollectOptions = {}
+): Promise<OSINTResults> {
+  logger.log(`[OSINT] Starting collection for ${indicator.type}:`, indicator.value);
+  const results: OSINTResults = {
+    indicator,
+    timestamp: new Date().toISOString(),
+    sources: {},
+    notApplicable: [],
+    errors: [],
+    fetchedAt: {},
+  };
+  const cached: OSINTResults | null = options.cached || null;
+  const progress = (update: SourceProgress): void => {
+    if (options.onProgress) {
+      options.onProgress(update);
+    }
+  };
+
+  // Skip sources that weren't asked for or can't look up this indicator type
+  const sources: SourceDescriptor[] = getSources().filter((source: SourceDescriptor) => {
+    if (options.sourceIds && !options.sourceIds.includes(source.id)) {
+      return false;
+    }
+    if (supportsIndicator(source, indicator)) {
+      return true;
+    }
+    logger.log(`[OSINT] ${source.name} does not support ${indicator.type} lookups, skipping`);
+    results.notApplicable.push(source.name);
+    return false;
+  });
+
+  sources.forEach((source: SourceDescriptor) => progress({ type: 'queued', source }));
+
+  // Scrape data from each source in parallel, within its concurrency limit if any
+  const scraped: (SourceData | undefined)[] = await Promise.all(
+    sources.map(async (source: SourceDescriptor): Promise<SourceData | undefined> => {
+      if (cached && !mustRefresh(source, options.refresh) && isFresh(cached, source, options.cacheConfig)) {
+        logger.log(`[OSINT] ${source.name} served from cache`);
+        results.fetchedAt![source.id] = sourceFetchedAt(cached, source.id)!;
+        progress({
+          type: 'source_done',
+          source,
+          data: cached.sources[source.id],
+          fetchedAt: results.fetchedAt![source.id],
+          cached: true,
+        });
+        return cached.sources[source.id];
+      }
+      const limiter: ConcurrencyLimiter | undefined = options.sourceLimiters?.get(source.id);
+      const scrape = (): Promise<SourceData> => {
+        // Sources still waiting for a slot when the lookup is cancelled never start
+        if (options.signal?.aborted) {
+          return Promise.reject(abortReason(options.signal));
+        }
+        return scrapeSource(source, indicator, runSource, options, progress);
+      };
+      try {
+        const data: SourceData = limiter ? await limiter.run(scrape) : await scrape();
+        logger.log(`[OSINT] ${source.name} scrape complete:`, data);
+        results.fetchedAt![source.id] = new Date().toISOString();
+        progress({ type: 'source_done', source, data, fetchedAt: results.fetchedAt![source.id], cached: false });
+        return data;
+      } catch (error) {
+        logger.error(`[OSINT] ${source.name} scrape error:`, error);
+        const message: string = isAbortError(error)
+          ? 'Cancelled'
+          : error instanceof Error
+            ? error.message
+            : 'Unknown error';
+        const failure: OSINTError = { source: source.name, error: message };
+        const block: PageBlock | undefined = isBlockedError(error) ? error.block : undefined;
+        if (block) {
+          failure.blocked = block.kind;
+        }
+        results.errors.push(failure);
+        progress({ type: 'source_failed', source, error: message, block });
+        // Keep showing expired data rather than nothing - its old scrape time marks it as stale
+        const previous: string | null = cached ? sourceFetchedAt(cached, source.id) : null;
+        if (previous) {
+          results.fetchedAt![source.id] = previous;
+          return cached!.sources[source.id];
+        }
+        return undefined;
+      }
+    })
+  );
+
+  // Assign in registry order so sources are rendered consistently
+  sources.forEach((source: SourceDescriptor, index: number) => {
+    const data: SourceData | undefined = scraped[index];
+    if (data) {
+      results.sources[source.id] = data;
+    }
+  });
+  if (options.signal?.aborted) {
+    results.cancelled = true;
+  }
+  logger.log('[OSINT] All scrapes complete. Results:', results);
+
+  results.verdict = scoreResults(results, options.scoringConfig);
+  logger.log('[OSINT] Verdict:', results.verdict);
+  return results;
+}
+
+// Export to global namespace for Chrome extension compatibility
+interface LookupGlobal {
+  collectResults: typeof collectResults;
+}
+
+declare global {
+  interface Window {
+    Lookup: LookupGlobal;
+  }
+  var Lookup: LookupGlobal;
+}
+
+if (typeof window !== 'undefined') {
+  (window as Window).Lookup = { collectResults };
+} else {
+  // For service worker context
+  (globalThis as any).Lookup = { collectResults };
+}
@@ -0,0 +1,201 @@
+/**
+ * Verdict Scoring
+ * Combines the signals of every source into one normalized verdict with a 0-100 risk score,
+ * keeping each signal's share of the score so the popup can explain how it was reached
+ */
+
+import type {
+  OSINTResults,
+  Verdict,
+  VerdictResult,
+  VerdictSignal,
+  ScoringConfig,
+  IPInfoPrivacy,
+} from '../../types/osint';
+
+export const DEFAULT_SCORING_CONFIG: ScoringConfig = {
+  weights: {
+    vtDetections: 5,
+    vtCommunity: 1,
+    abuseConfidence: 4,
+    abuseReports: 1,
+    ipinfoPrivacy: 1,
+  },
+  thresholds: {
+    suspicious: 25,
+    malicious: 60,
+  },
+  // Weighted detections (suspicious count half) at which the VirusTotal signal reaches 100
+  vtDetectionsForMaxScore: 5,
+  // Distinct reporters at which the AbuseIPDB report signal reaches 100
+  reportersForMaxScore: 10,
+};
+
+// Risk of each IPInfo privacy flag - the signal takes the highest flag that is set
+const PRIVACY_FLAG_SCORES: { [flag in keyof IPInfoPrivacy]: number } = {
+  tor: 80,
+  proxy: 60,
+  vpn: 50,
+  relay: 30,
+  hosting: 20,
+};
+
+/**
+ * Fill in whatever a stored (possibly partial or outdated) config leaves out
+ */
+export function resolveScoringConfig(overrides: Partial<ScoringConfig> = {}): ScoringConfig {
+  return {
+    ...DEFAULT_SCORING_CONFIG,
+    ...overrides,
+    weights: { ...DEFAULT_SCORING_CONFIG.weights, ...overrides.weights },
+    thresholds: { ...DEFAULT_SCORING_CONFIG.thresholds, ...overrides.thresholds },
+  };
+}
+
+function clampScore(value: number): number {
+  return Math.min(100, Math.max(0, Math.round(value)));
+}
+
+type RawSignal = Omit<VerdictSignal, 'weight' | 'contribution'>;
+
+/**
+ * Read the scoreable signals out of the collected source data
+ * Sources that failed or returned nothing usable produce no signal rather than a zero
+ */
+function collectSignals(results: OSINTResults, config: ScoringConfig): RawSignal[] {
+  const signals: RawSignal[] = [];
+  const { virustotal, abuseipdb, ipinfo } = results.sources;
+
+  if (virustotal?.detection) {
+    const { malicious, suspicious, harmless, undetected } = virustotal.detection.stats;
+    const total: number = malicious + suspicious + harmless + undetected;
+    if (total > 0) {
+      signals.push({
+        id: 'vtDetections',
+        source: 'VirusTotal',
+        label: 'Vendor detections',
+        detail: `${malicious} malicious, ${suspicious} suspicious of ${total} vendors`,
+        score: clampScore(((malicious + suspicious / 2) / config.vtDetectionsForMaxScore) * 100),
+      });
+    }
+  }
+
+  if (typeof virustotal?.communityScore === 'number') {
+    // Negative community votes raise the risk, positive votes don't lower it
+    signals.push({
+      id: 'vtCommunity',
+      source: 'VirusTotal',
+      label: 'Community score',
+      detail: `Community score ${virustotal.communityScore}`,
+      score: clampScore(-virustotal.communityScore * 10),
+    });
+  }
+
+  if (abuseipdb && typeof abuseipdb.abuseConfidence === 'number') {
+    signals.push({
+      id: 'abuseConfidence',
+      source: 'AbuseIPDB',
+      label: 'Abuse confidence',
+      detail: `${abuseipdb.abuseConfidence}% confidence of abuse`,
+      score: clampScore(abuseipdb.abuseConfidence),
+    });
+  }
+
+  if (abuseipdb && typeof abuseipdb.distinctReporters === 'number') {
+    signals.push({
+      id: 'abuseReports',
+      source: 'AbuseIPDB',
+      label: 'Abuse reports',
+      detail: `${abuseipdb.totalReports ?? 0} reports from ${abuseipdb.distinctReporters} sources`,
+      score: clampScore((abuseipdb.distinctReporters / config.reportersForMaxScore) * 100),
+    });
+  }
+
+  if (ipinfo?.privacy) {
+    const privacy: IPInfoPrivacy = ipinfo.privacy;
+    const flags: (keyof IPInfoPrivacy)[] = (
+      Object.keys(PRIVACY_FLAG_SCORES) as (keyof IPInfoPrivacy)[]
+    ).filter((flag: keyof IPInfoPrivacy) => privacy[flag]);
+    signals.push({
+      id: 'ipinfoPrivacy',
+      source: 'IPInfo',
+      label: 'Anonymization',
+      detail: flags.length > 0 ? `Flagged as ${flags.join(', ')}` : 'No VPN, proxy, Tor or hosting flags',
+      score: Math.max(0, ...flags.map((flag: keyof IPInfoPrivacy) => PRIVACY_FLAG_SCORES[flag])),
+    });
+  }
+
+  return signals;
+}
+
+/**
+ * Map a score to a verdict using the configured thresholds
+ */
+export function classifyScore(score: number, config: ScoringConfig): Verdict {
+  if (score >= config.thresholds.malicious) {
+    return 'malicious';
+  }
+  if (score >= config.thresholds.suspicious) {
+    return 'suspicious';
+  }
+  return 'clean';
+}
+
+/**
+ * Score a set of results
+ * The score is the weighted average of the available signals; each signal records its
+ * contribution (its share of the final score), so the contributions add up to the score.
+ * With no usable signal (every source failed or was not applicable) the verdict is 'unknown'
+ */
+export function scoreResults(
+  results: OSINTResults,
+  config: ScoringConfig = DEFAULT_SCORING_CONFIG
+): VerdictResult {
+  const weighted: { signal: RawSignal; weight: number }[] = collectSignals(results, config)
+    .map((signal: RawSignal) => ({
+      signal,
+      weight: Math.max(0, config.weights[signal.id] ?? 0),
+    }))
+    .filter(({ weight }) => weight > 0);
+
+  const totalWeight: number = weighted.reduce((sum: number, { weight }) => sum + weight, 0);
+  if (totalWeight === 0) {
+    return { verdict: 'unknown', score: null, signals: [] };
+  }
+
+  const signals: VerdictSignal[] = weighted
+    .map(({ signal, weight }) => ({
+      ...signal,
+      weight,
+      contribution: Math.round(((signal.score * weight) / totalWeight) * 10) / 10,
+    }))
+    .sort((a: VerdictSignal, b: VerdictSignal) => b.contribution - a.contribution);
+
+  const score: number = clampScore(
+    weighted.reduce((sum: number, { signal, weight }) => sum + signal.score * weight, 0) / totalWeight
+  );
+
+  return { verdict: classifyScore(score, config), score, signals };
+}
+
+// Export to global namespace for Chrome extension compatibility
+interface ScoringGlobal {
+  DEFAULT_SCORING_CONFIG: typeof DEFAULT_SCORING_CONFIG;
+  resolveScoringConfig: typeof resolveScoringConfig;
+  classifyScore: typeof classifyScore;
+  scoreResults: typeof scoreResults;
+}
+
+declare global {
+  interface Window {
+    Scoring: ScoringGlobal;
+  }
+  var Scoring: ScoringGlobal;
+}
+
+if (typeof window !== 'undefined') {
+  (window as Window).Scoring = { DEFAULT_SCORING_CONFIG, resolveScoringConfig, classifyScore, scoreResults };
+} else {
+  // For service worker context
+  (globalThis as any).Scoring = { DEFAULT_SCORING_CONFIG, resolveScoringConfig, classifyScore, scoreResults };
+}
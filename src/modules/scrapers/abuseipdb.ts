@@ -3,187 +3,357 @@
  * Extracts abuse reports and reputation data from AbuseIPDB using browser automation
  */
 
-import { createPage, Page } from '../cdp/core';
-import { AbuseIPDBData } from '../../types/osint';
+import { logger } from '../logging/logger';
+import { isAbortError, isTransientError } from '../cdp/core';
+import type { Page } from '../cdp/core';
+import { registerSource } from './registry';
+import type { ScrapeOptions } from './registry';
+import { ensureAccess, isBlockedError } from './pagestate';
+import type { BlockRule } from './pagestate';
+import { loadSpec, extractFields, specPattern, toIsoDate } from '../extraction/spec';
+import type {
+  AbuseIPDBData,
+  AbuseCategory,
+  AbuseReport,
+  ExtractionSpec,
+  Indicator,
+} from '../../types/osint';
 
 /**
- * Scrape AbuseIPDB for IP address intelligence
- * @param tabId - The tab ID to use for automation
- * @param ipAddress - The IP address to investigate
- * @returns Extracted abuse and reputation data
+ * Build the AbuseIPDB report page URL for an IP address
+ * IPv6 addresses go in the path as-is - the canonical form keeps one URL per address
  */
-export async function scrapeAbuseIPDB(
-  tabId: number,
-  ipAddress: string
-): Promise<AbuseIPDBData> {
-  console.log('[AbuseIPDB] Starting scrape for tab:', tabId);
-  const page: Page = await createPage(tabId);
-  console.log('[AbuseIPDB] Page created, CDP attached');
+export function buildUrl(indicator: Indicator): string {
+  return `https://www.abuseipdb.com/check/${indicator.value}`;
+}
+
+// Pages AbuseIPDB serves instead of a report, besides the common interstitials
+const BLOCK_RULES: BlockRule[] = [
+  { kind: 'login', reason: 'AbuseIPDB login', url: 'abuseipdb\\.com/(login|register)' },
+  {
+    kind: 'rate_limit',
+    reason: 'AbuseIPDB daily limit',
+    text: '(daily|request) limit.*(reached|exceeded)|exceeded.*(daily|request) limit',
+  },
+];
+
+// AbuseIPDB report categories (https://www.abuseipdb.com/categories)
+const CATEGORY_NAMES: { [id: number]: string } = {
+  1: 'DNS Compromise',
+  2: 'DNS Poisoning',
+  3: 'Fraud Orders',
+  4: 'DDoS Attack',
+  5: 'FTP Brute-Force',
+  6: 'Ping of Death',
+  7: 'Phishing',
+  8: 'Fraud VoIP',
+  9: 'Open Proxy',
+  10: 'Web Spam',
+  11: 'Email Spam',
+  12: 'Blog Spam',
+  13: 'VPN IP',
+  14: 'Port Scan',
+  15: 'Hacking',
+  16: 'SQL Injection',
+  17: 'Spoofing',
+  18: 'Brute-Force',
+  19: 'Bad Web Bot',
+  20: 'Exploited Host',
+  21: 'Web App Attack',
+  22: 'SSH',
+  23: 'IoT Targeted',
+};
+
+export const SPEC: ExtractionSpec = {
+  source: 'abuseipdb',
+  version: 1,
+  selectors: {
+    reportTable: '#reports table, table#reports',
+    reportCategories: '.badge, .label, a, span',
+    summary: '#report-wrapper, main',
+    content: 'main, [class*="content"], [id*="content"]',
+  },
+  patterns: {
+    loaded: 'was (not )?found in our database',
+    totals: 'reported a total of\\s+([\\d,]+)\\s+times? from\\s+([\\d,]+)\\s+distinct source',
+    firstSeen: 'first reported on\\s+([^,]+?\\d{4})',
+    lastSeen: 'most recent report was\\s+([^.]+)',
+  },
+  fields: [
+    {
+      name: 'abuseConfidence',
+      selectors: ['[class*="confidence"], [class*="score"], [id*="confidence"]'],
+      pattern: '(\\d+)%',
+      type: 'integer',
+    },
+    // Status badges mention "public" and "whitelisted" when they apply
+    {
+      name: 'isPublic',
+      selectors: ['[class*="status"], [class*="public"], [class*="whitelist"]'],
+      all: true,
+      join: ' ',
+      pattern: 'public',
+      flags: 'i',
+      type: 'boolean',
+    },
+    {
+      name: 'isWhitelisted',
+      selectors: ['[class*="status"], [class*="public"], [class*="whitelist"]'],
+      all: true,
+      join: ' ',
+      pattern: 'whitelist',
+      flags: 'i',
+      type: 'boolean',
+    },
+    { name: 'usageType', selectors: ['[class*="usage"], [class*="type"]'] },
+    { name: 'isp', selectors: ['[class*="isp"], [title*="ISP"]'] },
+    { name: 'domain', selectors: ['[class*="domain"]'] },
+    { name: 'country', selectors: ['[class*="country"], [title*="Country"]'] },
+  ],
+};
 
+/**
+ * A report table row as read from the page, before decoding
+ */
+interface RawReport {
+  reporter: string;
+  date: string;
+  comment: string;
+  categories: { text: string; id: string | null }[];
+}
+
+/**
+ * Decode a category badge to its ID and name
+ * Badges carry the ID in a data attribute or link when available, otherwise only the name
+ */
+function decodeCategory(badge: { text: string; id: string | null }): AbuseCategory | null {
+  const id: number = parseInt(badge.id || badge.text, 10);
+  if (CATEGORY_NAMES[id]) {
+    return { id, name: CATEGORY_NAMES[id] };
+  }
+  const text: string = badge.text.trim().toLowerCase();
+  const entry: [string, string] | undefined = Object.entries(CATEGORY_NAMES).find(
+    ([, name]: [string, string]) => name.toLowerCase() === text
+  );
+  return entry ? { id: parseInt(entry[0], 10), name: entry[1] } : null;
+}
+
+/**
+ * Read the report history table and the summary sentence above it
+ * ("reported a total of 123 times from 45 distinct sources ... first reported on March 1st 2020")
+ * @returns Whether the report table was on the page
+ */
+async function extractReports(page: Page, spec: ExtractionSpec, data: AbuseIPDBData): Promise<boolean> {
+  let tableFound: boolean = false;
   try {
-    // Navigate to AbuseIPDB
-    const url: string = `https://www.abuseipdb.com/check/${ipAddress}`;
-    console.log('[AbuseIPDB] Navigating to:', url);
-    await page.goto(url);
-    console.log('[AbuseIPDB] Navigation complete');
-
-    // Wait for page to load
-    await page.waitForTimeout(3000);
-    console.log('[AbuseIPDB] Page should be loaded now');
-
-    const data: AbuseIPDBData = {
-      source: 'AbuseIPDB',
-      ip: ipAddress,
-      url: url,
-      abuseConfidence: null,
-      isPublic: null,
-      isWhitelisted: undefined,
-      usageType: undefined,
-      isp: undefined,
-      domain: undefined,
-      country: undefined,
-      reports: [],
-      lastReported: undefined,
-    };
-
-    // Extract abuse confidence score (no waiting - just try)
-    const confidenceText: string | null = await page.textContent(
-      '[class*="confidence"], [class*="score"], [id*="confidence"]'
-    );
-    if (confidenceText) {
-      const match: RegExpMatchArray | null = confidenceText.match(/(\d+)%/);
-      if (match && match[1]) {
-        data.abuseConfidence = parseInt(match[1], 10);
-      } else {
-        data.abuseConfidence = null;
-      }
-    }
+    const rows: RawReport[] | null = await page
+      .locator(spec.selectors.reportTable)
+      .first()
+      .evaluateAll((tables: Element[], badgeSelector: string) => {
+        const table: Element | undefined = tables[0];
+        if (!table) {
+          return null;
+        }
+        // Find columns by their headings rather than position
+        const headings: string[] = Array.from(table.querySelectorAll('thead th')).map(
+          (th: Element) => (th.textContent || '').trim().toLowerCase()
+        );
+        const column = (pattern: RegExp, fallback: number): number => {
+          const index: number = headings.findIndex((heading: string) => pattern.test(heading));
+          return index >= 0 ? index : fallback;
+        };
+        const reporterColumn: number = column(/reporter/, 0);
+        const dateColumn: number = column(/timestamp|date/, 1);
+        const commentColumn: number = column(/comment/, 2);
+        const categoryColumn: number = column(/categor/, 3);
 
-    // Extract IP status information
-    try {
-      const statusText: string[] = await page.evaluate<string[]>(`
-        (function() {
-          const statusElements = document.querySelectorAll('[class*="status"], [class*="public"], [class*="whitelist"]');
-          const texts = Array.from(statusElements).map(el => el.textContent).filter(t => t);
-          return texts;
-        })()
-      `);
-
-      if (statusText && statusText.length > 0) {
-        statusText.forEach((text: string) => {
-          if (text.toLowerCase().includes('public')) {
-            data.isPublic = true;
-          }
-          if (text.toLowerCase().includes('whitelist')) {
-            data.isWhitelisted = true;
-          }
-        });
-      }
-    } catch (error) {
-      console.log('Could not extract status:', error);
-    }
+        return Array.from(table.querySelectorAll('tbody tr'))
+          .map((row: Element) => Array.from(row.querySelectorAll('td')))
+          .filter((cells: Element[]) => cells.length > categoryColumn)
+          .map((cells: Element[]) => {
+            const time: Element | null = cells[dateColumn].querySelector('time');
+            const badges: Element[] = Array.from(
+              cells[categoryColumn].querySelectorAll(badgeSelector)
+            ).filter((badge: Element) => !badge.querySelector(badgeSelector));
+            return {
+              reporter: (cells[reporterColumn].textContent || '').replace(/\s+/g, ' ').trim(),
+              date: (time && time.getAttribute('datetime')) || (cells[dateColumn].textContent || '').trim(),
+              comment: (cells[commentColumn].textContent || '').trim(),
+              categories: badges.map((badge: Element) => {
+                const href: string = badge.getAttribute('href') || '';
+                const idMatch: RegExpMatchArray | null = href.match(/(\d+)\/?$/);
+                return {
+                  text: (badge.textContent || '').trim(),
+                  id:
+                    badge.getAttribute('data-category') ||
+                    badge.getAttribute('data-id') ||
+                    (idMatch ? idMatch[1] : null),
+                };
+              }),
+            };
+          });
+      }, spec.selectors.reportCategories);
 
-    // Extract usage type (no waiting - just try)
-    const usageTypeText: string | null = await page.textContent(
-      '[class*="usage"], [class*="type"]'
-    );
-    if (usageTypeText) {
-      data.usageType = usageTypeText;
-    }
+    tableFound = rows !== null;
+    data.reports = (rows || []).map((row: RawReport): AbuseReport => ({
+      reporter: row.reporter,
+      date: toIsoDate(row.date),
+      comment: row.comment,
+      categories: row.categories
+        .map(decodeCategory)
+        .filter((category: AbuseCategory | null): category is AbuseCategory => category !== null)
+        // A badge may be matched both as a link and by name
+        .filter(
+          (category: AbuseCategory, index: number, all: AbuseCategory[]) =>
+            all.findIndex((other: AbuseCategory) => other.id === category.id) === index
+        ),
+    }));
+  } catch (error) {
+    logger.log('Could not extract reports:', error);
+  }
 
-    // Extract ISP information
-    const ispText: string | null = await page.textContent(
-      '[class*="isp"], [title*="ISP"]'
-    );
-    if (ispText) {
-      data.isp = ispText;
+  try {
+    const summary: string = (await page.textContent(spec.selectors.summary)) || '';
+    const totals: RegExpMatchArray | null = summary.match(specPattern(spec, 'totals'));
+    if (totals) {
+      data.totalReports = parseInt(totals[1].replace(/,/g, ''), 10);
+      data.distinctReporters = parseInt(totals[2].replace(/,/g, ''), 10);
     }
-
-    // Extract domain
-    const domainText: string | null = await page.textContent(
-      '[class*="domain"]'
-    );
-    if (domainText) {
-      data.domain = domainText;
+    const firstSeen: RegExpMatchArray | null = summary.match(specPattern(spec, 'firstSeen'));
+    if (firstSeen) {
+      data.firstSeen = toIsoDate(firstSeen[1]) || undefined;
     }
-
-    // Extract country
-    const countryText: string | null = await page.textContent(
-      '[class*="country"], [title*="Country"]'
-    );
-    if (countryText) {
-      data.country = countryText;
+    const lastSeen: RegExpMatchArray | null = summary.match(specPattern(spec, 'lastSeen'));
+    if (lastSeen) {
+      data.lastSeen = toIsoDate(lastSeen[1]) || undefined;
     }
+  } catch (error) {
+    logger.log('Could not extract report summary:', error);
+  }
+
+  // Fall back to the table when the summary sentence is missing
+  const dates: string[] = data.reports
+    .map((report: AbuseReport) => report.date)
+    .filter((date: string | null): date is string => date !== null)
+    .sort();
+  if (data.totalReports === undefined && data.reports.length > 0) {
+    data.totalReports = data.reports.length;
+    data.distinctReporters = new Set(data.reports.map((report: AbuseReport) => report.reporter)).size;
+  }
+  if (dates.length > 0) {
+    // The table is exact where the summary is relative ("2 hours ago")
+    data.lastSeen = dates[dates.length - 1];
+    data.firstSeen = data.firstSeen || dates[0];
+  }
+  return tableFound;
+}
+
+/**
+ * Scrape AbuseIPDB for IP address intelligence
+ * @param page - Page attached to the tab used for automation
+ * @param indicator - The IPv4 or IPv6 address indicator to investigate (canonical form)
+ * @param options - Page to load instead of the live report (self-test fixtures), abort signal,
+ *   handoff of blocked pages
+ * @returns Extracted abuse and reputation data
+ */
+export async function scrapeAbuseIPDB(
+  page: Page,
+  indicator: Indicator,
+  options: ScrapeOptions = {}
+): Promise<AbuseIPDBData> {
+  const ipAddress: string = indicator.value;
+  logger.log('[AbuseIPDB] Starting scrape for tab:', page.tabId);
+  const signal: AbortSignal | undefined = options.signal;
+  const url: string = options.url || buildUrl(indicator);
+  const data: AbuseIPDBData = {
+    source: 'AbuseIPDB',
+    indicator: ipAddress,
+    url: url,
+    abuseConfidence: null,
+    isPublic: null,
+    isWhitelisted: undefined,
+    usageType: undefined,
+    isp: undefined,
+    domain: undefined,
+    country: undefined,
+    reports: [],
+    totalReports: undefined,
+    distinctReporters: undefined,
+    firstSeen: undefined,
+    lastSeen: undefined,
+  };
 
-    // Extract recent reports
+  try {
+    // Navigate to AbuseIPDB
+    logger.log('[AbuseIPDB] Navigating to:', url);
+    await page.goto(url, { waitUntil: 'domcontentloaded', signal });
+    logger.log('[AbuseIPDB] Navigation complete');
+    await ensureAccess(page, url, BLOCK_RULES, options);
+
+    const spec: ExtractionSpec = await loadSpec(SPEC);
+
+    // Every report states whether the address "was (not) found in our database"
     try {
-      const reportsText: string[] = await page.textContents(
-        '[class*="report"], [class*="abuse"], table tr'
+      await page.waitForFunction(
+        (source: string) => !!document.body && new RegExp(source, 'i').test(document.body.innerText),
+        spec.patterns.loaded,
+        { timeout: 10000, signal }
       );
-      if (reportsText && reportsText.length > 0) {
-        data.reports = reportsText.slice(0, 10); // Limit to 10 most recent
-      }
+      logger.log('[AbuseIPDB] Report content loaded');
     } catch (error) {
-      console.log('Could not extract reports:', error);
+      logger.log('[AbuseIPDB] Report content not found, extracting what is there:', error);
     }
 
-    // Extract last reported date
-    const lastReportedText: string | null = await page.textContent(
-      '[class*="last"], [class*="reported"]'
-    );
-    if (lastReportedText) {
-      data.lastReported = lastReportedText;
+    // Confidence, status flags, usage type, ISP, domain and country
+    await extractFields(page, spec, data, indicator, signal);
+
+    // Parse the report history
+    const tableFound: boolean = await extractReports(page, spec, data);
+    // The status badges only show when they apply - on a report that rendered, no badge means no
+    if (tableFound) {
+      data.isPublic = data.isPublic ?? false;
+      data.isWhitelisted = data.isWhitelisted ?? false;
     }
 
     // Get comprehensive page text
     try {
-      const fullText: string = await page.evaluate<string>(`
-        (function() {
-          const mainContent = document.querySelector('main, [class*="content"], [id*="content"]') || document.body;
+      const fullText: string = await page
+        .locator(spec.selectors.content)
+        .evaluateAll((elements: Element[]) => {
+          const mainContent: HTMLElement = (elements[0] as HTMLElement | undefined) || document.body;
           return mainContent.innerText.substring(0, 2000);
-        })()
-      `);
+        });
       if (fullText) {
         data.rawContent = fullText;
       }
     } catch (error) {
-      console.log('Could not extract raw content:', error);
+      logger.log('Could not extract raw content:', error);
     }
 
     return data;
   } catch (error) {
-    console.error('AbuseIPDB scraping error:', error);
+    // A cancellation, transient failure or block is rethrown for the orchestrator to deal with
+    if (isAbortError(error) || isTransientError(error) || isBlockedError(error)) {
+      throw error;
+    }
+    logger.error('AbuseIPDB scraping error:', error);
     const errorMessage: string =
       error instanceof Error ? error.message : 'Unknown error';
-    return {
-      source: 'AbuseIPDB',
-      ip: ipAddress,
-      abuseConfidence: null,
-      isPublic: null,
-      reports: [],
-      error: errorMessage,
-    };
-  } finally {
-    await page.context.detach();
+    // Fields read before the failure still count
+    return { ...data, error: errorMessage };
   }
 }
 
-// Export to global namespace for Chrome extension compatibility
-interface AbuseIPDBScraperGlobal {
-  scrapeAbuseIPDB: typeof scrapeAbuseIPDB;
-}
-
-declare global {
-  interface Window {
-    AbuseIPDBScraper: AbuseIPDBScraperGlobal;
-  }
-  var AbuseIPDBScraper: AbuseIPDBScraperGlobal;
-}
-
-if (typeof window !== 'undefined') {
-  (window as Window).AbuseIPDBScraper = { scrapeAbuseIPDB };
-} else {
-  // For service worker context
-  (self as any).AbuseIPDBScraper = { scrapeAbuseIPDB };
-}
-
+// Register with the source registry so the orchestrator picks this source up
+registerSource<AbuseIPDBData>({
+  id: 'abuseipdb',
+  name: 'AbuseIPDB',
+  indicatorTypes: ['ip'],
+  order: 2,
+  buildUrl,
+  spec: SPEC,
+  domain: 'www.abuseipdb.com',
+  // Signed-out visitors get a small daily allowance of report pages
+  rateLimit: { requestsPerMinute: 6, dailyCap: 100 },
+  scrape: scrapeAbuseIPDB,
+});
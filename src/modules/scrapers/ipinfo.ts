@@ -3,178 +3,182 @@
  * Extracts geolocation and network information from IPInfo using browser automation
  */
 
-import { createPage, Page } from '../cdp/core';
-import { IPInfoData } from '../../types/osint';
+import { logger } from '../logging/logger';
+import { isAbortError, isTransientError } from '../cdp/core';
+import type { Page } from '../cdp/core';
+import { registerSource } from './registry';
+import type { ScrapeOptions } from './registry';
+import { ensureAccess, isBlockedError } from './pagestate';
+import type { BlockRule } from './pagestate';
+import { loadSpec, extractFields } from '../extraction/spec';
+import type {
+  ExtractionSpec,
+  FieldSpec,
+  IPInfoData,
+  Indicator,
+  SelectorStep,
+} from '../../types/osint';
+
+/**
+ * Build the IPInfo report page URL for an IP address
+ * IPv6 addresses go in the path as-is - the canonical form keeps one URL per address
+ */
+export function buildUrl(indicator: Indicator): string {
+  return `https://ipinfo.io/${indicator.value}`;
+}
+
+// IPInfo sends anonymous visitors over its limit to the sign-up page or a rate-limit notice
+const BLOCK_RULES: BlockRule[] = [
+  { kind: 'login', reason: 'IPInfo sign-in', url: 'ipinfo\\.io/(login|signup)' },
+  {
+    kind: 'rate_limit',
+    reason: 'IPInfo rate limit',
+    text: 'rate limit(ed)?\\b.*(exceeded|reached)|(hit|reached) (the|your) (rate )?limit',
+  },
+];
+
+/**
+ * Selector chain for the value cell of a report table row, by the row's label - optionally only
+ * in the section under a given heading
+ */
+function rowValue(label: string, heading?: string): SelectorStep[] {
+  const row: SelectorStep[] = ['tr', { hasText: `^${label}` }, 'td:last-child'];
+  return heading ? ['section, div', { hasText: `^${heading}` }, ...row] : row;
+}
+
+// IPInfo's True/False cells - anything else isn't a flag
+const FLAG: Partial<FieldSpec> = { pattern: '^(true|yes|false|no)$', flags: 'i', type: 'boolean' };
+
+// The report is a set of label/value tables under section headings (Summary, Geolocation,
+// Privacy, Company, Abuse) - each field reads one row's value cell
+export const SPEC: ExtractionSpec = {
+  source: 'ipinfo',
+  version: 2,
+  selectors: {
+    content: 'main',
+  },
+  patterns: {},
+  fields: [
+    { name: 'asn.number', selectors: [rowValue('ASN')], pattern: 'AS(\\d+)', type: 'integer' },
+    { name: 'asn.name', selectors: [rowValue('ASN')], pattern: 'AS\\d+\\s*(?:[-–:]\\s*)?(.+)' },
+    { name: 'hostname', selectors: [rowValue('Hostname')] },
+    { name: 'anycast', selectors: [rowValue('Anycast')], ...FLAG },
+    { name: 'city', selectors: [rowValue('City')] },
+    { name: 'region', selectors: [rowValue('State'), rowValue('Region')] },
+    { name: 'country', selectors: [rowValue('Country')] },
+    { name: 'postal', selectors: [rowValue('Postal')] },
+    { name: 'timezone', selectors: [rowValue('Timezone')] },
+    {
+      name: 'latitude',
+      selectors: [rowValue('Coordinates')],
+      pattern: '(-?\\d+(?:\\.\\d+)?)\\s*,',
+      type: 'number',
+    },
+    {
+      name: 'longitude',
+      selectors: [rowValue('Coordinates')],
+      pattern: ',\\s*(-?\\d+(?:\\.\\d+)?)',
+      type: 'number',
+    },
+    { name: 'privacy.vpn', selectors: [rowValue('VPN')], ...FLAG },
+    { name: 'privacy.proxy', selectors: [rowValue('Proxy')], ...FLAG },
+    { name: 'privacy.tor', selectors: [rowValue('Tor')], ...FLAG },
+    { name: 'privacy.relay', selectors: [rowValue('Relay')], ...FLAG },
+    { name: 'privacy.hosting', selectors: [rowValue('Hosting')], ...FLAG },
+    // The summary names the company too, for addresses without a Company section
+    { name: 'company.name', selectors: [rowValue('Name', 'Company'), rowValue('Company')] },
+    { name: 'company.domain', selectors: [rowValue('Domain', 'Company')] },
+    { name: 'company.type', selectors: [rowValue('Type', 'Company')] },
+    { name: 'abuseContact.name', selectors: [rowValue('Name', 'Abuse')] },
+    { name: 'abuseContact.email', selectors: [rowValue('Email', 'Abuse')] },
+    { name: 'abuseContact.phone', selectors: [rowValue('Phone', 'Abuse')] },
+  ],
+};
 
 /**
  * Scrape IPInfo for IP address intelligence
- * @param tabId - The tab ID to use for automation
- * @param ipAddress - The IP address to investigate
+ * @param page - Page attached to the tab used for automation
+ * @param indicator - The IPv4 or IPv6 address indicator to investigate (canonical form)
+ * @param options - Page to load instead of the live report (self-test fixtures), abort signal,
+ *   handoff of blocked pages
  * @returns Extracted geolocation and network data
  */
 export async function scrapeIPInfo(
-  tabId: number,
-  ipAddress: string
+  page: Page,
+  indicator: Indicator,
+  options: ScrapeOptions = {}
 ): Promise<IPInfoData> {
-  console.log('[IPInfo] Starting scrape for tab:', tabId);
-  const page: Page = await createPage(tabId);
-  console.log('[IPInfo] Page created, CDP attached');
+  const ipAddress: string = indicator.value;
+  logger.log('[IPInfo] Starting scrape for tab:', page.tabId);
+  const signal: AbortSignal | undefined = options.signal;
+  const url: string = options.url || buildUrl(indicator);
+  const data: IPInfoData = {
+    source: 'IPInfo',
+    indicator: ipAddress,
+    url: url,
+  };
 
   try {
     // Navigate to IPInfo
-    const url: string = `https://ipinfo.io/${ipAddress}`;
-    console.log('[IPInfo] Navigating to:', url);
-    await page.goto(url);
-    console.log('[IPInfo] Navigation complete');
-
-    // Wait for page to load
-    await page.waitForTimeout(3000);
-    console.log('[IPInfo] Page should be loaded now');
+    logger.log('[IPInfo] Navigating to:', url);
+    await page.goto(url, { waitUntil: 'domcontentloaded', signal });
+    logger.log('[IPInfo] Navigation complete');
+    await ensureAccess(page, url, BLOCK_RULES, options);
 
-    const data: IPInfoData = {
-      source: 'IPInfo',
-      ip: ipAddress,
-      url: url,
-      country: undefined,
-      region: undefined,
-      city: undefined,
-      postal: undefined,
-      timezone: undefined,
-      org: undefined,
-      asn: undefined,
-      location: undefined,
-    };
-
-    // Extract geolocation information
+    // The report is server rendered, so the address normally shows up as soon as the DOM is ready
     try {
-      // IPInfo displays data in a structured format
-      const pageContent: string[] = await page.evaluate<string[]>(`
-        (function() {
-          const body = document.body.innerText;
-          const lines = body.split('\\n').map(l => l.trim()).filter(l => l);
-          return lines;
-        })()
-      `);
-
-      if (pageContent && pageContent.length > 0) {
-        // Parse structured data
-        for (const line of pageContent) {
-          if (
-            line.toLowerCase().includes('country') ||
-            line.match(/^[A-Z]{2}$/)
-          ) {
-            data.country = line.replace(/country:/i, '').trim();
-          }
-          if (
-            line.toLowerCase().includes('region') ||
-            line.toLowerCase().includes('state')
-          ) {
-            data.region = line.replace(/region:|state:/i, '').trim();
-          }
-          if (line.toLowerCase().includes('city')) {
-            data.city = line.replace(/city:/i, '').trim();
-          }
-          if (
-            line.toLowerCase().includes('postal') ||
-            line.toLowerCase().includes('zip')
-          ) {
-            data.postal = line.replace(/postal:|zip:/i, '').trim();
-          }
-          if (line.toLowerCase().includes('timezone')) {
-            data.timezone = line.replace(/timezone:/i, '').trim();
-          }
-          if (
-            line.toLowerCase().includes('org') ||
-            line.toLowerCase().includes('organization')
-          ) {
-            data.org = line.replace(/org:|organization:/i, '').trim();
-          }
-          if (line.toLowerCase().includes('asn') || line.match(/^AS\d+/i)) {
-            data.asn = line.replace(/asn:/i, '').trim();
-          }
-        }
-      }
+      await page.waitForFunction(
+        (ip: string) => !!document.body && document.body.innerText.includes(ip),
+        ipAddress,
+        { timeout: 10000, signal }
+      );
+      logger.log('[IPInfo] Report content loaded');
     } catch (error) {
-      console.log('Could not extract structured data:', error);
+      logger.log('[IPInfo] Report content not found, extracting what is there:', error);
     }
 
-    // Try to extract from specific selectors (no waiting - just try)
-    const countryElement: string | null = await page.textContent(
-      '[data-testid="country"], .country, [class*="country"]'
-    );
-    if (countryElement) data.country = countryElement;
+    const spec: ExtractionSpec = await loadSpec(SPEC);
 
-    const cityElement: string | null = await page.textContent(
-      '[data-testid="city"], .city, [class*="city"]'
-    );
-    if (cityElement) data.city = cityElement;
-
-    const orgElement: string | null = await page.textContent(
-      '[data-testid="org"], .org, [class*="org"]'
-    );
-    if (orgElement) data.org = orgElement;
-
-    // Extract location coordinates if available
-    try {
-      const locationText: string = await page.evaluate<string>(`
-        (function() {
-          const locElements = document.querySelectorAll('[class*="location"], [class*="coordinates"], [class*="lat"], [class*="lng"]');
-          const texts = Array.from(locElements).map(el => el.textContent).filter(t => t);
-          return texts.join(', ');
-        })()
-      `);
-      if (locationText) {
-        data.location = locationText;
-      }
-    } catch (error) {
-      console.log('Could not extract location:', error);
-    }
+    // Summary, geolocation, privacy, company and abuse rows
+    await extractFields(page, spec, data, indicator, signal);
 
     // Get comprehensive page text
     try {
-      const fullText: string = await page.evaluate<string>(`
-        (function() {
-          return document.body.innerText.substring(0, 2000);
-        })()
-      `);
+      const fullText: string = await page
+        .locator(spec.selectors.content)
+        .evaluateAll((elements: Element[]) => {
+          const mainContent: HTMLElement = (elements[0] as HTMLElement | undefined) || document.body;
+          return mainContent.innerText.substring(0, 2000);
+        });
       if (fullText) {
         data.rawContent = fullText;
       }
     } catch (error) {
-      console.log('Could not extract raw content:', error);
+      logger.log('Could not extract raw content:', error);
     }
 
     return data;
   } catch (error) {
-    console.error('IPInfo scraping error:', error);
+    // Let cancellation, failed loads, lost tabs and blocks through - collectResults retries the
+    // loads and tabs, and a block has no report to return
+    if (isAbortError(error) || isTransientError(error) || isBlockedError(error)) {
+      throw error;
+    }
+    logger.error('IPInfo scraping error:', error);
     const errorMessage: string =
       error instanceof Error ? error.message : 'Unknown error';
-    return {
-      source: 'IPInfo',
-      ip: ipAddress,
-      error: errorMessage,
-    };
-  } finally {
-    await page.context.detach();
+    return { ...data, error: errorMessage };
   }
 }
 
-// Export to global namespace for Chrome extension compatibility
-interface IPInfoScraperGlobal {
-  scrapeIPInfo: typeof scrapeIPInfo;
-}
-
-declare global {
-  interface Window {
-    IPInfoScraper: IPInfoScraperGlobal;
-  }
-  var IPInfoScraper: IPInfoScraperGlobal;
-}
-
-if (typeof window !== 'undefined') {
-  (window as Window).IPInfoScraper = { scrapeIPInfo };
-} else {
-  // For service worker context
-  (self as any).IPInfoScraper = { scrapeIPInfo };
-}
-
+// Register with the source registry so the orchestrator picks this source up
+registerSource<IPInfoData>({
+  id: 'ipinfo',
+  name: 'IPInfo',
+  indicatorTypes: ['ip'],
+  order: 1,
+  buildUrl,
+  spec: SPEC,
+  domain: 'ipinfo.io',
+  scrape: scrapeIPInfo,
+});
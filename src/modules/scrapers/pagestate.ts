@@ -0,0 +1,224 @@
+/**
+ * Page State Classifier
+ * Tells a report page from the challenge, CAPTCHA, login and rate-limit pages vendors serve in its
+ * place. Without it an interstitial extracts like an empty report - the scrapers check every page
+ * they load and report the source as blocked instead, or hand the page to the analyst and carry on
+ * with it once they have cleared it.
+ */
+
+import { logger } from '../logging/logger';
+import type { Page } from '../cdp/core';
+import type { ScrapeOptions } from './registry';
+import type { BlockKind, PageBlock } from '../../types/osint';
+
+/**
+ * How a blocked page is recognized - every condition given must hold
+ * Patterns are case-insensitive regular expression sources, like those of the extraction specs.
+ */
+export interface BlockRule {
+  kind: BlockKind;
+  /** What the analyst is told was recognized */
+  reason: string;
+  /** Pattern tested against the document title */
+  title?: string;
+  /** Pattern tested against the start of the page text */
+  text?: string;
+  /** Pattern tested against the page URL (e.g. a redirect to a login form) */
+  url?: string;
+  /** Selector of an element that only shows up on such pages */
+  selector?: string;
+}
+
+// Interstitials any vendor may put in front of its reports
+export const COMMON_BLOCK_RULES: BlockRule[] = [
+  { kind: 'challenge', reason: 'Cloudflare challenge', title: '^just a moment' },
+  {
+    kind: 'challenge',
+    reason: 'Cloudflare challenge',
+    selector: '#challenge-running, #challenge-form, #cf-challenge-running',
+  },
+  { kind: 'captcha', reason: 'Cloudflare CAPTCHA', title: 'attention required.*cloudflare' },
+  {
+    kind: 'captcha',
+    reason: 'CAPTCHA',
+    selector:
+      'iframe[src*="recaptcha"], iframe[src*="hcaptcha.com"], iframe[src*="challenges.cloudflare.com"], .g-recaptcha, .h-captcha',
+    text: 'human|robot|captcha|security check',
+  },
+  { kind: 'rate_limit', reason: 'Too many requests', title: '\\b429\\b|too many requests' },
+  { kind: 'rate_limit', reason: 'Too many requests', text: '^\\s*(429\\b|too many requests)' },
+];
+
+// How long a challenge gets to pass by itself (Cloudflare's JavaScript check usually does)
+const CHALLENGE_GRACE_PERIOD: number = 8000;
+// How long a page handed to the analyst waits for them
+export const HANDOFF_TIMEOUT: number = 5 * 60 * 1000;
+// How often a blocked page is checked again
+const RECHECK_INTERVAL: number = 1000;
+
+/**
+ * Thrown when a source serves a block instead of its report, and nobody cleared it
+ */
+export class BlockedError extends Error {
+  public readonly block: PageBlock;
+
+  constructor(block: PageBlock, message: string = `Blocked: ${block.reason}`) {
+    super(message);
+    this.name = 'BlockedError';
+    this.block = block;
+  }
+}
+
+/**
+ * Whether a failure is a blocked page
+ */
+export function isBlockedError(error: unknown): error is BlockedError {
+  return error instanceof Error && error.name === 'BlockedError';
+}
+
+/**
+ * Find the first rule the current document matches (runs in the page)
+ * It is serialized with toString(), so it must not reference anything outside its own body.
+ */
+function matchBlockRule(rules: BlockRule[]): { index: number; url: string } {
+  const text: string = document.body ? document.body.innerText.substring(0, 3000) : '';
+  const test = (pattern: string | undefined, value: string): boolean =>
+    pattern === undefined || new RegExp(pattern, 'i').test(value);
+  const index: number = rules.findIndex(
+    (rule: BlockRule) =>
+      test(rule.title, document.title) &&
+      test(rule.text, text) &&
+      test(rule.url, location.href) &&
+      (rule.selector === undefined || document.querySelector(rule.selector) !== null)
+  );
+  return { index, url: location.href };
+}
+
+/**
+ * Check whether a page shows a block rather than a report
+ * @param rules - The source's own rules, checked before the common ones
+ * @returns The block, or null for anything else
+ */
+export async function classifyPage(page: Page, rules: BlockRule[] = []): Promise<PageBlock | null> {
+  const all: BlockRule[] = [...rules, ...COMMON_BLOCK_RULES];
+  const match: { index: number; url: string } | undefined = await page.callFunction(
+    matchBlockRule.toString(),
+    [all]
+  );
+  if (!match || match.index < 0) {
+    return null;
+  }
+  const rule: BlockRule = all[match.index];
+  return { kind: rule.kind, reason: rule.reason, url: match.url, tabId: page.tabId };
+}
+
+/**
+ * Wait until a blocked page no longer looks blocked
+ * Throws a BlockedError once `timeout` has passed, and the signal's reason when it aborts.
+ */
+export async function waitForAccess(
+  page: Page,
+  block: PageBlock,
+  rules: BlockRule[],
+  options: { timeout: number; signal?: AbortSignal }
+): Promise<void> {
+  const deadline: number = Date.now() + options.timeout;
+  let current: PageBlock | null = block;
+  while (current) {
+    if (Date.now() >= deadline) {
+      throw new BlockedError(
+        current,
+        `Blocked: ${current.reason} was not cleared within ${Math.round(options.timeout / 1000)}s`
+      );
+    }
+    await page.waitForTimeout(RECHECK_INTERVAL, { signal: options.signal });
+    try {
+      current = await classifyPage(page, rules);
+    } catch (error) {
+      // Solving a challenge navigates - the document may be gone mid-check
+      if (!page.context.isAttached || options.signal?.aborted) {
+        throw error;
+      }
+      logger.log('[PageState] Could not check the page, retrying:', error);
+    }
+  }
+}
+
+/**
+ * Make sure the page a scraper just loaded is the report
+ * A challenge gets a few seconds to pass by itself. Any other block fails the scrape with a
+ * BlockedError, unless `options.onBlocked` hands the page to the analyst - then the report is
+ * loaded again once they have cleared it, since solving a challenge or logging in often ends
+ * somewhere else.
+ */
+export async function ensureAccess(
+  page: Page,
+  url: string,
+  rules: BlockRule[],
+  options: ScrapeOptions = {}
+): Promise<void> {
+  const signal: AbortSignal | undefined = options.signal;
+  for (;;) {
+    let block: PageBlock | null = await classifyPage(page, rules);
+    if (!block) {
+      return;
+    }
+    if (block.kind === 'challenge') {
+      try {
+        await waitForAccess(page, block, rules, { timeout: CHALLENGE_GRACE_PERIOD, signal });
+        return;
+      } catch (error) {
+        if (!isBlockedError(error)) {
+          throw error;
+        }
+        block = error.block;
+      }
+    }
+
+    logger.log(`[PageState] ${block.reason} on tab ${page.tabId}:`, block.url);
+    if (!options.onBlocked) {
+      throw new BlockedError(block);
+    }
+    const blocked: PageBlock = block;
+    await options.onBlocked(blocked, () =>
+      waitForAccess(page, blocked, rules, { timeout: HANDOFF_TIMEOUT, signal })
+    );
+    await options.acquire?.();
+    await page.goto(url, { waitUntil: 'domcontentloaded', signal });
+  }
+}
+
+// Export to global namespace for Chrome extension compatibility
+interface PageStateGlobal {
+  COMMON_BLOCK_RULES: typeof COMMON_BLOCK_RULES;
+  HANDOFF_TIMEOUT: typeof HANDOFF_TIMEOUT;
+  BlockedError: typeof BlockedError;
+  isBlockedError: typeof isBlockedError;
+  classifyPage: typeof classifyPage;
+  waitForAccess: typeof waitForAccess;
+  ensureAccess: typeof ensureAccess;
+}
+
+declare global {
+  interface Window {
+    PageState: PageStateGlobal;
+  }
+  var PageState: PageStateGlobal;
+}
+
+const pageState: PageStateGlobal = {
+  COMMON_BLOCK_RULES,
+  HANDOFF_TIMEOUT,
+  BlockedError,
+  isBlockedError,
+  classifyPage,
+  waitForAccess,
+  ensureAccess,
+};
+
+if (typeof window !== 'undefined') {
+  (window as Window).PageState = pageState;
+} else {
+  // For service worker context
+  (globalThis as any).PageState = pageState;
+}
@@ -0,0 +1,126 @@
+/**
+ * OSINT Source Registry
+ * Central list of scraper sources - each scraper module registers a descriptor here
+ * when it is loaded, and the orchestrator iterates the registry instead of hardcoding sources
+ */
+
+import { logger } from '../logging/logger';
+import type { Page } from '../cdp/core';
+import type { RetryPolicy } from '../jobs/queue';
+import type {
+  Indicator,
+  IndicatorType,
+  SourceData,
+  ExtractionSpec,
+  PageBlock,
+  RateLimitSettings,
+} from '../../types/osint';
+
+/**
+ * Descriptor registered by every scraper module
+ */
+export interface SourceDescriptor<T extends SourceData = SourceData> {
+  /** Stable key used in OSINTResults.sources and storage */
+  id: string;
+  /** Human readable name shown in the popup and in errors */
+  name: string;
+  /** Indicator types this source can look up */
+  indicatorTypes: IndicatorType[];
+  /** Sort key for display and scheduling order (lower first) */
+  order?: number;
+  /** Build the report page URL for an indicator (only called for supported types) */
+  buildUrl: (indicator: Indicator) => string;
+  /** Built-in extraction spec the scraper runs with, unless overridden from the options page */
+  spec?: ExtractionSpec;
+  /** How long scraped results stay fresh (ms, default 6 hours) - 0 always re-scrapes */
+  cacheTtl?: number;
+  /** Time budget of a scrape (ms, default 60 seconds), retries included */
+  timeout?: number;
+  /** How navigation failures and lost tabs are retried (default: 3 attempts from 1s backoff) */
+  retry?: Partial<RetryPolicy>;
+  /** Vendor domain the source visits - sources on the same domain share its rate limit */
+  domain?: string;
+  /** Built-in rate limit of the domain (defaults: see RateLimiting.DEFAULT_RATE_LIMIT) */
+  rateLimit?: Partial<RateLimitSettings>;
+  /** Navigate a page to the report and extract its data */
+  scrape: (page: Page, indicator: Indicator, options?: ScrapeOptions) => Promise<T>;
+}
+
+/**
+ * Options for a single scrape
+ */
+export interface ScrapeOptions {
+  /** Load this page instead of the live report (e.g. a saved fixture) */
+  url?: string;
+  /** Replacements for further pages the scraper visits, keyed by page name */
+  pages?: { [name: string]: string };
+  /** Aborts when the lookup is cancelled or the source runs out of time - pass it to every wait */
+  signal?: AbortSignal;
+  /**
+   * Hand a blocked page to the analyst (see PageState.ensureAccess) - `waitForAccess` resolves once
+   * the page no longer looks blocked. Without it a blocked page fails the scrape.
+   */
+  onBlocked?: (block: PageBlock, waitForAccess: () => Promise<void>) => Promise<void>;
+  /**
+   * Wait for the domain's rate limit - call it before every navigation after the first (the
+   * report's own load already had its turn). Without it pages load right away.
+   */
+  acquire?: () => Promise<void>;
+}
+
+const sources: Map<string, SourceDescriptor> = new Map();
+
+/**
+ * Register a source (replaces any source previously registered with the same id)
+ */
+export function registerSource<T extends SourceData>(descriptor: SourceDescriptor<T>): void {
+  if (sources.has(descriptor.id)) {
+    logger.warn(`[Registry] Replacing source already registered as: ${descriptor.id}`);
+  }
+  sources.set(descriptor.id, descriptor as unknown as SourceDescriptor);
+}
+
+/**
+ * Get all registered sources in display order
+ */
+export function getSources(): SourceDescriptor[] {
+  return Array.from(sources.values()).sort(
+    (a, b) => (a.order ?? Number.MAX_SAFE_INTEGER) - (b.order ?? Number.MAX_SAFE_INTEGER)
+  );
+}
+
+/**
+ * Check whether a source can look up an indicator
+ */
+export function supportsIndicator(source: SourceDescriptor, indicator: Indicator): boolean {
+  return source.indicatorTypes.includes(indicator.type);
+}
+
+/**
+ * Get a registered source by id
+ */
+export function getSource(id: string): SourceDescriptor | undefined {
+  return sources.get(id);
+}
+
+// Export to global namespace for Chrome extension compatibility
+interface SourceRegistryGlobal {
+  registerSource: typeof registerSource;
+  getSources: typeof getSources;
+  getSource: typeof getSource;
+  supportsIndicator: typeof supportsIndicator;
+}
+
+declare global {
+  interface Window {
+    SourceRegistry: SourceRegistryGlobal;
+  }
+  var SourceRegistry: SourceRegistryGlobal;
+}
+
+if (typeof window !== 'undefined') {
+  (window as Window).SourceRegistry = { registerSource, getSources, getSource, supportsIndicator };
+} else {
+  // For service worker context
+  (globalThis as any).SourceRegistry = { registerSource, getSources, getSource, supportsIndicator };
+}
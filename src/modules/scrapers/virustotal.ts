@@ -1,184 +1,533 @@
 /**
  * VirusTotal OSINT Scraper
- * Extracts threat intelligence data from VirusTotal using browser automation
+ * Extracts threat intelligence data from VirusTotal using browser automation - from the JSON the
+ * GUI loads to render the report where it can, and from the rendered report otherwise
  */
 
-import { createPage, Page } from '../cdp/core';
-import { VirusTotalData } from '../../types/osint';
+import { logger } from '../logging/logger';
+import { isAbortError, isTransientError } from '../cdp/core';
+import type { Page, Locator, NetworkResponse } from '../cdp/core';
+import { parseIndicator } from '../indicators/indicator';
+import { registerSource } from './registry';
+import type { ScrapeOptions } from './registry';
+import { ensureAccess, isBlockedError } from './pagestate';
+import type { BlockRule } from './pagestate';
+import { loadSpec, extractFields, specPattern } from '../extraction/spec';
+import type {
+  ExtractionSpec,
+  VirusTotalData,
+  Indicator,
+  IndicatorType,
+  EngineCategory,
+  EngineResult,
+  DetectionStats,
+} from '../../types/osint';
+
+// VirusTotal sends the GUI to its own CAPTCHA and sign-in routes, and states exhausted quotas
+const BLOCK_RULES: BlockRule[] = [
+  { kind: 'captcha', reason: 'VirusTotal CAPTCHA', url: 'virustotal\\.com/gui/captcha' },
+  { kind: 'login', reason: 'VirusTotal sign-in', url: 'virustotal\\.com/gui/(sign-in|join-us)' },
+  { kind: 'rate_limit', reason: 'VirusTotal quota', text: 'quota (exceeded|reached)|exceeded (your|the) .*quota' },
+];
+
+// GUI report page path for each indicator type
+const REPORT_PATHS: { [type in IndicatorType]: string } = {
+  ip: 'ip-address',
+  domain: 'domain',
+  url: 'url',
+  hash: 'file',
+};
 
 /**
- * Scrape VirusTotal for IP address intelligence
- * @param tabId - The tab ID to use for automation
- * @param ipAddress - The IP address to investigate
- * @returns Extracted threat intelligence data
+ * VirusTotal identifies URLs by their unpadded base64url encoding
  */
-export async function scrapeVirusTotal(
-  tabId: number,
-  ipAddress: string
-): Promise<VirusTotalData> {
-  console.log('[VirusTotal] Starting scrape for tab:', tabId);
-  const page: Page = await createPage(tabId);
-  console.log('[VirusTotal] Page created, CDP attached');
+function encodeUrlId(url: string): string {
+  const bytes: Uint8Array = new TextEncoder().encode(url);
+  let binary: string = '';
+  bytes.forEach((byte: number) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
 
+/**
+ * Build the VirusTotal report page URL for an indicator
+ */
+export function buildUrl(indicator: Indicator): string {
+  const id: string = indicator.type === 'url' ? encodeUrlId(indicator.value) : indicator.value;
+  return `https://www.virustotal.com/gui/${REPORT_PATHS[indicator.type]}/${id}`;
+}
+
+// VirusTotal's GUI is built from nested custom elements with open shadow roots, so plain
+// selectors can't see the report - `>>>` selectors cross into them. The markup changes from time
+// to time, which is what spec overrides are for.
+export const SPEC: ExtractionSpec = {
+  source: 'virustotal',
+  version: 1,
+  selectors: {
+    report: 'vt-ui-main-generic-report',
+    detectionsWidget: 'vt-ui-detections-widget',
+    engineRows: 'vt-ui-detections-list >>> .detection',
+    engineName: '.engine-name',
+    engineVerdict: '.individual-detection',
+    expandables: 'vt-ui-expandable',
+    whoisRecord: 'pre, .whois, .content',
+  },
+  patterns: {
+    whoisHeading: 'whois lookup',
+    // The report object the GUI fetches, not its relationships (/comments, /resolutions...) - the
+    // group captures the object id
+    reportApi: '/ui/(?:ip_addresses|domains|urls|files)/([^/?#]+)(?:[?#]|$)',
+  },
+  fields: [
+    {
+      name: 'reputation.score',
+      selectors: ['vt-ui-detections-widget >>> .positives'],
+      pattern: '-?\\d+',
+      type: 'integer',
+    },
+    {
+      name: 'reputation.maxScore',
+      selectors: ['vt-ui-detections-widget >>> .total'],
+      pattern: '-?\\d+',
+      type: 'integer',
+    },
+    {
+      name: 'communityScore',
+      selectors: ['vt-ui-detections-widget >>> .community-score'],
+      pattern: '-?\\d+',
+      type: 'integer',
+    },
+    {
+      name: 'tags',
+      selectors: ['vt-ui-main-generic-report >>> vt-ui-tag'],
+      all: true,
+      unique: true,
+    },
+    // The visible text is relative ("2 days ago"); the tooltip holds the actual date
+    {
+      name: 'lastAnalysis',
+      selectors: ['vt-ui-main-generic-report >>> vt-ui-time-ago'],
+      mode: 'attribute',
+      attribute: 'data-tooltip-text',
+      type: 'date',
+    },
+    {
+      name: 'lastAnalysis',
+      selectors: ['vt-ui-main-generic-report >>> vt-ui-time-ago'],
+      type: 'date',
+    },
+    {
+      name: 'country',
+      selectors: ['vt-ui-main-generic-report >>> [class*="country"]'],
+      indicatorTypes: ['ip'],
+    },
+    {
+      name: 'asn',
+      selectors: ['vt-ui-main-generic-report >>> [class*="asn"]'],
+      indicatorTypes: ['ip'],
+    },
+    {
+      name: 'network',
+      selectors: ['vt-ui-main-generic-report >>> vt-ui-generic-card'],
+      all: true,
+      limit: 3,
+      join: ' | ',
+      indicatorTypes: ['ip'],
+    },
+  ],
+};
+
+interface EngineVerdict {
+  engine: string;
+  verdict: string;
+}
+
+/**
+ * Attributes of the report object the GUI loads (the same shape as in API v3)
+ */
+interface ReportAttributes {
+  last_analysis_stats?: { [category: string]: number };
+  last_analysis_results?: {
+    [engine: string]: { engine_name?: string; category: string; result: string | null };
+  };
+  /** Unix time, in seconds */
+  last_analysis_date?: number;
+  /** The community score */
+  reputation?: number;
+  tags?: string[];
+  whois?: string;
+  country?: string;
+  asn?: number;
+  as_owner?: string;
+  network?: string;
+}
+
+// How long to wait for the report JSON once the page has rendered without it
+const REPORT_RESPONSE_TIMEOUT: number = 5000;
+
+/**
+ * Whether a response is the report object of the indicator
+ * URL reports are keyed by a hash of the URL, so any URL report on the page is taken. IP addresses
+ * are compared in canonical form - the GUI may spell an IPv6 address differently from ours.
+ */
+function isReportResponse(response: NetworkResponse, spec: ExtractionSpec, indicator: Indicator): boolean {
+  const match: RegExpExecArray | null = specPattern(spec, 'reportApi').exec(response.url);
+  if (!match) {
+    return false;
+  }
+  if (indicator.type === 'url') {
+    return true;
+  }
   try {
-    // Navigate to VirusTotal IP search
-    const url: string = `https://www.virustotal.com/gui/ip-address/${ipAddress}`;
-    console.log('[VirusTotal] Navigating to:', url);
-    await page.goto(url);
-    console.log('[VirusTotal] Navigation complete');
-
-    // Wait for page to load
-    await page.waitForTimeout(4000);
-
-    // Try to scroll to main content (won't fail if selector doesn't exist)
-    await page.scrollTo('vt-ui-main-generic-report');
-    await page.waitForTimeout(2000);
-
-    const data: VirusTotalData = {
-      source: 'VirusTotal',
-      ip: ipAddress,
-      url: url,
-      detection: {},
-      reputation: undefined,
-      lastAnalysis: undefined,
-      country: undefined,
-      asn: undefined,
-      network: undefined,
+    const id: string = decodeURIComponent(match[1]);
+    if (indicator.type === 'ip') {
+      return parseIndicator(id)?.value === indicator.value;
+    }
+    return id.toLowerCase() === indicator.value.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read the report JSON the page loaded, waiting briefly if it hasn't arrived yet
+ * @returns Its attributes, or null to fall back to the rendered report
+ */
+async function readReport(
+  page: Page,
+  spec: ExtractionSpec,
+  indicator: Indicator,
+  captured: NetworkResponse | null,
+  signal?: AbortSignal
+): Promise<ReportAttributes | null> {
+  try {
+    const response: NetworkResponse =
+      captured ||
+      (await page.waitForResponse(
+        (candidate: NetworkResponse) => isReportResponse(candidate, spec, indicator),
+        { timeout: REPORT_RESPONSE_TIMEOUT, signal }
+      ));
+    if (!response.ok) {
+      logger.log(`[VirusTotal] Report JSON answered ${response.status}, reading the page instead`);
+      return null;
+    }
+    const body: { data?: { attributes?: ReportAttributes } } = await response.json();
+    return body?.data?.attributes || null;
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    logger.log('[VirusTotal] Report JSON not available, reading the page instead:', error);
+    return null;
+  }
+}
+
+/**
+ * Fill the data in from the report JSON - exact counts, every engine and WHOIS in one go
+ */
+function applyReport(report: ReportAttributes, data: VirusTotalData): void {
+  const counts: { [category: string]: number } | undefined = report.last_analysis_stats;
+  if (counts) {
+    const stats: DetectionStats = {
+      malicious: counts.malicious || 0,
+      suspicious: counts.suspicious || 0,
+      harmless: counts.harmless || 0,
+      undetected: counts.undetected || 0,
     };
+    const engines: EngineResult[] = Object.entries(report.last_analysis_results || {})
+      .filter(([, result]) => result.category === 'malicious' || result.category === 'suspicious')
+      .map(([engine, result]): EngineResult => ({
+        engine: result.engine_name || engine,
+        category: result.category as EngineCategory,
+        result: result.result && result.result.toLowerCase() !== result.category ? result.result : null,
+      }));
+    data.detection = { stats, engines };
+    data.reputation = {
+      score: stats.malicious,
+      maxScore: Object.values(counts).reduce((total: number, count: number) => total + count, 0),
+    };
+  }
+  if (typeof report.reputation === 'number') {
+    data.communityScore = report.reputation;
+  }
+  if (report.last_analysis_date) {
+    data.lastAnalysis = new Date(report.last_analysis_date * 1000).toISOString();
+  }
+  if (report.tags && report.tags.length > 0) {
+    data.tags = report.tags;
+  }
+  if (report.whois) {
+    data.whois = report.whois.trim();
+  }
+  if (report.country) {
+    data.country = report.country;
+  }
+  if (report.asn) {
+    data.asn = `AS${report.asn}${report.as_owner ? ` ${report.as_owner}` : ''}`;
+  }
+  if (report.network) {
+    data.network = report.network;
+  }
+}
 
-    // Get page content first to see what's available
-    const pageText: string = await page.evaluate<string>(`
-      (function() {
-        return document.body ? document.body.innerText.substring(0, 5000) : '';
-      })()
-    `);
-    console.log('[VirusTotal] Page text sample:', pageText.substring(0, 200));
+/**
+ * Map the verdict an engine row shows to VirusTotal's result category
+ * Flagged rows show the threat name ("Phishing", "Trojan.Generic...") rather than a category.
+ */
+function categorizeVerdict(verdict: string): EngineCategory {
+  const text: string = verdict.trim().toLowerCase();
+  if (text === 'clean' || text === 'harmless') {
+    return 'harmless';
+  }
+  if (text === 'undetected' || text === 'unrated') {
+    return 'undetected';
+  }
+  if (text.includes('suspicious')) {
+    return 'suspicious';
+  }
+  if (text === 'timeout') {
+    return 'timeout';
+  }
+  if (text.includes('unable to process') || text.includes('type-unsupported')) {
+    return 'type-unsupported';
+  }
+  return 'malicious';
+}
 
-    // Extract reputation score
-    try {
-      const reputationText: string | null = await page.textContent(
-        'vt-ui-reputation-widget'
+/**
+ * Count the engine verdicts and collect the engines that flagged the indicator
+ */
+async function extractDetections(page: Page, spec: ExtractionSpec, data: VirusTotalData): Promise<void> {
+  try {
+    const verdicts: EngineVerdict[] = await page
+      .locator(spec.selectors.engineRows)
+      .evaluateAll(
+        (rows: Element[], cells: { engine: string; verdict: string }) =>
+          rows.map((row: Element) => ({
+            engine: (row.querySelector(cells.engine)?.textContent || '').trim(),
+            verdict: (row.querySelector(cells.verdict)?.textContent || '').trim(),
+          })),
+        { engine: spec.selectors.engineName, verdict: spec.selectors.engineVerdict }
       );
-      if (reputationText) {
-        const match: RegExpMatchArray | null = reputationText.match(
-          /(\d+)\s*\/\s*(\d+)/
-        );
-        if (match && match[1] && match[2]) {
-          data.reputation = {
-            score: parseInt(match[1], 10),
-            maxScore: parseInt(match[2], 10),
-          };
-        }
+
+    const stats: DetectionStats = { malicious: 0, suspicious: 0, harmless: 0, undetected: 0 };
+    const engines: EngineResult[] = [];
+    for (const row of verdicts) {
+      if (!row.engine || !row.verdict) {
+        continue;
+      }
+      const category: EngineCategory = categorizeVerdict(row.verdict);
+      if (category in stats) {
+        stats[category as keyof DetectionStats]++;
+      }
+      if (category === 'malicious' || category === 'suspicious') {
+        engines.push({
+          engine: row.engine,
+          category,
+          // Flagged rows that just repeat the category carry no threat name
+          result: row.verdict.toLowerCase() === category ? null : row.verdict,
+        });
       }
-    } catch (error) {
-      console.log('Could not extract reputation:', error);
     }
 
-    // Extract detection engines results
-    try {
-      const detectionElements: string[] = await page.textContents(
-        'vt-ui-detections-widget, vt-ui-generic-card'
-      );
-      if (detectionElements && detectionElements.length > 0) {
-        if (!data.detection) {
-          data.detection = {};
-        }
-        data.detection.summary = detectionElements.join(' ');
+    if (verdicts.length > 0) {
+      data.detection = { stats, engines };
+      // Fall back to the engine rows if the ratio widget wasn't found
+      if (!data.reputation) {
+        data.reputation = { score: stats.malicious, maxScore: verdicts.length };
       }
-    } catch (error) {
-      console.log('Could not extract detection info:', error);
     }
+  } catch (error) {
+    logger.log('Could not extract engine verdicts:', error);
+  }
+}
 
-    // Extract last analysis date
-    try {
-      const lastAnalysisText: string | null = await page.textContent(
-        '[class*="last-analysis"], [class*="analysis"]'
-      );
-      if (lastAnalysisText) {
-        data.lastAnalysis = lastAnalysisText;
-      }
-    } catch (error) {
-      console.log('Could not extract last analysis:', error);
+/**
+ * Extract WHOIS from the report's Details tab (IP addresses and domains only)
+ */
+async function extractWhois(
+  page: Page,
+  spec: ExtractionSpec,
+  detailsUrl: string,
+  data: VirusTotalData,
+  options: ScrapeOptions
+): Promise<void> {
+  const signal: AbortSignal | undefined = options.signal;
+  try {
+    await options.acquire?.();
+    await page.goto(detailsUrl, { signal });
+    await ensureAccess(page, detailsUrl, BLOCK_RULES, options);
+    const heading: RegExp = specPattern(spec, 'whoisHeading');
+    const whois: Locator = page
+      .locator(spec.selectors.expandables, { pierce: true })
+      .filter({ hasText: heading })
+      .first();
+    await whois.waitFor({ state: 'attached', timeout: 10000, signal });
+    const text: string | null = await whois.evaluateAll((elements: Element[], recordSelector: string) => {
+      // The WHOIS record sits in the expandable's shadow root, below the heading
+      const root: Element | ShadowRoot = elements[0].shadowRoot || elements[0];
+      const record: Element | null = root.querySelector(recordSelector);
+      return ((record || elements[0]).textContent || '').trim();
+    }, spec.selectors.whoisRecord);
+    if (text) {
+      data.whois = text.replace(new RegExp(`^(?:${heading.source})\\s*`, 'i'), '');
+    }
+  } catch (error) {
+    // Only a failed extraction is WHOIS's own - cancellations, blocks and a spent time budget end
+    // the scrape
+    if (isAbortError(error) || isBlockedError(error) || signal?.aborted) {
+      throw error;
     }
+    logger.log('Could not extract WHOIS:', error);
+  }
+}
 
-    // Extract country information
-    try {
-      const countryText: string | null = await page.textContent(
-        '[class*="country"], [title*="Country"]'
-      );
-      if (countryText) {
-        data.country = countryText;
-      }
-    } catch (error) {
-      console.log('Could not extract country:', error);
+/**
+ * Scrape VirusTotal for indicator intelligence
+ * @param page - Page attached to the tab used for automation
+ * @param indicator - The IP address, domain, URL or file hash to investigate
+ * @param options - Page to load instead of the live report (self-test fixtures), abort signal,
+ *   handoff of blocked pages
+ * @returns Extracted threat intelligence data
+ */
+export async function scrapeVirusTotal(
+  page: Page,
+  indicator: Indicator,
+  options: ScrapeOptions = {}
+): Promise<VirusTotalData> {
+  logger.log('[VirusTotal] Starting scrape for tab:', page.tabId);
+  const signal: AbortSignal | undefined = options.signal;
+  const url: string = options.url || buildUrl(indicator);
+  const data: VirusTotalData = {
+    source: 'VirusTotal',
+    indicator: indicator.value,
+    indicatorType: indicator.type,
+    url: url,
+    detection: undefined,
+    reputation: undefined,
+    lastAnalysis: undefined,
+    country: undefined,
+    asn: undefined,
+    network: undefined,
+  };
+
+  const spec: ExtractionSpec = await loadSpec(SPEC);
+
+  // The GUI fetches the report as JSON before rendering it - listen from before the navigation so
+  // the response can't be missed. Saved fixture pages load no JSON.
+  let reportResponse: NetworkResponse | null = null;
+  const onResponse = (response: NetworkResponse): void => {
+    if (isReportResponse(response, spec, indicator)) {
+      reportResponse = response;
     }
+  };
+  if (!options.url) {
+    page.onResponse(onResponse);
+  }
 
-    // Extract ASN information
+  try {
+    // Navigate to the VirusTotal report for the indicator type
+    logger.log('[VirusTotal] Navigating to:', url);
+    await page.goto(url, { signal });
+    logger.log('[VirusTotal] Navigation complete');
+    await ensureAccess(page, url, BLOCK_RULES, options);
+
+    // The report is rendered client side - wait for the detections widget to show up
     try {
-      const asnText: string | null = await page.textContent(
-        '[class*="asn"], [title*="ASN"]'
-      );
-      if (asnText) {
-        data.asn = asnText;
-      }
+      await page
+        .locator(spec.selectors.detectionsWidget, { pierce: true })
+        .waitFor({ state: 'attached', timeout: 15000, signal });
     } catch (error) {
-      console.log('Could not extract ASN:', error);
+      logger.log('[VirusTotal] Report did not render, extracting what is there:', error);
     }
 
-    // Extract network information
-    try {
-      const networkInfo: string = await page.evaluate<string>(`
-        (function() {
-          const elements = Array.from(document.querySelectorAll('vt-ui-generic-card, [class*="network"]'));
-          const texts = elements.map(el => el.textContent).filter(t => t && t.length > 0);
-          return texts.slice(0, 3).join(' | ');
-        })()
-      `);
-      if (networkInfo) {
-        data.network = networkInfo;
+    // The body has to be read before the page moves on to the Details tab
+    const report: ReportAttributes | null = options.url
+      ? null
+      : await readReport(page, spec, indicator, reportResponse, signal);
+    if (report) {
+      applyReport(report, data);
+    } else {
+      // Ratio, community score, tags, dates and (IP addresses only) network details
+      await extractFields(page, spec, data, indicator, signal);
+      if (data.reputation && (data.reputation.score === undefined || data.reputation.maxScore === undefined)) {
+        // Half a ratio is no use - let the engine rows fill it in
+        data.reputation = undefined;
       }
-    } catch (error) {
-      console.log('Could not extract network info:', error);
+      await extractDetections(page, spec, data);
     }
 
-    // Store the page text we already extracted
+    // Keep the report text as a fallback for anything the selectors missed
+    const pageText: string | null = await page
+      .locator(spec.selectors.report, { pierce: true })
+      .evaluateAll((elements: Element[]) => {
+        // innerText stops at shadow roots, so walk the text nodes of every open root instead
+        const parts: string[] = [];
+        const collect = (node: Node): void => {
+          if (node.nodeType === Node.TEXT_NODE) {
+            const text: string = (node.textContent || '').trim();
+            if (text) {
+              parts.push(text);
+            }
+            return;
+          }
+          if (node instanceof Element) {
+            if (node.tagName === 'SCRIPT' || node.tagName === 'STYLE') {
+              return;
+            }
+            if (node.shadowRoot) {
+              collect(node.shadowRoot);
+            }
+          }
+          node.childNodes.forEach(collect);
+        };
+        // Fall back to the whole page when the report never rendered (errors, CAPTCHA...)
+        const root: Element | null = elements[0] || document.body;
+        if (root) {
+          collect(root);
+        }
+        return parts.join('\n').substring(0, 5000) || null;
+      });
     if (pageText) {
       data.rawContent = pageText;
     }
 
-    console.log('[VirusTotal] Scrape complete, returning data:', data);
+    // WHOIS lives on a separate tab - fetch it last so a failure there can't cost the rest
+    if ((indicator.type === 'ip' || indicator.type === 'domain') && !data.whois) {
+      await extractWhois(page, spec, options.pages?.details || `${url}/details`, data, options);
+    }
+
+    logger.log('[VirusTotal] Scrape complete, returning data:', data);
     return data;
   } catch (error) {
-    console.error('[VirusTotal] Scraping error:', error);
+    // Cancellations, transient failures and blocks are the orchestrator's to handle - it retries
+    // the transient ones
+    if (isAbortError(error) || isTransientError(error) || isBlockedError(error)) {
+      throw error;
+    }
+    logger.error('[VirusTotal] Scraping error:', error);
     const errorMessage: string =
       error instanceof Error ? error.message : 'Unknown error';
-    return {
-      source: 'VirusTotal',
-      ip: ipAddress,
-      error: errorMessage,
-    };
+    // Keep whatever was extracted before it failed (e.g. ran out of time)
+    return { ...data, error: errorMessage };
   } finally {
-    console.log('[VirusTotal] Detaching CDP context');
-    await page.context.detach();
+    page.offResponse(onResponse);
   }
 }
 
-// Export to global namespace for Chrome extension compatibility
-interface VirusTotalScraperGlobal {
-  scrapeVirusTotal: typeof scrapeVirusTotal;
-}
-
-declare global {
-  interface Window {
-    VirusTotalScraper: VirusTotalScraperGlobal;
-  }
-  var VirusTotalScraper: VirusTotalScraperGlobal;
-}
-
-if (typeof window !== 'undefined') {
-  (window as Window).VirusTotalScraper = { scrapeVirusTotal };
-} else {
-  // For service worker context
-  (self as any).VirusTotalScraper = { scrapeVirusTotal };
-}
-
+// Register with the source registry so the orchestrator picks this source up
+registerSource<VirusTotalData>({
+  id: 'virustotal',
+  name: 'VirusTotal',
+  indicatorTypes: ['ip', 'domain', 'url', 'hash'],
+  order: 0,
+  buildUrl,
+  spec: SPEC,
+  // The report renders client side and WHOIS takes a second page load
+  timeout: 90000,
+  domain: 'www.virustotal.com',
+  // Anonymous use of the GUI hits the CAPTCHA quickly - and every lookup is up to two loads
+  rateLimit: { requestsPerMinute: 4, dailyCap: 500, minSpacing: 5000 },
+  scrape: scrapeVirusTotal,
+});
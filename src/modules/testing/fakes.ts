@@ -0,0 +1,609 @@
+/**
+ * Test Doubles
+ * In-memory stand-ins for the CDP transport and the chrome.* APIs the extension uses, so pages,
+ * scrapers, the pool and the background orchestration can be exercised without a browser.
+ * Not part of the extension build - `npm test` compiles it into dist/ with the other modules for the
+ * specs in test/. Install the fake chrome global before loading modules that read `chrome` at load
+ * time.
+ */
+
+import type { CDPCommandParams, CDPTransport, TransportHandlers } from '../cdp/core';
+
+export interface SentCommand {
+  method: string;
+  params: CDPCommandParams;
+}
+
+/**
+ * Computes the result of a command from its params; throwing (or rejecting) fails the command
+ */
+export type CommandResponder = (params: CDPCommandParams, transport: FakeTransport) => unknown;
+
+/**
+ * Scripted CDP transport - records every command and answers from registered responders
+ * Commands without a responder resolve with `{}`.
+ */
+export class FakeTransport implements CDPTransport {
+  public readonly sent: SentCommand[] = [];
+  public attached: boolean = false;
+  private handlers: TransportHandlers | null = null;
+  private responders: Map<string, CommandResponder> = new Map();
+
+  /**
+   * Answer a command (e.g. "Runtime.evaluate") with a fixed result, or a result computed per call
+   */
+  respond(method: string, response: unknown): this {
+    this.responders.set(
+      method,
+      typeof response === 'function' ? (response as CommandResponder) : () => response
+    );
+    return this;
+  }
+
+  /**
+   * Make a command fail the way chrome.debugger reports errors
+   */
+  fail(method: string, message: string): this {
+    return this.respond(method, () => {
+      throw new Error(message);
+    });
+  }
+
+  /**
+   * Params of every call of a command, in order
+   */
+  calls(method: string): CDPCommandParams[] {
+    return this.sent
+      .filter((command: SentCommand) => command.method === method)
+      .map((command: SentCommand) => command.params);
+  }
+
+  /**
+   * Deliver a CDP event to the attached context
+   */
+  emit(method: string, params?: any): void {
+    if (this.handlers) {
+      this.handlers.onEvent(method, params);
+    }
+  }
+
+  /**
+   * Drop the connection as if the tab closed or the user cancelled debugging
+   */
+  disconnect(reason: string = 'target_closed'): void {
+    const handlers: TransportHandlers | null = this.handlers;
+    this.attached = false;
+    this.handlers = null;
+    if (handlers) {
+      handlers.onDetach(reason);
+    }
+  }
+
+  async attach(handlers: TransportHandlers): Promise<void> {
+    this.handlers = handlers;
+    this.attached = true;
+  }
+
+  async detach(): Promise<void> {
+    this.attached = false;
+    this.handlers = null;
+  }
+
+  async send(method: string, params: CDPCommandParams): Promise<any> {
+    this.sent.push({ method, params });
+    if (!this.attached) {
+      throw new Error('Debugger is not attached to the tab');
+    }
+    const responder: CommandResponder | undefined = this.responders.get(method);
+    return responder ? responder(params, this) : {};
+  }
+}
+
+interface PageLoadScript {
+  frameId?: string;
+  /** Lifecycle events fired for each navigation, in order (default: init, DOMContentLoaded, load) */
+  events?: string[];
+  /** Delay between the navigation and each event (ms) */
+  interval?: number;
+  /** Navigations to these URLs fail with the error text, e.g. "net::ERR_NAME_NOT_RESOLVED" */
+  errors?: { [url: string]: string };
+}
+
+/**
+ * Answer the commands Page.goto sends, firing lifecycle events for a new document per navigation
+ * (or failing it, for the URLs in `script.errors`)
+ * @returns The loader ids of the navigations, in order
+ */
+export function scriptPageLoad(transport: FakeTransport, script: PageLoadScript = {}): string[] {
+  const frameId: string = script.frameId || 'main-frame';
+  const events: string[] = script.events || ['init', 'DOMContentLoaded', 'load'];
+  const interval: number = script.interval ?? 0;
+  const loaderIds: string[] = [];
+
+  transport.respond('Page.getFrameTree', { frameTree: { frame: { id: frameId } } });
+  transport.respond('Page.navigate', (params: CDPCommandParams, fake: FakeTransport) => {
+    const errorText: string | undefined = script.errors?.[params.url];
+    if (errorText) {
+      return { frameId, errorText };
+    }
+    const loaderId: string = `loader-${loaderIds.length + 1}`;
+    loaderIds.push(loaderId);
+    events.forEach((name: string, index: number) => {
+      setTimeout(
+        () => fake.emit('Page.lifecycleEvent', { frameId, loaderId, name, timestamp: index }),
+        interval * (index + 1)
+      );
+    });
+    return { frameId, loaderId };
+  });
+  return loaderIds;
+}
+
+export interface FakeResponse {
+  url: string;
+  /** Body text, or a value sent as JSON */
+  body: unknown;
+  status?: number;
+  mimeType?: string;
+  /** Resource type (default: XHR) */
+  type?: string;
+  /** Fail the load with this error text after the response headers arrived */
+  failWith?: string;
+  /** Loader of the document that made the request */
+  loaderId?: string;
+  /** Leave the body loading - neither loadingFinished nor loadingFailed follows */
+  pending?: boolean;
+}
+
+// Bodies getResponseBody answers with, per transport and request id
+const responseBodies: WeakMap<FakeTransport, Map<string, string>> = new WeakMap();
+
+/**
+ * Deliver a response the way Chrome reports one (Network.responseReceived, then loadingFinished or
+ * loadingFailed), and answer Network.getResponseBody for it
+ * @returns The response's request id
+ */
+export function emitResponse(transport: FakeTransport, response: FakeResponse): string {
+  let bodies: Map<string, string> | undefined = responseBodies.get(transport);
+  if (!bodies) {
+    const known: Map<string, string> = new Map();
+    bodies = known;
+    responseBodies.set(transport, known);
+    transport.respond('Network.getResponseBody', (params: CDPCommandParams) => {
+      if (!known.has(params.requestId)) {
+        throw new Error('No resource with given identifier found');
+      }
+      return { body: known.get(params.requestId), base64Encoded: false };
+    });
+  }
+
+  const requestId: string = `request-${bodies.size + 1}`;
+  const body: string = typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
+  bodies.set(requestId, body);
+  transport.emit('Network.responseReceived', {
+    requestId,
+    loaderId: response.loaderId,
+    type: response.type || 'XHR',
+    response: {
+      url: response.url,
+      status: response.status ?? 200,
+      statusText: '',
+      headers: {},
+      mimeType: response.mimeType || (typeof response.body === 'string' ? 'text/plain' : 'application/json'),
+    },
+  });
+  if (response.pending) {
+    return requestId;
+  }
+  if (response.failWith) {
+    transport.emit('Network.loadingFailed', { requestId, errorText: response.failWith });
+  } else {
+    transport.emit('Network.loadingFinished', { requestId });
+  }
+  return requestId;
+}
+
+type Listener = (...args: any[]) => any;
+
+/**
+ * chrome.events.Event stand-in
+ */
+export class FakeEvent<T extends Listener = Listener> {
+  private listeners: T[] = [];
+
+  addListener(listener: T): void {
+    this.listeners.push(listener);
+  }
+
+  removeListener(listener: T): void {
+    this.listeners = this.listeners.filter((registered: T) => registered !== listener);
+  }
+
+  hasListener(listener: T): boolean {
+    return this.listeners.includes(listener);
+  }
+
+  hasListeners(): boolean {
+    return this.listeners.length > 0;
+  }
+
+  /**
+   * Call every listener and return what they returned
+   */
+  dispatch(...args: Parameters<T>): ReturnType<T>[] {
+    return [...this.listeners].map((listener: T) => listener(...args));
+  }
+}
+
+// Callbacks of the real APIs never run synchronously
+function later(callback: () => void): void {
+  setTimeout(callback, 0);
+}
+
+/**
+ * Resolve an API call through its callback, or return a promise when called without one
+ */
+function reply<T>(value: T, callback?: (value: T) => void): Promise<T> | void {
+  if (callback) {
+    later(() => callback(value));
+    return;
+  }
+  return Promise.resolve(value);
+}
+
+// Stored values are serialized like the real storage, so callers can't share references with it
+function copy<T>(value: T): T {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * chrome.runtime.Port stand-in - a message posted on one end reaches the other end's listeners
+ */
+export class FakePort {
+  public readonly name: string;
+  public readonly onMessage: FakeEvent = new FakeEvent();
+  public readonly onDisconnect: FakeEvent = new FakeEvent();
+  /** The other end of the channel */
+  public remote: FakePort | null = null;
+  private connected: boolean = true;
+
+  constructor(name: string) {
+    this.name = name;
+  }
+
+  postMessage(message: unknown): void {
+    if (!this.connected) {
+      throw new Error('Attempting to use a disconnected port object');
+    }
+    const remote: FakePort = this.remote!;
+    const delivered: unknown = copy(message);
+    later(() => {
+      if (remote.connected) remote.onMessage.dispatch(delivered, remote);
+    });
+  }
+
+  /**
+   * Close the channel - like the real API, only the other end hears about it
+   */
+  disconnect(): void {
+    if (!this.connected) return;
+    this.connected = false;
+    const remote: FakePort = this.remote!;
+    if (remote.connected) {
+      remote.connected = false;
+      later(() => remote.onDisconnect.dispatch(remote));
+    }
+  }
+}
+
+interface StorageChange {
+  oldValue?: unknown;
+  newValue?: unknown;
+}
+
+/**
+ * chrome.storage.StorageArea stand-in
+ */
+export class FakeStorageArea {
+  public data: { [key: string]: unknown } = {};
+  /** Chrome's chrome.storage.local quota - lower it to exercise eviction */
+  public QUOTA_BYTES: number = 10 * 1024 * 1024;
+  private readonly areaName: string;
+  private readonly onChanged: FakeEvent;
+
+  constructor(areaName: string, onChanged: FakeEvent) {
+    this.areaName = areaName;
+    this.onChanged = onChanged;
+  }
+
+  get(
+    keys?: string | string[] | { [key: string]: unknown } | null,
+    callback?: (items: { [key: string]: any }) => void
+  ): Promise<{ [key: string]: any }> | void {
+    const items: { [key: string]: any } = {};
+    if (keys === null || keys === undefined) {
+      Object.assign(items, copy(this.data));
+    } else if (typeof keys === 'string' || Array.isArray(keys)) {
+      (typeof keys === 'string' ? [keys] : keys).forEach((key: string) => {
+        if (key in this.data) {
+          items[key] = copy(this.data[key]);
+        }
+      });
+    } else {
+      // An object lists the keys with their defaults
+      Object.entries(keys).forEach(([key, fallback]: [string, unknown]) => {
+        items[key] = key in this.data ? copy(this.data[key]) : fallback;
+      });
+    }
+    return reply(items, callback);
+  }
+
+  set(items: { [key: string]: unknown }, callback?: () => void): Promise<void> | void {
+    const changes: { [key: string]: StorageChange } = {};
+    Object.entries(items).forEach(([key, value]: [string, unknown]) => {
+      changes[key] = { oldValue: this.data[key], newValue: copy(value) };
+      this.data[key] = copy(value);
+    });
+    this._notify(changes);
+    return reply(undefined, callback);
+  }
+
+  remove(keys: string | string[], callback?: () => void): Promise<void> | void {
+    const changes: { [key: string]: StorageChange } = {};
+    (typeof keys === 'string' ? [keys] : keys).forEach((key: string) => {
+      if (key in this.data) {
+        changes[key] = { oldValue: this.data[key] };
+        delete this.data[key];
+      }
+    });
+    this._notify(changes);
+    return reply(undefined, callback);
+  }
+
+  clear(callback?: () => void): Promise<void> | void {
+    return this.remove(Object.keys(this.data), callback);
+  }
+
+  /**
+   * Bytes used by the given keys (all keys when null), counted as key plus JSON value like Chrome does
+   */
+  getBytesInUse(
+    keys?: string | string[] | null,
+    callback?: (bytesInUse: number) => void
+  ): Promise<number> | void {
+    const selected: string[] =
+      keys === null || keys === undefined ? Object.keys(this.data) : typeof keys === 'string' ? [keys] : keys;
+    const bytes: number = selected
+      .filter((key: string) => key in this.data)
+      .reduce((total: number, key: string) => total + key.length + JSON.stringify(this.data[key]).length, 0);
+    return reply(bytes, callback);
+  }
+
+  private _notify(changes: { [key: string]: StorageChange }): void {
+    if (Object.keys(changes).length > 0) {
+      later(() => this.onChanged.dispatch(changes, this.areaName));
+    }
+  }
+}
+
+interface FakeTab {
+  id: number;
+  /** Every fake tab lives in the same window */
+  windowId: number;
+  url: string;
+  active: boolean;
+}
+
+// The one window fake tabs open in
+const FAKE_WINDOW_ID: number = 1;
+
+export interface FakeChromeOptions {
+  extensionId?: string;
+  /** Transport behind chrome.debugger for a tab - script it here before the tab is attached */
+  createTransport?: (tabId: number) => FakeTransport;
+}
+
+/**
+ * The chrome.* APIs the extension uses, backed by memory
+ * chrome.debugger routes every attached tab through a FakeTransport (see `transports`).
+ */
+export class FakeChrome {
+  public readonly runtime;
+  public readonly storage;
+  public readonly tabs;
+  public readonly windows;
+  public readonly debugger;
+  /** Transport of every tab chrome.debugger is attached to */
+  public readonly transports: Map<number, FakeTransport> = new Map();
+  public readonly openTabs: Map<number, FakeTab> = new Map();
+
+  constructor(options: FakeChromeOptions = {}) {
+    const extensionId: string = options.extensionId || 'fakeextensionid';
+    const createTransport = options.createTransport || ((): FakeTransport => new FakeTransport());
+    let nextTabId: number = 1;
+
+    const runtime = {
+      id: extensionId,
+      lastError: undefined as { message: string } | undefined,
+      onMessage: new FakeEvent(),
+      onConnect: new FakeEvent(),
+      onInstalled: new FakeEvent(),
+      getURL: (path: string): string => `chrome-extension://${extensionId}/${path.replace(/^\//, '')}`,
+      /**
+       * Deliver a message to onMessage listeners; a listener returning true answers asynchronously
+       */
+      sendMessage: (message: unknown, callback?: (response: any) => void): Promise<any> | void => {
+        const response: Promise<any> = new Promise<any>((resolve) => {
+          const sender = { id: extensionId };
+          const results: unknown[] = runtime.onMessage.dispatch(message, sender, resolve);
+          if (!results.includes(true)) {
+            later(() => resolve(undefined));
+          }
+        });
+        if (!callback) {
+          return response;
+        }
+        response.then((value: any) => callback(value));
+      },
+      /**
+       * Open a port to onConnect listeners - the returned end is the caller's
+       */
+      connect: (connectInfo: { name?: string } = {}): FakePort => {
+        const local: FakePort = new FakePort(connectInfo.name || '');
+        const remote: FakePort = new FakePort(connectInfo.name || '');
+        local.remote = remote;
+        remote.remote = local;
+        later(() => runtime.onConnect.dispatch(remote));
+        return local;
+      },
+    };
+
+    // Set lastError for the duration of a callback, like the real APIs do
+    const fail = (message: string, callback?: (...args: any[]) => void): void => {
+      later(() => {
+        runtime.lastError = { message };
+        try {
+          if (callback) callback();
+        } finally {
+          runtime.lastError = undefined;
+        }
+      });
+    };
+
+    const onChanged: FakeEvent = new FakeEvent();
+    const storage = {
+      onChanged,
+      local: new FakeStorageArea('local', onChanged),
+      session: new FakeStorageArea('session', onChanged),
+    };
+
+    const tabs = {
+      onRemoved: new FakeEvent(),
+      create: (properties: { url?: string; active?: boolean }, callback?: (tab: FakeTab) => void): void => {
+        const tab: FakeTab = {
+          id: nextTabId++,
+          windowId: FAKE_WINDOW_ID,
+          url: properties.url || 'about:blank',
+          active: properties.active ?? true,
+        };
+        this.openTabs.set(tab.id, tab);
+        if (callback) later(() => callback({ ...tab }));
+      },
+      get: (tabId: number, callback: (tab?: FakeTab) => void): void => {
+        const tab: FakeTab | undefined = this.openTabs.get(tabId);
+        if (!tab) {
+          fail(`No tab with id: ${tabId}.`, callback);
+          return;
+        }
+        later(() => callback({ ...tab }));
+      },
+      query: (queryInfo: { active?: boolean }, callback: (tabs: FakeTab[]) => void): void => {
+        const matching: FakeTab[] = Array.from(this.openTabs.values()).filter(
+          (tab: FakeTab) => queryInfo.active === undefined || tab.active === queryInfo.active
+        );
+        later(() => callback(matching.map((tab: FakeTab) => ({ ...tab }))));
+      },
+      /**
+       * Only `active` is supported - activating a tab deactivates the others
+       */
+      update: (tabId: number, properties: { active?: boolean }, callback?: (tab?: FakeTab) => void): void => {
+        const tab: FakeTab | undefined = this.openTabs.get(tabId);
+        if (!tab) {
+          fail(`No tab with id: ${tabId}.`, callback);
+          return;
+        }
+        if (properties.active) {
+          this.openTabs.forEach((other: FakeTab) => (other.active = other === tab));
+        }
+        if (callback) later(() => callback({ ...tab }));
+      },
+      remove: (tabIds: number | number[], callback?: () => void): void => {
+        const ids: number[] = typeof tabIds === 'number' ? [tabIds] : tabIds;
+        const missing: number | undefined = ids.find((tabId: number) => !this.openTabs.has(tabId));
+        if (missing !== undefined) {
+          fail(`No tab with id: ${missing}.`, callback);
+          return;
+        }
+        ids.forEach((tabId: number) => {
+          this.openTabs.delete(tabId);
+          const transport: FakeTransport | undefined = this.transports.get(tabId);
+          if (transport && transport.attached) {
+            transport.disconnect('target_closed');
+          }
+          tabs.onRemoved.dispatch(tabId, {});
+        });
+        if (callback) later(callback);
+      },
+    };
+
+    const debuggerApi = {
+      onEvent: new FakeEvent(),
+      onDetach: new FakeEvent(),
+      attach: (target: { tabId: number }, _version: string, callback: () => void): void => {
+        if (!this.openTabs.has(target.tabId)) {
+          fail(`No tab with given id ${target.tabId}.`, callback);
+          return;
+        }
+        if (this.transports.get(target.tabId)?.attached) {
+          fail(`Another debugger is already attached to the tab with id: ${target.tabId}.`, callback);
+          return;
+        }
+        const transport: FakeTransport = createTransport(target.tabId);
+        this.transports.set(target.tabId, transport);
+        transport
+          .attach({
+            onEvent: (method: string, params?: any) =>
+              debuggerApi.onEvent.dispatch({ tabId: target.tabId }, method, params),
+            onDetach: (reason: string) => debuggerApi.onDetach.dispatch({ tabId: target.tabId }, reason),
+          })
+          .then(() => later(callback));
+      },
+      detach: (target: { tabId: number }, callback?: () => void): void => {
+        const transport: FakeTransport | undefined = this.transports.get(target.tabId);
+        if (!transport || !transport.attached) {
+          fail(`Debugger is not attached to the tab with id: ${target.tabId}.`, callback);
+          return;
+        }
+        transport.detach().then(() => {
+          if (callback) later(callback);
+        });
+      },
+      sendCommand: (
+        target: { tabId: number },
+        method: string,
+        params: CDPCommandParams | undefined,
+        callback: (result?: any) => void
+      ): void => {
+        const transport: FakeTransport | undefined = this.transports.get(target.tabId);
+        if (!transport || !transport.attached) {
+          fail(`Debugger is not attached to the tab with id: ${target.tabId}.`, callback);
+          return;
+        }
+        transport.send(method, params || {}).then(
+          (result: any) => later(() => callback(result)),
+          (error: Error) => fail(error.message, callback)
+        );
+      },
+    };
+
+    this.runtime = runtime;
+    this.storage = storage;
+    this.tabs = tabs;
+    this.windows = {
+      /** The only window is always focused */
+      update: (_windowId: number, _properties: { focused?: boolean }, callback?: () => void): void => {
+        if (callback) later(callback);
+      },
+    };
+    this.debugger = debuggerApi;
+  }
+}
+
+/**
+ * Replace the `chrome` global with a fresh fake and return it
+ */
+export function installFakeChrome(options: FakeChromeOptions = {}): FakeChrome {
+  const fake: FakeChrome = new FakeChrome(options);
+  (globalThis as any).chrome = fake;
+  return fake;
+}
@@ -0,0 +1,348 @@
+/**
+ * Options Page Controller
+ * Lets analysts override the extraction spec of each source - overrides are stored in
+ * chrome.storage.local and picked up by the scrapers on their next run - set where
+ * the scraper self-test loads its fixture pages from, how long results stay cached, and how
+ * hard each vendor domain may be hit
+ */
+
+import type {
+  CacheConfig,
+  DiagnosticsSettings,
+  ExtractionSpec,
+  MessageRequest,
+  MessageResponse,
+  RateLimitConfig,
+  RateLimitSettings,
+  SourceSpecInfo,
+} from '../types/osint';
+
+// UI Elements
+const sourceSelect: HTMLSelectElement | null = document.getElementById(
+  'specSource'
+) as HTMLSelectElement | null;
+const specState: HTMLParagraphElement | null = document.getElementById(
+  'specState'
+) as HTMLParagraphElement | null;
+const specEditor: HTMLTextAreaElement | null = document.getElementById(
+  'specEditor'
+) as HTMLTextAreaElement | null;
+const saveSpecButton: HTMLButtonElement | null = document.getElementById(
+  'saveSpecButton'
+) as HTMLButtonElement | null;
+const resetSpecButton: HTMLButtonElement | null = document.getElementById(
+  'resetSpecButton'
+) as HTMLButtonElement | null;
+const fixtureBaseUrlInput: HTMLInputElement | null = document.getElementById(
+  'fixtureBaseUrl'
+) as HTMLInputElement | null;
+const saveDiagnosticsButton: HTMLButtonElement | null = document.getElementById(
+  'saveDiagnosticsButton'
+) as HTMLButtonElement | null;
+const cacheTtls: HTMLDivElement | null = document.getElementById(
+  'cacheTtls'
+) as HTMLDivElement | null;
+const saveCacheButton: HTMLButtonElement | null = document.getElementById(
+  'saveCacheButton'
+) as HTMLButtonElement | null;
+const rateLimitsDiv: HTMLDivElement | null = document.getElementById(
+  'rateLimits'
+) as HTMLDivElement | null;
+const saveRateLimitsButton: HTMLButtonElement | null = document.getElementById(
+  'saveRateLimitsButton'
+) as HTMLButtonElement | null;
+const statusDiv: HTMLDivElement | null = document.getElementById(
+  'status'
+) as HTMLDivElement | null;
+
+// chrome.storage.local key shared with the background self-test
+const DIAGNOSTICS_SETTINGS_KEY: string = 'diagnostics_settings';
+// chrome.storage.local key read by the background lookups
+const CACHE_CONFIG_KEY: string = 'cache_config';
+const HOUR_MS: number = 60 * 60 * 1000;
+// chrome.storage.local key read by the background rate limiter
+const RATE_LIMIT_CONFIG_KEY: string = 'rate_limits';
+
+// Rate limit fields per domain, with the unit they are entered in (spacing is stored in ms)
+const RATE_LIMIT_FIELDS: { key: keyof RateLimitSettings; label: string; scale: number; min: number }[] = [
+  { key: 'requestsPerMinute', label: 'requests/min', scale: 1, min: 0.1 },
+  { key: 'dailyCap', label: 'daily cap (0: none)', scale: 1, min: 0 },
+  { key: 'minSpacing', label: 'spacing (s)', scale: 1000, min: 0 },
+];
+
+let specs: SourceSpecInfo[] = [];
+
+/**
+ * Update status message
+ */
+function updateStatus(message: string, isError: boolean = false): void {
+  if (!statusDiv) return;
+  statusDiv.textContent = message;
+  statusDiv.className = isError ? 'error' : '';
+}
+
+function selectedSpec(): SourceSpecInfo | undefined {
+  return specs.find((info: SourceSpecInfo) => info.id === sourceSelect?.value);
+}
+
+/**
+ * Show the spec the selected source currently runs with
+ */
+function showSelectedSpec(): void {
+  const info: SourceSpecInfo | undefined = selectedSpec();
+  if (!info || !specEditor || !specState) return;
+
+  const spec: ExtractionSpec = info.override
+    ? Extraction.mergeSpec(info.defaultSpec, info.override)
+    : info.defaultSpec;
+  specEditor.value = JSON.stringify(spec, null, 2);
+  specState.textContent = info.override
+    ? `${info.name} is using your override.`
+    : `${info.name} is using its built-in spec (version ${info.defaultSpec.version}).`;
+  if (resetSpecButton) resetSpecButton.disabled = !info.override;
+  updateStatus('');
+}
+
+/**
+ * Write the overrides of every source back to storage
+ */
+async function saveOverrides(): Promise<void> {
+  const overrides: { [sourceId: string]: Partial<ExtractionSpec> } = {};
+  specs.forEach((info: SourceSpecInfo) => {
+    if (info.override) {
+      overrides[info.id] = info.override;
+    }
+  });
+  await chrome.storage.local.set({ [Extraction.SPEC_OVERRIDES_KEY]: overrides });
+}
+
+/**
+ * Validate the edited spec and save it as the selected source's override
+ */
+async function saveSelectedSpec(): Promise<void> {
+  const info: SourceSpecInfo | undefined = selectedSpec();
+  if (!info || !specEditor) return;
+
+  let spec: unknown;
+  try {
+    spec = JSON.parse(specEditor.value);
+  } catch (error) {
+    updateStatus(`Invalid JSON: ${error instanceof Error ? error.message : String(error)}`, true);
+    return;
+  }
+
+  const errors: string[] = Extraction.validateSpec(spec);
+  if (errors.length === 0 && (spec as ExtractionSpec).source !== info.id) {
+    errors.push(`"source" must be "${info.id}"`);
+  }
+  if (errors.length > 0) {
+    updateStatus(`Spec not saved:\n${errors.join('\n')}`, true);
+    return;
+  }
+
+  info.override = spec as ExtractionSpec;
+  await saveOverrides();
+  showSelectedSpec();
+  updateStatus('Override saved - it applies from the next lookup.');
+}
+
+/**
+ * Drop the selected source's override
+ */
+async function resetSelectedSpec(): Promise<void> {
+  const info: SourceSpecInfo | undefined = selectedSpec();
+  if (!info) return;
+
+  delete info.override;
+  await saveOverrides();
+  showSelectedSpec();
+  updateStatus('Built-in spec restored.');
+}
+
+/**
+ * Load every source's spec from the background worker (which owns the scrapers)
+ */
+function loadSpecs(): void {
+  chrome.runtime.sendMessage(
+    { action: 'getExtractionSpecs' } as MessageRequest,
+    (response: MessageResponse | undefined) => {
+      if (chrome.runtime.lastError || !response || !response.success || !response.specs) {
+        updateStatus(response?.error || 'Could not load the extraction specs', true);
+        return;
+      }
+      specs = response.specs;
+      if (sourceSelect) {
+        sourceSelect.innerHTML = specs
+          .map((info: SourceSpecInfo) => `<option value="${info.id}">${info.name}</option>`)
+          .join('');
+      }
+      showSelectedSpec();
+      loadCacheSettings();
+      loadRateLimitSettings();
+    }
+  );
+}
+
+/**
+ * Save where fixture pages are served from (empty uses the fixtures packaged with the extension)
+ */
+async function saveDiagnosticsSettings(): Promise<void> {
+  const fixtureBaseUrl: string = fixtureBaseUrlInput?.value.trim() || '';
+  if (fixtureBaseUrl) {
+    try {
+      new URL(fixtureBaseUrl);
+    } catch {
+      updateStatus(`Not a valid URL: ${fixtureBaseUrl}`, true);
+      return;
+    }
+  }
+  const settings: DiagnosticsSettings = fixtureBaseUrl ? { fixtureBaseUrl } : {};
+  await chrome.storage.local.set({ [DIAGNOSTICS_SETTINGS_KEY]: settings });
+  updateStatus(fixtureBaseUrl ? 'Fixture URL saved.' : 'Diagnostics will use the packaged fixtures.');
+}
+
+function loadDiagnosticsSettings(): void {
+  chrome.storage.local.get([DIAGNOSTICS_SETTINGS_KEY], (result: { [key: string]: any }) => {
+    const settings: DiagnosticsSettings = result[DIAGNOSTICS_SETTINGS_KEY] || {};
+    if (fixtureBaseUrlInput) fixtureBaseUrlInput.value = settings.fixtureBaseUrl || '';
+  });
+}
+
+/**
+ * One lifetime field per source, showing the source's built-in TTL as its placeholder
+ */
+function renderCacheSettings(config: CacheConfig): void {
+  if (!cacheTtls) return;
+  cacheTtls.innerHTML = specs
+    .map((info: SourceSpecInfo) => {
+      const override: number | undefined = config.ttl[info.id];
+      return `
+        <div class="input-group">
+          <label for="cacheTtl-${info.id}">${info.name} (hours)</label>
+          <input type="number" id="cacheTtl-${info.id}" data-source="${info.id}" min="0" step="0.5"
+            placeholder="${info.cacheTtl / HOUR_MS}" value="${override !== undefined ? override / HOUR_MS : ''}">
+        </div>`;
+    })
+    .join('');
+}
+
+function loadCacheSettings(): void {
+  chrome.storage.local.get([CACHE_CONFIG_KEY], (result: { [key: string]: any }) => {
+    const config: CacheConfig = result[CACHE_CONFIG_KEY] || { ttl: {} };
+    renderCacheSettings(config);
+  });
+}
+
+/**
+ * Save the per-source lifetimes - empty fields fall back to the source's default
+ */
+async function saveCacheSettings(): Promise<void> {
+  const config: CacheConfig = { ttl: {} };
+  const inputs: HTMLInputElement[] = Array.from(
+    cacheTtls?.querySelectorAll<HTMLInputElement>('input[data-source]') || []
+  );
+  for (const input of inputs) {
+    const value: string = input.value.trim();
+    if (!value) continue;
+    const hours: number = Number(value);
+    if (!Number.isFinite(hours) || hours < 0) {
+      updateStatus(`Cache lifetime for ${input.dataset.source} must be 0 or more hours`, true);
+      return;
+    }
+    config.ttl[input.dataset.source!] = Math.round(hours * HOUR_MS);
+  }
+  await chrome.storage.local.set({ [CACHE_CONFIG_KEY]: config });
+  updateStatus('Cache lifetimes saved.');
+}
+
+/**
+ * Sources grouped by the domain whose rate limit they share
+ */
+function specsByDomain(): Map<string, SourceSpecInfo[]> {
+  const domains: Map<string, SourceSpecInfo[]> = new Map();
+  specs.forEach((info: SourceSpecInfo) => {
+    domains.set(info.domain, [...(domains.get(info.domain) || []), info]);
+  });
+  return domains;
+}
+
+/**
+ * One row of fields per domain, showing its built-in limits as placeholders
+ */
+function renderRateLimitSettings(config: RateLimitConfig): void {
+  if (!rateLimitsDiv) return;
+  rateLimitsDiv.innerHTML = Array.from(specsByDomain())
+    .map(([domain, sources]) => {
+      const builtIn: RateLimitSettings = sources[0].rateLimit;
+      const override: Partial<RateLimitSettings> = config[domain] || {};
+      const names: string = sources.map((info: SourceSpecInfo) => info.name).join(', ');
+      const fields: string = RATE_LIMIT_FIELDS.map(({ key, label, scale, min }) => {
+        const value: number | undefined = override[key];
+        return `
+          <div class="input-group">
+            <label for="rateLimit-${domain}-${key}">${label}</label>
+            <input type="number" id="rateLimit-${domain}-${key}" data-domain="${domain}" data-field="${key}"
+              min="${min}" step="any" placeholder="${builtIn[key] / scale}" value="${value !== undefined ? value / scale : ''}">
+          </div>`;
+      }).join('');
+      return `
+        <p class="hint">${domain} (${names})</p>
+        <div class="input-row">${fields}</div>`;
+    })
+    .join('');
+}
+
+function loadRateLimitSettings(): void {
+  chrome.storage.local.get([RATE_LIMIT_CONFIG_KEY], (result: { [key: string]: any }) => {
+    renderRateLimitSettings(result[RATE_LIMIT_CONFIG_KEY] || {});
+  });
+}
+
+/**
+ * Save the per-domain limits - empty fields fall back to the built-in limit
+ */
+async function saveRateLimitSettings(): Promise<void> {
+  const config: RateLimitConfig = {};
+  const inputs: HTMLInputElement[] = Array.from(
+    rateLimitsDiv?.querySelectorAll<HTMLInputElement>('input[data-domain]') || []
+  );
+  for (const input of inputs) {
+    const value: string = input.value.trim();
+    if (!value) continue;
+    const field = RATE_LIMIT_FIELDS.find(({ key }) => key === input.dataset.field)!;
+    const number: number = Number(value);
+    if (!Number.isFinite(number) || number < field.min) {
+      updateStatus(`The ${field.label} of ${input.dataset.domain} must be at least ${field.min}`, true);
+      return;
+    }
+    const domain: string = input.dataset.domain!;
+    config[domain] = { ...(config[domain] || {}), [field.key]: number * field.scale };
+  }
+  await chrome.storage.local.set({ [RATE_LIMIT_CONFIG_KEY]: config });
+  updateStatus('Rate limits saved - they apply from the next lookup.');
+}
+
+sourceSelect?.addEventListener('change', showSelectedSpec);
+
+saveSpecButton?.addEventListener('click', (): void => {
+  saveSelectedSpec().catch((error: Error) => updateStatus(error.message, true));
+});
+
+resetSpecButton?.addEventListener('click', (): void => {
+  resetSelectedSpec().catch((error: Error) => updateStatus(error.message, true));
+});
+
+saveDiagnosticsButton?.addEventListener('click', (): void => {
+  saveDiagnosticsSettings().catch((error: Error) => updateStatus(error.message, true));
+});
+
+saveCacheButton?.addEventListener('click', (): void => {
+  saveCacheSettings().catch((error: Error) => updateStatus(error.message, true));
+});
+
+saveRateLimitsButton?.addEventListener('click', (): void => {
+  saveRateLimitSettings().catch((error: Error) => updateStatus(error.message, true));
+});
+
+loadSpecs();
+loadDiagnosticsSettings();
@@ -3,21 +3,122 @@
  * Handles user interaction and displays OSINT results
  */
 
-import { OSINTResults, MessageRequest, MessageResponse } from '../types/osint';
+import {
+  Indicator,
+  BulkJob,
+  BulkItemStatus,
+  BulkOptions,
+  OSINTResults,
+  Verdict,
+  VerdictResult,
+  VerdictSignal,
+  MessageRequest,
+  MessageResponse,
+  SourceData,
+  VirusTotalData,
+  DetectionStats,
+  EngineResult,
+  IPInfoData,
+  IPInfoPrivacy,
+  AbuseContact,
+  AbuseIPDBData,
+  AbuseCategory,
+  AbuseReport,
+  DiagnosticsReport,
+  FieldCheck,
+  SourceDiagnostics,
+  SourceHealth,
+  HistoryEntry,
+  HistoryQuery,
+  ExportFile,
+  ExportFormat,
+  LookupEvent,
+  LookupEventType,
+  LookupPortMessage,
+  LookupPortRequest,
+  BlockKind,
+  PageBlock,
+  ThrottleReason,
+} from '../types/osint';
+import type { ExtractedIndicators } from '../modules/indicators/indicator';
 
 // UI Elements
-const ipInput: HTMLInputElement | null = document.getElementById(
-  'ipAddress'
+const indicatorInput: HTMLInputElement | null = document.getElementById(
+  'indicator'
 ) as HTMLInputElement | null;
 const fetchButton: HTMLButtonElement | null = document.getElementById(
   'fetchButton'
 ) as HTMLButtonElement | null;
+const cancelButton: HTMLButtonElement | null = document.getElementById(
+  'cancelButton'
+) as HTMLButtonElement | null;
 const statusDiv: HTMLDivElement | null = document.getElementById(
   'status'
 ) as HTMLDivElement | null;
 const resultDiv: HTMLDivElement | null = document.getElementById(
   'result'
 ) as HTMLDivElement | null;
+const singleModeButton: HTMLButtonElement | null = document.getElementById(
+  'singleModeButton'
+) as HTMLButtonElement | null;
+const bulkModeButton: HTMLButtonElement | null = document.getElementById(
+  'bulkModeButton'
+) as HTMLButtonElement | null;
+const singlePanel: HTMLDivElement | null = document.getElementById(
+  'singlePanel'
+) as HTMLDivElement | null;
+const bulkPanel: HTMLDivElement | null = document.getElementById(
+  'bulkPanel'
+) as HTMLDivElement | null;
+const bulkInput: HTMLTextAreaElement | null = document.getElementById(
+  'bulkInput'
+) as HTMLTextAreaElement | null;
+const bulkFile: HTMLInputElement | null = document.getElementById(
+  'bulkFile'
+) as HTMLInputElement | null;
+const bulkConcurrencyInput: HTMLInputElement | null = document.getElementById(
+  'bulkConcurrency'
+) as HTMLInputElement | null;
+const bulkSourceConcurrencyInput: HTMLInputElement | null = document.getElementById(
+  'bulkSourceConcurrency'
+) as HTMLInputElement | null;
+const bulkButton: HTMLButtonElement | null = document.getElementById(
+  'bulkButton'
+) as HTMLButtonElement | null;
+const cancelBulkButton: HTMLButtonElement | null = document.getElementById(
+  'cancelBulkButton'
+) as HTMLButtonElement | null;
+const historyModeButton: HTMLButtonElement | null = document.getElementById(
+  'historyModeButton'
+) as HTMLButtonElement | null;
+const historyPanel: HTMLDivElement | null = document.getElementById(
+  'historyPanel'
+) as HTMLDivElement | null;
+const historySearch: HTMLInputElement | null = document.getElementById(
+  'historySearch'
+) as HTMLInputElement | null;
+const historyVerdict: HTMLSelectElement | null = document.getElementById(
+  'historyVerdict'
+) as HTMLSelectElement | null;
+const historyFrom: HTMLInputElement | null = document.getElementById(
+  'historyFrom'
+) as HTMLInputElement | null;
+const historyTo: HTMLInputElement | null = document.getElementById(
+  'historyTo'
+) as HTMLInputElement | null;
+const diagnosticsButton: HTMLButtonElement | null = document.getElementById(
+  'diagnosticsButton'
+) as HTMLButtonElement | null;
+
+// chrome.storage.local keys shared with the background service worker
+const BULK_JOB_KEY: string = 'bulk_job';
+const BULK_OPTIONS_KEY: string = 'bulk_options';
+const DIAGNOSTICS_REPORT_KEY: string = 'diagnostics_report';
+
+// Result of the last scraper self-test per source, used to flag results from failing scrapers
+let sourceHealth: { [sourceId: string]: SourceDiagnostics } = {};
+// Indicator of the results on screen, re-looked up by the refresh buttons
+let displayedIndicator: Indicator | null = null;
 
 /**
  * Update status message
@@ -29,90 +130,288 @@ function updateStatus(message: string, isError: boolean = false): void {
 }
 
 /**
- * Format and display OSINT results
+ * Escape scraped text before it is placed in markup
  */
-function displayResults(data: OSINTResults | null | undefined): void {
-  if (!resultDiv) {
-    console.error('[Popup] resultDiv is null!');
-    return;
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format an ISO date for display (older results stored the date text as scraped)
+ */
+function formatDate(value: string): string {
+  const date: Date = new Date(value);
+  return Number.isNaN(date.getTime()) ? value : date.toLocaleString();
+}
+
+/**
+ * VirusTotal detection ratio badge, colored by the worst verdict, with the per-category counts
+ */
+function renderDetectionBadge(vt: VirusTotalData): string {
+  if (!vt.reputation) {
+    return '';
   }
+  const { score, maxScore } = vt.reputation;
+  const stats: DetectionStats | undefined = vt.detection?.stats;
+  const level: string = score > 0 ? 'malicious' : stats?.suspicious ? 'suspicious' : 'clean';
+  return `
+          <p class="detection-row">
+            <span class="detection-badge ${level}">${score} / ${maxScore}</span>
+            security vendors flagged this
+          </p>
+          ${
+            stats
+              ? `<p class="detection-stats">${stats.malicious} malicious · ${stats.suspicious} suspicious · ${stats.harmless} harmless · ${stats.undetected} undetected</p>`
+              : ''
+          }
+  `;
+}
 
-  console.log('[Popup] displayResults called with:', data);
+/**
+ * Expandable table of the vendors that flagged the indicator
+ */
+function renderVendorTable(vt: VirusTotalData): string {
+  const engines: EngineResult[] = vt.detection?.engines || [];
+  if (engines.length === 0) {
+    return '';
+  }
+  const rows: string = engines
+    .map(
+      (engine: EngineResult) => `
+            <tr>
+              <td>${escapeHtml(engine.engine)}</td>
+              <td><span class="category ${engine.category}">${engine.category}</span></td>
+              <td>${engine.result ? escapeHtml(engine.result) : '-'}</td>
+            </tr>`
+    )
+    .join('');
+  return `
+          <details class="vendor-details">
+            <summary>${engines.length} vendor${engines.length === 1 ? '' : 's'} flagged this</summary>
+            <table class="vendor-table">
+              <thead><tr><th>Vendor</th><th>Category</th><th>Result</th></tr></thead>
+              <tbody>${rows}</tbody>
+            </table>
+          </details>
+  `;
+}
 
-  if (!data) {
-    resultDiv.innerHTML = '<p>No data available</p>';
-    return;
+/**
+ * IPInfo abuse contact on one line
+ */
+function renderAbuseContact(ipi: IPInfoData): string {
+  const contact: AbuseContact | undefined = ipi.abuseContact;
+  if (!contact) {
+    return '';
   }
+  const parts: string[] = [
+    contact.name ? escapeHtml(contact.name) : '',
+    contact.email
+      ? `<a href="mailto:${encodeURIComponent(contact.email).replace(/%40/g, '@')}">${escapeHtml(contact.email)}</a>`
+      : '',
+    contact.phone ? escapeHtml(contact.phone) : '',
+  ].filter((part: string) => part);
+  return `<p><strong>Abuse Contact:</strong> ${parts.join(' · ')}</p>`;
+}
 
-  // Display even if sources is empty - show errors at least
-  if (!data.sources) {
-    data.sources = {};
+/**
+ * IPInfo privacy flags as tags - the ones that are set are highlighted
+ */
+function renderPrivacyFlags(ipi: IPInfoData): string {
+  if (!ipi.privacy) {
+    return '';
   }
+  const labels: { [flag in keyof IPInfoPrivacy]: string } = {
+    vpn: 'VPN',
+    proxy: 'Proxy',
+    tor: 'Tor',
+    relay: 'Relay',
+    hosting: 'Hosting',
+  };
+  const privacy: IPInfoPrivacy = ipi.privacy;
+  const tags: string = (Object.keys(labels) as (keyof IPInfoPrivacy)[])
+    .map(
+      (flag: keyof IPInfoPrivacy) =>
+        `<span class="tag${privacy[flag] ? ' flagged' : ''}">${labels[flag]} ${privacy[flag] ? 'Yes' : 'No'}</span>`
+    )
+    .join('');
+  return `<p><strong>Privacy:</strong></p><div class="tag-list">${tags}</div>`;
+}
 
-  let html: string = '<div class="results-container">';
+// Reports shown in the AbuseIPDB timeline
+const TIMELINE_LENGTH: number = 5;
 
-  // VirusTotal Results
-  if (data.sources.virustotal) {
-    const vt = data.sources.virustotal;
-    html += `
-      <div class="source-card">
-        <h3>🛡️ VirusTotal</h3>
-        <div class="source-content">
-          ${vt.error ? `<p class="error-text">Error: ${vt.error}</p>` : ''}
+/**
+ * Structured AbuseIPDB reports (results stored by older versions hold plain strings)
+ */
+function abuseReports(abuse: AbuseIPDBData): AbuseReport[] {
+  return (abuse.reports || []).filter(
+    (report: AbuseReport | string): report is AbuseReport => typeof report === 'object'
+  );
+}
+
+/**
+ * Bar chart of how often each category appears in the recent reports
+ */
+function renderCategoryHistogram(abuse: AbuseIPDBData): string {
+  const reports: AbuseReport[] = abuseReports(abuse);
+  const counts: Map<string, number> = new Map();
+  reports.forEach((report: AbuseReport) =>
+    report.categories.forEach((category: AbuseCategory) =>
+      counts.set(category.name, (counts.get(category.name) || 0) + 1)
+    )
+  );
+  if (counts.size === 0) {
+    return '';
+  }
+
+  const sorted: [string, number][] = Array.from(counts.entries()).sort(
+    (a: [string, number], b: [string, number]) => b[1] - a[1]
+  );
+  const max: number = sorted[0][1];
+  const rows: string = sorted
+    .map(
+      ([name, count]: [string, number]) => `
+            <div class="histogram-row">
+              <span class="histogram-label">${escapeHtml(name)}</span>
+              <span class="histogram-bar"><span style="width: ${Math.round((count / max) * 100)}%"></span></span>
+              <span class="histogram-count">${count}</span>
+            </div>`
+    )
+    .join('');
+  return `
+          <p><strong>Categories</strong> (last ${reports.length} reports)</p>
+          <div class="histogram">${rows}</div>
+  `;
+}
+
+/**
+ * Most recent reports, newest first
+ */
+function renderReportTimeline(abuse: AbuseIPDBData): string {
+  const reports: AbuseReport[] = abuseReports(abuse)
+    .slice()
+    .sort((a: AbuseReport, b: AbuseReport) => (b.date || '').localeCompare(a.date || ''))
+    .slice(0, TIMELINE_LENGTH);
+  if (reports.length === 0) {
+    return '';
+  }
+
+  const items: string = reports
+    .map(
+      (report: AbuseReport) => `
+            <li>
+              <div class="timeline-meta">
+                <span>${report.date ? formatDate(report.date) : 'Unknown date'}</span>
+                <span>${escapeHtml(report.reporter)}</span>
+              </div>
+              ${
+                report.categories.length > 0
+                  ? `<div class="tag-list">${report.categories
+                      .map((category: AbuseCategory) => `<span class="tag">${escapeHtml(category.name)}</span>`)
+                      .join('')}</div>`
+                  : ''
+              }
+              ${
+                report.comment
+                  ? `<div class="timeline-comment">${escapeHtml(
+                      report.comment.length > 160 ? `${report.comment.substring(0, 160)}…` : report.comment
+                    )}</div>`
+                  : ''
+              }
+            </li>`
+    )
+    .join('');
+  return `
+          <p><strong>Recent Reports</strong></p>
+          <ol class="timeline">${items}</ol>
+  `;
+}
+
+/**
+ * Renders the body of a source card
+ */
+interface SourceRenderer {
+  icon: string;
+  render: (data: any) => string;
+}
+
+/**
+ * Card renderers for the built-in sources, keyed by source id.
+ * Sources without an entry here fall back to renderGenericSource.
+ */
+const SOURCE_RENDERERS: { [sourceId: string]: SourceRenderer } = {
+  virustotal: {
+    icon: '🛡️',
+    render: (vt: VirusTotalData): string => `
+          ${renderDetectionBadge(vt)}
           ${
-            vt.reputation
-              ? `<p><strong>Reputation:</strong> ${vt.reputation.score}/${vt.reputation.maxScore}</p>`
+            vt.communityScore !== undefined
+              ? `<p><strong>Community Score:</strong> ${vt.communityScore}</p>`
               : ''
           }
-          ${vt.country ? `<p><strong>Country:</strong> ${vt.country}</p>` : ''}
-          ${vt.asn ? `<p><strong>ASN:</strong> ${vt.asn}</p>` : ''}
-          ${vt.network ? `<p><strong>Network:</strong> ${vt.network}</p>` : ''}
+          ${vt.country ? `<p><strong>Country:</strong> ${escapeHtml(vt.country)}</p>` : ''}
+          ${vt.asn ? `<p><strong>ASN:</strong> ${escapeHtml(vt.asn)}</p>` : ''}
+          ${vt.network ? `<p><strong>Network:</strong> ${escapeHtml(vt.network)}</p>` : ''}
           ${
             vt.lastAnalysis
-              ? `<p><strong>Last Analysis:</strong> ${vt.lastAnalysis}</p>`
+              ? `<p><strong>Last Analysis:</strong> ${escapeHtml(formatDate(vt.lastAnalysis))}</p>`
               : ''
           }
           ${
-            vt.detection?.summary
-              ? `<p><strong>Detection:</strong> ${vt.detection.summary}</p>`
+            vt.tags?.length
+              ? `<p class="tag-list">${vt.tags
+                  .map((tag: string) => `<span class="tag">${escapeHtml(tag)}</span>`)
+                  .join('')}</p>`
               : ''
           }
-          ${vt.url ? `<p><a href="${vt.url}" target="_blank">View on VirusTotal →</a></p>` : ''}
-        </div>
-      </div>
-    `;
-  }
-
-  // IPInfo Results
-  if (data.sources.ipinfo) {
-    const ipi = data.sources.ipinfo;
-    html += `
-      <div class="source-card">
-        <h3>🌍 IPInfo</h3>
-        <div class="source-content">
-          ${ipi.error ? `<p class="error-text">Error: ${ipi.error}</p>` : ''}
-          ${ipi.country ? `<p><strong>Country:</strong> ${ipi.country}</p>` : ''}
-          ${ipi.region ? `<p><strong>Region:</strong> ${ipi.region}</p>` : ''}
-          ${ipi.city ? `<p><strong>City:</strong> ${ipi.city}</p>` : ''}
-          ${ipi.postal ? `<p><strong>Postal Code:</strong> ${ipi.postal}</p>` : ''}
-          ${ipi.timezone ? `<p><strong>Timezone:</strong> ${ipi.timezone}</p>` : ''}
-          ${ipi.org ? `<p><strong>Organization:</strong> ${ipi.org}</p>` : ''}
-          ${ipi.asn ? `<p><strong>ASN:</strong> ${ipi.asn}</p>` : ''}
-          ${ipi.location ? `<p><strong>Location:</strong> ${ipi.location}</p>` : ''}
-          ${ipi.url ? `<p><a href="${ipi.url}" target="_blank">View on IPInfo →</a></p>` : ''}
-        </div>
-      </div>
-    `;
-  }
-
-  // AbuseIPDB Results
-  if (data.sources.abuseipdb) {
-    const abuse = data.sources.abuseipdb;
-    html += `
-      <div class="source-card">
-        <h3>⚠️ AbuseIPDB</h3>
-        <div class="source-content">
-          ${abuse.error ? `<p class="error-text">Error: ${abuse.error}</p>` : ''}
+          ${renderVendorTable(vt)}
+          ${
+            vt.whois
+              ? `<details><summary><strong>WHOIS</strong></summary><pre class="whois">${escapeHtml(vt.whois)}</pre></details>`
+              : ''
+          }
+    `,
+  },
+  ipinfo: {
+    icon: '🌍',
+    render: (ipi: IPInfoData): string => `
+          ${
+            ipi.asn
+              ? `<p><strong>ASN:</strong> <a href="https://ipinfo.io/AS${ipi.asn.number}" target="_blank">AS${ipi.asn.number}</a> ${escapeHtml(ipi.asn.name)}</p>`
+              : ''
+          }
+          ${ipi.hostname ? `<p><strong>Hostname:</strong> ${escapeHtml(ipi.hostname)}</p>` : ''}
+          ${ipi.anycast !== undefined ? `<p><strong>Anycast:</strong> ${ipi.anycast ? 'Yes' : 'No'}</p>` : ''}
+          ${
+            ipi.company
+              ? `<p><strong>Company:</strong> ${escapeHtml(ipi.company.name)}${
+                  ipi.company.domain ? ` (${escapeHtml(ipi.company.domain)})` : ''
+                }${ipi.company.type ? ` · ${escapeHtml(ipi.company.type)}` : ''}</p>`
+              : ''
+          }
+          ${renderAbuseContact(ipi)}
+          ${renderPrivacyFlags(ipi)}
+          ${ipi.city ? `<p><strong>City:</strong> ${escapeHtml(ipi.city)}</p>` : ''}
+          ${ipi.region ? `<p><strong>Region:</strong> ${escapeHtml(ipi.region)}</p>` : ''}
+          ${ipi.country ? `<p><strong>Country:</strong> ${escapeHtml(ipi.country)}</p>` : ''}
+          ${ipi.postal ? `<p><strong>Postal Code:</strong> ${escapeHtml(ipi.postal)}</p>` : ''}
+          ${ipi.timezone ? `<p><strong>Timezone:</strong> ${escapeHtml(ipi.timezone)}</p>` : ''}
+          ${
+            ipi.latitude !== undefined && ipi.longitude !== undefined
+              ? `<p><strong>Coordinates:</strong> <a href="https://www.openstreetmap.org/?mlat=${ipi.latitude}&mlon=${ipi.longitude}" target="_blank">${ipi.latitude.toFixed(4)}, ${ipi.longitude.toFixed(4)}</a></p>`
+              : ''
+          }
+    `,
+  },
+  abuseipdb: {
+    icon: '⚠️',
+    render: (abuse: AbuseIPDBData): string => `
           ${
             abuse.abuseConfidence !== null
               ? `<p><strong>Abuse Confidence:</strong> ${abuse.abuseConfidence}%</p>`
@@ -130,26 +429,209 @@ function displayResults(data: OSINTResults | null | undefined): void {
           }
           ${
             abuse.usageType
-              ? `<p><strong>Usage Type:</strong> ${abuse.usageType}</p>`
+              ? `<p><strong>Usage Type:</strong> ${escapeHtml(abuse.usageType)}</p>`
               : ''
           }
-          ${abuse.isp ? `<p><strong>ISP:</strong> ${abuse.isp}</p>` : ''}
-          ${abuse.domain ? `<p><strong>Domain:</strong> ${abuse.domain}</p>` : ''}
-          ${abuse.country ? `<p><strong>Country:</strong> ${abuse.country}</p>` : ''}
+          ${abuse.isp ? `<p><strong>ISP:</strong> ${escapeHtml(abuse.isp)}</p>` : ''}
+          ${abuse.domain ? `<p><strong>Domain:</strong> ${escapeHtml(abuse.domain)}</p>` : ''}
+          ${abuse.country ? `<p><strong>Country:</strong> ${escapeHtml(abuse.country)}</p>` : ''}
+          ${
+            abuse.totalReports !== undefined
+              ? `<p><strong>Reports:</strong> ${abuse.totalReports}${
+                  abuse.distinctReporters !== undefined
+                    ? ` from ${abuse.distinctReporters} distinct sources`
+                    : ''
+                }</p>`
+              : ''
+          }
+          ${abuse.firstSeen ? `<p><strong>First Seen:</strong> ${formatDate(abuse.firstSeen)}</p>` : ''}
+          ${abuse.lastSeen ? `<p><strong>Last Seen:</strong> ${formatDate(abuse.lastSeen)}</p>` : ''}
+          ${renderCategoryHistogram(abuse)}
+          ${renderReportTimeline(abuse)}
+    `,
+  },
+};
+
+// Fields every source returns - rendered by the card itself, not the body
+const COMMON_FIELDS: string[] = ['source', 'indicator', 'indicatorType', 'url', 'rawContent', 'error'];
+
+/**
+ * Fallback renderer for sources without a dedicated renderer:
+ * lists every scalar field the scraper returned
+ */
+function renderGenericSource(data: SourceData): string {
+  return Object.entries(data)
+    .filter(
+      ([key, value]) =>
+        !COMMON_FIELDS.includes(key) &&
+        value !== null &&
+        value !== undefined &&
+        typeof value !== 'object'
+    )
+    .map(([key, value]) => `<p><strong>${escapeHtml(key)}:</strong> ${escapeHtml(String(value))}</p>`)
+    .join('');
+}
+
+/**
+ * How long ago an ISO time was, e.g. "3h ago"
+ */
+function formatAge(value: string, now: number = Date.now()): string {
+  const minutes: number = Math.floor((now - new Date(value).getTime()) / 60000);
+  if (!Number.isFinite(minutes)) {
+    return 'at an unknown time';
+  }
+  if (minutes < 1) {
+    return 'just now';
+  }
+  if (minutes < 60) {
+    return `${minutes}m ago`;
+  }
+  const hours: number = Math.floor(minutes / 60);
+  return hours < 24 ? `${hours}h ago` : `${Math.floor(hours / 24)}d ago`;
+}
+
+/**
+ * Cache age of a source's data, with a button to re-scrape just that source
+ */
+function renderCacheMeta(sourceId: string, results: OSINTResults): string {
+  // Results stored before per-source times were recorded only have the lookup's timestamp
+  const fetchedAt: string = results.fetchedAt?.[sourceId] || results.timestamp;
+  const stale: boolean = !!results.stale && results.stale.includes(sourceId);
+  const running: boolean = !!fetchButton && fetchButton.disabled;
+  return `
+          <div class="cache-meta">
+            <span class="cache-age${stale ? ' stale' : ''}" title="${escapeHtml(formatDate(fetchedAt))}">
+              cached ${formatAge(fetchedAt)}${stale ? ' · expired' : ''}
+            </span>
+            <button class="refresh-source" data-source="${escapeHtml(sourceId)}"${running ? ' disabled' : ''}>Refresh</button>
+          </div>`;
+}
+
+/**
+ * Render a single source card - `progress` marks data that a running lookup is about to replace
+ */
+function renderSourceCard(
+  sourceId: string,
+  data: SourceData,
+  results: OSINTResults,
+  progress?: SourceStageInfo
+): string {
+  const renderer: SourceRenderer | undefined = SOURCE_RENDERERS[sourceId];
+  const health: SourceDiagnostics | undefined = sourceHealth[sourceId];
+  const label: string = progress ? stageLabel(progress) : '';
+  return `
+      <div class="source-card">
+        <h3>${renderer ? renderer.icon : '🔎'} ${escapeHtml(data.source)}${label ? ` <span class="source-stage">${label}</span>` : ''}</h3>
+        <div class="source-content">
+          ${progress?.block ? renderHandoff(sourceId, progress.block) : ''}
+          ${renderCacheMeta(sourceId, results)}
           ${
-            abuse.lastReported
-              ? `<p><strong>Last Reported:</strong> ${abuse.lastReported}</p>`
+            health && health.status !== 'healthy'
+              ? `<p class="source-warning">Scraper ${health.status} in the last diagnostics run - some fields may be missing or wrong.</p>`
               : ''
           }
+          ${data.error ? `<p class="error-text">Error: ${escapeHtml(data.error)}</p>` : ''}
+          ${renderer ? renderer.render(data) : renderGenericSource(data)}
           ${
-            abuse.reports && abuse.reports.length > 0
-              ? `<p><strong>Recent Reports:</strong> ${abuse.reports.length} found</p>`
+            data.url && /^https?:\/\//i.test(data.url)
+              ? `<p><a href="${escapeHtml(data.url)}" target="_blank">View on ${escapeHtml(data.source)} →</a></p>`
               : ''
           }
-          ${abuse.url ? `<p><a href="${abuse.url}" target="_blank">View on AbuseIPDB →</a></p>` : ''}
         </div>
       </div>
     `;
+}
+
+const VERDICT_LABELS: { [verdict in Verdict]: string } = {
+  malicious: 'Malicious',
+  suspicious: 'Suspicious',
+  clean: 'Clean',
+  unknown: 'Unknown',
+};
+
+/**
+ * Combined verdict with the signals that contributed to its score
+ */
+function renderVerdictCard(verdict: VerdictResult): string {
+  return `
+      <div class="verdict-card ${verdict.verdict}">
+        <div class="verdict-header">
+          <span class="verdict-label">${VERDICT_LABELS[verdict.verdict]}</span>
+          <span class="verdict-score">${verdict.score !== null ? `${verdict.score} / 100` : 'No data to score'}</span>
+        </div>
+        ${
+          verdict.signals.length > 0
+            ? `<ul class="verdict-signals">
+          ${verdict.signals
+            .map(
+              (signal: VerdictSignal) => `
+            <li>
+              <span class="signal-points">+${signal.contribution}</span>
+              <strong>${escapeHtml(signal.source)}</strong> ${escapeHtml(signal.label)}: ${escapeHtml(signal.detail)}
+            </li>`
+            )
+            .join('')}
+        </ul>`
+            : ''
+        }
+      </div>
+  `;
+}
+
+/**
+ * Format and display OSINT results
+ */
+function displayResults(data: OSINTResults | null | undefined): void {
+  if (!resultDiv) {
+    console.error('[Popup] resultDiv is null!');
+    return;
+  }
+
+  console.log('[Popup] displayResults called with:', data);
+
+  if (!data) {
+    resultDiv.innerHTML = '<p>No data available</p>';
+    return;
+  }
+
+  // Display even if sources is empty - show errors at least
+  if (!data.sources) {
+    data.sources = {};
+  }
+
+  displayedIndicator = data.indicator;
+  const running: boolean = !!fetchButton && fetchButton.disabled;
+  let html: string = '<div class="results-container">';
+  html += `<button class="refresh-all secondary-button"${running ? ' disabled' : ''}>Refresh all sources</button>`;
+  html += renderExportActions();
+
+  // Results stored before verdicts were scored have none
+  if (data.verdict) {
+    html += renderVerdictCard(data.verdict);
+  }
+
+  // One card per source, in the order the background stored them
+  const stages: LiveLookup['stages'] = liveLookup && liveLookup.results === data ? liveLookup.stages : {};
+  Object.entries(data.sources).forEach(([sourceId, sourceData]) => {
+    if (sourceData) {
+      html += renderSourceCard(sourceId, sourceData, data, stages[sourceId]);
+    }
+  });
+
+  // Sources of a running lookup that have no data yet
+  Object.entries(stages).forEach(([sourceId, progress]) => {
+    if (!data.sources[sourceId] && progress.stage !== 'source_failed') {
+      html += renderPendingCard(sourceId, progress);
+    }
+  });
+
+  // Sources that don't support this indicator type
+  if (data.notApplicable && data.notApplicable.length > 0) {
+    html += `
+      <div class="info-card">
+        <p><strong>Not applicable for ${Indicators.describeIndicatorType(data.indicator.type).toLowerCase()} lookups:</strong> ${escapeHtml(data.notApplicable.join(', '))}</p>
+      </div>
+    `;
   }
 
   // Errors
@@ -159,7 +641,7 @@ function displayResults(data: OSINTResults | null | undefined): void {
         <h3>⚠️ Errors</h3>
         <ul>
           ${data.errors
-            .map((err) => `<li>${err.source}: ${err.error}</li>`)
+            .map((err) => `<li>${escapeHtml(err.source)}: ${escapeHtml(err.error)}</li>`)
             .join('')}
         </ul>
       </div>
@@ -170,120 +652,550 @@ function displayResults(data: OSINTResults | null | undefined): void {
   resultDiv.innerHTML = html;
 }
 
+/**
+ * Scraper diagnostics
+ * The background runs every scraper against saved fixture pages and reports the fields that broke
+ */
+
+function formatCheckValue(value: unknown): string {
+  return value === undefined ? '<em>missing</em>' : `<code>${escapeHtml(JSON.stringify(value))}</code>`;
+}
+
+function renderSourceDiagnostics(result: SourceDiagnostics): string {
+  const failed: FieldCheck[] = result.checks.filter((check: FieldCheck) => !check.passed);
+  return `
+      <div class="source-card">
+        <h3>${result.name} <span class="source-stage">${escapeHtml(result.indicator)}</span><span class="status-badge ${result.status}">${result.status}</span></h3>
+        <div class="source-content">
+          ${result.error ? `<p class="error-text">Error: ${escapeHtml(result.error)}</p>` : ''}
+          <p>${result.checks.length - failed.length} of ${result.checks.length} fields match (${(result.durationMs / 1000).toFixed(1)}s)</p>
+          ${
+            failed.length > 0
+              ? `<table class="check-table">
+            <thead><tr><th>Field</th><th>Expected</th><th>Got</th></tr></thead>
+            <tbody>
+              ${failed
+                .map(
+                  (check: FieldCheck) => `
+              <tr>
+                <td>${escapeHtml(check.field)}</td>
+                <td>${formatCheckValue(check.expected)}</td>
+                <td>${formatCheckValue(check.actual)}</td>
+              </tr>`
+                )
+                .join('')}
+            </tbody>
+          </table>`
+              : ''
+          }
+        </div>
+      </div>
+    `;
+}
+
+/**
+ * Show a diagnostics report in place of the results
+ */
+function displayDiagnostics(report: DiagnosticsReport): void {
+  if (!resultDiv) return;
+  resultDiv.innerHTML = `
+    <div class="results-container">
+      <div class="info-card">
+        <p>Self-test against fixtures at ${escapeHtml(report.fixtureBaseUrl)}, finished ${formatDate(report.finishedAt)}</p>
+      </div>
+      ${report.sources.map(renderSourceDiagnostics).join('')}
+    </div>
+  `;
+}
+
+const HEALTH_RANK: { [status in SourceHealth]: number } = { healthy: 0, degraded: 1, broken: 2 };
+
+/**
+ * Remember each source's worst result - a source with several fixtures is only as healthy as the
+ * worst of them
+ */
+function setSourceHealth(report: DiagnosticsReport | undefined): void {
+  sourceHealth = {};
+  (report?.sources || []).forEach((result: SourceDiagnostics) => {
+    const known: SourceDiagnostics | undefined = sourceHealth[result.source];
+    if (!known || HEALTH_RANK[result.status] > HEALTH_RANK[known.status]) {
+      sourceHealth[result.source] = result;
+    }
+  });
+}
+
+if (diagnosticsButton) {
+  diagnosticsButton.addEventListener('click', (): void => {
+    diagnosticsButton.disabled = true;
+    updateStatus('Running scrapers against saved fixtures...');
+    chrome.runtime.sendMessage(
+      { action: 'runDiagnostics' } as MessageRequest,
+      (response: MessageResponse | undefined) => {
+        diagnosticsButton.disabled = false;
+        if (chrome.runtime.lastError || !response || !response.success || !response.diagnostics) {
+          updateStatus(response?.error || 'Diagnostics failed to run', true);
+          return;
+        }
+        const report: DiagnosticsReport = response.diagnostics;
+        setSourceHealth(report);
+        const failing: SourceDiagnostics[] = report.sources.filter(
+          (result: SourceDiagnostics) => result.status !== 'healthy'
+        );
+        updateStatus(
+          failing.length > 0
+            ? `${failing.length} of ${report.sources.length} scrapers need attention`
+            : `All ${report.sources.length} scrapers healthy`,
+          failing.length > 0
+        );
+        displayDiagnostics(report);
+      }
+    );
+  });
+}
+
+/**
+ * Ask the background for the stored results of an indicator, with their expired sources flagged
+ */
+function requestStoredResults(indicator: Indicator, onFound: (data: OSINTResults) => void): void {
+  chrome.runtime.sendMessage(
+    {
+      action: 'getStoredResults',
+      indicator: indicator.value,
+    } as MessageRequest,
+    (response: MessageResponse | undefined) => {
+      if (chrome.runtime.lastError) {
+        console.log('[Popup] Could not read stored results:', chrome.runtime.lastError.message);
+        return;
+      }
+      if (response && response.success && response.data) {
+        onFound(response.data);
+      }
+    }
+  );
+}
+
+/**
+ * Live lookup progress
+ * The background streams each lookup's events over a port, so source cards fill in as their data
+ * arrives. A popup reopened in the middle of a lookup watches it again and gets the events so far
+ * replayed.
+ */
+
+const LOOKUP_PORT_NAME: string = 'lookup-progress';
+
+const STAGE_LABELS: { [type in LookupEventType]?: string } = {
+  queued: 'Queued',
+  tab_opened: 'Opening tab',
+  navigating: 'Loading report',
+  extracting: 'Extracting data',
+  retrying: 'Retrying',
+  blocked: 'Blocked',
+  throttled: 'Waiting',
+};
+
+// What a throttled source is waiting for
+const THROTTLE_LABELS: { [reason in ThrottleReason]: string } = {
+  rate: 'rate limit',
+  spacing: 'rate limit',
+  daily_cap: 'daily cap',
+  backoff: 'backing off after a rate-limit page',
+};
+
+// What the analyst has to do in the tab of a blocked source
+const BLOCK_HINTS: { [kind in BlockKind]: string } = {
+  challenge: 'complete the check',
+  captcha: 'solve the CAPTCHA',
+  login: 'sign in',
+  rate_limit: 'sign in, or wait for the limit to reset',
+};
+
+/**
+ * Latest stage of a source in the lookup the popup follows
+ */
+interface SourceStageInfo {
+  name: string;
+  stage: LookupEventType;
+  /** The page a blocked source is stuck on */
+  block?: PageBlock;
+  /** When a throttled source is expected to go ahead (ms since the epoch), and why it waits */
+  until?: number;
+  throttle?: ThrottleReason;
+}
+
+interface LiveLookup {
+  key: string;
+  results: OSINTResults;
+  stages: { [sourceId: string]: SourceStageInfo };
+}
+
+let liveLookup: LiveLookup | null = null;
+let lookupPort: chrome.runtime.Port | null = null;
+
+function createLiveLookup(indicator: Indicator): LiveLookup {
+  return {
+    key: Indicators.storageKey(indicator),
+    results: {
+      indicator,
+      timestamp: new Date().toISOString(),
+      sources: {},
+      notApplicable: [],
+      errors: [],
+      fetchedAt: {},
+      stale: [],
+    },
+    stages: {},
+  };
+}
+
+function setLookupRunning(running: boolean): void {
+  if (cancelButton) {
+    cancelButton.hidden = !running;
+    cancelButton.disabled = false;
+  }
+  if (!fetchButton) return;
+  fetchButton.disabled = running;
+  fetchButton.textContent = running ? 'Collecting Intel...' : 'Get Intel';
+}
+
+/**
+ * A wait in rough terms, e.g. "~40s" or "~3 min"
+ */
+function formatWait(ms: number): string {
+  const seconds: number = Math.max(1, Math.ceil(ms / 1000));
+  if (seconds < 60) {
+    return `~${seconds}s`;
+  }
+  const minutes: number = Math.ceil(seconds / 60);
+  return minutes < 60 ? `~${minutes} min` : `~${Math.ceil(minutes / 60)}h`;
+}
+
+/**
+ * Label of a source's stage - a throttled one shows how much longer it should wait
+ */
+function stageLabel(progress: SourceStageInfo, now: number = Date.now()): string {
+  const label: string = STAGE_LABELS[progress.stage] || '';
+  if (progress.stage !== 'throttled' || progress.until === undefined || progress.until <= now) {
+    return label;
+  }
+  const reason: string = progress.throttle ? ` (${THROTTLE_LABELS[progress.throttle]})` : '';
+  return `${label} ${formatWait(progress.until - now)}${reason}`;
+}
+
+/**
+ * Card of a source that has no data yet, showing how far its scrape got
+ */
+function renderPendingCard(sourceId: string, progress: SourceStageInfo): string {
+  const renderer: SourceRenderer | undefined = SOURCE_RENDERERS[sourceId];
+  return `
+      <div class="source-card pending">
+        <h3>${renderer ? renderer.icon : '🔎'} ${escapeHtml(progress.name)} <span class="source-stage">${stageLabel(progress)}</span></h3>
+        ${progress.block ? renderHandoff(sourceId, progress.block) : ''}
+      </div>
+    `;
+}
+
+/**
+ * What a blocked source is stuck on, with a button that brings its tab to the foreground - the
+ * lookup carries on by itself once the page is cleared
+ */
+function renderHandoff(sourceId: string, block: PageBlock): string {
+  return `
+          <div class="handoff">
+            <p>${escapeHtml(block.reason)} - open the tab and ${BLOCK_HINTS[block.kind]} to continue.</p>
+            <button class="handoff-button" data-source="${escapeHtml(sourceId)}">Open tab</button>
+          </div>`;
+}
+
+/**
+ * Whether the popup still shows the lookup in progress rather than something opened since
+ */
+function showingLiveLookup(): boolean {
+  if (!liveLookup || currentMode !== 'single') return false;
+  return !displayedIndicator || Indicators.storageKey(displayedIndicator) === liveLookup.key;
+}
+
+/**
+ * Show the lookup in progress
+ */
+function renderLiveLookup(): void {
+  if (!liveLookup || !showingLiveLookup()) return;
+
+  const stages = Object.values(liveLookup.stages);
+  const finished: number = stages.filter(
+    ({ stage }) => stage === 'source_done' || stage === 'source_failed'
+  ).length;
+  const blocked: number = stages.filter(({ stage }) => stage === 'blocked').length;
+  const throttled: number = stages.filter(({ stage }) => stage === 'throttled').length;
+  updateStatus(
+    `Collecting OSINT data... ${finished} of ${stages.length} sources done` +
+      (blocked > 0 ? ` - ${blocked} waiting for you` : '') +
+      (throttled > 0 ? ` - ${throttled} held back by rate limits` : '')
+  );
+  displayResults(liveLookup.results);
+}
+
+/**
+ * Apply an event of the lookup the popup follows
+ */
+function applyLookupEvent(event: LookupEvent): void {
+  if (!liveLookup || liveLookup.key !== event.key) {
+    // Reattaching to a lookup that started before the popup opened
+    liveLookup = createLiveLookup(event.indicator);
+    if (indicatorInput) {
+      indicatorInput.value = event.indicator.value;
+    }
+  }
+
+  if (event.type === 'complete') {
+    const showing: boolean = showingLiveLookup();
+    liveLookup = null;
+    setLookupRunning(false);
+    if (showing) {
+      updateStatus(
+        event.results?.cancelled
+          ? 'Lookup cancelled - showing the sources that finished'
+          : 'Data collection complete!'
+      );
+      displayResults(event.results);
+    }
+    return;
+  }
+
+  setLookupRunning(true);
+  const sourceId: string = event.sourceId!;
+  const results: OSINTResults = liveLookup.results;
+  liveLookup.stages[sourceId] = {
+    name: event.sourceName || sourceId,
+    stage: event.type,
+    block: event.type === 'blocked' ? event.block : undefined,
+    // Counted from the event's time - replayed events are older than they arrive
+    until: event.type === 'throttled' && event.wait !== undefined ? new Date(event.time).getTime() + event.wait : undefined,
+    throttle: event.type === 'throttled' ? event.throttle : undefined,
+  };
+  if (event.type === 'source_done' && event.data) {
+    results.sources[sourceId] = event.data;
+    results.fetchedAt![sourceId] = event.fetchedAt || event.time;
+    results.stale = (results.stale || []).filter((id: string) => id !== sourceId);
+  } else if (event.type === 'source_failed') {
+    results.errors.push({
+      source: event.sourceName || sourceId,
+      error: event.error || 'Unknown error',
+      blocked: event.block?.kind,
+    });
+  }
+  renderLiveLookup();
+}
+
+/**
+ * Port to the background that lookups are started and followed over
+ */
+function connectLookupPort(): chrome.runtime.Port {
+  if (lookupPort) {
+    return lookupPort;
+  }
+  const port: chrome.runtime.Port = chrome.runtime.connect({ name: LOOKUP_PORT_NAME });
+  port.onMessage.addListener((message: LookupPortMessage) => {
+    if (message.type === 'idle') {
+      showStoredResults();
+    } else if (message.type === 'error') {
+      liveLookup = null;
+      setLookupRunning(false);
+      updateStatus(message.error, true);
+    } else {
+      applyLookupEvent(message);
+    }
+  });
+  port.onDisconnect.addListener(() => {
+    lookupPort = null;
+    if (!liveLookup) return;
+    // The service worker stopped - whatever the lookup finished was stored along the way
+    const indicator: Indicator = liveLookup.results.indicator;
+    liveLookup = null;
+    setLookupRunning(false);
+    updateStatus('Lost the connection to the background worker - showing the last stored results', true);
+    requestStoredResults(indicator, displayResults);
+  });
+  lookupPort = port;
+  return port;
+}
+
+/**
+ * Look an indicator up - cached results are shown right away and only expired sources are scraped,
+ * unless `refresh` names sources (or true: all of them) to scrape regardless
+ */
+function startLookup(indicator: Indicator, refresh?: boolean | string[]): void {
+  if (!fetchButton || !resultDiv) {
+    return;
+  }
+
+  const lookup: LiveLookup = createLiveLookup(indicator);
+  liveLookup = lookup;
+  displayedIndicator = indicator;
+  setLookupRunning(true);
+  resultDiv.innerHTML = '';
+  updateStatus(
+    `Collecting OSINT data for ${Indicators.describeIndicatorType(indicator.type).toLowerCase()} from multiple sources... This may take a minute.`
+  );
+
+  // Cached data stays on screen until its source reports back
+  requestStoredResults(indicator, (data: OSINTResults) => {
+    if (liveLookup !== lookup) return;
+    const results: OSINTResults = lookup.results;
+    Object.entries(data.sources).forEach(([sourceId, sourceData]) => {
+      if (!sourceData || results.sources[sourceId]) return;
+      results.sources[sourceId] = sourceData;
+      results.fetchedAt![sourceId] = data.fetchedAt?.[sourceId] || data.timestamp;
+      if (data.stale && data.stale.includes(sourceId)) {
+        results.stale!.push(sourceId);
+      }
+    });
+    renderLiveLookup();
+  });
+
+  connectLookupPort().postMessage({
+    action: 'lookup',
+    indicator: indicator.value,
+    refresh,
+  } as LookupPortRequest);
+}
+
+/**
+ * Export
+ * The background builds the file from the stored results - Markdown goes to the clipboard for
+ * pasting into a ticket, the other formats are downloaded
+ */
+
+const EXPORT_LABELS: { [format in ExportFormat]: string } = {
+  json: 'JSON',
+  csv: 'CSV',
+  markdown: 'Markdown',
+  stix: 'STIX 2.1',
+};
+
+function renderExportActions(label: string = 'Export'): string {
+  return `
+      <div class="export-actions">
+        <span>${label}</span>
+        ${(Object.keys(EXPORT_LABELS) as ExportFormat[])
+          .map((format: ExportFormat) => `<button class="export-button" data-format="${format}">${EXPORT_LABELS[format]}</button>`)
+          .join('')}
+      </div>`;
+}
+
+function downloadFile(file: ExportFile): void {
+  const url: string = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+  const link: HTMLAnchorElement = document.createElement('a');
+  link.href = url;
+  link.download = file.filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  updateStatus(`Saved ${file.filename}`);
+}
+
+/**
+ * Export stored lookups (by storage key)
+ */
+function exportLookups(keys: string[], format: ExportFormat): void {
+  if (keys.length === 0) {
+    updateStatus('Nothing to export', true);
+    return;
+  }
+  chrome.runtime.sendMessage(
+    {
+      action: 'exportResults',
+      keys,
+      format,
+    } as MessageRequest,
+    (response: MessageResponse | undefined) => {
+      if (chrome.runtime.lastError || !response || !response.success || !response.file) {
+        updateStatus(response?.error || 'Export failed', true);
+        return;
+      }
+      const file: ExportFile = response.file;
+      if (format !== 'markdown') {
+        downloadFile(file);
+        return;
+      }
+      navigator.clipboard
+        .writeText(file.content)
+        .then(() => updateStatus('Markdown summary copied to the clipboard'))
+        .catch(() => downloadFile(file));
+    }
+  );
+}
+
 /**
  * Handle fetch button click
  */
 if (fetchButton) {
-  fetchButton.addEventListener('click', async (): Promise<void> => {
-    if (!ipInput || !fetchButton || !statusDiv || !resultDiv) {
+  fetchButton.addEventListener('click', (): void => {
+    if (!indicatorInput || !fetchButton || !statusDiv || !resultDiv) {
       return;
     }
 
-    const ipAddress: string = ipInput.value.trim();
+    const input: string = indicatorInput.value.trim();
 
-    if (!ipAddress) {
-      updateStatus('Please enter an IP address', true);
+    if (!input) {
+      updateStatus('Please enter an IP address, domain, URL or file hash', true);
       return;
     }
 
-    // Validate IP format
-    const ipRegex: RegExp =
-      /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-    if (!ipRegex.test(ipAddress)) {
-      updateStatus('Invalid IP address format', true);
+    // Detect the indicator type
+    const indicator: Indicator | null = Indicators.parseIndicator(input);
+    if (!indicator) {
+      updateStatus('Unrecognized indicator - expected an IP address, domain, URL or file hash', true);
       return;
     }
 
-    // Disable button and show loading
-    fetchButton.disabled = true;
-    fetchButton.textContent = 'Collecting Intel...';
-    resultDiv.innerHTML = '';
-    updateStatus(
-      'Collecting OSINT data from multiple sources... This may take a minute.'
-    );
+    startLookup(indicator);
+  });
+}
 
-    try {
-      // Send message to background script
-      chrome.runtime.sendMessage(
-        {
-          action: 'collectOSINT',
-          ipAddress: ipAddress,
-        } as MessageRequest,
-        (response: MessageResponse | undefined) => {
-          // Response might be undefined if popup was closed/reopened or timeout
-          if (chrome.runtime.lastError) {
-            console.log('Message error (may be timeout):', chrome.runtime.lastError.message);
-            // Check storage for results (in case response timed out but collection completed)
-            setTimeout(() => {
-              checkForStoredResults(ipAddress);
-            }, 2000);
-            return;
-          }
+// Cancelling keeps whatever sources finished; the 'complete' event still arrives over the port
+if (cancelButton) {
+  cancelButton.addEventListener('click', (): void => {
+    if (!lookupPort) return;
+    cancelButton.disabled = true;
+    lookupPort.postMessage({ action: 'cancel' } as LookupPortRequest);
+    updateStatus('Cancelling...');
+  });
+}
 
-          if (!fetchButton) return;
-
-          fetchButton.disabled = false;
-          fetchButton.textContent = 'Get Intel';
-
-          console.log('[Popup] Response received:', response);
-          if (response && response.success && response.data) {
-            updateStatus('Data collection complete!');
-            console.log('[Popup] Displaying results:', response.data);
-            displayResults(response.data);
-          } else {
-            // If no response or failed, check storage after a delay
-            if (!response) {
-              console.log('[Popup] No response, checking storage...');
-              updateStatus('Collection in progress... Checking for results...');
-              setTimeout(() => {
-                checkForStoredResults(ipAddress);
-              }, 3000);
-            } else {
-              console.log('[Popup] Response failed:', response.error);
-              // Even if there's an error, check storage - might have partial results
-              setTimeout(() => {
-                checkForStoredResults(ipAddress);
-              }, 2000);
-              updateStatus(
-                response.error || 'Failed to collect OSINT data',
-                true
-              );
-            }
-          }
-        }
-      );
+// Refresh buttons on the result cards re-scrape a source (or all of them) regardless of cache age
+if (resultDiv) {
+  resultDiv.addEventListener('click', (event: MouseEvent): void => {
+    const button: HTMLButtonElement | null = (event.target as HTMLElement).closest(
+      '.refresh-source, .refresh-all'
+    );
+    if (!button || !displayedIndicator || (fetchButton && fetchButton.disabled)) {
+      return;
+    }
+    const sourceId: string | undefined = button.dataset.source;
+    startLookup(displayedIndicator, sourceId ? [sourceId] : true);
+  });
 
-      // Also set up polling to check for results (in case response times out)
-      let pollCount = 0;
-      const maxPolls = 30; // Check for 30 seconds
-      const pollInterval = setInterval(() => {
-        pollCount++;
-        if (pollCount >= maxPolls) {
-          clearInterval(pollInterval);
-          if (fetchButton && fetchButton.disabled) {
-            checkForStoredResults(ipAddress);
-          }
-          return;
-        }
-        checkForStoredResults(ipAddress, () => {
-          clearInterval(pollInterval);
-        });
-      }, 1000);
-    } catch (error) {
-      if (!fetchButton) return;
-
-      fetchButton.disabled = false;
-      fetchButton.textContent = 'Get Intel';
-      const errorMessage: string =
-        error instanceof Error ? error.message : 'Unknown error';
-      updateStatus(`Error: ${errorMessage}`, true);
+  // Blocked sources wait for the analyst in their own tab
+  resultDiv.addEventListener('click', (event: MouseEvent): void => {
+    const button: HTMLButtonElement | null = (event.target as HTMLElement).closest('.handoff-button');
+    if (!button || !lookupPort || !button.dataset.source) {
+      return;
     }
+    lookupPort.postMessage({ action: 'handoff', sourceId: button.dataset.source } as LookupPortRequest);
+  });
+
+  // Export the lookup on screen
+  resultDiv.addEventListener('click', (event: MouseEvent): void => {
+    const button: HTMLButtonElement | null = (event.target as HTMLElement).closest('.export-button');
+    if (!button || currentMode !== 'single' || !displayedIndicator) {
+      return;
+    }
+    exportLookups([Indicators.storageKey(displayedIndicator)], button.dataset.format as ExportFormat);
   });
 }
 
 // Allow Enter key to trigger fetch
-if (ipInput && fetchButton) {
-  ipInput.addEventListener('keypress', (e: KeyboardEvent): void => {
+if (indicatorInput && fetchButton) {
+  indicatorInput.addEventListener('keypress', (e: KeyboardEvent): void => {
     if (e.key === 'Enter' && !fetchButton.disabled) {
       fetchButton.click();
     }
@@ -291,47 +1203,513 @@ if (ipInput && fetchButton) {
 }
 
 /**
- * Check for stored results (used when response times out)
- */
-function checkForStoredResults(
-  ipAddress: string,
-  onSuccess?: () => void
-): void {
-  console.log('[Popup] Checking storage for IP:', ipAddress);
-  chrome.storage.local.get([`osint_${ipAddress}`], (result: {
-    [key: string]: any;
-  }) => {
-    const data = result[`osint_${ipAddress}`] as OSINTResults | undefined;
-    console.log('[Popup] Storage data:', data);
-    if (data) {
-      // Display if we have any sources OR errors
-      const hasSources = data.sources && Object.keys(data.sources).length > 0;
-      const hasErrors = data.errors && data.errors.length > 0;
-      
-      if (hasSources || hasErrors) {
-        if (!fetchButton) return;
-        fetchButton.disabled = false;
-        fetchButton.textContent = 'Get Intel';
-        updateStatus('Data collection complete!');
-        console.log('[Popup] Displaying stored results');
-        displayResults(data);
-        if (onSuccess) onSuccess();
-      } else {
-        console.log('[Popup] No sources or errors found in data');
+ * Bulk mode
+ * Indicators are queued in the background; progress is followed through chrome.storage
+ */
+
+type LookupMode = 'single' | 'bulk' | 'history';
+
+interface BulkSummaryRow {
+  indicator: string;
+  type: string;
+  status: BulkItemStatus;
+  verdict: Verdict | null;
+  riskScore: number | null;
+  vtReputation: number | null;
+  abuseConfidence: number | null;
+  country: string;
+  errors: number;
+}
+
+type BulkSortColumn = keyof BulkSummaryRow;
+
+const BULK_COLUMNS: { key: BulkSortColumn; label: string }[] = [
+  { key: 'indicator', label: 'Indicator' },
+  { key: 'type', label: 'Type' },
+  { key: 'riskScore', label: 'Verdict' },
+  { key: 'vtReputation', label: 'VT' },
+  { key: 'abuseConfidence', label: 'Abuse %' },
+  { key: 'country', label: 'Country' },
+  { key: 'errors', label: 'Errors' },
+];
+
+const BULK_STATUS_LABELS: { [status in BulkItemStatus]: string } = {
+  queued: 'Queued',
+  running: 'Running',
+  done: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+let currentMode: LookupMode = 'single';
+let bulkRows: BulkSummaryRow[] = [];
+let bulkSort: { column: BulkSortColumn; ascending: boolean } = {
+  column: 'riskScore',
+  ascending: false,
+};
+
+/**
+ * Switch between single lookup, bulk lookup and the history
+ */
+function setMode(mode: LookupMode): void {
+  currentMode = mode;
+  singleModeButton?.classList.toggle('active', mode === 'single');
+  bulkModeButton?.classList.toggle('active', mode === 'bulk');
+  historyModeButton?.classList.toggle('active', mode === 'history');
+  if (singlePanel) singlePanel.hidden = mode !== 'single';
+  if (bulkPanel) bulkPanel.hidden = mode !== 'bulk';
+  if (historyPanel) historyPanel.hidden = mode !== 'history';
+  updateStatus('');
+  if (resultDiv) resultDiv.innerHTML = '';
+
+  if (mode === 'history') {
+    loadHistory();
+  }
+
+  if (mode === 'bulk') {
+    chrome.storage.local.get([BULK_JOB_KEY], (result: { [key: string]: any }) => {
+      const job = result[BULK_JOB_KEY] as BulkJob | undefined;
+      if (job) {
+        renderBulkJob(job);
       }
-    } else {
-      console.log('[Popup] No data found in storage');
+    });
+  }
+}
+
+/**
+ * Show how many unique indicators the pasted text contains
+ */
+function previewBulkInput(): void {
+  if (!bulkInput) return;
+  const extracted: ExtractedIndicators = Indicators.extractIndicators(bulkInput.value);
+  if (!bulkInput.value.trim()) {
+    updateStatus('');
+    return;
+  }
+  updateStatus(
+    `${extracted.indicators.length} unique indicators` +
+      (extracted.duplicates ? `, ${extracted.duplicates} duplicates removed` : '') +
+      (extracted.invalid.length ? `, ${extracted.invalid.length} unrecognized entries ignored` : '')
+  );
+}
+
+/**
+ * Render progress of a running bulk job, or its summary table once finished
+ */
+function renderBulkJob(job: BulkJob): void {
+  if (!resultDiv || currentMode !== 'bulk') return;
+
+  const finished: number = job.items.filter(
+    (item) => item.status === 'done' || item.status === 'failed'
+  ).length;
+
+  if (bulkButton) {
+    bulkButton.disabled = !job.finishedAt;
+    bulkButton.textContent = job.finishedAt ? 'Run Bulk Lookup' : 'Bulk Lookup Running...';
+  }
+  if (cancelBulkButton) {
+    cancelBulkButton.hidden = !!job.finishedAt;
+  }
+
+  if (job.finishedAt) {
+    updateStatus(
+      job.cancelled
+        ? `Bulk lookup cancelled: ${finished}/${job.items.length} indicators done`
+        : `Bulk lookup complete: ${finished}/${job.items.length} indicators`
+    );
+    loadBulkSummary(job);
+    return;
+  }
+
+  const throttledFor: number = job.throttledUntil ? new Date(job.throttledUntil).getTime() - Date.now() : 0;
+  updateStatus(
+    `Bulk lookup in progress: ${finished}/${job.items.length} indicators done` +
+      (throttledFor > 0 ? ` - waiting ${formatWait(throttledFor)} for rate limits` : '')
+  );
+  resultDiv.innerHTML = `
+    <div class="bulk-progress">
+      <div class="progress-bar">
+        <div class="progress-bar-fill" style="width: ${Math.round((finished / job.items.length) * 100)}%"></div>
+      </div>
+      <ul class="bulk-items">
+        ${job.items
+          .map(
+            (item) => `
+          <li>
+            <span>${escapeHtml(item.indicator.value)}</span>
+            <span class="status-badge ${item.status}">${BULK_STATUS_LABELS[item.status]}</span>
+          </li>`
+          )
+          .join('')}
+      </ul>
+    </div>
+  `;
+}
+
+/**
+ * Load the stored results of a finished bulk job and build the summary rows
+ */
+function loadBulkSummary(job: BulkJob): void {
+  const keys: string[] = job.items.map((item) => Indicators.storageKey(item.indicator));
+  chrome.storage.local.get(keys, (result: { [key: string]: any }) => {
+    bulkRows = job.items.map((item): BulkSummaryRow => {
+      const data = result[Indicators.storageKey(item.indicator)] as OSINTResults | undefined;
+      const sources = data?.sources;
+      return {
+        indicator: item.indicator.value,
+        type: Indicators.describeIndicatorType(item.indicator.type),
+        status: item.status,
+        verdict: data?.verdict?.verdict ?? null,
+        riskScore: data?.verdict?.score ?? null,
+        vtReputation: sources?.virustotal?.reputation?.score ?? null,
+        abuseConfidence: sources?.abuseipdb?.abuseConfidence ?? null,
+        country:
+          sources?.ipinfo?.country || sources?.abuseipdb?.country || sources?.virustotal?.country || '',
+        errors: data ? data.errors.length : item.errorCount ?? 0,
+      };
+    });
+    renderBulkSummary();
+  });
+}
+
+/**
+ * Compare two summary values - empty values always sort last
+ */
+function compareBulkValues(a: string | number | null, b: string | number | null, ascending: boolean): number {
+  const aEmpty: boolean = a === null || a === '';
+  const bEmpty: boolean = b === null || b === '';
+  if (aEmpty || bEmpty) {
+    return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+  }
+  const order: number =
+    typeof a === 'number' && typeof b === 'number' ? a - b : String(a).localeCompare(String(b));
+  return ascending ? order : -order;
+}
+
+/**
+ * Render the sortable bulk summary table
+ */
+function renderBulkSummary(): void {
+  if (!resultDiv || currentMode !== 'bulk') return;
+
+  const rows: BulkSummaryRow[] = [...bulkRows].sort((a, b) =>
+    compareBulkValues(a[bulkSort.column], b[bulkSort.column], bulkSort.ascending)
+  );
+
+  resultDiv.innerHTML = `
+    <table class="summary-table">
+      <thead>
+        <tr>
+          ${BULK_COLUMNS.map(
+            (column) =>
+              `<th data-column="${column.key}">${column.label}${
+                column.key === bulkSort.column ? (bulkSort.ascending ? ' ▲' : ' ▼') : ''
+              }</th>`
+          ).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${rows
+          .map(
+            (row) => `
+          <tr>
+            <td>${escapeHtml(row.indicator)}</td>
+            <td>${row.type}</td>
+            <td>${
+              row.verdict
+                ? `<span class="verdict-pill ${row.verdict}">${VERDICT_LABELS[row.verdict]}${
+                    row.riskScore !== null ? ` ${row.riskScore}` : ''
+                  }</span>`
+                : '-'
+            }</td>
+            <td>${row.vtReputation ?? '-'}</td>
+            <td>${row.abuseConfidence !== null ? `${row.abuseConfidence}%` : '-'}</td>
+            <td>${row.country ? escapeHtml(row.country) : '-'}</td>
+            <td>${row.status === 'failed' ? BULK_STATUS_LABELS.failed : row.errors}</td>
+          </tr>`
+          )
+          .join('')}
+      </tbody>
+    </table>
+  `;
+
+  resultDiv.querySelectorAll<HTMLTableCellElement>('th[data-column]').forEach((header) => {
+    header.addEventListener('click', (): void => {
+      const column = header.dataset.column as BulkSortColumn;
+      bulkSort = {
+        column,
+        ascending: bulkSort.column === column ? !bulkSort.ascending : true,
+      };
+      renderBulkSummary();
+    });
+  });
+}
+
+/**
+ * Read the concurrency inputs
+ */
+function readBulkOptions(): BulkOptions {
+  return {
+    concurrency: parseInt(bulkConcurrencyInput?.value || '', 10) || 2,
+    perSourceConcurrency: parseInt(bulkSourceConcurrencyInput?.value || '', 10) || 1,
+  };
+}
+
+if (singleModeButton && bulkModeButton && historyModeButton) {
+  singleModeButton.addEventListener('click', (): void => setMode('single'));
+  bulkModeButton.addEventListener('click', (): void => setMode('bulk'));
+  historyModeButton.addEventListener('click', (): void => setMode('history'));
+}
+
+if (bulkInput) {
+  bulkInput.addEventListener('input', previewBulkInput);
+}
+
+// Append the contents of a dropped/selected text or CSV file to the list
+if (bulkFile && bulkInput) {
+  bulkFile.addEventListener('change', async (): Promise<void> => {
+    const file: File | undefined = bulkFile.files?.[0];
+    if (!file) return;
+    const text: string = await file.text();
+    bulkInput.value = bulkInput.value.trim() ? `${bulkInput.value.trim()}\n${text}` : text;
+    bulkFile.value = '';
+    previewBulkInput();
+  });
+}
+
+if (bulkButton) {
+  bulkButton.addEventListener('click', (): void => {
+    if (!bulkInput || !bulkButton) return;
+
+    const extracted: ExtractedIndicators = Indicators.extractIndicators(bulkInput.value);
+    if (extracted.indicators.length === 0) {
+      updateStatus('No valid indicators found', true);
+      return;
+    }
+
+    const options: BulkOptions = readBulkOptions();
+    chrome.storage.local.set({ [BULK_OPTIONS_KEY]: options });
+
+    bulkButton.disabled = true;
+    chrome.runtime.sendMessage(
+      {
+        action: 'startBulk',
+        indicators: extracted.indicators.map((indicator) => indicator.value),
+        bulkOptions: options,
+      } as MessageRequest,
+      (response: MessageResponse | undefined) => {
+        if (!response || !response.success) {
+          bulkButton.disabled = false;
+          updateStatus(response?.error || 'Failed to start bulk lookup', true);
+          return;
+        }
+        if (response.bulkJob) {
+          renderBulkJob(response.bulkJob);
+        }
+      }
+    );
+  });
+}
+
+if (cancelBulkButton) {
+  cancelBulkButton.addEventListener('click', (): void => {
+    cancelBulkButton.disabled = true;
+    chrome.runtime.sendMessage({ action: 'cancelBulk' } as MessageRequest, (): void => {
+      cancelBulkButton.disabled = false;
+    });
+    updateStatus('Cancelling bulk lookup...');
+  });
+}
+
+// Follow bulk job progress written by the background service worker
+chrome.storage.onChanged.addListener(
+  (changes: { [key: string]: chrome.storage.StorageChange }, areaName: string): void => {
+    if (areaName === 'local' && changes[BULK_JOB_KEY]?.newValue) {
+      renderBulkJob(changes[BULK_JOB_KEY].newValue as BulkJob);
+    }
+  }
+);
+
+/**
+ * History mode
+ * Past lookups from the background's history index - pinned lookups are listed first and are
+ * never evicted when storage runs low
+ */
+
+// Entries currently listed, exported when none are selected
+let historyEntries: HistoryEntry[] = [];
+
+/**
+ * Read the history filters - dates cover whole local days
+ */
+function readHistoryQuery(): HistoryQuery {
+  const query: HistoryQuery = {};
+  if (historySearch && historySearch.value.trim()) {
+    query.text = historySearch.value.trim();
+  }
+  if (historyVerdict && historyVerdict.value) {
+    query.verdict = historyVerdict.value as Verdict;
+  }
+  if (historyFrom && historyFrom.value) {
+    query.from = new Date(`${historyFrom.value}T00:00:00`).toISOString();
+  }
+  if (historyTo && historyTo.value) {
+    query.to = new Date(`${historyTo.value}T23:59:59.999`).toISOString();
+  }
+  return query;
+}
+
+/**
+ * One row per past lookup - click the indicator to open its results
+ */
+function renderHistory(entries: HistoryEntry[]): void {
+  if (!resultDiv || currentMode !== 'history') return;
+  historyEntries = entries;
+
+  if (entries.length === 0) {
+    resultDiv.innerHTML = '<p>No lookups match.</p>';
+    return;
+  }
+
+  resultDiv.innerHTML = `
+    ${renderExportActions('Export selected (or all listed)')}
+    <ul class="history-list">
+      ${entries
+        .map(
+          (entry: HistoryEntry) => `
+        <li class="history-entry${entry.pinned ? ' pinned' : ''}">
+          <input type="checkbox" class="history-select" data-key="${escapeHtml(entry.key)}" title="Select for export">
+          <div class="history-details">
+            <button class="history-open" data-indicator="${escapeHtml(entry.indicator.value)}">${escapeHtml(entry.indicator.value)}</button>
+            ${
+              entry.verdict
+                ? `<span class="verdict-pill ${entry.verdict}">${VERDICT_LABELS[entry.verdict]}${
+                    entry.score !== null ? ` ${entry.score}` : ''
+                  }</span>`
+                : ''
+            }
+            <div class="history-meta">
+              ${Indicators.describeIndicatorType(entry.indicator.type)} · ${formatDate(entry.timestamp)}
+              · ${entry.sources.length > 0 ? escapeHtml(entry.sources.join(', ')) : 'no data'}
+              ${entry.errorCount > 0 ? ` · ${entry.errorCount} error${entry.errorCount === 1 ? '' : 's'}` : ''}
+            </div>
+          </div>
+          <button class="history-pin" data-key="${escapeHtml(entry.key)}" title="${entry.pinned ? 'Unpin' : 'Pin'}">${entry.pinned ? '★' : '☆'}</button>
+          <button class="history-delete" data-key="${escapeHtml(entry.key)}" title="Delete">✕</button>
+        </li>`
+        )
+        .join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Ask the background for the lookups matching the filters
+ */
+function loadHistory(): void {
+  chrome.runtime.sendMessage(
+    {
+      action: 'getHistory',
+      historyQuery: readHistoryQuery(),
+    } as MessageRequest,
+    (response: MessageResponse | undefined) => {
+      if (chrome.runtime.lastError || !response || !response.success || !response.history) {
+        updateStatus(response?.error || 'Could not load the history', true);
+        return;
+      }
+      updateStatus(`${response.history.length} lookup${response.history.length === 1 ? '' : 's'}`);
+      renderHistory(response.history);
+    }
+  );
+}
+
+/**
+ * Pin/unpin or delete a history entry, then reload the list
+ */
+function updateHistoryEntry(action: 'pinHistory' | 'deleteHistory', key: string, pinned?: boolean): void {
+  chrome.runtime.sendMessage(
+    {
+      action,
+      keys: [key],
+      pinned,
+    } as MessageRequest,
+    (response: MessageResponse | undefined) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        updateStatus(response?.error || 'Could not update the history', true);
+        return;
+      }
+      loadHistory();
+    }
+  );
+}
+
+[historySearch, historyVerdict, historyFrom, historyTo].forEach((input) => {
+  input?.addEventListener('input', loadHistory);
+});
+
+if (resultDiv) {
+  resultDiv.addEventListener('click', (event: MouseEvent): void => {
+    if (currentMode !== 'history') return;
+    const button: HTMLButtonElement | null = (event.target as HTMLElement).closest('button');
+    if (!button) return;
+
+    if (button.classList.contains('history-open')) {
+      const indicator: Indicator | null = Indicators.parseIndicator(button.dataset.indicator || '');
+      if (!indicator || !indicatorInput) return;
+      indicatorInput.value = indicator.value;
+      setMode('single');
+      requestStoredResults(indicator, displayResults);
+    } else if (button.classList.contains('history-pin')) {
+      updateHistoryEntry('pinHistory', button.dataset.key!, !button.closest('.history-entry.pinned'));
+    } else if (button.classList.contains('history-delete')) {
+      updateHistoryEntry('deleteHistory', button.dataset.key!);
+    } else if (button.classList.contains('export-button')) {
+      const selected: string[] = Array.from(
+        resultDiv.querySelectorAll<HTMLInputElement>('.history-select:checked'),
+        (checkbox: HTMLInputElement) => checkbox.dataset.key!
+      );
+      const keys: string[] = selected.length > 0 ? selected : historyEntries.map((entry: HistoryEntry) => entry.key);
+      exportLookups(keys, button.dataset.format as ExportFormat);
+    }
+  });
+}
+
+/**
+ * Show the stored results of the indicator in the input box, if any
+ */
+function showStoredResults(): void {
+  const currentIndicator: Indicator | null = indicatorInput
+    ? Indicators.parseIndicator(indicatorInput.value)
+    : null;
+  if (!currentIndicator) return;
+  requestStoredResults(currentIndicator, (data: OSINTResults) => {
+    if (liveLookup) return;
+    displayResults(data);
+    if (data.stale && data.stale.length > 0) {
+      updateStatus('Some cached results have expired - refresh to update them');
     }
   });
 }
 
 // Load any previously stored results on popup open
 window.addEventListener('DOMContentLoaded', (): void => {
-  if (!ipInput) return;
+  // Restore the last used bulk options, and reopen a bulk lookup that is still running.
+  // The last diagnostics report is read first so stored results show their scraper warnings.
+  const keys: string[] = [BULK_OPTIONS_KEY, BULK_JOB_KEY, DIAGNOSTICS_REPORT_KEY];
+  chrome.storage.local.get(keys, (result: { [key: string]: any }) => {
+    setSourceHealth(result[DIAGNOSTICS_REPORT_KEY] as DiagnosticsReport | undefined);
+    const options = result[BULK_OPTIONS_KEY] as BulkOptions | undefined;
+    if (options && bulkConcurrencyInput && bulkSourceConcurrencyInput) {
+      bulkConcurrencyInput.value = String(options.concurrency);
+      bulkSourceConcurrencyInput.value = String(options.perSourceConcurrency);
+    }
+    const job = result[BULK_JOB_KEY] as BulkJob | undefined;
+    if (job && !job.finishedAt) {
+      setMode('bulk');
+    }
 
-  const currentIp: string = ipInput.value.trim();
-  if (currentIp) {
-    checkForStoredResults(currentIp);
-  }
+    // Follow a lookup that is still running, or show the stored results when there is none
+    connectLookupPort().postMessage({ action: 'watch' } as LookupPortRequest);
+  });
 });
 
@@ -3,50 +3,173 @@
  * Type-safe interfaces for all OSINT data structures
  */
 
+/**
+ * Indicator types that can be looked up
+ */
+export type IndicatorType = 'ip' | 'domain' | 'url' | 'hash';
+
+export type HashAlgorithm = 'md5' | 'sha1' | 'sha256';
+
+export interface IPIndicator {
+  type: 'ip';
+  /** Canonical form - dotted quad for IPv4, RFC 5952 for IPv6 */
+  value: string;
+  version: 4 | 6;
+  /** IPv6 zone ID (e.g. eth0 in fe80::1%eth0), not part of the canonical value */
+  zoneId?: string;
+}
+
+export interface DomainIndicator {
+  type: 'domain';
+  value: string;
+}
+
+export interface URLIndicator {
+  type: 'url';
+  value: string;
+}
+
+export interface HashIndicator {
+  type: 'hash';
+  value: string;
+  algorithm: HashAlgorithm;
+}
+
+/**
+ * A typed, normalized indicator of compromise
+ */
+export type Indicator = IPIndicator | DomainIndicator | URLIndicator | HashIndicator;
+
 export interface Reputation {
   score: number;
   maxScore: number;
 }
 
+/**
+ * VirusTotal result categories for a single engine
+ */
+export type EngineCategory =
+  | 'malicious'
+  | 'suspicious'
+  | 'harmless'
+  | 'undetected'
+  | 'type-unsupported'
+  | 'timeout';
+
+export interface EngineResult {
+  engine: string;
+  category: EngineCategory;
+  /** Threat name the engine reported, if any (e.g. "Phishing", "Trojan.GenericKD") */
+  result: string | null;
+}
+
+export interface DetectionStats {
+  malicious: number;
+  suspicious: number;
+  harmless: number;
+  undetected: number;
+}
+
 export interface Detection {
-  summary?: string;
-  engines?: string[];
+  /** Number of engines per category */
+  stats: DetectionStats;
+  /** Engines that flagged the indicator as malicious or suspicious */
+  engines: EngineResult[];
 }
 
-export interface VirusTotalData {
-  source: 'VirusTotal';
-  ip: string;
+/**
+ * Fields shared by the data returned from every source
+ */
+export interface SourceData {
+  source: string;
+  /** Normalized indicator value the data was collected for */
+  indicator: string;
   url?: string;
+  rawContent?: string;
+  error?: string;
+}
+
+export interface VirusTotalData extends SourceData {
+  source: 'VirusTotal';
+  indicatorType?: IndicatorType;
   detection?: Detection;
   reputation?: Reputation;
+  /** VirusTotal community score (votes, can be negative) */
+  communityScore?: number;
+  /** Last analysis date, ISO 8601 */
   lastAnalysis?: string;
+  tags?: string[];
+  whois?: string;
   country?: string;
   asn?: string;
   network?: string;
-  rawContent?: string;
-  error?: string;
 }
 
-export interface IPInfoData {
+export interface ASNInfo {
+  /** e.g. 15169 for AS15169 */
+  number: number;
+  name: string;
+}
+
+/**
+ * IPInfo privacy detection flags
+ */
+export interface IPInfoPrivacy {
+  vpn: boolean;
+  proxy: boolean;
+  tor: boolean;
+  relay: boolean;
+  hosting: boolean;
+}
+
+export interface IPInfoCompany {
+  name: string;
+  domain?: string;
+  /** e.g. isp, hosting, business */
+  type?: string;
+}
+
+export interface AbuseContact {
+  name?: string;
+  email?: string;
+  phone?: string;
+}
+
+export interface IPInfoData extends SourceData {
   source: 'IPInfo';
-  ip: string;
-  url?: string;
+  asn?: ASNInfo;
+  hostname?: string;
+  anycast?: boolean;
+  company?: IPInfoCompany;
+  abuseContact?: AbuseContact;
+  privacy?: IPInfoPrivacy;
   country?: string;
   region?: string;
   city?: string;
   postal?: string;
   timezone?: string;
-  org?: string;
-  asn?: string;
-  location?: string;
-  rawContent?: string;
-  error?: string;
+  latitude?: number;
+  longitude?: number;
+}
+
+/**
+ * AbuseIPDB report category, e.g. { id: 22, name: 'SSH' }
+ */
+export interface AbuseCategory {
+  id: number;
+  name: string;
+}
+
+export interface AbuseReport {
+  reporter: string;
+  /** Report time, ISO 8601 */
+  date: string | null;
+  comment: string;
+  categories: AbuseCategory[];
 }
 
-export interface AbuseIPDBData {
+export interface AbuseIPDBData extends SourceData {
   source: 'AbuseIPDB';
-  ip: string;
-  url?: string;
   abuseConfidence: number | null;
   isPublic: boolean | null;
   isWhitelisted?: boolean;
@@ -54,36 +177,479 @@ export interface AbuseIPDBData {
   isp?: string;
   domain?: string;
   country?: string;
-  reports: string[];
-  lastReported?: string;
-  rawContent?: string;
+  /** Most recent reports, as listed on the first page of the report history */
+  reports: AbuseReport[];
+  /** Reports ever filed against the address */
+  totalReports?: number;
+  distinctReporters?: number;
+  /** First and most recent report, ISO 8601 */
+  firstSeen?: string;
+  lastSeen?: string;
+}
+
+/**
+ * What a spec field reads from the matched elements
+ * - text: trimmed text content (default)
+ * - attribute: the value of `attribute`
+ * - count: number of matching elements
+ * - exists: whether anything matches
+ */
+export type FieldMode = 'text' | 'attribute' | 'count' | 'exists';
+
+/**
+ * Type a spec field's value is coerced to - dates become ISO 8601 (UTC unless a zone is given)
+ */
+export type FieldType = 'string' | 'number' | 'integer' | 'boolean' | 'date';
+
+/**
+ * One value extracted by the spec interpreter
+ */
+/**
+ * One step of a field's selector chain: a selector matched inside the elements so far, or a filter
+ * keeping the elements whose text matches a regular expression (case-insensitive)
+ */
+export type SelectorStep = string | { hasText: string };
+
+export interface FieldSpec {
+  /** Property the value is stored under - dots nest (e.g. "reputation.score") */
+  name: string;
+  /**
+   * Alternatives tried in order until one yields a value. An array is a selector chain, each
+   * selector scoped to the elements matched by the previous one and each `hasText` step
+   * filtering them. `>>>` crosses shadow roots.
+   */
+  selectors: (string | SelectorStep[])[];
+  /** Match the first selector of each chain inside open shadow roots too */
+  pierce?: boolean;
+  mode?: FieldMode;
+  /** Attribute read in 'attribute' mode */
+  attribute?: string;
+  /** Read every matching element instead of the first, giving a list */
+  all?: boolean;
+  /** With `all`, drop repeated texts */
+  unique?: boolean;
+  /** With `all`, keep at most this many (non-empty) texts */
+  limit?: number;
+  /** With `all`, join the texts with this separator into one value before pattern and type apply */
+  join?: string;
+  /** Regular expression the value must match - the first capture group (or the whole match) is kept */
+  pattern?: string;
+  flags?: string;
+  type?: FieldType;
+  /** Only extract for these indicator types */
+  indicatorTypes?: IndicatorType[];
+}
+
+/**
+ * Declarative description of what a source scrapes - shipped with each scraper and overridable
+ * from the options page, so a markup change can be fixed without a rebuild
+ */
+export interface ExtractionSpec {
+  /** Id of the source the spec belongs to */
+  source: string;
+  version: number;
+  /** Selectors used by the scraper's own parsing code (tables, widgets, etc.) */
+  selectors: { [name: string]: string };
+  /** Regular expressions used by the scraper's own parsing code, compiled case-insensitively */
+  patterns: { [name: string]: string };
+  /** Fields extracted by the spec interpreter - fields sharing a name are fallbacks, first value wins */
+  fields: FieldSpec[];
+}
+
+/**
+ * A source's built-in spec and the analyst's override of it, if any
+ */
+export interface SourceSpecInfo {
+  id: string;
+  name: string;
+  defaultSpec: ExtractionSpec;
+  override?: Partial<ExtractionSpec>;
+  /** The source's built-in result cache TTL (ms) */
+  cacheTtl: number;
+  /** Domain the source's rate limit applies to */
+  domain: string;
+  /** The source's built-in rate limit */
+  rateLimit: RateLimitSettings;
+}
+
+/**
+ * A saved report page with the values the scraper is expected to extract from it
+ */
+export interface ScraperFixture {
+  /** Source id */
+  source: string;
+  indicator: string;
+  /** Report page, relative to the fixture base URL */
+  page: string;
+  /** Further pages the scraper visits (e.g. VirusTotal's details tab), keyed by page name */
+  pages?: { [name: string]: string };
+  /** Expected values keyed by field path - dots nest and index lists ("reports.0.comment") */
+  expected: { [field: string]: unknown };
+}
+
+export interface FixtureManifest {
+  fixtures: ScraperFixture[];
+}
+
+export interface FieldCheck {
+  field: string;
+  expected: unknown;
+  /** Extracted value, undefined if the field was missing */
+  actual: unknown;
+  passed: boolean;
+}
+
+/**
+ * healthy: every field matched, degraded: some fields broke, broken: the scrape failed or nothing matched
+ */
+export type SourceHealth = 'healthy' | 'degraded' | 'broken';
+
+export interface SourceDiagnostics {
+  /** Source id */
+  source: string;
+  name: string;
+  /** Indicator of the fixture - a source can have several (IPv4 and IPv6 reports) */
+  indicator: string;
+  status: SourceHealth;
+  checks: FieldCheck[];
   error?: string;
+  durationMs: number;
+}
+
+/**
+ * Result of running every scraper against its saved fixtures
+ */
+export interface DiagnosticsReport {
+  startedAt: string;
+  finishedAt: string;
+  fixtureBaseUrl: string;
+  sources: SourceDiagnostics[];
+}
+
+export interface DiagnosticsSettings {
+  /** Where fixture pages are loaded from - the packaged fixtures when empty */
+  fixtureBaseUrl?: string;
+}
+
+/**
+ * Data types of the built-in sources, keyed by source id
+ */
+export interface KnownSources {
+  virustotal?: VirusTotalData;
+  ipinfo?: IPInfoData;
+  abuseipdb?: AbuseIPDBData;
+}
+
+export type Verdict = 'clean' | 'suspicious' | 'malicious' | 'unknown';
+
+/**
+ * Signals the verdict is scored from
+ */
+export type SignalId =
+  | 'vtDetections'
+  | 'vtCommunity'
+  | 'abuseConfidence'
+  | 'abuseReports'
+  | 'ipinfoPrivacy';
+
+export interface VerdictSignal {
+  id: SignalId;
+  /** Name of the source the signal was read from */
+  source: string;
+  label: string;
+  /** Human readable evidence, e.g. "5 malicious, 1 suspicious of 90 vendors" */
+  detail: string;
+  /** Risk of this signal on its own, 0-100 */
+  score: number;
+  weight: number;
+  /** Points this signal added to the final score */
+  contribution: number;
+}
+
+export interface VerdictResult {
+  verdict: Verdict;
+  /** 0-100, null when there was nothing to score */
+  score: number | null;
+  /** Signals that were scored, largest contribution first */
+  signals: VerdictSignal[];
+}
+
+/**
+ * Signal weights and verdict thresholds - stored overrides are merged over the defaults
+ */
+export interface ScoringConfig {
+  /** Relative weight of each signal, 0 disables it */
+  weights: { [signal in SignalId]: number };
+  /** Lowest score that gets each verdict - anything below suspicious is clean */
+  thresholds: {
+    suspicious: number;
+    malicious: number;
+  };
+  /** Weighted VirusTotal detections at which that signal scores 100 */
+  vtDetectionsForMaxScore: number;
+  /** Distinct AbuseIPDB reporters at which that signal scores 100 */
+  reportersForMaxScore: number;
 }
 
 export interface OSINTError {
   source: string;
   error: string;
+  /** The source served a challenge, CAPTCHA, login or rate-limit page instead of its report */
+  blocked?: BlockKind;
+}
+
+/**
+ * What stands between a scraper and the report page
+ */
+export type BlockKind = 'challenge' | 'captcha' | 'login' | 'rate_limit';
+
+/**
+ * A page recognized as a block rather than a report
+ */
+export interface PageBlock {
+  kind: BlockKind;
+  /** What was recognized, for the analyst (e.g. "Cloudflare challenge") */
+  reason: string;
+  /** Where the page ended up */
+  url: string;
+  /** Tab the page is in - brought to the foreground when the analyst takes over */
+  tabId: number;
 }
 
 export interface OSINTResults {
-  ip: string;
+  indicator: Indicator;
   timestamp: string;
-  sources: {
-    virustotal?: VirusTotalData;
-    ipinfo?: IPInfoData;
-    abuseipdb?: AbuseIPDBData;
-  };
+  /** Keyed by registered source id, in registry order */
+  sources: KnownSources & { [sourceId: string]: SourceData | undefined };
+  /** Names of sources skipped because they don't support the indicator type */
+  notApplicable: string[];
   errors: OSINTError[];
+  /** Combined verdict across sources */
+  verdict?: VerdictResult;
+  /** When each source's data was scraped (ISO) - results stored before caching only have `timestamp` */
+  fetchedAt?: { [sourceId: string]: string };
+  /** Sources whose data is past its cache TTL - set on stored results when they are read back */
+  stale?: string[];
+  /** The lookup was cancelled - sources it didn't finish are listed in `errors` */
+  cancelled?: boolean;
+}
+
+/**
+ * Result cache settings, stored under `cache_config`
+ */
+export interface CacheConfig {
+  /** Per-source TTL overrides in milliseconds, keyed by source id - 0 turns caching off */
+  ttl: { [sourceId: string]: number };
+}
+
+/**
+ * How hard a vendor domain may be hit - every navigation to it takes a token from its bucket
+ */
+export interface RateLimitSettings {
+  /** Navigations per minute (the bucket refills at this rate and holds a minute's worth) */
+  requestsPerMinute: number;
+  /** Navigations per UTC day - 0 for no cap */
+  dailyCap: number;
+  /** Shortest gap between two navigations (ms) - a random extra of up to half of it is added */
+  minSpacing: number;
+}
+
+/**
+ * Rate limit overrides per domain, stored under `rate_limits`
+ */
+export interface RateLimitConfig {
+  [domain: string]: Partial<RateLimitSettings>;
+}
+
+/**
+ * Navigations made per domain on the current UTC day, stored under `rate_limit_usage`
+ */
+export interface RateLimitUsage {
+  [domain: string]: { day: string; count: number };
+}
+
+/**
+ * Why a scrape is held back: the bucket is empty, the last navigation was too recent, the daily
+ * cap is used up, or the domain recently served a rate-limit page
+ */
+export type ThrottleReason = 'rate' | 'spacing' | 'daily_cap' | 'backoff';
+
+/**
+ * One stored lookup in the history index (`history_index`)
+ */
+export interface HistoryEntry {
+  /** chrome.storage.local key of the stored results (osint_<indicator>) */
+  key: string;
+  indicator: Indicator;
+  /** When the lookup ran (the results' timestamp) */
+  timestamp: string;
+  verdict: Verdict | null;
+  score: number | null;
+  /** Names of the sources that returned data */
+  sources: string[];
+  errorCount: number;
+  /** Pinned entries are never evicted */
+  pinned: boolean;
+  /** When the results were last stored or opened - the least recently used are evicted first */
+  lastAccessed: string;
+}
+
+/**
+ * Stages of a lookup streamed to the popup - every stage but `complete` is about one source
+ */
+export type LookupEventType =
+  | 'queued'
+  | 'tab_opened'
+  | 'navigating'
+  | 'extracting'
+  | 'retrying'
+  | 'blocked'
+  | 'throttled'
+  | 'source_done'
+  | 'source_failed'
+  | 'complete';
+
+/**
+ * Progress of a running lookup, published over `lookup-progress` ports
+ */
+export interface LookupEvent {
+  type: LookupEventType;
+  /** Storage key of the lookup (osint_<indicator>) */
+  key: string;
+  indicator: Indicator;
+  time: string;
+  sourceId?: string;
+  sourceName?: string;
+  /** The source's data so far (source_done) */
+  data?: SourceData;
+  /** When the data was scraped (source_done) - older than the lookup when served from the cache */
+  fetchedAt?: string;
+  cached?: boolean;
+  /** Why the source failed (source_failed), or why it is tried again (retrying) */
+  error?: string;
+  /** Number of the attempt about to start (retrying) */
+  attempt?: number;
+  /** The page waiting for the analyst (blocked), or the one that failed the source (source_failed) */
+  block?: PageBlock;
+  /** How long the source waits for its rate limit (throttled, ms) */
+  wait?: number;
+  throttle?: ThrottleReason;
+  /** The stored results (complete) */
+  results?: OSINTResults;
+}
+
+/**
+ * Messages the popup sends over a `lookup-progress` port: start (or join) a lookup, follow the
+ * running lookup of an indicator - without one, the most recently started lookup - cancel the
+ * lookup the port follows, or bring the tab of one of its blocked sources to the foreground
+ */
+export type LookupPortRequest =
+  | { action: 'lookup'; indicator: string; refresh?: boolean | string[] }
+  | { action: 'watch'; indicator?: string }
+  | { action: 'cancel' }
+  | { action: 'handoff'; sourceId: string };
+
+/**
+ * Messages the background sends over a `lookup-progress` port - past events are replayed when a
+ * port starts following a lookup, `idle` answers a watch when nothing is running
+ */
+export type LookupPortMessage = LookupEvent | { type: 'idle' } | { type: 'error'; error: string };
+
+export type ExportFormat = 'json' | 'csv' | 'markdown' | 'stix';
+
+/**
+ * An exported file, ready to download
+ */
+export interface ExportFile {
+  filename: string;
+  mimeType: string;
+  content: string;
+}
+
+/**
+ * Filters for browsing the history - every given filter must match
+ */
+export interface HistoryQuery {
+  /** Matched case-insensitively against the indicator and source names */
+  text?: string;
+  verdict?: Verdict;
+  /** Only lookups at or after this time (ISO) */
+  from?: string;
+  /** Only lookups at or before this time (ISO) */
+  to?: string;
+}
+
+/**
+ * Concurrency limits for a bulk lookup
+ */
+export interface BulkOptions {
+  /** Indicators looked up at the same time */
+  concurrency: number;
+  /** Scrapes running at the same time against any one source */
+  perSourceConcurrency: number;
+}
+
+export type BulkItemStatus = 'queued' | 'running' | 'done' | 'failed' | 'cancelled';
+
+export interface BulkItem {
+  indicator: Indicator;
+  status: BulkItemStatus;
+  /** Number of sources that returned an error */
+  errorCount?: number;
+  error?: string;
+}
+
+/**
+ * State of a bulk lookup - mirrored to chrome.storage.local as it progresses
+ */
+export interface BulkJob {
+  id: string;
+  createdAt: string;
+  finishedAt?: string;
+  /** The job was cancelled - items it hadn't finished are marked cancelled */
+  cancelled?: boolean;
+  /** Until when (ISO) the job's next scrape waits for a rate limit, while it does */
+  throttledUntil?: string;
+  options: BulkOptions;
+  items: BulkItem[];
 }
 
 export interface MessageRequest {
-  action: 'collectOSINT' | 'getStoredResults';
-  ipAddress?: string;
+  action:
+    | 'collectOSINT'
+    | 'getStoredResults'
+    | 'startBulk'
+    | 'getExtractionSpecs'
+    | 'runDiagnostics'
+    | 'getHistory'
+    | 'pinHistory'
+    | 'deleteHistory'
+    | 'exportResults'
+    | 'cancelLookup'
+    | 'cancelBulk';
+  /** Raw indicator as entered by the analyst */
+  indicator?: string;
+  /** Raw indicators for a bulk lookup */
+  indicators?: string[];
+  bulkOptions?: Partial<BulkOptions>;
+  /** Re-scrape these sources (true: every source) even if their cached results are fresh */
+  refresh?: boolean | string[];
+  historyQuery?: HistoryQuery;
+  /** History entries (storage keys) to pin, delete or export */
+  keys?: string[];
+  pinned?: boolean;
+  format?: ExportFormat;
 }
 
 export interface MessageResponse {
   success: boolean;
-  data?: OSINTResults;
+  /** Lookup results - null from getStoredResults when the indicator has never been looked up */
+  data?: OSINTResults | null;
+  bulkJob?: BulkJob;
+  specs?: SourceSpecInfo[];
+  diagnostics?: DiagnosticsReport;
+  history?: HistoryEntry[];
+  file?: ExportFile;
   error?: string;
 }
 
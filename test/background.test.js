@@ -0,0 +1,126 @@
+/**
+ * Background orchestration specs - the service worker's collectOSINT message on the fake
+ * chrome.runtime, chrome.tabs and chrome.debugger, with sources that succeed and fail in the same
+ * lookup
+ * Runs on the Node build of the modules: npm test
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const DIST_DIR = path.join(__dirname, '..', 'dist');
+const { FakeTransport, installFakeChrome, scriptPageLoad } = require(path.join(DIST_DIR, 'modules', 'testing', 'fakes.js'));
+const { setLogger } = require(path.join(DIST_DIR, 'modules', 'logging', 'logger.js'));
+
+setLogger({ log() {}, warn() {}, error() {} });
+
+const UNREACHABLE_URL = 'https://unreachable.example/report';
+
+/**
+ * Load every shared module the way importScripts does (each assigns its global namespace), but
+ * none of the real scrapers - the specs register their own sources
+ */
+function loadModules(dir = path.join(SRC_DIR, 'modules')) {
+  fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== 'testing') loadModules(file);
+    } else if (entry.name.endsWith('.ts') && !entry.name.endsWith('.d.ts')) {
+      const relative = path.relative(SRC_DIR, file);
+      const isScraper = path.dirname(relative) === path.join('modules', 'scrapers') && !/^(registry|pagestate)\.ts$/.test(entry.name);
+      if (!isScraper) require(path.join(DIST_DIR, relative.replace(/\.ts$/, '.js')));
+    }
+  });
+}
+
+/**
+ * A source whose scraper loads its report page and then runs `extract`
+ */
+function fakeSource(id, name, extract, extra = {}) {
+  const buildUrl = extra.buildUrl || ((indicator) => `https://${id}.example/${indicator.value}`);
+  return {
+    id,
+    name,
+    indicatorTypes: ['ip'],
+    buildUrl,
+    scrape: async (page, indicator) => {
+      await page.goto(buildUrl(indicator));
+      return extract(page, indicator);
+    },
+    ...extra,
+  };
+}
+
+describe('collectOSINT', () => {
+  let chrome;
+  before(() => {
+    chrome = installFakeChrome({
+      createTransport: () => {
+        const transport = new FakeTransport();
+        scriptPageLoad(transport, { errors: { [UNREACHABLE_URL]: 'net::ERR_CONNECTION_REFUSED' } });
+        return transport;
+      },
+    });
+    loadModules();
+    SourceRegistry.registerSource(
+      fakeSource('working', 'Working', (page, indicator) => ({ source: 'Working', indicator: indicator.value, country: 'NL' }), {
+        order: 1,
+      })
+    );
+    SourceRegistry.registerSource(
+      fakeSource(
+        'broken',
+        'Broken',
+        () => {
+          throw new Error('Report table not found');
+        },
+        { order: 2 }
+      )
+    );
+    SourceRegistry.registerSource(fakeSource('unreachable', 'Unreachable', () => ({}), { order: 3, buildUrl: () => UNREACHABLE_URL }));
+    SourceRegistry.registerSource(fakeSource('hashes', 'Hashes', () => ({}), { order: 4, indicatorTypes: ['hash'] }));
+    require(path.join(DIST_DIR, 'background.js'));
+  });
+
+  it('keeps the sources that worked when others fail', async () => {
+    const response = await chrome.runtime.sendMessage({ action: 'collectOSINT', indicator: '198.51.100.23' });
+
+    assert.equal(response.success, true);
+    const results = response.data;
+    assert.deepEqual(Object.keys(results.sources), ['working']);
+    assert.deepEqual(results.sources.working, { source: 'Working', indicator: '198.51.100.23', country: 'NL' });
+    assert.deepEqual(results.notApplicable, ['Hashes']);
+    assert.deepEqual(
+      results.errors.map((failure) => failure.source),
+      ['Broken', 'Unreachable']
+    );
+    assert.equal(results.errors[0].error, 'Report table not found');
+    assert.match(results.errors[1].error, /ERR_CONNECTION_REFUSED/);
+    assert.ok(results.verdict);
+
+    // The popup reads the last lookup back from storage
+    assert.deepEqual(chrome.storage.local.data[Indicators.storageKey(results.indicator)], results);
+  });
+
+  it('closes the tabs of failed scrapes and keeps the working one warm', async () => {
+    assert.equal(chrome.openTabs.size, 1);
+    const [tabId] = chrome.openTabs.keys();
+    assert.ok(chrome.transports.get(tabId).attached);
+    assert.equal(chrome.transports.get(tabId).calls('Page.navigate')[0].url, 'https://working.example/198.51.100.23');
+  });
+
+  it('answers an unrecognized indicator without scraping', async () => {
+    const navigations = Array.from(chrome.transports.values()).flatMap((transport) => transport.calls('Page.navigate'));
+    const response = await chrome.runtime.sendMessage({ action: 'collectOSINT', indicator: 'not an indicator' });
+
+    assert.equal(response.success, false);
+    assert.match(response.error, /Unrecognized indicator/);
+    assert.equal(
+      Array.from(chrome.transports.values()).flatMap((transport) => transport.calls('Page.navigate')).length,
+      navigations.length
+    );
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Orchestrator specs - collectResults over a PagePool on the fake chrome.tabs/chrome.debugger,
+ * with sources that succeed, fail, fail to load and run out of time in the same lookup
+ * Runs on the Node build of the modules: npm test
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const MODULES_DIR = path.join(__dirname, '..', 'dist', 'modules');
+const { FakeTransport, installFakeChrome, scriptPageLoad } = require(path.join(MODULES_DIR, 'testing', 'fakes.js'));
+const { PagePool } = require(path.join(MODULES_DIR, 'cdp', 'pool.js'));
+const { collectResults } = require(path.join(MODULES_DIR, 'lookup', 'collect.js'));
+const { registerSource } = require(path.join(MODULES_DIR, 'scrapers', 'registry.js'));
+const { parseIndicator } = require(path.join(MODULES_DIR, 'indicators', 'indicator.js'));
+const { setLogger } = require(path.join(MODULES_DIR, 'logging', 'logger.js'));
+
+setLogger({ log() {}, warn() {}, error() {} });
+
+const UNREACHABLE_URL = 'https://unreachable.example/report';
+
+/**
+ * A source whose scraper loads its report page and then runs `extract`
+ */
+function fakeSource(id, name, extract, extra = {}) {
+  return {
+    id,
+    name,
+    indicatorTypes: ['ip'],
+    buildUrl: (indicator) => `https://${id}.example/${indicator.value}`,
+    scrape: async (page, indicator, options = {}) => {
+      await page.goto(options.url || `https://${id}.example/${indicator.value}`, { signal: options.signal });
+      return extract(page, indicator, options);
+    },
+    ...extra,
+  };
+}
+
+registerSource(
+  fakeSource('working', 'Working', (page, indicator) => ({ source: 'Working', indicator: indicator.value, country: 'NL' }), {
+    order: 1,
+  })
+);
+registerSource(
+  fakeSource(
+    'broken',
+    'Broken',
+    () => {
+      throw new Error('Report table not found');
+    },
+    { order: 2 }
+  )
+);
+registerSource(
+  fakeSource('unreachable', 'Unreachable', () => ({}), {
+    order: 3,
+    buildUrl: () => UNREACHABLE_URL,
+    scrape: async (page, indicator, options = {}) => {
+      await page.goto(UNREACHABLE_URL, { signal: options.signal });
+      return { source: 'Unreachable', indicator: indicator.value };
+    },
+    retry: { attempts: 2, baseDelay: 1, maxDelay: 1 },
+  })
+);
+registerSource(
+  fakeSource('slow', 'Slow', (page, indicator, options) => page.waitForTimeout(10000, { signal: options.signal }), {
+    order: 4,
+    timeout: 200,
+  })
+);
+registerSource(fakeSource('hashes', 'Hashes', () => ({}), { order: 5, indicatorTypes: ['hash'] }));
+
+describe('collectResults', () => {
+  let chrome;
+  let pool;
+  before(() => {
+    chrome = installFakeChrome({
+      createTransport: () => {
+        const transport = new FakeTransport();
+        scriptPageLoad(transport, { errors: { [UNREACHABLE_URL]: 'net::ERR_CONNECTION_REFUSED' } });
+        return transport;
+      },
+    });
+    pool = new PagePool();
+  });
+  after(async () => {
+    await pool.drain();
+    delete globalThis.chrome;
+  });
+
+  it('keeps the sources that worked when others fail', async () => {
+    const progress = [];
+    const results = await collectResults(
+      parseIndicator('198.51.100.23'),
+      (source, indicator, context) =>
+        pool.withPage(source.id, (page) => source.scrape(page, indicator, { signal: context.signal })),
+      { onProgress: (update) => progress.push(`${update.type} ${update.source.id}`) }
+    );
+
+    assert.deepEqual(Object.keys(results.sources), ['working']);
+    assert.deepEqual(results.sources.working, { source: 'Working', indicator: '198.51.100.23', country: 'NL' });
+    assert.ok(results.fetchedAt.working);
+    assert.deepEqual(results.notApplicable, ['Hashes']);
+    assert.deepEqual(
+      results.errors.map((failure) => failure.source),
+      ['Broken', 'Unreachable', 'Slow']
+    );
+    assert.equal(results.errors[0].error, 'Report table not found');
+    assert.match(results.errors[1].error, /ERR_CONNECTION_REFUSED/);
+    assert.match(results.errors[2].error, /Slow did not finish within/);
+    assert.ok(results.verdict);
+    assert.equal(results.cancelled, undefined);
+
+    // Load failures are retried on a fresh page, everything else fails on the first attempt
+    assert.ok(progress.includes('retrying unreachable'));
+    assert.ok(!progress.includes('retrying broken'));
+    assert.deepEqual(
+      progress.filter((line) => /^source_(done|failed)/.test(line)).sort(),
+      ['source_done working', 'source_failed broken', 'source_failed slow', 'source_failed unreachable']
+    );
+  });
+
+  it('closes the tabs of failed scrapes and keeps the working one warm', async () => {
+    const urls = Array.from(chrome.transports.values()).flatMap((transport) =>
+      transport.calls('Page.navigate').map((params) => params.url)
+    );
+    assert.equal(urls.filter((url) => url === UNREACHABLE_URL).length, 2);
+
+    assert.equal(chrome.openTabs.size, 1);
+    const [tabId] = chrome.openTabs.keys();
+    assert.ok(chrome.transports.get(tabId).attached);
+    // Released pages are blanked until their next lease
+    assert.deepEqual(chrome.transports.get(tabId).calls('Page.navigate'), [
+      { url: 'https://working.example/198.51.100.23' },
+      { url: 'about:blank' },
+    ]);
+  });
+
+  it('records the sources that had not finished when the lookup is cancelled', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    const results = await collectResults(
+      parseIndicator('198.51.100.23'),
+      (source, indicator, context) =>
+        pool.withPage(source.id, (page) => source.scrape(page, indicator, { signal: context.signal })),
+      { sourceIds: ['working', 'slow'], signal: controller.signal }
+    );
+
+    assert.equal(results.cancelled, true);
+    assert.deepEqual(Object.keys(results.sources), ['working']);
+    assert.deepEqual(results.errors, [{ source: 'Slow', error: 'Cancelled' }]);
+  });
+
+  it('waits for the rate limit before every page a scraper loads', async () => {
+    const steps = [];
+    const limiter = { acquire: async () => steps.push('acquire'), backOff() {}, recordSuccess() {} };
+    registerSource(
+      fakeSource('paged', 'Paged', () => ({}), {
+        order: 6,
+        scrape: async (page, indicator, options = {}) => {
+          steps.push('report');
+          await page.goto(`https://paged.example/${indicator.value}`, { signal: options.signal });
+          await options.acquire();
+          steps.push('details');
+          await page.goto(`https://paged.example/${indicator.value}/details`, { signal: options.signal });
+          return { source: 'Paged', indicator: indicator.value };
+        },
+      })
+    );
+    const results = await collectResults(
+      parseIndicator('198.51.100.23'),
+      (source, indicator, context) =>
+        pool.withPage(source.id, (page) =>
+          source.scrape(page, indicator, { signal: context.signal, acquire: context.acquire })
+        ),
+      { sourceIds: ['paged'], rateLimits: { limiterFor: () => limiter } }
+    );
+
+    assert.deepEqual(Object.keys(results.sources), ['paged']);
+    assert.deepEqual(steps, ['acquire', 'report', 'acquire', 'details']);
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Indicator specs - pulling indicators out of pasted lists and CSV files
+ * Runs on the Node build of the modules: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const MODULES_DIR = path.join(__dirname, '..', 'dist', 'modules');
+const { extractIndicators } = require(path.join(MODULES_DIR, 'indicators', 'indicator.js'));
+
+const values = (extracted) => extracted.indicators.map((indicator) => indicator.value);
+
+describe('extractIndicators', () => {
+  it('splits lines and CSV cells', () => {
+    const extracted = extractIndicators('indicator;note\n198.51.100.23,example.com | 198.51.100.23\n"evil[.]org"');
+
+    assert.deepEqual(values(extracted), ['198.51.100.23', 'example.com', 'evil.org']);
+    assert.deepEqual(extracted.invalid, ['indicator', 'note']);
+    assert.equal(extracted.duplicates, 1);
+  });
+
+  it('keeps URLs whole when they contain cell separators', () => {
+    const extracted = extractIndicators(
+      'https://example.com/track?ids=1,2;3|4\n"hxxps://evil[.]org/a,b" 198.51.100.23'
+    );
+
+    assert.deepEqual(values(extracted), [
+      'https://example.com/track?ids=1,2;3|4',
+      'https://evil.org/a,b',
+      '198.51.100.23',
+    ]);
+    assert.deepEqual(extracted.invalid, []);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Page specs - navigation, waiting and input against a scripted FakeTransport
+ * Runs on the Node build of the modules: npm test
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const MODULES_DIR = path.join(__dirname, '..', 'dist', 'modules');
+const { createPage, NavigationError, TimeoutError, isTransientError } = require(path.join(MODULES_DIR, 'cdp', 'core.js'));
+const { FakeTransport, emitResponse, scriptPageLoad } = require(path.join(MODULES_DIR, 'testing', 'fakes.js'));
+const { setLogger } = require(path.join(MODULES_DIR, 'logging', 'logger.js'));
+
+setLogger({ log() {}, warn() {}, error() {} });
+
+const URL = 'https://report.example/198.51.100.23';
+
+/**
+ * Answer Page.callFunction's lookup of the page global, and its calls with `answer(params)`
+ */
+function scriptCalls(transport, answer) {
+  transport.respond('Runtime.evaluate', { result: { objectId: 'global' } });
+  transport.respond('Runtime.callFunctionOn', answer);
+}
+
+describe('Page.goto', () => {
+  let transport;
+  beforeEach(() => {
+    transport = new FakeTransport();
+  });
+
+  it('resolves once the new document fires load', async () => {
+    const loaderIds = scriptPageLoad(transport, { interval: 5 });
+    const page = await createPage(1, transport);
+    const fired = [];
+    page.context.on('Page.lifecycleEvent', (params) => fired.push(params.name));
+
+    await page.goto(URL);
+
+    assert.deepEqual(transport.calls('Page.navigate'), [{ url: URL }]);
+    assert.deepEqual(loaderIds, ['loader-1']);
+    assert.deepEqual(fired, ['init', 'DOMContentLoaded', 'load']);
+  });
+
+  it('resolves at DOMContentLoaded when asked to', async () => {
+    scriptPageLoad(transport, { events: ['init', 'DOMContentLoaded'] });
+    const page = await createPage(1, transport);
+
+    await page.goto(URL, { waitUntil: 'domcontentloaded' });
+    await assert.rejects(page.goto(URL, { timeout: 50 }), TimeoutError);
+  });
+
+  it('ignores lifecycle events of the previous document', async () => {
+    scriptPageLoad(transport, { events: ['init', 'DOMContentLoaded', 'load'], interval: 20 });
+    const page = await createPage(1, transport);
+    await page.goto(URL);
+
+    // The new document has only started loading when the old one's load comes in late
+    setTimeout(() => transport.emit('Page.lifecycleEvent', { frameId: 'main-frame', loaderId: 'loader-1', name: 'load' }), 25);
+    const started = Date.now();
+    await page.goto(`${URL}?again`);
+    assert.ok(Date.now() - started >= 55, 'resolved before the second document loaded');
+  });
+
+  it('throws a transient NavigationError when the load fails', async () => {
+    scriptPageLoad(transport, { errors: { [URL]: 'net::ERR_NAME_NOT_RESOLVED' } });
+    const page = await createPage(1, transport);
+
+    const error = await page.goto(URL).catch((thrown) => thrown);
+    assert.ok(error instanceof NavigationError);
+    assert.match(error.message, /ERR_NAME_NOT_RESOLVED/);
+    assert.ok(isTransientError(error));
+  });
+
+  it('stops waiting when its signal aborts', async () => {
+    scriptPageLoad(transport, { events: ['init'] });
+    const page = await createPage(1, transport);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(page.goto(URL, { signal: controller.signal }), { name: 'AbortError' });
+  });
+});
+
+describe('Page.waitForSelector', () => {
+  it('resolves once the page reports a match', async () => {
+    const transport = new FakeTransport();
+    scriptCalls(transport, { result: { value: true } });
+    const page = await createPage(1, transport);
+
+    await page.waitForSelector('#report');
+
+    const [call] = transport.calls('Runtime.callFunctionOn');
+    assert.deepEqual(call.arguments[0].value.steps, [{ kind: 'css', selector: '#report', pierce: false }]);
+    assert.equal(call.arguments[0].value.state, 'attached');
+  });
+
+  it('throws a TimeoutError naming the selector when nothing matches in time', async () => {
+    const transport = new FakeTransport();
+    // The page gives up on its own once the remaining time (the third argument) has passed
+    scriptCalls(transport, async (params) => {
+      await new Promise((resolve) => setTimeout(resolve, params.arguments[2].value));
+      return { exceptionDetails: { text: 'Uncaught', exception: { description: 'Error: timed out' } } };
+    });
+    const page = await createPage(1, transport);
+
+    const started = Date.now();
+    await assert.rejects(page.waitForSelector('#missing', { timeout: 50 }), (error) => {
+      assert.ok(error instanceof TimeoutError);
+      assert.equal(error.message, 'Timeout waiting for selector: #missing');
+      return true;
+    });
+    assert.ok(Date.now() - started >= 45);
+  });
+});
+
+describe('Page.click', () => {
+  it('presses and releases the left button at the centre of the element', async () => {
+    const transport = new FakeTransport();
+    // Visible right away, then centred at a fractional position
+    scriptCalls(transport, (params) =>
+      params.functionDeclaration.includes('getBoundingClientRect')
+        ? { result: { value: { x: 120.4, y: 48.5 } } }
+        : { result: { value: true } }
+    );
+    const page = await createPage(1, transport);
+
+    await page.click('button.search');
+
+    assert.deepEqual(transport.calls('Input.dispatchMouseEvent'), [
+      { type: 'mousePressed', x: 120, y: 49, button: 'left', clickCount: 1 },
+      { type: 'mouseReleased', x: 120, y: 49, button: 'left', clickCount: 1 },
+    ]);
+  });
+
+  it('dispatches nothing when the element went away', async () => {
+    const transport = new FakeTransport();
+    scriptCalls(transport, (params) =>
+      params.functionDeclaration.includes('getBoundingClientRect') ? { result: { value: null } } : { result: { value: true } }
+    );
+    const page = await createPage(1, transport);
+
+    await assert.rejects(page.click('button.search'), /Element not found: locator\("button.search"\)/);
+    assert.deepEqual(transport.calls('Input.dispatchMouseEvent'), []);
+  });
+});
+
+describe('Page.onResponse', () => {
+  it('hands over responses with their body', async () => {
+    const transport = new FakeTransport();
+    scriptPageLoad(transport);
+    const page = await createPage(1, transport);
+    const report = page.waitForResponse(/\/api\/report/);
+    await page.goto(URL);
+
+    emitResponse(transport, { url: 'https://report.example/api/report', body: { score: 3 }, loaderId: 'loader-1' });
+
+    assert.deepEqual(await (await report).json(), { score: 3 });
+  });
+
+  it('drops bodies still loading when the page navigates away', async () => {
+    const transport = new FakeTransport();
+    scriptPageLoad(transport);
+    const page = await createPage(1, transport);
+    const report = page.waitForResponse(/\/api\/report/);
+    await page.goto(URL);
+
+    emitResponse(transport, { url: 'https://report.example/api/report', body: {}, loaderId: 'loader-1', pending: true });
+    const response = await report;
+    await page.goto(`${URL}?again`);
+
+    await assert.rejects(response.text(), /navigated away/);
+  });
+});
+
+describe('Page.waitForNetworkIdle', () => {
+  it('resolves at the networkIdle lifecycle event', async () => {
+    const transport = new FakeTransport();
+    scriptPageLoad(transport, { events: ['init', 'DOMContentLoaded', 'load', 'networkIdle'], interval: 5 });
+    const page = await createPage(1, transport);
+
+    await page.goto(URL);
+    await page.waitForNetworkIdle({ timeout: 1000 });
+  });
+
+  it('times out while the network stays busy', async () => {
+    const transport = new FakeTransport();
+    scriptPageLoad(transport);
+    const page = await createPage(1, transport);
+
+    await page.goto(URL);
+    await assert.rejects(page.waitForNetworkIdle({ timeout: 50 }), TimeoutError);
+  });
+
+  it('waits for the event even before any navigation was seen', async () => {
+    const transport = new FakeTransport();
+    scriptPageLoad(transport);
+    const page = await createPage(1, transport);
+
+    setTimeout(() => {
+      transport.emit('Page.lifecycleEvent', { frameId: 'main-frame', loaderId: 'loader-0', name: 'init' });
+      transport.emit('Page.lifecycleEvent', { frameId: 'main-frame', loaderId: 'loader-0', name: 'networkIdle' });
+    }, 10);
+    await page.waitForNetworkIdle({ timeout: 1000 });
+    // Idle is a lifecycle state - the document's readyState doesn't stand in for it
+    assert.deepEqual(transport.calls('Runtime.evaluate'), []);
+  });
+});
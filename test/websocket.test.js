@@ -0,0 +1,82 @@
+/**
+ * WebSocket transport specs - CDPConnection over a fake socket
+ * Runs on the Node build of the modules: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const MODULES_DIR = path.join(__dirname, '..', 'dist', 'modules');
+const { CDPConnection } = require(path.join(MODULES_DIR, 'cdp', 'websocket.js'));
+const { setLogger } = require(path.join(MODULES_DIR, 'logging', 'logger.js'));
+
+setLogger({ log() {}, warn() {}, error() {} });
+
+const ENDPOINT = 'ws://127.0.0.1:9222/devtools/browser/fake';
+
+/**
+ * A socket that opens right away and records what is sent to it - `fail` errors the way `ws` does,
+ * throwing when no error listener is set
+ */
+class FakeSocket {
+  constructor() {
+    this.sent = [];
+    this.closed = false;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+    setTimeout(() => this.onopen && this.onopen({}), 0);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    setTimeout(() => this.onclose && this.onclose({}), 0);
+  }
+
+  fail(error) {
+    if (!this.onerror) throw error;
+    this.onerror(error);
+  }
+}
+
+async function connect() {
+  let socket;
+  const connection = await CDPConnection.connect(ENDPOINT, {
+    createSocket: () => {
+      socket = new FakeSocket();
+      return socket;
+    },
+  });
+  return { connection, socket };
+}
+
+describe('CDPConnection', () => {
+  it('closes on a socket error after connecting instead of throwing it', async () => {
+    const { connection, socket } = await connect();
+    const pending = connection.send('Target.getTargets');
+
+    socket.fail(new Error('read ECONNRESET'));
+
+    await assert.rejects(pending, /DevTools connection closed/);
+    assert.equal(connection.isConnected, false);
+    assert.ok(socket.closed);
+  });
+
+  it('detaches the sessions of its pages when the socket errors', async () => {
+    const { connection, socket } = await connect();
+    const detached = [];
+    connection.registerSession('session-1', { onEvent() {}, onDetach: (reason) => detached.push(reason) });
+
+    socket.fail(new Error('socket hang up'));
+
+    assert.deepEqual(detached, ['connection_closed']);
+    await assert.rejects(connection.send('Target.getTargets'), /DevTools connection is closed/);
+  });
+});